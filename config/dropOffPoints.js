@@ -0,0 +1,26 @@
+// config/dropOffPoints.js
+const { DEFAULT_TIMEZONE } = require('./notifications');
+
+// Porcentaje de llenado a partir del cual un punto se marca para vaciar
+const DROP_OFF_FULL_THRESHOLD = Number(process.env.DROP_OFF_FULL_THRESHOLD) || 80;
+
+// Zona horaria de los horarios de atención
+const DROP_OFF_TIMEZONE = process.env.DROP_OFF_TIMEZONE || DEFAULT_TIMEZONE;
+
+// Lecturas de llenado que se guardan por punto
+const MAX_FILL_READINGS = 50;
+
+const CAPACITY_UNITS = ['kg', 'l', 'm3'];
+
+// Resultados de la búsqueda pública
+const DROP_OFF_SEARCH_LIMIT = 10;
+const DROP_OFF_MAX_SEARCH_LIMIT = 50;
+
+module.exports = {
+  DROP_OFF_FULL_THRESHOLD,
+  DROP_OFF_TIMEZONE,
+  MAX_FILL_READINGS,
+  CAPACITY_UNITS,
+  DROP_OFF_SEARCH_LIMIT,
+  DROP_OFF_MAX_SEARCH_LIMIT
+};
@@ -0,0 +1,64 @@
+// config/emissions.js
+
+// Emisiones por km recorrido (kg CO2e/km) según tipo de vehículo y combustible.
+// Valores de referencia para flota urbana; se pueden ajustar con la variable
+// COLLECTION_EMISSION_FACTORS, un JSON con la misma forma, por ejemplo:
+// {"truck":{"diesel":1.05},"van":{"electric":0.04}}
+const DEFAULT_EMISSION_FACTORS = {
+  truck: { diesel: 0.9, gasoline: 1.0, hybrid: 0.65, electric: 0.15, other: 0.95 },
+  van: { diesel: 0.25, gasoline: 0.28, hybrid: 0.18, electric: 0.05, other: 0.27 },
+  car: { diesel: 0.17, gasoline: 0.19, hybrid: 0.11, electric: 0.04, other: 0.18 },
+  bicycle: { other: 0 },
+  walking: { other: 0 }
+};
+
+// Combustible asumido cuando el cronograma no lo indica
+const DEFAULT_FUEL_TYPE = {
+  truck: 'diesel',
+  van: 'diesel',
+  car: 'gasoline',
+  bicycle: 'other',
+  walking: 'other'
+};
+
+// Emisión por litro de combustible consumido (kg CO2/l), usada cuando se
+// registra el consumo real en lugar de estimar por distancia
+const FUEL_CO2_PER_LITRE = {
+  diesel: 2.68,
+  gasoline: 2.31
+};
+
+const loadEmissionFactors = () => {
+  const factors = JSON.parse(JSON.stringify(DEFAULT_EMISSION_FACTORS));
+
+  if (process.env.COLLECTION_EMISSION_FACTORS) {
+    try {
+      const overrides = JSON.parse(process.env.COLLECTION_EMISSION_FACTORS);
+      Object.entries(overrides).forEach(([vehicleType, byFuel]) => {
+        factors[vehicleType] = { ...factors[vehicleType], ...byFuel };
+      });
+    } catch (error) {
+      console.error('COLLECTION_EMISSION_FACTORS no es un JSON válido, se usan los valores por defecto');
+    }
+  }
+
+  return factors;
+};
+
+const EMISSION_FACTORS = loadEmissionFactors();
+
+// Factor kg CO2e/km del vehículo
+const getEmissionFactor = (vehicle = {}) => {
+  const vehicleType = vehicle.type || 'truck';
+  const byFuel = EMISSION_FACTORS[vehicleType] || EMISSION_FACTORS.truck;
+  const fuelType = vehicle.fuelType || DEFAULT_FUEL_TYPE[vehicleType] || 'other';
+
+  return byFuel[fuelType] ?? byFuel.other ?? 0;
+};
+
+module.exports = {
+  EMISSION_FACTORS,
+  DEFAULT_FUEL_TYPE,
+  FUEL_CO2_PER_LITRE,
+  getEmissionFactor
+};
@@ -0,0 +1,67 @@
+// config/jobs.js
+const { DEFAULT_TIMEZONE } = require('./notifications');
+
+// Zona horaria en la que se interpretan las expresiones cron
+const JOB_TIMEZONE = process.env.JOB_TIMEZONE || DEFAULT_TIMEZONE;
+
+// Cuándo corre cada trabajo periódico (minuto hora día mes día-de-la-semana).
+// Se pueden ajustar con la variable JOB_SCHEDULES, un JSON con la misma forma,
+// por ejemplo: {"digests:daily":"0 7 * * *"}
+const DEFAULT_JOB_SCHEDULES = {
+  'collections:extend-recurring': '0 3 * * *',
+  'collections:send-reminders': '0 * * * *',
+  'products:expire-listings': '*/15 * * * *',
+  'products:update-popularity': '30 * * * *',
+  'reports:check-sla': '*/10 * * * *',
+  'transactions:expire-offers': '* * * * *',
+  'notifications:flush-deferred': '*/5 * * * *',
+  'saved-searches:flush-alerts': '*/5 * * * *',
+  'digests:daily': '0 8 * * *',
+  'digests:weekly': '0 8 * * 1'
+};
+
+const loadJobSchedules = () => {
+  const schedules = { ...DEFAULT_JOB_SCHEDULES };
+
+  if (process.env.JOB_SCHEDULES) {
+    try {
+      Object.assign(schedules, JSON.parse(process.env.JOB_SCHEDULES));
+    } catch (error) {
+      console.error('JOB_SCHEDULES no es un JSON válido, se usan los valores por defecto');
+    }
+  }
+
+  return schedules;
+};
+
+const JOB_SCHEDULES = loadJobSchedules();
+
+// Reintentos: la demora se duplica en cada intento hasta el máximo
+const DEFAULT_MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+
+// Trabajos fallidos que se conservan para revisar
+const DEAD_LETTER_LIMIT = 1000;
+
+// Un worker sin latido durante este tiempo se considera caído
+const WORKER_STALE_AFTER_MS = 60 * 1000;
+
+// Plazo (horas) para atender un reporte abierto según su prioridad
+const REPORT_SLA_HOURS = {
+  urgent: 4,
+  high: 24,
+  normal: 72,
+  low: 168
+};
+
+module.exports = {
+  JOB_TIMEZONE,
+  JOB_SCHEDULES,
+  DEFAULT_MAX_ATTEMPTS,
+  RETRY_BASE_DELAY_MS,
+  RETRY_MAX_DELAY_MS,
+  DEAD_LETTER_LIMIT,
+  WORKER_STALE_AFTER_MS,
+  REPORT_SLA_HOURS
+};
@@ -0,0 +1,23 @@
+// config/listings.js
+
+// Días sin actividad del dueño (alta, edición o renovación) tras los que una
+// publicación vence aunque no tenga fecha de fin
+const LISTING_IDLE_DAYS = Number(process.env.LISTING_IDLE_DAYS) || 60;
+
+// Anticipación con la que se avisa al dueño que su publicación va a vencer
+const LISTING_EXPIRY_WARNING_DAYS = Number(process.env.LISTING_EXPIRY_WARNING_DAYS) || 3;
+
+// Días que se extiende la fecha de fin al renovar, si no se indican otros
+const LISTING_RENEWAL_DAYS = Number(process.env.LISTING_RENEWAL_DAYS) || 30;
+const LISTING_MAX_RENEWAL_DAYS = 90;
+
+// Estados desde los que se puede renovar una publicación
+const RENEWABLE_STATUSES = ['available', 'expired'];
+
+module.exports = {
+  LISTING_IDLE_DAYS,
+  LISTING_EXPIRY_WARNING_DAYS,
+  LISTING_RENEWAL_DAYS,
+  LISTING_MAX_RENEWAL_DAYS,
+  RENEWABLE_STATUSES
+};
@@ -0,0 +1,25 @@
+// config/locales.js
+
+// Idiomas disponibles para los emails y formato regional de fechas y números
+const LOCALES = {
+  es: { intl: 'es-AR' },
+  en: { intl: 'en-US' }
+};
+
+const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : 'es';
+
+// 'en-GB' -> 'en'; lo desconocido cae en el idioma por defecto
+const resolveLocale = (locale, available = SUPPORTED_LOCALES) => {
+  const language = String(locale || '').toLowerCase().split(/[-_]/)[0];
+  if (available.includes(language)) return language;
+  return available.includes(DEFAULT_LOCALE) ? DEFAULT_LOCALE : available[0];
+};
+
+module.exports = {
+  LOCALES,
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  resolveLocale
+};
@@ -0,0 +1,48 @@
+// config/notifications.js
+
+const NOTIFICATION_TYPES = ['transaction', 'material_validation', 'report', 'review', 'collection', 'saved_search', 'favorite', 'system'];
+
+const CHANNELS = ['in_app', 'email', 'push', 'sms'];
+
+const DIGEST_FREQUENCIES = ['immediate', 'daily', 'weekly'];
+
+// Canales activos por defecto para cada tipo de notificación.
+// SMS queda desactivado hasta que el usuario lo elija.
+const DEFAULT_CHANNELS = {
+  transaction: { in_app: true, email: true, push: true, sms: false },
+  material_validation: { in_app: true, email: true, push: false, sms: false },
+  report: { in_app: true, email: true, push: false, sms: false },
+  review: { in_app: true, email: false, push: true, sms: false },
+  collection: { in_app: true, email: true, push: true, sms: false },
+  saved_search: { in_app: true, email: true, push: false, sms: false },
+  favorite: { in_app: true, email: false, push: true, sms: false },
+  system: { in_app: true, email: true, push: false, sms: false }
+};
+
+// Canales que el horario de silencio posterga: los que interrumpen al usuario
+const QUIET_HOURS_CHANNELS = ['push', 'sms'];
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/Argentina/Cordoba';
+
+// Resúmenes por email: período que cubre cada frecuencia y anticipación con
+// la que se avisa de publicaciones por vencer
+const DIGEST_PERIODS = {
+  daily: { days: 1, expiringWithinDays: 2 },
+  weekly: { days: 7, expiringWithinDays: 7 }
+};
+
+// Radio (km) de "nuevos productos cerca tuyo" y máximo de elementos por sección
+const DIGEST_NEARBY_RADIUS_KM = Number(process.env.DIGEST_NEARBY_RADIUS_KM) || 5;
+const DIGEST_MAX_ITEMS = 10;
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  CHANNELS,
+  DIGEST_FREQUENCIES,
+  DEFAULT_CHANNELS,
+  QUIET_HOURS_CHANNELS,
+  DEFAULT_TIMEZONE,
+  DIGEST_PERIODS,
+  DIGEST_NEARBY_RADIUS_KM,
+  DIGEST_MAX_ITEMS
+};
@@ -0,0 +1,50 @@
+// config/permissions.js
+
+// Permisos que otorga cada rol del personal municipal.
+// '*' concede todos los permisos.
+const ROLE_PERMISSIONS = {
+  municipal_admin: ['*'],
+  validator: [
+    'materials:validate',
+    'schedules:read'
+  ],
+  collector: [
+    'schedules:read',
+    'collections:record'
+  ],
+  moderator: [
+    'reports:read',
+    'reports:assign',
+    'reports:resolve',
+    'products:moderate'
+  ],
+  support: [
+    'users:read',
+    'users:manage',
+    'reports:read',
+    'producers:approve'
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Permisos efectivos de un conjunto de roles
+const getPermissions = (roles = []) => {
+  const permissions = new Set();
+  roles.forEach(role => {
+    (ROLE_PERMISSIONS[role] || []).forEach(permission => permissions.add(permission));
+  });
+  return [...permissions];
+};
+
+const hasPermission = (roles = [], permission) => {
+  const permissions = getPermissions(roles);
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  ROLES,
+  getPermissions,
+  hasPermission
+};
@@ -0,0 +1,17 @@
+// config/pickupBookings.js
+const { DEFAULT_TIMEZONE } = require('./notifications');
+
+// Zona horaria del municipio en la que se interpretan los días y horarios de retiro
+const COLLECTION_TIMEZONE = process.env.COLLECTION_TIMEZONE || DEFAULT_TIMEZONE;
+
+// Horas antes del cronograma en que se recuerda el retiro a quienes lo reservaron
+const PICKUP_REMINDER_HOURS = Number(process.env.PICKUP_REMINDER_HOURS) || 24;
+
+// Cronogramas futuros que se ofrecen para reservar (días hacia adelante)
+const PICKUP_BOOKING_WINDOW_DAYS = 30;
+
+module.exports = {
+  COLLECTION_TIMEZONE,
+  PICKUP_REMINDER_HOURS,
+  PICKUP_BOOKING_WINDOW_DAYS
+};
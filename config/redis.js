@@ -79,8 +79,9 @@ class RedisClient {
       if (NX) opts.NX = NX; // only if key doesn't exist
       if (XX) opts.XX = XX; // only if key exists
       
-      await this.client.set(key, value, opts);
-      return true;
+      // Con NX o XX, Redis responde null si no escribió la key
+      const result = await this.client.set(key, value, opts);
+      return result === 'OK';
     } catch (error) {
       console.error(`Error guardando key ${key} en Redis:`, error);
       return false;
@@ -162,6 +163,29 @@ class RedisClient {
     }
   }
 
+  async llen(key) {
+    if (!this.isConnected || !this.client) return 0;
+    
+    try {
+      return await this.client.lLen(key);
+    } catch (error) {
+      console.error(`Error en llen para key ${key}:`, error);
+      return 0;
+    }
+  }
+
+  async ltrim(key, start, stop) {
+    if (!this.isConnected || !this.client) return false;
+    
+    try {
+      await this.client.lTrim(key, start, stop);
+      return true;
+    } catch (error) {
+      console.error(`Error en ltrim para key ${key}:`, error);
+      return false;
+    }
+  }
+
   async lrange(key, start, stop) {
     if (!this.isConnected || !this.client) return [];
     
@@ -197,6 +221,18 @@ class RedisClient {
     }
   }
 
+  async hdel(key, field) {
+    if (!this.isConnected || !this.client) return false;
+    
+    try {
+      await this.client.hDel(key, field);
+      return true;
+    } catch (error) {
+      console.error(`Error en hdel para key ${key}:`, error);
+      return false;
+    }
+  }
+
   async hgetall(key) {
     if (!this.isConnected || !this.client) return {};
     
@@ -0,0 +1,25 @@
+// config/savedSearches.js
+
+// Búsquedas guardadas por usuario
+const MAX_SAVED_SEARCHES = 20;
+
+// Canales que se pueden elegir para los avisos de una búsqueda
+const ALERT_CHANNELS = ['in_app', 'email'];
+
+// Minutos mínimos entre avisos de una misma búsqueda. Las coincidencias que
+// llegan antes se juntan en un único aviso (ver jobs/index.js).
+const ALERT_FREQUENCIES = {
+  immediate: 0,
+  hourly: 60,
+  daily: 24 * 60
+};
+
+// Productos que se guardan para el próximo aviso agrupado
+const MAX_PENDING_MATCHES = 20;
+
+module.exports = {
+  MAX_SAVED_SEARCHES,
+  ALERT_CHANNELS,
+  ALERT_FREQUENCIES,
+  MAX_PENDING_MATCHES
+};
@@ -0,0 +1,25 @@
+// config/search.js
+
+// Radio (km) cuando la búsqueda tiene ubicación pero no radio
+const DEFAULT_SEARCH_RADIUS_KM = 10;
+const MAX_SEARCH_RADIUS_KM = 100;
+
+// Órdenes de GET /api/products/search
+const SEARCH_SORTS = ['relevance', 'distance', 'popularity', 'newest'];
+
+// Resultados por página del buscador
+const SEARCH_PAGE_SIZE = 20;
+const SEARCH_MAX_PAGE_SIZE = 50;
+
+// Límites (km) de los rangos de distancia que se cuentan en las facetas;
+// el último rango termina en el radio de la búsqueda
+const DISTANCE_BUCKETS_KM = [1, 2, 5, 10, 25, 50];
+
+module.exports = {
+  DEFAULT_SEARCH_RADIUS_KM,
+  MAX_SEARCH_RADIUS_KM,
+  SEARCH_SORTS,
+  SEARCH_PAGE_SIZE,
+  SEARCH_MAX_PAGE_SIZE,
+  DISTANCE_BUCKETS_KM
+};
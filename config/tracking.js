@@ -0,0 +1,17 @@
+// config/tracking.js
+
+// Segundos mínimos entre posiciones guardadas de un mismo cronograma; las
+// que llegan antes se descartan
+const TRACKING_MIN_INTERVAL_SECONDS = Number(process.env.TRACKING_MIN_INTERVAL_SECONDS) || 5;
+
+// Minutos de anticipación del aviso "el camión llega en ~10 minutos"
+const TRACKING_ARRIVAL_NOTICE_MINUTES = Number(process.env.TRACKING_ARRIVAL_NOTICE_MINUTES) || 10;
+
+// Días que se conserva el recorrido de cada vehículo
+const TRACKING_RETENTION_DAYS = 30;
+
+module.exports = {
+  TRACKING_MIN_INTERVAL_SECONDS,
+  TRACKING_ARRIVAL_NOTICE_MINUTES,
+  TRACKING_RETENTION_DAYS
+};
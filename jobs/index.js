@@ -0,0 +1,43 @@
+// jobs/index.js
+const recurringSchedules = require('../services/recurringSchedules');
+const requestQueue = require('../services/requestQueue');
+const notificationService = require('../services/notificationService');
+const digestService = require('../services/digestService');
+const savedSearchService = require('../services/savedSearchService');
+const pickupBookings = require('../services/pickupBookings');
+const { expireListings, warnExpiringListings, updatePopularity } = require('./products');
+const { checkReportSla } = require('./reports');
+const { JOB_SCHEDULES } = require('../config/jobs');
+
+// Trabajos en segundo plano que ejecuta scripts/worker.js.
+// Cada handler devuelve un resumen que queda en el estado de la cola.
+const JOBS = {
+  'collections:extend-recurring': async () => ({ created: await recurringSchedules.extendAll() }),
+  'collections:send-reminders': async () => ({ reminded: await pickupBookings.sendReminders() }),
+  'products:expire-listings': async () => ({ ...await expireListings(), ...await warnExpiringListings() }),
+  'products:update-popularity': () => updatePopularity(),
+  'reports:check-sla': () => checkReportSla(),
+  'transactions:expire-offers': async () => ({ expired: await requestQueue.expireOffers() }),
+  'notifications:flush-deferred': async () => ({ sent: await notificationService.flushDeferred() }),
+  'saved-searches:flush-alerts': async () => ({ sent: await savedSearchService.flushPending() }),
+  'digests:daily': () => digestService.run('daily'),
+  'digests:weekly': () => digestService.run('weekly')
+};
+
+// Registra los handlers y, con schedule, sus ejecuciones periódicas
+function registerJobs(queue, { schedule = true } = {}) {
+  Object.entries(JOBS).forEach(([name, handler]) => queue.register(name, handler));
+
+  if (schedule) {
+    Object.entries(JOB_SCHEDULES)
+      .filter(([name]) => JOBS[name])
+      .forEach(([name, cron]) => queue.schedule(name, cron));
+  }
+
+  return queue;
+}
+
+module.exports = {
+  JOBS,
+  registerJobs
+};
@@ -0,0 +1,99 @@
+// jobs/products.js
+const Product = require('../models/Product');
+const notificationService = require('../services/notificationService');
+const favoriteService = require('../services/favoriteService');
+const { LISTING_IDLE_DAYS, LISTING_EXPIRY_WARNING_DAYS } = require('../config/listings');
+
+// Publicaciones disponibles que llegaron a su fecha de fin o que pasaron
+// LISTING_IDLE_DAYS sin actividad del dueño
+async function expireListings(now = new Date()) {
+  const filter = { status: 'available', ...Product.expiringBefore(now) };
+  const expired = await Product.find(filter).select('_id');
+  let count = 0;
+
+  for (const { _id } of expired) {
+    const product = await Product.findOneAndUpdate(
+      { _id, ...filter },
+      { status: 'expired', 'listing.expiredAt': now },
+      { new: true }
+    );
+    if (!product) continue;
+
+    const reason = product.availability.endDate && product.availability.endDate < now
+      ? 'llegó a su fecha de fin'
+      : `pasaron ${LISTING_IDLE_DAYS} días sin cambios`;
+
+    count++;
+    await notificationService.notify(product.owner, {
+      type: 'system',
+      event: 'listing_expired',
+      title: 'Tu publicación venció',
+      message: `"${product.title}" ya no se muestra porque ${reason}. Puedes renovarla desde tus publicaciones.`,
+      data: { product: product._id }
+    });
+    await favoriteService.notifyWatchers(product, 'expired');
+  }
+
+  return { expired: count };
+}
+
+// Aviso único al dueño de las publicaciones que vencen en los próximos
+// LISTING_EXPIRY_WARNING_DAYS días. Renovar o editar la publicación lo rearma.
+async function warnExpiringListings(now = new Date()) {
+  const horizon = new Date(now.getTime() + LISTING_EXPIRY_WARNING_DAYS * 24 * 60 * 60 * 1000);
+  const filter = {
+    status: 'available',
+    'listing.expiryWarningSentAt': null,
+    ...Product.expiringBefore(horizon)
+  };
+  const expiring = await Product.find(filter).select('_id');
+  let count = 0;
+
+  for (const { _id } of expiring) {
+    const product = await Product.findOneAndUpdate(
+      { _id, ...filter },
+      { 'listing.expiryWarningSentAt': now },
+      { new: true }
+    );
+    if (!product) continue;
+
+    const expiresAt = product.getListingExpiry();
+
+    count++;
+    await notificationService.notify(product.owner, {
+      type: 'system',
+      event: 'listing_expiring',
+      title: 'Tu publicación está por vencer',
+      message: `"${product.title}" dejará de mostrarse el ${expiresAt.toLocaleString('es-AR')}. Renuévala para que siga visible.`,
+      data: { product: product._id, expiresAt }
+    });
+  }
+
+  return { warned: count };
+}
+
+// Recalcula el puntaje de popularidad de las publicaciones disponibles
+async function updatePopularity() {
+  const products = Product.find({ status: 'available' })
+    .select('views analytics.contactAttempts analytics.favorites analytics.popularityScore createdAt')
+    .cursor();
+  let updated = 0;
+
+  for await (const product of products) {
+    const previous = product.analytics.popularityScore;
+    const score = product.updatePopularity();
+
+    if (score !== previous) {
+      await Product.updateOne({ _id: product._id }, { 'analytics.popularityScore': score });
+      updated++;
+    }
+  }
+
+  return { updated };
+}
+
+module.exports = {
+  expireListings,
+  warnExpiringListings,
+  updatePopularity
+};
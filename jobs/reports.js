@@ -0,0 +1,57 @@
+// jobs/reports.js
+const Report = require('../models/Report');
+const User = require('../models/User');
+const notificationService = require('../services/notificationService');
+const { ROLES, hasPermission } = require('../config/permissions');
+const { REPORT_SLA_HOURS } = require('../config/jobs');
+
+const OPEN_STATUSES = ['pending', 'reviewing', 'investigating'];
+const NEXT_PRIORITY = { low: 'normal', normal: 'high', high: 'urgent', urgent: 'urgent' };
+
+// Reportes abiertos que superaron el plazo de su prioridad: se registra el
+// incumplimiento una sola vez, se sube la prioridad y se avisa al responsable
+// (o a quienes pueden asignar reportes si no tiene)
+async function checkReportSla(now = new Date()) {
+  const overdue = await Report.find({
+    status: { $in: OPEN_STATUSES },
+    'automation.autoActions.action': { $ne: 'sla_breach' },
+    $or: Object.entries(REPORT_SLA_HOURS).map(([priority, hours]) => ({
+      priority,
+      createdAt: { $lte: new Date(now.getTime() - hours * 60 * 60 * 1000) }
+    }))
+  });
+
+  if (overdue.length === 0) return { breached: 0 };
+
+  const assignerRoles = ROLES.filter(role => hasPermission([role], 'reports:assign'));
+  const assigners = await User.find({ roles: { $in: assignerRoles }, isActive: true }).select('_id');
+
+  for (const report of overdue) {
+    const hours = REPORT_SLA_HOURS[report.priority];
+
+    report.automation.autoActions.push({ action: 'sla_breach', triggeredAt: now, success: true });
+    report.timeline.push({
+      action: 'sla_breach',
+      description: `Sin resolver después de ${hours} horas (prioridad ${report.priority})`,
+      timestamp: now
+    });
+    report.metrics.escalations += 1;
+    report.priority = NEXT_PRIORITY[report.priority];
+    await report.save();
+
+    const recipients = report.assignedTo ? [report.assignedTo] : assigners.map(user => user._id);
+    await notificationService.notifyMany(recipients, {
+      type: 'report',
+      event: 'sla_breach',
+      title: 'Reporte fuera de plazo',
+      message: `El reporte sobre ${report.target.targetTitle || report.target.targetType} superó el plazo de atención de ${hours} horas.`,
+      data: { report: report._id }
+    });
+  }
+
+  return { breached: overdue.length };
+}
+
+module.exports = {
+  checkReportSla
+};
@@ -1,6 +1,7 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const tokenService = require('../utils/tokenService');
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -11,13 +12,19 @@ const authMiddleware = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default_secret');
+
+    // Tokens de sesiones cerradas o revocadas
+    if (await tokenService.isAccessTokenRevoked(token, decoded)) {
+      return res.status(401).json({ message: 'Token inválido' });
+    }
     
     const user = await User.findById(decoded.userId).select('-password');
     if (!user || !user.isActive) {
       return res.status(401).json({ message: 'Usuario no válido' });
     }
 
-    req.user = { userId: user._id.toString(), email: user.email };
+    req.user = { userId: user._id.toString(), email: user.email, sessionId: decoded.sid };
+    req.token = token;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -1,4 +1,6 @@
 // middleware/errorHandler.js
+const multer = require('multer');
+
 const errorHandler = (err, req, res, next) => {
   console.error('Error:', err);
 
@@ -1,6 +1,51 @@
 // middleware/materialValidation.js
+const { validationResult } = require('express-validator');
+const Material = require('../models/Material');
+const aiValidation = require('../services/aiValidation');
+
+// Imágenes subidas con el tipo indicado en imageTypes (mismo orden que los archivos)
+const getUploadedImages = (req) => {
+  const imageTypes = [].concat(req.body.imageTypes || []);
+
+  return (req.files || []).map((file, index) => ({
+    url: file.path,
+    publicId: file.filename,
+    type: imageTypes[index] || 'general'
+  }));
+};
+
+// Valida la publicación contra los criterios del material del catálogo y deja
+// el resultado en req.materialValidation para que la ruta lo aplique al producto
 const validateMaterial = async (req, res, next) => {
-  // Validar que las imágenes coincidan con estándares
-  // Verificar peso declarado vs. estimado por IA
-  // Comprobar criterios de compactación
-};
\ No newline at end of file
+  const materialId = req.body.materialAnalysis?.material;
+
+  // Sin material del catálogo no hay criterios que revisar; los errores de
+  // validación de la petición los responde la ruta
+  if (!materialId || !validationResult(req).isEmpty()) {
+    return next();
+  }
+
+  try {
+    const material = await Material.findOne({ _id: materialId, isActive: true });
+    if (!material) {
+      return res.status(400).json({ message: 'Material no encontrado en el catálogo' });
+    }
+
+    const result = await aiValidation.validateCompaction({
+      images: getUploadedImages(req),
+      weight: req.body.weight,
+      dimensions: req.body.dimensions
+    }, material);
+
+    req.materialValidation = { material, result };
+    next();
+  } catch (error) {
+    console.error('Error en validación de material:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+};
+
+module.exports = {
+  validateMaterial,
+  getUploadedImages
+};
@@ -0,0 +1,25 @@
+// middleware/permissions.js
+const User = require('../models/User');
+
+// Restringe una ruta a usuarios cuyos roles otorgan el permiso indicado
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('roles isActive');
+
+    if (!user || !user.isActive || !user.hasPermission(permission)) {
+      return res.status(403).json({
+        message: 'Acceso denegado. No tienes permisos para realizar esta acción.',
+        code: 'PERMISSION_DENIED',
+        permission
+      });
+    }
+
+    req.user.roles = user.roles;
+    next();
+  } catch (error) {
+    console.error('Error en middleware de permisos:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+};
+
+module.exports = { requirePermission };
@@ -5,6 +5,7 @@ const { body, query, validationResult } = require('express-validator');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { cacheHelper } = require('../config/redis');
+const tokenService = require('../utils/tokenService');
 
 // Advanced Rate Limiting
 const createRateLimiter = (windowMs = 15 * 60 * 1000, max = 100, skipSuccessfulRequests = false) => {
@@ -145,13 +146,13 @@ const enhancedAuthMiddleware = async (req, res, next) => {
       return res.status(401).json({ message: 'Token no proporcionado' });
     }
 
-    // Check if token is blacklisted
-    const isBlacklisted = await cacheHelper.redis.exists(`blacklist:${token}`);
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default_secret');
+
+    // Check if token or its session is blacklisted
+    const isBlacklisted = await tokenService.isAccessTokenRevoked(token, decoded);
     if (isBlacklisted) {
       return res.status(401).json({ message: 'Token inválido' });
     }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default_secret');
     
     // Additional security checks
     const now = Math.floor(Date.now() / 1000);
@@ -0,0 +1,23 @@
+// middleware/verified.js
+const User = require('../models/User');
+
+// Restringe acciones a cuentas con email verificado
+const requireVerified = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('isVerified');
+
+    if (!user || !user.isVerified) {
+      return res.status(403).json({
+        message: 'Debes verificar tu email para realizar esta acción',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error en middleware de verificación:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+};
+
+module.exports = requireVerified;
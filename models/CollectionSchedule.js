@@ -1,5 +1,16 @@
 // models/CollectionSchedule.js
 const mongoose = require('mongoose');
+const routeService = require('../services/routeOptimization');
+
+const timePattern = [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Formato de hora inválido (HH:MM)'];
+
+const locationSchema = new mongoose.Schema({
+  address: String,
+  coordinates: {
+    lat: { type: Number, min: -90, max: 90 },
+    lng: { type: Number, min: -180, max: 180 }
+  }
+}, { _id: false });
 
 const routePointSchema = new mongoose.Schema({
   coordinates: {
@@ -25,6 +36,13 @@ const routePointSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
   }],
+  // Ventana horaria en la que se puede visitar el punto
+  timeWindow: {
+    start: { type: String, match: timePattern },
+    end: { type: String, match: timePattern }
+  },
+  serviceTime: Number, // minutos en el punto
+  load: Number, // carga estimada, en la unidad de capacity
   estimatedTime: Date,
   actualTime: Date,
   status: {
@@ -34,7 +52,29 @@ const routePointSchema = new mongoose.Schema({
   },
   notes: String,
   collectedWeight: Number,
-  collectorNotes: String
+  collectorNotes: String,
+  // Motivo por el que el recolector no pudo retirar en el punto
+  skipReason: {
+    type: String,
+    enum: ['not_home', 'not_ready', 'access_blocked', 'material_rejected', 'vehicle_full', 'other']
+  },
+  // Foto del material pesado o del motivo de la omisión
+  photo: String,
+  // Aviso de llegada próxima enviado a quien reservó (ver services/trackingService.js)
+  arrivalNoticeSentAt: Date,
+  // Cronograma al que se pasó el punto cuando este se canceló o postergó
+  rescheduledTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CollectionSchedule'
+  },
+  // Vecino que reservó el retiro (ver services/pickupBookings.js)
+  bookedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  bookedAt: Date,
+  // Recordatorio enviado a quien reservó (ver services/pickupBookings.js)
+  reminderSentAt: Date
 });
 
 const collectionScheduleSchema = new mongoose.Schema({
@@ -44,11 +84,16 @@ const collectionScheduleSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'El título no puede exceder 100 caracteres']
   },
+  // Nombre de la zona; zoneId la referencia cuando está definida en Zone
   zone: {
     type: String,
     required: [true, 'La zona es requerida'],
     trim: true
   },
+  zoneId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Zone'
+  },
   area: {
     type: String,
     trim: true
@@ -62,12 +107,12 @@ const collectionScheduleSchema = new mongoose.Schema({
     start: {
       type: String,
       required: true,
-      match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Formato de hora inválido (HH:MM)']
+      match: timePattern
     },
     end: {
       type: String,
       required: true,
-      match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Formato de hora inválido (HH:MM)']
+      match: timePattern
     }
   },
   frequency: {
@@ -98,6 +143,16 @@ const collectionScheduleSchema = new mongoose.Schema({
     }
   },
   route: [routePointSchema],
+  // Punto de salida y llegada del vehículo. Sin fin, la ruta vuelve al inicio.
+  depot: {
+    start: locationSchema,
+    end: locationSchema
+  },
+  routeMetrics: {
+    distance: Number, // km
+    duration: Number, // minutos
+    optimizedAt: Date
+  },
   vehicle: {
     type: {
       type: String,
@@ -124,22 +179,59 @@ const collectionScheduleSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // Inicio del recorrido por el recolector (ver routes/collector.js)
+  startedAt: Date,
+  // Última posición del vehículo; el rastro completo está en VehiclePosition
+  tracking: {
+    lastPosition: {
+      lat: Number,
+      lng: Number
+    },
+    lastPositionAt: Date
+  },
   completedDate: Date,
   weather: {
     condition: String,
     temperature: Number,
     affecting: { type: Boolean, default: false }
   },
+  // Cancelación o postergación (ver services/scheduleDisruptions.js)
+  disruption: {
+    action: {
+      type: String,
+      enum: ['cancel', 'postpone']
+    },
+    reason: {
+      type: String,
+      enum: ['weather', 'vehicle_breakdown', 'staff_shortage', 'holiday', 'other']
+    },
+    details: String,
+    replacement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CollectionSchedule'
+    },
+    pointsMoved: Number,
+    pointsReturned: Number,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    recordedAt: Date
+  },
   results: {
     totalWeight: { type: Number, default: 0 },
     totalItems: { type: Number, default: 0 },
     pointsCompleted: { type: Number, default: 0 },
     pointsSkipped: { type: Number, default: 0 },
     duration: Number, // minutos
+    distance: Number, // km recorridos
     fuelUsed: Number,
-    carbonFootprint: Number,
+    carbonFootprint: Number, // kg CO2e emitidos por el vehículo
+    co2Saved: Number, // kg CO2 evitados por los materiales recolectados
+    netBenefit: Number, // co2Saved - carbonFootprint
     issues: [String]
   },
+  // reminder indica si ya se envió el recordatorio a quienes reservaron
   notifications: {
     sent: { type: Boolean, default: false },
     sentAt: Date,
@@ -170,10 +262,12 @@ const collectionScheduleSchema = new mongoose.Schema({
 
 // Índices
 collectionScheduleSchema.index({ zone: 1, scheduledDate: 1 });
+collectionScheduleSchema.index({ zoneId: 1, scheduledDate: 1 });
 collectionScheduleSchema.index({ dayOfWeek: 1, status: 1 });
 collectionScheduleSchema.index({ collector: 1, scheduledDate: 1 });
 collectionScheduleSchema.index({ materialTypes: 1 });
 collectionScheduleSchema.index({ 'route.coordinates': '2dsphere' });
+collectionScheduleSchema.index({ 'route.bookedBy': 1, scheduledDate: 1 });
 
 // Middleware para validar horarios
 collectionScheduleSchema.pre('save', function(next) {
@@ -183,67 +277,40 @@ collectionScheduleSchema.pre('save', function(next) {
   const end = parseInt(endTime[0]) * 60 + parseInt(endTime[1]);
   
   if (start >= end) {
-    next(new Error('La hora de inicio debe ser anterior a la hora de fin'));
+    return next(new Error('La hora de inicio debe ser anterior a la hora de fin'));
   }
   
-  if (this.scheduledDate < new Date()) {
-    next(new Error('La fecha programada no puede ser en el pasado'));
+  if (this.isModified('scheduledDate') && this.scheduledDate < new Date()) {
+    return next(new Error('La fecha programada no puede ser en el pasado'));
   }
   
   next();
 });
 
-// Método para calcular duración estimada
+// Opciones del optimizador a partir del cronograma
+collectionScheduleSchema.methods.getRouteOptions = function() {
+  const start = this.depot?.start?.coordinates?.lat != null ? this.depot.start.coordinates : null;
+  const end = this.depot?.end?.coordinates?.lat != null ? this.depot.end.coordinates : start;
+
+  return {
+    depot: { start, end },
+    startTime: this.timeSlot.start,
+    endTime: this.timeSlot.end,
+    capacity: this.capacity.maximum,
+    capacityUnit: this.capacity.unit,
+    materialTypes: this.materialTypes,
+    vehicleType: this.vehicle?.type
+  };
+};
+
+// Método para calcular duración estimada (minutos)
 collectionScheduleSchema.methods.calculateEstimatedDuration = function() {
-  const baseTimePerPoint = 15; // minutos
-  const travelTimePerKm = 5; // minutos por km (estimado)
-  const routePoints = this.route.length;
-  
-  let totalDistance = 0;
-  for (let i = 1; i < this.route.length; i++) {
-    // Fórmula simple de distancia euclidiana (se podría mejorar con API de mapas)
-    const prev = this.route[i - 1].coordinates;
-    const curr = this.route[i].coordinates;
-    const distance = Math.sqrt(
-      Math.pow((curr.lat - prev.lat) * 111, 2) + 
-      Math.pow((curr.lng - prev.lng) * 85, 2)
-    );
-    totalDistance += distance;
-  }
-  
-  return (routePoints * baseTimePerPoint) + (totalDistance * travelTimePerKm);
+  return routeService.evaluateRoute(this.route, this.getRouteOptions()).duration;
 };
 
 // Método para optimizar ruta
 collectionScheduleSchema.methods.optimizeRoute = function() {
-  // Implementación básica del algoritmo nearest neighbor
-  if (this.route.length <= 2) return this.route;
-  
-  const optimized = [this.route[0]]; // Empezar desde el primer punto
-  const remaining = [...this.route.slice(1)];
-  
-  while (remaining.length > 0) {
-    const current = optimized[optimized.length - 1];
-    let nearestIndex = 0;
-    let shortestDistance = Infinity;
-    
-    remaining.forEach((point, index) => {
-      const distance = Math.sqrt(
-        Math.pow((point.coordinates.lat - current.coordinates.lat) * 111, 2) +
-        Math.pow((point.coordinates.lng - current.coordinates.lng) * 85, 2)
-      );
-      
-      if (distance < shortestDistance) {
-        shortestDistance = distance;
-        nearestIndex = index;
-      }
-    });
-    
-    optimized.push(remaining[nearestIndex]);
-    remaining.splice(nearestIndex, 1);
-  }
-  
-  return optimized;
+  return routeService.optimizeCollectionRoute(this.route, this.getRouteOptions());
 };
 
 // Método para verificar capacidad disponible
@@ -267,6 +334,7 @@ collectionScheduleSchema.methods.getStatistics = function() {
     carbonFootprintPerKg: this.results.totalWeight > 0 
       ? this.results.carbonFootprint / this.results.totalWeight 
       : 0,
+    netBenefit: this.results.netBenefit || 0,
     averageTimePerPoint: this.results.pointsCompleted > 0 
       ? this.results.duration / this.results.pointsCompleted 
       : 0
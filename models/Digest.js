@@ -0,0 +1,53 @@
+// models/Digest.js
+const mongoose = require('mongoose');
+
+// Registro de cada resumen por email enviado a un usuario.
+// El índice único por período evita enviar dos veces el mismo resumen.
+const digestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly'],
+    required: true
+  },
+  // Día (daily) o lunes de la semana (weekly) en la zona horaria del usuario: YYYY-MM-DD
+  periodKey: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'failed'],
+    default: 'sending'
+  },
+  // Notificaciones y productos cercanos incluidos en el resumen
+  notifications: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  }],
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  summary: {
+    notifications: { type: Number, default: 0 },
+    newRequests: { type: Number, default: 0 },
+    unreadMessages: { type: Number, default: 0 },
+    expiringListings: { type: Number, default: 0 },
+    nearbyProducts: { type: Number, default: 0 },
+    co2Saved: { type: Number, default: 0 }
+  },
+  error: String,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+digestSchema.index({ user: 1, frequency: 1, periodKey: 1 }, { unique: true });
+digestSchema.index({ user: 1, status: 1, sentAt: -1 });
+
+module.exports = mongoose.model('Digest', digestSchema);
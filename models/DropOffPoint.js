@@ -0,0 +1,184 @@
+// models/DropOffPoint.js
+const mongoose = require('mongoose');
+const Material = require('./Material');
+const Zone = require('./Zone');
+const {
+  DROP_OFF_FULL_THRESHOLD,
+  DROP_OFF_TIMEZONE,
+  MAX_FILL_READINGS,
+  CAPACITY_UNITS
+} = require('../config/dropOffPoints');
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const TIME_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Día de la semana y hora (HH:mm) de una fecha en la zona horaria de los puntos
+const localTime = (date, timezone = DROP_OFF_TIMEZONE) => {
+  const formatter = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    weekday: 'long',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  });
+  const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]));
+  return { day: parts.weekday.toLowerCase(), time: `${parts.hour}:${parts.minute}` };
+};
+
+const openingHoursSchema = new mongoose.Schema({
+  day: {
+    type: String,
+    enum: DAYS,
+    required: true
+  },
+  open: {
+    type: String,
+    match: TIME_PATTERN,
+    required: true
+  },
+  close: {
+    type: String,
+    match: TIME_PATTERN,
+    required: true
+  }
+}, { _id: false });
+
+// Punto verde: lugar fijo donde los vecinos llevan sus materiales
+const dropOffPointSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'La descripción no puede exceder 500 caracteres']
+  },
+  location: {
+    address: {
+      type: String,
+      required: [true, 'La dirección es requerida']
+    },
+    coordinates: {
+      lat: { type: Number, required: true },
+      lng: { type: Number, required: true }
+    },
+    // Las mismas coordenadas en GeoJSON ([lng, lat]); se completa al guardar
+    point: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined }
+    },
+    zoneId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Zone'
+    },
+    zone: String,
+    landmark: String
+  },
+  // Horarios de atención en DROP_OFF_TIMEZONE; sin horarios, siempre abierto
+  openingHours: [openingHoursSchema],
+  acceptedCategories: {
+    type: [{ type: String, enum: Material.schema.path('category').enumValues }],
+    validate: [categories => categories.length > 0, 'Debe aceptar al menos una categoría']
+  },
+  capacity: {
+    maximum: { type: Number, min: 0, required: [true, 'La capacidad es requerida'] },
+    unit: { type: String, enum: CAPACITY_UNITS, default: 'm3' }
+  },
+  // Porcentaje de llenado informado por los recolectores
+  fillLevel: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  fillReadings: [{
+    level: { type: Number, min: 0, max: 100, required: true },
+    emptied: { type: Boolean, default: false },
+    notes: String,
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    recordedAt: { type: Date, default: Date.now }
+  }],
+  needsEmptying: {
+    type: Boolean,
+    default: false
+  },
+  lastEmptiedAt: Date,
+  contact: {
+    phone: String,
+    email: String
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+dropOffPointSchema.index({ 'location.point': '2dsphere' });
+dropOffPointSchema.index({ isActive: 1, acceptedCategories: 1 });
+dropOffPointSchema.index({ needsEmptying: 1, isActive: 1 });
+dropOffPointSchema.index({ 'location.zoneId': 1 });
+
+dropOffPointSchema.pre('validate', function(next) {
+  const invalid = this.openingHours.find(slot => slot.open >= slot.close);
+  if (invalid) {
+    this.invalidate('openingHours', `El horario del ${invalid.day} debe abrir antes de cerrar`);
+  }
+  next();
+});
+
+// Ubicación GeoJSON y zona cuando cambian las coordenadas
+dropOffPointSchema.pre('save', async function() {
+  if (!this.isModified('location.coordinates')) return;
+
+  const { lat, lng } = this.location.coordinates;
+  this.location.point = { type: 'Point', coordinates: [lng, lat] };
+
+  const located = await Zone.locate(this.location.coordinates);
+  this.location.zoneId = located?.zoneId;
+  if (located) this.location.zone = located.zone;
+});
+
+// Filtro de los puntos abiertos en una fecha
+dropOffPointSchema.statics.openAtFilter = function(date = new Date()) {
+  const { day, time } = localTime(date);
+  return {
+    $or: [
+      { openingHours: { $size: 0 } },
+      { openingHours: { $elemMatch: { day, open: { $lte: time }, close: { $gt: time } } } }
+    ]
+  };
+};
+
+dropOffPointSchema.methods.isOpenAt = function(date = new Date()) {
+  if (this.openingHours.length === 0) return true;
+
+  const { day, time } = localTime(date);
+  return this.openingHours.some(slot => slot.day === day && slot.open <= time && time < slot.close);
+};
+
+// Registra una lectura de llenado. Vaciar el punto reinicia el nivel y
+// quita la marca; superar el umbral la pone.
+dropOffPointSchema.methods.recordFillLevel = function({ level, emptied = false, notes, recordedBy }, now = new Date()) {
+  const reading = { level: emptied ? 0 : level, emptied, notes, recordedBy, recordedAt: now };
+
+  this.fillReadings.push(reading);
+  if (this.fillReadings.length > MAX_FILL_READINGS) {
+    this.fillReadings.splice(0, this.fillReadings.length - MAX_FILL_READINGS);
+  }
+
+  this.fillLevel = reading.level;
+  if (emptied) this.lastEmptiedAt = now;
+  this.needsEmptying = reading.level >= DROP_OFF_FULL_THRESHOLD;
+  return this;
+};
+
+module.exports = mongoose.model('DropOffPoint', dropOffPointSchema);
+module.exports.localTime = localTime;
@@ -0,0 +1,25 @@
+// models/Favorite.js
+const mongoose = require('mongoose');
+
+// Producto guardado por un usuario. Quien lo guarda recibe avisos cuando el
+// producto se reserva, vuelve a estar disponible o vence.
+const favoriteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+favoriteSchema.index({ user: 1, product: 1 }, { unique: true });
+favoriteSchema.index({ user: 1, createdAt: -1 });
+favoriteSchema.index({ product: 1 });
+
+module.exports = mongoose.model('Favorite', favoriteSchema);
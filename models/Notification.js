@@ -0,0 +1,70 @@
+// models/Notification.js
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES, CHANNELS } = require('../config/notifications');
+
+// Resultado del envío por cada canal
+const deliverySchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: CHANNELS,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'deferred', 'skipped', 'failed'],
+    required: true
+  },
+  // Motivo de postergación u omisión: quiet_hours, digest, no_provider, no_phone...
+  reason: String,
+  deliverAfter: Date,
+  sentAt: Date
+}, { _id: false });
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  // Evento concreto dentro del tipo, por ejemplo 'accepted' o 'validated'
+  event: String,
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  // Referencias al recurso que originó la notificación (transaction, product, report...)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Canales elegidos por el usuario para este tipo de notificación
+  channels: [{
+    type: String,
+    enum: CHANNELS
+  }],
+  deliveries: [deliverySchema],
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ 'deliveries.status': 1, 'deliveries.deliverAfter': 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,5 +1,9 @@
 // models/Product.js (Enhanced)
 const mongoose = require('mongoose');
+const Zone = require('./Zone');
+const { LISTING_IDLE_DAYS, LISTING_EXPIRY_WARNING_DAYS } = require('../config/listings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 const productSchema = new mongoose.Schema({
   title: {
@@ -88,8 +92,20 @@ const productSchema = new mongoose.Schema({
         required: true
       }
     },
+    // Las mismas coordenadas en GeoJSON ([lng, lat]) para las consultas
+    // geoespaciales; se completa al guardar
+    point: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined }
+    },
     city: String,
     province: String,
+    // Zona que contiene las coordenadas (se asigna al guardar). zone guarda su
+    // nombre; sin zona que las contenga conserva el texto ingresado.
+    zoneId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Zone'
+    },
     zone: String,
     landmark: String
   },
@@ -211,6 +227,15 @@ const productSchema = new mongoose.Schema({
     blackoutDates: [Date], // fechas no disponibles
     flexibleSchedule: { type: Boolean, default: false }
   },
+
+  // Vigencia de la publicación (ver jobs/products.js)
+  listing: {
+    lastActivityAt: { type: Date, default: Date.now }, // alta, edición o renovación
+    renewedAt: Date,
+    renewals: { type: Number, default: 0 },
+    expiryWarningSentAt: Date,
+    expiredAt: Date
+  },
   
   // Información adicional del producto
   additionalInfo: {
@@ -253,6 +278,7 @@ const productSchema = new mongoose.Schema({
       default: 0
     },
     averageResponseTime: Number, // minutos
+    favorites: { type: Number, default: 0 }, // usuarios que lo guardaron
     popularityScore: { type: Number, default: 0 }
   },
   
@@ -294,7 +320,7 @@ const productSchema = new mongoose.Schema({
 });
 
 // Índices optimizados
-productSchema.index({ "location.coordinates": "2dsphere" });
+productSchema.index({ 'location.point': '2dsphere' });
 productSchema.index({ category: 1, status: 1 });
 productSchema.index({ owner: 1 });
 productSchema.index({ createdAt: -1 });
@@ -302,9 +328,30 @@ productSchema.index({ 'materialAnalysis.materialType': 1 });
 productSchema.index({ 'materialAnalysis.compactionStatus': 1 });
 productSchema.index({ status: 1, 'availability.endDate': 1 });
 productSchema.index({ 'pickupOptions.allowsPickup': 1, status: 1 });
+productSchema.index({ status: 1, 'listing.lastActivityAt': 1 });
+productSchema.index({ 'location.zoneId': 1, status: 1 });
+// Búsqueda por texto de GET /api/products y de las búsquedas guardadas
+productSchema.index(
+  { title: 'text', description: 'text', tags: 'text' },
+  { weights: { title: 5, tags: 3, description: 1 }, default_language: 'spanish' }
+);
+
+// Asigna la zona cuando cambian las coordenadas
+productSchema.pre('save', async function() {
+  if (!this.isModified('location.coordinates')) return;
+
+  const located = await Zone.locate(this.location.coordinates);
+  this.location.zoneId = located?.zoneId;
+  if (located) this.location.zone = located.zone;
+});
 
 // Middleware para calcular volumen automáticamente
 productSchema.pre('save', function(next) {
+  const { lat, lng } = this.location.coordinates || {};
+  if (lat != null && lng != null && this.isModified('location.coordinates')) {
+    this.location.point = { type: 'Point', coordinates: [lng, lat] };
+  }
+
   if (this.dimensions.length && this.dimensions.width && this.dimensions.height) {
     const factor = this.dimensions.unit === 'm' ? 1 : 0.000001; // convertir cm3 a m3
     this.dimensions.volume = this.dimensions.length * this.dimensions.width * this.dimensions.height * factor;
@@ -319,6 +366,7 @@ productSchema.methods.calculateEnvironmentalImpact = function() {
   if (!weight || !this.materialAnalysis.materialType) {
     return {
       carbonFootprintSaved: 0,
+      co2Reduction: 0,
       waterSaved: 0,
       energySaved: 0,
       equivalentTrees: 0
@@ -341,6 +389,7 @@ productSchema.methods.calculateEnvironmentalImpact = function() {
   
   return {
     carbonFootprintSaved: weight * factor.co2,
+    co2Reduction: weight * factor.co2, // nombre del campo en materialAnalysis.environmentalImpact
     waterSaved: weight * factor.water,
     energySaved: weight * factor.energy,
     equivalentTrees: (weight * factor.co2) / 22 // 1 árbol = ~22kg CO2/año
@@ -369,6 +418,44 @@ productSchema.methods.isAvailableOn = function(date) {
   return true;
 };
 
+// Fecha en la que vence la publicación: su fecha de fin o el fin del plazo de
+// inactividad, lo que ocurra primero. Acepta documentos o resultados de lean().
+productSchema.statics.getListingExpiry = function(product, idleDays = LISTING_IDLE_DAYS) {
+  const lastActivity = product.listing?.lastActivityAt || product.createdAt;
+  const idleExpiry = new Date(new Date(lastActivity).getTime() + idleDays * DAY_MS);
+  const endDate = product.availability?.endDate;
+
+  return endDate && endDate < idleExpiry ? new Date(endDate) : idleExpiry;
+};
+
+// Filtro de las publicaciones que vencen antes de `date`. Las publicaciones
+// anteriores a listing.lastActivityAt se miden desde su fecha de alta.
+productSchema.statics.expiringBefore = function(date, idleDays = LISTING_IDLE_DAYS) {
+  const idleCutoff = new Date(date.getTime() - idleDays * DAY_MS);
+
+  return {
+    $or: [
+      { 'availability.endDate': { $lt: date } },
+      { 'listing.lastActivityAt': { $lt: idleCutoff } },
+      { 'listing.lastActivityAt': null, createdAt: { $lt: idleCutoff } }
+    ]
+  };
+};
+
+productSchema.methods.getListingExpiry = function(idleDays) {
+  return this.constructor.getListingExpiry(this, idleDays);
+};
+
+// Registra actividad del dueño: reinicia el plazo de inactividad y, si el
+// vencimiento ya no está cerca, permite volver a avisar
+productSchema.methods.touchListing = function(now = new Date()) {
+  this.listing.lastActivityAt = now;
+
+  if (this.getListingExpiry() > new Date(now.getTime() + LISTING_EXPIRY_WARNING_DAYS * DAY_MS)) {
+    this.listing.expiryWarningSentAt = undefined;
+  }
+};
+
 // Método para obtener estadísticas del producto
 productSchema.methods.getStatistics = function() {
   const environmentalImpact = this.calculateEnvironmentalImpact();
@@ -389,10 +476,11 @@ productSchema.methods.updatePopularity = function() {
   const daysSinceCreation = (Date.now() - this.createdAt) / (1000 * 60 * 60 * 24);
   const viewsPerDay = this.views / Math.max(daysSinceCreation, 1);
   const contactRate = this.analytics.contactAttempts / Math.max(this.views, 1);
+  const favorites = this.analytics.favorites || 0;
   
   // Fórmula para calcular popularidad (0-100)
   this.analytics.popularityScore = Math.min(100, Math.round(
-    (viewsPerDay * 10) + (contactRate * 50) + (this.views * 0.1)
+    (viewsPerDay * 10) + (contactRate * 50) + (this.views * 0.1) + (favorites * 2)
   ));
   
   return this.analytics.popularityScore;
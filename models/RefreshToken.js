@@ -0,0 +1,55 @@
+// models/RefreshToken.js
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Solo se guarda el hash SHA-256, nunca el token en claro
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Todos los tokens rotados desde un mismo inicio de sesión comparten familia.
+  // La familia identifica la sesión del dispositivo.
+  family: {
+    type: String,
+    required: true
+  },
+  device: {
+    name: String,
+    userAgent: String,
+    ip: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: Date,
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout_all', 'remote_revoke', 'reuse_detected', 'password_change', 'account_deactivated']
+  }
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+// MongoDB elimina automáticamente los tokens vencidos
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Método para verificar si el token sigue siendo utilizable
+refreshTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -52,7 +52,7 @@ const reportSchema = new mongoose.Schema({
   target: {
     targetType: {
       type: String,
-      enum: ['user', 'product', 'transaction', 'chat', 'review'],
+      enum: ['user', 'product', 'transaction', 'chat', 'review', 'material'],
       required: true
     },
     targetId: {
@@ -0,0 +1,87 @@
+// models/SavedSearch.js
+const mongoose = require('mongoose');
+const Product = require('./Product');
+const { ALERT_CHANNELS, ALERT_FREQUENCIES } = require('../config/savedSearches');
+const { DEFAULT_SEARCH_RADIUS_KM, MAX_SEARCH_RADIUS_KM } = require('../config/search');
+
+// Búsqueda de GET /api/products guardada por un usuario, con aviso cuando se
+// publica un producto que coincide (ver services/savedSearchService.js)
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'El nombre es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  // Mismos filtros que GET /api/products; los vacíos no restringen
+  filters: {
+    category: {
+      type: String,
+      enum: Product.schema.path('category').enumValues
+    },
+    condition: {
+      type: String,
+      enum: Product.schema.path('condition').enumValues
+    },
+    search: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    location: {
+      lat: Number,
+      lng: Number
+    },
+    radius: {
+      type: Number,
+      min: 0,
+      max: MAX_SEARCH_RADIUS_KM,
+      default: DEFAULT_SEARCH_RADIUS_KM
+    }
+  },
+  alerts: {
+    enabled: { type: Boolean, default: true },
+    channels: {
+      type: [{ type: String, enum: ALERT_CHANNELS }],
+      default: () => [...ALERT_CHANNELS]
+    },
+    frequency: {
+      type: String,
+      enum: Object.keys(ALERT_FREQUENCIES),
+      default: 'immediate'
+    },
+    lastAlertAt: Date,
+    // Coincidencias que esperan al próximo aviso agrupado
+    pending: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }]
+  },
+  matchCount: {
+    type: Number,
+    default: 0
+  },
+  lastMatchAt: Date
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ 'alerts.enabled': 1, 'filters.category': 1, 'filters.condition': 1 });
+
+savedSearchSchema.methods.hasLocation = function() {
+  return this.filters.location?.lat != null && this.filters.location?.lng != null;
+};
+
+// Momento a partir del cual se puede volver a avisar
+savedSearchSchema.methods.getNextAlertAt = function() {
+  if (!this.alerts.lastAlertAt) return null;
+  return new Date(this.alerts.lastAlertAt.getTime() + ALERT_FREQUENCIES[this.alerts.frequency] * 60 * 1000);
+};
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
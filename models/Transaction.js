@@ -1,6 +1,15 @@
 // models/Transaction.js
 const mongoose = require('mongoose');
 
+// Transiciones de estado permitidas en el ciclo de vida de una donación
+const STATUS_TRANSITIONS = {
+  pending: ['accepted', 'cancelled'],
+  accepted: ['in_progress', 'cancelled'],
+  in_progress: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
 const transactionSchema = new mongoose.Schema({
   product: {
     type: mongoose.Schema.Types.ObjectId,
@@ -22,6 +31,26 @@ const transactionSchema = new mongoose.Schema({
     enum: ['pending', 'accepted', 'in_progress', 'completed', 'cancelled'],
     default: 'pending'
   },
+  message: {
+    type: String,
+    maxlength: [500, 'El mensaje no puede exceder 500 caracteres']
+  },
+  // Posición en la fila de espera del producto (solo solicitudes pendientes)
+  queuePosition: Number,
+  preferredSlot: {
+    day: {
+      type: String,
+      enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+    },
+    startTime: String,
+    endTime: String
+  },
+  // Oferta automática cuando se libera un producto reservado
+  offer: {
+    offeredAt: Date,
+    expiresAt: Date,
+    respondedAt: Date
+  },
   pickupDate: Date,
   pickupTime: String,
   pickupLocation: {
@@ -32,8 +61,19 @@ const transactionSchema = new mongoose.Schema({
     }
   },
   notes: String,
+  // Confirmación de entrega por cada una de las partes
+  confirmations: {
+    donor: Date,
+    recipient: Date
+  },
+  acceptedAt: Date,
+  startedAt: Date,
   completedAt: Date,
   cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   cancellationReason: String
 }, {
   timestamps: true
@@ -42,5 +82,33 @@ const transactionSchema = new mongoose.Schema({
 transactionSchema.index({ donor: 1 });
 transactionSchema.index({ recipient: 1 });
 transactionSchema.index({ status: 1 });
+transactionSchema.index({ product: 1, status: 1 });
+transactionSchema.index({ product: 1, status: 1, queuePosition: 1 });
+transactionSchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+transactionSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+// Método para verificar si una transición de estado es válida
+transactionSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Método para obtener el rol de un usuario dentro de la transacción
+transactionSchema.methods.getParticipantRole = function(userId) {
+  // donor/recipient pueden venir poblados o como ObjectId
+  const idOf = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+  if (idOf(this.donor) === userId.toString()) return 'donor';
+  if (idOf(this.recipient) === userId.toString()) return 'recipient';
+  return null;
+};
+
+// Método para verificar si la transacción tiene una oferta vigente
+transactionSchema.methods.hasActiveOffer = function() {
+  return this.status === 'pending' &&
+    !!this.offer?.expiresAt &&
+    !this.offer.respondedAt &&
+    this.offer.expiresAt > new Date();
+};
 
 module.exports = mongoose.model('Transaction', transactionSchema);
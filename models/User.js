@@ -1,6 +1,26 @@
 // models/User.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const Zone = require('./Zone');
+const { ROLES, getPermissions, hasPermission } = require('../config/permissions');
+const {
+  NOTIFICATION_TYPES,
+  DIGEST_FREQUENCIES,
+  DEFAULT_CHANNELS,
+  DEFAULT_TIMEZONE
+} = require('../config/notifications');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../config/locales');
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Canales por tipo de notificación: { transaction: { in_app, email, push, sms }, ... }
+const channelPreferences = Object.fromEntries(NOTIFICATION_TYPES.map(type => [
+  type,
+  Object.fromEntries(Object.entries(DEFAULT_CHANNELS[type]).map(([channel, enabled]) => [
+    channel,
+    { type: Boolean, default: enabled }
+  ]))
+]));
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -36,17 +56,44 @@ const userSchema = new mongoose.Schema({
       lng: Number
     },
     city: String,
-    province: String
+    province: String,
+    // Zona que contiene las coordenadas (ver models/Zone.js)
+    zoneId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Zone'
+    },
+    zone: String
+  },
+  // Idioma de los emails
+  locale: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    default: DEFAULT_LOCALE
   },
   userType: {
     type: String,
     enum: ['individual', 'producer', 'comuna'],
     default: 'individual'
   },
+  // Roles del personal municipal (ver config/permissions.js)
+  roles: [{
+    type: String,
+    enum: ROLES
+  }],
   isVerified: {
     type: Boolean,
     default: false
   },
+  verifiedAt: Date,
+  // Identificadores de los tokens de un solo uso vigentes
+  emailVerification: {
+    tokenId: String,
+    sentAt: Date
+  },
+  passwordReset: {
+    tokenId: String,
+    requestedAt: Date
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -67,6 +114,20 @@ const userSchema = new mongoose.Schema({
     productsOffered: { type: Number, default: 0 },
     productsReceived: { type: Number, default: 0 },
     transactionsCompleted: { type: Number, default: 0 }
+  },
+  notificationPreferences: {
+    channels: channelPreferences,
+    // Durante el horario de silencio se postergan push y SMS
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, match: TIME_PATTERN, default: '22:00' },
+      end: { type: String, match: TIME_PATTERN, default: '08:00' },
+      timezone: { type: String, default: DEFAULT_TIMEZONE }
+    },
+    // Con daily/weekly los emails se agrupan en un resumen
+    digest: {
+      frequency: { type: String, enum: DIGEST_FREQUENCIES, default: 'immediate' }
+    }
   }
 }, {
   timestamps: true
@@ -75,6 +136,17 @@ const userSchema = new mongoose.Schema({
 // Index for geospatial queries
 userSchema.index({ "location.coordinates": "2dsphere" });
 
+userSchema.index({ 'location.zoneId': 1 });
+
+// Asigna la zona cuando cambian las coordenadas
+userSchema.pre('save', async function() {
+  if (!this.isModified('location.coordinates')) return;
+
+  const located = await Zone.locate(this.location?.coordinates);
+  this.set('location.zoneId', located?.zoneId);
+  this.set('location.zone', located?.zone);
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -93,10 +165,21 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Permission methods
+userSchema.methods.getPermissions = function() {
+  return getPermissions(this.roles);
+};
+
+userSchema.methods.hasPermission = function(permission) {
+  return hasPermission(this.roles, permission);
+};
+
 // Transform output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.emailVerification;
+  delete user.passwordReset;
   return user;
 };
 
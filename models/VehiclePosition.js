@@ -0,0 +1,34 @@
+// models/VehiclePosition.js
+const mongoose = require('mongoose');
+const { TRACKING_RETENTION_DAYS } = require('../config/tracking');
+
+// Posición GPS enviada por el recolector durante un recorrido (ver
+// socket/trackingSocket.js). La secuencia forma el rastro del vehículo.
+const vehiclePositionSchema = new mongoose.Schema({
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CollectionSchedule',
+    required: true
+  },
+  collector: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  coordinates: {
+    lat: { type: Number, required: true, min: -90, max: 90 },
+    lng: { type: Number, required: true, min: -180, max: 180 }
+  },
+  speed: Number, // km/h informados por el dispositivo
+  heading: Number, // grados
+  accuracy: Number, // metros
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+vehiclePositionSchema.index({ schedule: 1, recordedAt: 1 });
+vehiclePositionSchema.index({ recordedAt: 1 }, { expireAfterSeconds: TRACKING_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('VehiclePosition', vehiclePositionSchema);
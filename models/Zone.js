@@ -0,0 +1,65 @@
+// models/Zone.js
+const mongoose = require('mongoose');
+
+// Zona municipal delimitada por un polígono GeoJSON (ver services/zoneService.js).
+// Los productos, usuarios y cronogramas guardan el _id de su zona y, como
+// referencia legible, su nombre.
+const zoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre es requerido'],
+    trim: true,
+    unique: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  // Identificador de la zona en el archivo de origen, para reimportarlo
+  code: {
+    type: String,
+    trim: true,
+    unique: true,
+    sparse: true
+  },
+  boundary: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon'],
+      required: true
+    },
+    coordinates: {
+      type: Array,
+      required: true
+    }
+  },
+  // Propiedades originales del GeoJSON
+  properties: mongoose.Schema.Types.Mixed,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  importedAt: Date
+}, {
+  timestamps: true
+});
+
+zoneSchema.index({ boundary: '2dsphere' });
+
+// Zona activa que contiene el punto { lat, lng }. Si las zonas se superponen
+// se toma la creada primero.
+zoneSchema.statics.findByPoint = function({ lat, lng }) {
+  return this.findOne({
+    isActive: true,
+    boundary: {
+      $geoIntersects: { $geometry: { type: 'Point', coordinates: [lng, lat] } }
+    }
+  }).sort({ createdAt: 1 }).select('name');
+};
+
+// Campos de zona para una ubicación: { zoneId, zone } o null si ninguna la contiene
+zoneSchema.statics.locate = async function(coordinates) {
+  if (coordinates?.lat == null || coordinates?.lng == null) return null;
+
+  const zone = await this.findByPoint(coordinates);
+  return zone ? { zoneId: zone._id, zone: zone.name } : null;
+};
+
+module.exports = mongoose.model('Zone', zoneSchema);
@@ -1,18 +1,20 @@
 // routes/admin.js
 const express = require('express');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Product = require('../models/Product');
 const Transaction = require('../models/Transaction');
 const Review = require('../models/Review');
-const adminMiddleware = require('../middleware/admin');
+const { requirePermission } = require('../middleware/permissions');
+const { ROLES, ROLE_PERMISSIONS } = require('../config/permissions');
+const { SUPPORTED_LOCALES } = require('../config/locales');
+const emailTemplates = require('../templates/emails');
+const jobQueue = require('../services/jobQueue');
 
 const router = express.Router();
 
-// Middleware para verificar rol de admin
-router.use(adminMiddleware);
-
 // Dashboard estadísticas
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', requirePermission('analytics:read'), async (req, res) => {
   try {
     const [
       totalUsers,
@@ -74,7 +76,7 @@ router.get('/dashboard', async (req, res) => {
 });
 
 // Gestión de usuarios
-router.get('/users', async (req, res) => {
+router.get('/users', requirePermission('users:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -103,7 +105,7 @@ router.get('/users', async (req, res) => {
 });
 
 // Suspender/reactivar usuario
-router.patch('/users/:userId/status', async (req, res) => {
+router.patch('/users/:userId/status', requirePermission('users:manage'), async (req, res) => {
   try {
     const { isActive } = req.body;
     
@@ -128,7 +130,7 @@ router.patch('/users/:userId/status', async (req, res) => {
 });
 
 // Gestión de productos reportados
-router.get('/products/reported', async (req, res) => {
+router.get('/products/reported', requirePermission('products:moderate'), async (req, res) => {
   try {
     // Aquí implementarías la lógica para productos reportados
     // Por ahora, devolvemos productos recientes para demostración
@@ -145,7 +147,7 @@ router.get('/products/reported', async (req, res) => {
 });
 
 // Remover producto
-router.delete('/products/:productId', async (req, res) => {
+router.delete('/products/:productId', requirePermission('products:moderate'), async (req, res) => {
   try {
     const product = await Product.findByIdAndUpdate(
       req.params.productId,
@@ -164,4 +166,152 @@ router.delete('/products/:productId', async (req, res) => {
   }
 });
 
+// === GESTIÓN DE ROLES ===
+
+// Listar roles disponibles y sus permisos
+router.get('/roles', requirePermission('roles:manage'), (req, res) => {
+  res.json({
+    roles: ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] }))
+  });
+});
+
+// Otorgar rol a un usuario
+router.post('/users/:userId/roles', requirePermission('roles:manage'), [
+  body('role').isIn(ROLES).withMessage('Rol inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { $addToSet: { roles: req.body.role } },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'Usuario no encontrado' });
+    }
+
+    res.json({
+      message: 'Rol otorgado exitosamente',
+      user: {
+        id: user._id,
+        name: user.name,
+        roles: user.roles,
+        permissions: user.getPermissions()
+      }
+    });
+  } catch (error) {
+    console.error('Error otorgando rol:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Revocar rol de un usuario
+router.delete('/users/:userId/roles/:role', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { userId, role } = req.params;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: 'Rol inválido' });
+    }
+
+    // Evitar que un administrador se quite su propio acceso por error
+    if (userId === req.user.userId && role === 'municipal_admin') {
+      return res.status(400).json({ message: 'No puedes revocar tu propio rol de administrador' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $pull: { roles: role } },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'Usuario no encontrado' });
+    }
+
+    res.json({
+      message: 'Rol revocado exitosamente',
+      user: {
+        id: user._id,
+        name: user.name,
+        roles: user.roles,
+        permissions: user.getPermissions()
+      }
+    });
+  } catch (error) {
+    console.error('Error revocando rol:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// === PLANTILLAS DE EMAIL ===
+
+// Listar plantillas y sus idiomas
+router.get('/emails/templates', requirePermission('emails:preview'), (req, res) => {
+  res.json({
+    templates: emailTemplates.listTemplates(),
+    locales: SUPPORTED_LOCALES
+  });
+});
+
+// Vista previa de una plantilla con datos de ejemplo.
+// format=html o format=text devuelven el email tal como se vería
+router.get('/emails/templates/:name/preview', requirePermission('emails:preview'), [
+  query('locale').optional().isIn(SUPPORTED_LOCALES).withMessage('Idioma no soportado'),
+  query('format').optional().isIn(['json', 'html', 'text']).withMessage('Formato inválido')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const template = emailTemplates.TEMPLATES[req.params.name];
+    if (!template) {
+      return res.status(404).json({ message: 'Plantilla no encontrada' });
+    }
+
+    const preview = emailTemplates.render(req.params.name, req.query.locale, {
+      ...template.sample,
+      unsubscribe: { url: '#', pageUrl: '#' }
+    });
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(preview.html);
+    }
+    if (req.query.format === 'text') {
+      return res.type('text').send(preview.text);
+    }
+
+    res.json({ template: req.params.name, ...preview });
+  } catch (error) {
+    console.error('Error generando vista previa de email:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// === TRABAJOS EN SEGUNDO PLANO ===
+
+// Estado de las colas: pendientes, demorados, fallidos, workers activos y
+// resultado de la última ejecución de cada trabajo
+router.get('/jobs', requirePermission('jobs:read'), async (req, res) => {
+  try {
+    const health = await jobQueue.getHealth();
+    const aliveWorkers = health.workers.filter(worker => worker.alive).length;
+
+    res.json({
+      status: aliveWorkers > 0 ? 'healthy' : 'no_workers',
+      ...health
+    });
+  } catch (error) {
+    console.error('Error obteniendo estado de trabajos:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,11 @@
 // routes/auth.js
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const authMiddleware = require('../middleware/auth');
+const tokenService = require('../utils/tokenService');
+const emailService = require('../utils/emailService');
+const { SUPPORTED_LOCALES } = require('../config/locales');
 
 const router = express.Router();
 
@@ -12,7 +14,8 @@ router.post('/register', [
   body('name').trim().isLength({ min: 2, max: 100 }).withMessage('El nombre debe tener entre 2 y 100 caracteres'),
   body('email').isEmail().normalizeEmail().withMessage('Email inválido'),
   body('password').isLength({ min: 6 }).withMessage('La contraseña debe tener al menos 6 caracteres'),
-  body('phone').optional().isMobilePhone('es-AR').withMessage('Teléfono inválido')
+  body('phone').optional().isMobilePhone('es-AR').withMessage('Teléfono inválido'),
+  body('locale').optional().isIn(SUPPORTED_LOCALES).withMessage('Idioma no soportado')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -21,6 +24,8 @@ router.post('/register', [
     }
 
     const { name, email, password, phone, location, userType } = req.body;
+    // Sin idioma explícito se toma el del navegador (Accept-Language)
+    const locale = req.body.locale || req.acceptsLanguages(...SUPPORTED_LOCALES) || undefined;
 
     // Verificar si el usuario ya existe
     const existingUser = await User.findOne({ email });
@@ -35,22 +40,23 @@ router.post('/register', [
       password,
       phone,
       location,
+      locale,
       userType: userType || 'individual'
     });
 
     await user.save();
 
-    // Generar JWT
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET || 'default_secret',
-      { expiresIn: '7d' }
-    );
+    await sendVerification(user);
+
+    // Generar access token y refresh token de la sesión
+    const { token, refreshToken, expiresIn } = await tokenService.issueTokens(user, req);
 
     res.status(201).json({
       message: 'Usuario registrado exitosamente',
       user: user.toJSON(),
-      token
+      token,
+      refreshToken,
+      expiresIn
     });
   } catch (error) {
     console.error('Error en registro:', error);
@@ -61,7 +67,8 @@ router.post('/register', [
 // Inicio de sesión
 router.post('/login', [
   body('email').isEmail().normalizeEmail().withMessage('Email inválido'),
-  body('password').notEmpty().withMessage('La contraseña es requerida')
+  body('password').notEmpty().withMessage('La contraseña es requerida'),
+  body('deviceName').optional().trim().isLength({ max: 100 }).withMessage('Nombre de dispositivo inválido')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -83,17 +90,15 @@ router.post('/login', [
       return res.status(401).json({ message: 'Credenciales inválidas' });
     }
 
-    // Generar JWT
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET || 'default_secret',
-      { expiresIn: '7d' }
-    );
+    // Generar access token y refresh token de la sesión
+    const { token, refreshToken, expiresIn } = await tokenService.issueTokens(user, req);
 
     res.json({
       message: 'Inicio de sesión exitoso',
       user: user.toJSON(),
-      token
+      token,
+      refreshToken,
+      expiresIn
     });
   } catch (error) {
     console.error('Error en login:', error);
@@ -101,6 +106,203 @@ router.post('/login', [
   }
 });
 
+// Renovar access token con un refresh token (rotación)
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('El refresh token es requerido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await tokenService.rotate(req.body.refreshToken, req);
+
+    if (result.error === 'reuse_detected') {
+      return res.status(401).json({
+        message: 'Sesión revocada por reutilización del refresh token',
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+    }
+
+    if (result.error) {
+      return res.status(401).json({ message: 'Refresh token inválido', code: 'REFRESH_TOKEN_INVALID' });
+    }
+
+    const { token, refreshToken, expiresIn } = result.tokens;
+
+    res.json({
+      message: 'Token renovado exitosamente',
+      token,
+      refreshToken,
+      expiresIn
+    });
+  } catch (error) {
+    console.error('Error renovando token:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Cerrar la sesión actual
+router.post('/logout', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.sessionId) {
+      await tokenService.revokeFamily(req.user.sessionId, 'logout');
+    }
+    await tokenService.blacklistAccessToken(req.token);
+
+    res.json({ message: 'Sesión cerrada exitosamente' });
+  } catch (error) {
+    console.error('Error cerrando sesión:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Cerrar todas las sesiones del usuario
+router.post('/logout-all', authMiddleware, async (req, res) => {
+  try {
+    const sessionsClosed = await tokenService.revokeAllForUser(req.user.userId, 'logout_all');
+    await tokenService.blacklistAccessToken(req.token);
+
+    res.json({
+      message: 'Todas las sesiones fueron cerradas exitosamente',
+      sessionsClosed
+    });
+  } catch (error) {
+    console.error('Error cerrando sesiones:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Verificar email con el token enviado por correo
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('El token es requerido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const decoded = tokenService.verifyActionToken(req.body.token, 'verify_email');
+    if (!decoded) {
+      return res.status(400).json({ message: 'Token de verificación inválido o vencido' });
+    }
+
+    // Consumir el token: solo coincide si no fue usado ni reemplazado
+    const user = await User.findOneAndUpdate(
+      { _id: decoded.userId, 'emailVerification.tokenId': decoded.jti },
+      {
+        isVerified: true,
+        verifiedAt: new Date(),
+        $unset: { emailVerification: 1 }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({ message: 'Token de verificación inválido o vencido' });
+    }
+
+    res.json({
+      message: 'Email verificado exitosamente',
+      user: user.toJSON()
+    });
+  } catch (error) {
+    console.error('Error verificando email:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Reenviar email de verificación
+router.post('/resend-verification', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'Usuario no encontrado' });
+    }
+
+    if (user.isVerified) {
+      return res.status(400).json({ message: 'El email ya está verificado' });
+    }
+
+    await sendVerification(user);
+
+    res.json({ message: 'Email de verificación enviado' });
+  } catch (error) {
+    console.error('Error reenviando verificación:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Solicitar restablecimiento de contraseña
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Email inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+
+    if (user) {
+      const { token, tokenId } = tokenService.generateActionToken(user, 'reset_password');
+      user.passwordReset = { tokenId, requestedAt: new Date() };
+      await user.save();
+
+      await emailService.sendPasswordResetEmail(user, token);
+    }
+
+    // Misma respuesta exista o no la cuenta, para no revelar emails registrados
+    res.json({ message: 'Si el email está registrado, recibirás instrucciones para restablecer tu contraseña' });
+  } catch (error) {
+    console.error('Error solicitando restablecimiento:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Restablecer contraseña con el token enviado por correo
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('El token es requerido'),
+  body('password').isLength({ min: 6 }).withMessage('La contraseña debe tener al menos 6 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const decoded = tokenService.verifyActionToken(req.body.token, 'reset_password');
+    if (!decoded) {
+      return res.status(400).json({ message: 'Token de restablecimiento inválido o vencido' });
+    }
+
+    // Consumir el token antes de cambiar la contraseña (un solo uso)
+    const user = await User.findOneAndUpdate(
+      { _id: decoded.userId, isActive: true, 'passwordReset.tokenId': decoded.jti },
+      { $unset: { passwordReset: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({ message: 'Token de restablecimiento inválido o vencido' });
+    }
+
+    user.password = req.body.password;
+    await user.save();
+
+    // Cerrar todas las sesiones abiertas con la contraseña anterior
+    await tokenService.revokeAllForUser(user._id, 'password_change');
+
+    res.json({ message: 'Contraseña restablecida exitosamente' });
+  } catch (error) {
+    console.error('Error restableciendo contraseña:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
 // Obtener perfil del usuario autenticado
 router.get('/profile', authMiddleware, async (req, res) => {
   try {
@@ -116,4 +318,15 @@ router.get('/profile', authMiddleware, async (req, res) => {
   }
 });
 
+// === FUNCIONES AUXILIARES ===
+
+// Generar un nuevo token de verificación (invalida el anterior) y enviarlo por email
+async function sendVerification(user) {
+  const { token, tokenId } = tokenService.generateActionToken(user, 'verify_email');
+  user.emailVerification = { tokenId, sentAt: new Date() };
+  await user.save();
+
+  await emailService.sendVerificationEmail(user, token);
+}
+
 module.exports = router;
\ No newline at end of file
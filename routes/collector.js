@@ -0,0 +1,205 @@
+// routes/collector.js
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const CollectionSchedule = require('../models/CollectionSchedule');
+const Product = require('../models/Product');
+const upload = require('../middleware/upload');
+const { requirePermission } = require('../middleware/permissions');
+const collectionResults = require('../services/collectionResults');
+
+const router = express.Router();
+
+const SKIP_REASONS = CollectionSchedule.schema.path('route').schema.path('skipReason').enumValues;
+
+// Todas las rutas son del recolector asignado a cada cronograma
+router.use(requirePermission('collections:record'));
+
+// Cronogramas asignados al recolector que todavía no se cerraron
+router.get('/schedules', [
+  query('date').optional().isISO8601().withMessage('Fecha inválida')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filters = {
+      collector: req.user.userId,
+      isActive: true,
+      status: { $in: ['scheduled', 'in_progress'] }
+    };
+
+    if (req.query.date) {
+      const date = new Date(req.query.date);
+      const nextDay = new Date(date);
+      nextDay.setDate(date.getDate() + 1);
+      filters.scheduledDate = { $gte: date, $lt: nextDay };
+    }
+
+    const schedules = await CollectionSchedule.find(filters)
+      .select('-route')
+      .sort({ scheduledDate: 1, 'timeSlot.start': 1 });
+
+    res.json({ schedules });
+  } catch (error) {
+    console.error('Error obteniendo cronogramas del recolector:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Comenzar el recorrido
+router.post('/schedules/:id/start', [
+  param('id').isMongoId().withMessage('ID de cronograma inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const schedule = await collectionResults.startSchedule(req.params.id, req.user.userId);
+
+    res.json({
+      message: 'Recorrido iniciado',
+      schedule
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error iniciando recorrido:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Ruta en el orden de visita, con los materiales y el contacto de cada punto
+router.get('/schedules/:id/route', [
+  param('id').isMongoId().withMessage('ID de cronograma inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const schedule = await collectionResults.getAssignedSchedule(req.params.id, req.user.userId);
+    const products = await Product.find({ _id: { $in: schedule.route.flatMap(point => point.products) } })
+      .select('title images weight materialAnalysis.materialType owner')
+      .populate('owner', 'name phone');
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+    const route = schedule.route.map((point, index) => ({
+      ...point.toObject(),
+      order: index + 1,
+      products: point.products.map(id => productsById.get(id.toString())).filter(Boolean)
+    }));
+    const next = route.find(point => point.status === 'pending' || point.status === 'in_progress');
+
+    res.json({
+      schedule: {
+        _id: schedule._id,
+        title: schedule.title,
+        status: schedule.status,
+        scheduledDate: schedule.scheduledDate,
+        timeSlot: schedule.timeSlot,
+        depot: schedule.depot,
+        capacity: schedule.capacity,
+        startedAt: schedule.startedAt
+      },
+      route,
+      nextPoint: next ? next._id : null,
+      progress: {
+        completed: route.filter(point => point.status === 'completed').length,
+        skipped: route.filter(point => point.status === 'skipped').length,
+        total: route.length
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error obteniendo ruta del recolector:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Marcar un punto como retirado (con el peso y la foto) u omitido (con el motivo)
+router.patch('/schedules/:id/points/:pointId', upload.single('photo'), [
+  param('id').isMongoId().withMessage('ID de cronograma inválido'),
+  param('pointId').isMongoId().withMessage('ID de punto inválido'),
+  body('status').isIn(['completed', 'skipped']).withMessage('Estado de punto inválido'),
+  body('collectedWeight')
+    .if(body('status').equals('completed'))
+    .isFloat({ min: 0 }).withMessage('El peso recolectado es requerido')
+    .toFloat(),
+  body('skipReason')
+    .if(body('status').equals('skipped'))
+    .isIn(SKIP_REASONS).withMessage('El motivo de la omisión es requerido'),
+  body('notes').optional().isString().isLength({ max: 500 }).withMessage('Las notas no pueden exceder 500 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, collectedWeight, skipReason, notes } = req.body;
+    const { point } = await collectionResults.recordPoint(req.params.id, req.params.pointId, req.user.userId, {
+      status,
+      collectedWeight,
+      skipReason,
+      notes,
+      photo: req.file?.path
+    });
+
+    res.json({
+      message: status === 'completed' ? 'Retiro registrado' : 'Punto omitido',
+      point
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error registrando punto de ruta:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Cerrar el recorrido: calcula los resultados y actualiza los productos retirados
+router.post('/schedules/:id/close', [
+  param('id').isMongoId().withMessage('ID de cronograma inválido'),
+  body('distance').optional().isFloat({ min: 0 }).withMessage('Distancia inválida').toFloat(),
+  body('duration').optional().isFloat({ min: 0 }).withMessage('Duración inválida').toFloat(),
+  body('fuelUsed').optional().isFloat({ min: 0 }).withMessage('Consumo de combustible inválido').toFloat(),
+  body('issues').optional().isArray()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { distance, duration, fuelUsed, issues } = req.body;
+    const schedule = await collectionResults.closeSchedule(req.params.id, req.user.userId, {
+      distance,
+      duration,
+      fuelUsed,
+      issues
+    });
+
+    res.json({
+      message: 'Recorrido cerrado exitosamente',
+      results: schedule.results,
+      statistics: schedule.getStatistics()
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error cerrando recorrido:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+// routes/dropOffPoints.js
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const DropOffPoint = require('../models/DropOffPoint');
+const Material = require('../models/Material');
+const { haversineDistance } = require('../utils/geo');
+const { DEFAULT_SEARCH_RADIUS_KM, MAX_SEARCH_RADIUS_KM } = require('../config/search');
+const { DROP_OFF_SEARCH_LIMIT, DROP_OFF_MAX_SEARCH_LIMIT } = require('../config/dropOffPoints');
+
+const router = express.Router();
+
+// Datos públicos de un punto; las lecturas de llenado son solo para el municipio
+const PUBLIC_FIELDS = '-fillReadings -createdBy';
+
+const toPublic = (point, now, origin) => ({
+  ...point.toObject(),
+  isOpen: point.isOpenAt(now),
+  ...(origin && { distanceKm: Math.round(haversineDistance(origin, point.location.coordinates) * 100) / 100 })
+});
+
+// Buscar puntos verdes: los más cercanos primero si se indica ubicación,
+// filtrando por categoría de material y por los abiertos ahora
+router.get('/', [
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitud inválida').toFloat(),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitud inválida').toFloat(),
+  query('radius').optional().isFloat({ min: 0.1, max: MAX_SEARCH_RADIUS_KM }).withMessage('Radio inválido').toFloat(),
+  query('category').optional().isIn(Material.schema.path('category').enumValues).withMessage('Categoría inválida'),
+  query('openNow').optional().isBoolean().withMessage('Valor inválido').toBoolean(),
+  query('limit').optional().isInt({ min: 1, max: DROP_OFF_MAX_SEARCH_LIMIT }).withMessage('Límite inválido').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { lat, lng, radius = DEFAULT_SEARCH_RADIUS_KM, category, openNow, limit = DROP_OFF_SEARCH_LIMIT } = req.query;
+    if ((lat === undefined) !== (lng === undefined)) {
+      return res.status(400).json({ message: 'La ubicación requiere latitud y longitud' });
+    }
+
+    const now = new Date();
+    const origin = lat !== undefined ? { lat, lng } : null;
+    const filters = { isActive: true };
+
+    if (category) filters.acceptedCategories = category;
+    if (openNow) Object.assign(filters, DropOffPoint.openAtFilter(now));
+    if (origin) {
+      // $near ya devuelve los puntos ordenados por distancia
+      filters['location.point'] = {
+        $near: {
+          $geometry: { type: 'Point', coordinates: [lng, lat] },
+          $maxDistance: radius * 1000
+        }
+      };
+    }
+
+    let search = DropOffPoint.find(filters).select(PUBLIC_FIELDS).limit(limit);
+    if (!origin) search = search.sort({ name: 1 });
+    const points = await search;
+
+    res.json({
+      points: points.map(point => toPublic(point, now, origin)),
+      total: points.length
+    });
+  } catch (error) {
+    console.error('Error buscando puntos verdes:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Obtener un punto verde
+router.get('/:id', [
+  param('id').isMongoId().withMessage('ID de punto inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const point = await DropOffPoint.findOne({ _id: req.params.id, isActive: true }).select(PUBLIC_FIELDS);
+    if (!point) {
+      return res.status(404).json({ message: 'Punto verde no encontrado' });
+    }
+
+    res.json({ point: toPublic(point, new Date()) });
+  } catch (error) {
+    console.error('Error obteniendo punto verde:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+module.exports = router;
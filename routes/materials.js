@@ -4,7 +4,7 @@ const { body, query, validationResult } = require('express-validator');
 const Material = require('../models/Material');
 const Product = require('../models/Product');
 const authMiddleware = require('../middleware/auth');
-const adminMiddleware = require('../middleware/admin');
+const { requirePermission } = require('../middleware/permissions');
 
 const router = express.Router();
 
@@ -33,16 +33,12 @@ router.get('/', [
       filters.category = req.query.category;
     }
 
-    let query = Material.find(filters);
-
     // Búsqueda por texto
     if (req.query.search) {
-      query = query.find({
-        $text: { $search: req.query.search }
-      });
+      filters.$text = { $search: req.query.search };
     }
 
-    const materials = await query
+    const materials = await Material.find(filters)
       .populate('createdBy', 'name')
       .populate('approvedBy', 'name')
       .sort({ category: 1, name: 1 })
@@ -73,6 +69,61 @@ router.get('/', [
   }
 });
 
+// Obtener estadísticas de materiales (declarada antes de /:id para no ser capturada por ella)
+router.get('/admin/statistics', authMiddleware, requirePermission('analytics:read'), async (req, res) => {
+  try {
+    const stats = await Material.aggregate([
+      {
+        $facet: {
+          byCategory: [
+            { $match: { isActive: true } },
+            { $group: { _id: '$category', count: { $sum: 1 } } }
+          ],
+          usage: [
+            {
+              $lookup: {
+                from: 'products',
+                localField: '_id',
+                foreignField: 'materialAnalysis.material',
+                as: 'products'
+              }
+            },
+            {
+              $project: {
+                name: 1,
+                category: 1,
+                usageCount: { $size: '$products' },
+                avgRecyclingValue: '$recyclingValue'
+              }
+            },
+            { $sort: { usageCount: -1 } },
+            { $limit: 10 }
+          ],
+          environmental: [
+            {
+              $group: {
+                _id: null,
+                totalMaterials: { $sum: 1 },
+                avgRecyclingValue: { $avg: '$recyclingValue' },
+                avgCarbonSavings: { $avg: '$carbonFootprintSaved' }
+              }
+            }
+          ]
+        }
+      }
+    ]);
+
+    res.json({
+      categoryDistribution: stats[0].byCategory,
+      mostUsedMaterials: stats[0].usage,
+      environmentalMetrics: stats[0].environmental[0] || {}
+    });
+  } catch (error) {
+    console.error('Error obteniendo estadísticas de materiales:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
 // Obtener material específico con instrucciones
 router.get('/:id', async (req, res) => {
   try {
@@ -293,7 +344,7 @@ router.post('/:id/report', [
 // === RUTAS DE ADMINISTRACIÓN ===
 
 // Crear nuevo material (solo administradores)
-router.post('/', adminMiddleware, [
+router.post('/', requirePermission('materials:edit'), [
   body('name').notEmpty().withMessage('El nombre es requerido'),
   body('category').isIn(['plastic', 'paper', 'metal', 'glass', 'organic', 'electronic', 'textile', 'wood', 'other']),
   body('compactionInstructions').notEmpty().withMessage('Las instrucciones son requeridas'),
@@ -328,7 +379,7 @@ router.post('/', adminMiddleware, [
 });
 
 // Actualizar material
-router.put('/:id', adminMiddleware, async (req, res) => {
+router.put('/:id', requirePermission('materials:edit'), async (req, res) => {
   try {
     const material = await Material.findById(req.params.id);
     if (!material) {
@@ -357,7 +408,7 @@ router.put('/:id', adminMiddleware, async (req, res) => {
 });
 
 // Desactivar material
-router.delete('/:id', adminMiddleware, async (req, res) => {
+router.delete('/:id', requirePermission('materials:edit'), async (req, res) => {
   try {
     const material = await Material.findById(req.params.id);
     if (!material) {
@@ -374,61 +425,6 @@ router.delete('/:id', adminMiddleware, async (req, res) => {
   }
 });
 
-// Obtener estadísticas de materiales
-router.get('/admin/statistics', adminMiddleware, async (req, res) => {
-  try {
-    const stats = await Material.aggregate([
-      {
-        $facet: {
-          byCategory: [
-            { $match: { isActive: true } },
-            { $group: { _id: '$category', count: { $sum: 1 } } }
-          ],
-          usage: [
-            {
-              $lookup: {
-                from: 'products',
-                localField: '_id',
-                foreignField: 'materialAnalysis.material',
-                as: 'products'
-              }
-            },
-            {
-              $project: {
-                name: 1,
-                category: 1,
-                usageCount: { $size: '$products' },
-                avgRecyclingValue: '$recyclingValue'
-              }
-            },
-            { $sort: { usageCount: -1 } },
-            { $limit: 10 }
-          ],
-          environmental: [
-            {
-              $group: {
-                _id: null,
-                totalMaterials: { $sum: 1 },
-                avgRecyclingValue: { $avg: '$recyclingValue' },
-                avgCarbonSavings: { $avg: '$carbonFootprintSaved' }
-              }
-            }
-          ]
-        }
-      }
-    ]);
-
-    res.json({
-      categoryDistribution: stats[0].byCategory,
-      mostUsedMaterials: stats[0].usage,
-      environmentalMetrics: stats[0].environmental[0] || {}
-    });
-  } catch (error) {
-    console.error('Error obteniendo estadísticas de materiales:', error);
-    res.status(500).json({ message: 'Error interno del servidor' });
-  }
-});
-
 // === FUNCIONES AUXILIARES ===
 
 function calculateConfidence(product, material) {
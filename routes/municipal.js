@@ -1,22 +1,29 @@
 // routes/municipal.js
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const CollectionSchedule = require('../models/CollectionSchedule');
 const Product = require('../models/Product');
 const Material = require('../models/Material');
 const Report = require('../models/Report');
 const User = require('../models/User');
-const adminMiddleware = require('../middleware/admin');
+const Zone = require('../models/Zone');
+const DropOffPoint = require('../models/DropOffPoint');
+const { requirePermission } = require('../middleware/permissions');
+const collectionPlanning = require('../services/collectionPlanning');
+const collectionResults = require('../services/collectionResults');
+const notificationService = require('../services/notificationService');
+const recurringSchedules = require('../services/recurringSchedules');
+const zoneService = require('../services/zoneService');
+const trackingService = require('../services/trackingService');
+const scheduleDisruptions = require('../services/scheduleDisruptions');
+const { CAPACITY_UNITS } = require('../config/dropOffPoints');
 
 const router = express.Router();
 
-// Middleware para verificar permisos municipales
-router.use(adminMiddleware);
-
 // === GESTIÓN DE CRONOGRAMA DE RECOLECCIÓN ===
 
 // Obtener cronograma de recolección
-router.get('/collection-schedule', [
+router.get('/collection-schedule', requirePermission('schedules:read'), [
   query('zone').optional().isString(),
   query('date').optional().isISO8601(),
   query('status').optional().isIn(['scheduled', 'in_progress', 'completed', 'cancelled', 'rescheduled'])
@@ -28,7 +35,9 @@ router.get('/collection-schedule', [
     }
 
     const filters = { isActive: true };
-    if (req.query.zone) filters.zone = req.query.zone;
+    if (req.query.zone) {
+      Object.assign(filters, zoneService.filterFor(await zoneService.resolve(req.query.zone), 'zoneId', 'zone'));
+    }
     if (req.query.status) filters.status = req.query.status;
     
     if (req.query.date) {
@@ -65,13 +74,16 @@ router.get('/collection-schedule', [
         : 0
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Error obteniendo cronograma:', error);
     res.status(500).json({ message: 'Error interno del servidor' });
   }
 });
 
 // Crear nuevo cronograma de recolección
-router.post('/collection-schedule', [
+router.post('/collection-schedule', requirePermission('schedules:edit'), [
   body('title').notEmpty().withMessage('El título es requerido'),
   body('zone').notEmpty().withMessage('La zona es requerida'),
   body('dayOfWeek').isIn(['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']),
@@ -79,7 +91,14 @@ router.post('/collection-schedule', [
   body('timeSlot.end').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
   body('materialTypes').isArray().withMessage('Los tipos de material deben ser un array'),
   body('capacity.maximum').isNumeric().withMessage('La capacidad máxima debe ser numérica'),
-  body('scheduledDate').isISO8601().withMessage('Fecha programada inválida')
+  body('scheduledDate').isISO8601().withMessage('Fecha programada inválida'),
+  body('frequency').optional().isIn(['weekly', 'biweekly', 'monthly']).withMessage('Frecuencia inválida'),
+  body('recurring.enabled').optional().isBoolean(),
+  body('recurring.endDate')
+    .if(body('recurring.enabled').equals('true'))
+    .isISO8601().withMessage('La fecha de fin de la recurrencia es requerida')
+    .custom((endDate, { req }) => new Date(endDate) > new Date(req.body.scheduledDate))
+    .withMessage('La fecha de fin de la recurrencia debe ser posterior a la fecha programada')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -87,8 +106,11 @@ router.post('/collection-schedule', [
       return res.status(400).json({ errors: errors.array() });
     }
 
+    const zone = await zoneService.resolve(req.body.zone);
     const scheduleData = {
       ...req.body,
+      zone: zone.name,
+      zoneId: zone.id,
       createdBy: req.user.userId
     };
 
@@ -96,44 +118,93 @@ router.post('/collection-schedule', [
     await schedule.save();
 
     // Si es recurrente, crear cronogramas futuros
-    if (req.body.recurring?.enabled) {
-      await createRecurringSchedules(schedule, req.body.recurring);
+    let recurringCreated = 0;
+    if (schedule.recurring?.enabled) {
+      recurringCreated = await recurringSchedules.createOccurrences(schedule);
     }
 
     res.status(201).json({
       message: 'Cronograma de recolección creado exitosamente',
-      schedule
+      schedule,
+      recurringCreated
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Error creando cronograma:', error);
     res.status(500).json({ message: 'Error interno del servidor' });
   }
 });
 
 // Optimizar ruta de recolección
-router.patch('/collection-schedule/:id/optimize-route', async (req, res) => {
+router.patch('/collection-schedule/:id/optimize-route', requirePermission('schedules:edit'), [
+  body('depot.start.coordinates.lat').optional().isFloat({ min: -90, max: 90 }),
+  body('depot.start.coordinates.lng').optional().isFloat({ min: -180, max: 180 }),
+  body('depot.end.coordinates.lat').optional().isFloat({ min: -90, max: 90 }),
+  body('depot.end.coordinates.lng').optional().isFloat({ min: -180, max: 180 })
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const schedule = await CollectionSchedule.findById(req.params.id);
     if (!schedule) {
       return res.status(404).json({ message: 'Cronograma no encontrado' });
     }
 
-    const originalRoute = [...schedule.route];
-    schedule.route = schedule.optimizeRoute();
-    
-    const estimatedDuration = schedule.calculateEstimatedDuration();
-    schedule.estimatedDuration = estimatedDuration;
-    
+    if (schedule.status !== 'scheduled') {
+      return res.status(409).json({ message: 'Solo se pueden optimizar cronogramas programados' });
+    }
+
+    if (req.body.depot) {
+      schedule.depot = req.body.depot;
+    }
+
+    const result = await schedule.optimizeRoute();
+
+    // No se guarda una ruta que deje puntos sin visitar
+    if (result.unassigned.length > 0) {
+      return res.status(422).json({
+        message: 'No es posible visitar todos los puntos respetando horarios y capacidad',
+        unassignedPoints: result.unassigned.map(point => ({
+          id: point._id,
+          address: point.address,
+          timeWindow: point.timeWindow,
+          load: point.load
+        }))
+      });
+    }
+
+    schedule.route = result.route.map((point, index) => ({
+      ...point.toObject(),
+      estimatedTime: collectionPlanning.toEstimatedTime(schedule, result.arrivals[index])
+    }));
+    schedule.routeMetrics = {
+      distance: result.after.distance,
+      duration: result.after.duration,
+      optimizedAt: new Date()
+    };
+
     await schedule.save();
 
+    // Los horarios estimados cambiaron: avisar a los dueños de los materiales
+    collectionPlanning.notifyScheduledPickups(schedule);
+
     res.json({
       message: 'Ruta optimizada exitosamente',
-      originalPoints: originalRoute.length,
-      optimizedPoints: schedule.route.length,
-      estimatedDuration: `${Math.round(estimatedDuration)} minutos`,
-      estimatedSavings: originalRoute.length > 0 
-        ? `${Math.round(((originalRoute.length - schedule.route.length) / originalRoute.length) * 100)}%`
-        : '0%'
+      route: schedule.route,
+      before: result.before,
+      after: result.after,
+      savings: {
+        distanceKm: result.savings.distance,
+        durationMinutes: result.savings.duration,
+        percentage: result.before.distance > 0
+          ? Math.round((result.savings.distance / result.before.distance) * 100)
+          : 0
+      }
     });
   } catch (error) {
     console.error('Error optimizando ruta:', error);
@@ -141,10 +212,170 @@ router.patch('/collection-schedule/:id/optimize-route', async (req, res) => {
   }
 });
 
+// Proponer rutas para todos los vehículos de una zona en una fecha
+router.post('/collection-plan', requirePermission('schedules:edit'), [
+  body('zone').notEmpty().withMessage('La zona es requerida'),
+  body('date').isISO8601().withMessage('Fecha inválida')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const zone = await zoneService.resolve(req.body.zone);
+    const plan = await collectionPlanning.buildPlan(zone, req.body.date);
+
+    res.json({ plan });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error planificando recolección:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Confirmar las rutas propuestas en cada cronograma
+router.post('/collection-plan/commit', requirePermission('schedules:edit'), [
+  body('routes').isArray({ min: 1 }).withMessage('Las rutas deben ser un array'),
+  body('routes.*.scheduleId').isMongoId().withMessage('ID de cronograma inválido'),
+  body('routes.*.route').isArray().withMessage('La ruta debe ser un array'),
+  body('routes.*.route.*.products').isArray({ min: 1 }).withMessage('Cada parada debe incluir productos'),
+  body('routes.*.route.*.products.*').isMongoId().withMessage('ID de producto inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const schedules = await collectionPlanning.commitPlan(req.body.routes);
+
+    res.json({
+      message: 'Rutas asignadas exitosamente',
+      schedules
+    });
+  } catch (error) {
+    if (error.status) {
+      const { message, products, scheduleId } = error;
+      return res.status(error.status).json({ message, products, scheduleId });
+    }
+    console.error('Error confirmando planificación:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Rastro GPS del vehículo durante el recorrido
+router.get('/collection-schedule/:id/tracking', requirePermission('schedules:read'), [
+  param('id').isMongoId().withMessage('ID de cronograma inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const schedule = await CollectionSchedule.findById(req.params.id).select('status startedAt completedDate tracking');
+    if (!schedule) {
+      return res.status(404).json({ message: 'Cronograma no encontrado' });
+    }
+
+    const trail = await trackingService.getTrail(schedule._id);
+
+    res.json({
+      schedule,
+      trail,
+      total: trail.length
+    });
+  } catch (error) {
+    console.error('Error obteniendo rastro del vehículo:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Cancelar o postergar un cronograma. Los puntos pendientes pasan al próximo
+// cronograma compatible o vuelven a quedar sin planificar.
+router.patch('/collection-schedule/:id/disruption', requirePermission('schedules:edit'), [
+  param('id').isMongoId().withMessage('ID de cronograma inválido'),
+  body('action').isIn(['cancel', 'postpone']).withMessage('Acción inválida'),
+  body('reason').isIn(CollectionSchedule.schema.path('disruption.reason').enumValues).withMessage('Motivo inválido'),
+  body('details').optional().isString().trim().isLength({ max: 500 }).withMessage('El detalle es muy largo'),
+  body('newDate')
+    .if(body('action').equals('postpone'))
+    .isISO8601().withMessage('La nueva fecha es requerida para postergar')
+    .custom(value => new Date(value) > new Date()).withMessage('La nueva fecha debe ser futura'),
+  body('weather.condition').optional().isString().trim().isLength({ max: 100 }),
+  body('weather.temperature').optional().isFloat().withMessage('Temperatura inválida')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { schedule, replacement, moved, returned } = await scheduleDisruptions.disrupt(
+      req.params.id,
+      req.body,
+      req.user.userId
+    );
+
+    res.json({
+      message: req.body.action === 'cancel'
+        ? 'Cronograma cancelado exitosamente'
+        : 'Cronograma postergado exitosamente',
+      schedule,
+      replacement,
+      moved: moved.map(({ point, schedule: target }) => ({ pointId: point._id, schedule: target._id })),
+      returned: returned.map(({ point }) => point._id)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error cancelando o postergando cronograma:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Registrar el resultado de la recolección y cerrar el cronograma
+router.patch('/collection-schedule/:id/complete', requirePermission('collections:record'), [
+  body('points').optional().isArray().withMessage('Los puntos deben ser un array'),
+  body('points.*.pointId').isMongoId().withMessage('ID de punto inválido'),
+  body('points.*.status').isIn(['completed', 'skipped']).withMessage('Estado de punto inválido'),
+  body('points.*.collectedWeight').optional().isFloat({ min: 0 }).withMessage('Peso recolectado inválido'),
+  body('points.*.notes').optional().isString().isLength({ max: 500 }),
+  body('distance').optional().isFloat({ min: 0 }).withMessage('Distancia inválida'),
+  body('duration').optional().isFloat({ min: 0 }).withMessage('Duración inválida'),
+  body('fuelUsed').optional().isFloat({ min: 0 }).withMessage('Consumo de combustible inválido'),
+  body('issues').optional().isArray()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const schedule = await collectionResults.completeSchedule(req.params.id, req.body);
+
+    res.json({
+      message: 'Recolección registrada exitosamente',
+      schedule,
+      statistics: schedule.getStatistics()
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error registrando recolección:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
 // === VALIDACIÓN DE MATERIALES ===
 
 // Validar material compactado
-router.post('/validate-material', [
+router.post('/validate-material', requirePermission('materials:validate'), [
   body('productId').isMongoId().withMessage('ID de producto inválido'),
   body('validationResult').isIn(['validated', 'rejected']).withMessage('Resultado de validación inválido'),
   body('notes').optional().isLength({ max: 1000 }).withMessage('Las notas son muy largas')
@@ -155,7 +386,8 @@ router.post('/validate-material', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { productId, validationResult, notes, qualityScore, recommendations } = req.body;
+    const { productId, notes, qualityScore, recommendations } = req.body;
+    const result = req.body.validationResult;
 
     const product = await Product.findById(productId).populate('owner');
     if (!product) {
@@ -163,7 +395,7 @@ router.post('/validate-material', [
     }
 
     // Actualizar estado de validación
-    product.materialAnalysis.compactionStatus = validationResult;
+    product.materialAnalysis.compactionStatus = result;
     product.materialAnalysis.validatedBy = req.user.userId;
     product.materialAnalysis.validatedAt = new Date();
     product.materialAnalysis.validationNotes = notes;
@@ -177,7 +409,7 @@ router.post('/validate-material', [
     }
 
     // Calcular impacto ambiental si es validado
-    if (validationResult === 'validated') {
+    if (result === 'validated') {
       const environmentalImpact = product.calculateEnvironmentalImpact();
       product.materialAnalysis.environmentalImpact = environmentalImpact;
       
@@ -193,14 +425,19 @@ router.post('/validate-material', [
 
     await product.save();
 
-    // Notificar al propietario (se puede implementar sistema de notificaciones)
-    const notificationMessage = validationResult === 'validated' 
-      ? 'Tu material ha sido validado exitosamente'
-      : 'Tu material necesita mejoras en la compactación';
+    notificationService.notify(product.owner._id, {
+      type: 'material_validation',
+      event: result,
+      title: result === 'validated' ? 'Material validado' : 'Material rechazado',
+      message: result === 'validated'
+        ? 'Tu material ha sido validado exitosamente'
+        : 'Tu material necesita mejoras en la compactación',
+      data: { product: product._id }
+    });
 
     res.json({
       message: 'Material validado exitosamente',
-      validationResult,
+      validationResult: result,
       environmentalImpact: product.materialAnalysis.environmentalImpact,
       recommendations: product.materialAnalysis.qualityAssessment.recommendations
     });
@@ -211,13 +448,18 @@ router.post('/validate-material', [
 });
 
 // Obtener materiales pendientes de validación
-router.get('/materials/pending-validation', [
+router.get('/materials/pending-validation', requirePermission('materials:validate'), [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('materialType').optional().isString(),
   query('zone').optional().isString()
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
@@ -232,7 +474,8 @@ router.get('/materials/pending-validation', [
     }
 
     if (req.query.zone) {
-      filters['location.zone'] = req.query.zone;
+      const zone = await zoneService.resolve(req.query.zone);
+      Object.assign(filters, zoneService.filterFor(zone, 'location.zoneId', 'location.zone'));
     }
 
     const products = await Product.find(filters)
@@ -260,6 +503,9 @@ router.get('/materials/pending-validation', [
       materialStats
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Error obteniendo materiales pendientes:', error);
     res.status(500).json({ message: 'Error interno del servidor' });
   }
@@ -268,7 +514,7 @@ router.get('/materials/pending-validation', [
 // === GESTIÓN DE REPORTES ===
 
 // Obtener reportes municipales
-router.get('/reports', [
+router.get('/reports', requirePermission('reports:read'), [
   query('status').optional().isIn(['pending', 'reviewing', 'investigating', 'resolved', 'dismissed', 'escalated']),
   query('severity').optional().isIn(['low', 'medium', 'high', 'critical']),
   query('category').optional().isIn(['content', 'behavior', 'safety', 'technical', 'legal', 'environmental']),
@@ -277,6 +523,11 @@ router.get('/reports', [
   query('limit').optional().isInt({ min: 1, max: 100 })
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
@@ -321,19 +572,24 @@ router.get('/reports', [
   }
 });
 
-// Asignar reporte a administrador
-router.patch('/reports/:id/assign', [
-  body('assignedTo').isMongoId().withMessage('ID de administrador inválido')
+// Asignar reporte a un miembro del personal
+router.patch('/reports/:id/assign', requirePermission('reports:assign'), [
+  body('assignedTo').isMongoId().withMessage('ID de usuario inválido')
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const report = await Report.findById(req.params.id);
     if (!report) {
       return res.status(404).json({ message: 'Reporte no encontrado' });
     }
 
     const assignee = await User.findById(req.body.assignedTo);
-    if (!assignee || assignee.userType !== 'comuna') {
-      return res.status(400).json({ message: 'El usuario asignado debe ser administrador municipal' });
+    if (!assignee || !assignee.isActive || !assignee.hasPermission('reports:resolve')) {
+      return res.status(400).json({ message: 'El usuario asignado debe tener permiso para resolver reportes' });
     }
 
     report.assignedTo = req.body.assignedTo;
@@ -346,8 +602,21 @@ router.patch('/reports/:id/assign', [
       performedBy: req.user.userId
     });
 
+    const reporterUpdate = recordReporterUpdate(report, 'Tu reporte está en revisión',
+      'Un miembro del personal municipal está revisando tu reporte');
+
     await report.save();
 
+    notificationService.notify(report.reporter, reporterUpdate);
+
+    notificationService.notify(assignee._id, {
+      type: 'report',
+      event: 'assigned',
+      title: 'Se te asignó un reporte',
+      message: 'Tienes un nuevo reporte para revisar',
+      data: { report: report._id }
+    });
+
     res.json({
       message: 'Reporte asignado exitosamente',
       assignedTo: assignee.name
@@ -358,14 +627,73 @@ router.patch('/reports/:id/assign', [
   }
 });
 
+// Actualizar el estado de un reporte
+router.patch('/reports/:id/status', requirePermission('reports:resolve'), [
+  body('status').isIn(['investigating', 'resolved', 'dismissed', 'escalated']).withMessage('Estado inválido'),
+  body('summary').optional().trim().isLength({ max: 1000 }).withMessage('El resumen es muy largo')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({ message: 'Reporte no encontrado' });
+    }
+
+    if (['resolved', 'dismissed'].includes(report.status)) {
+      return res.status(409).json({ message: 'El reporte ya fue cerrado' });
+    }
+
+    const { status, summary } = req.body;
+    report.status = status;
+
+    if (['resolved', 'dismissed'].includes(status)) {
+      report.resolvedBy = req.user.userId;
+      if (summary) report.resolution.summary = summary;
+    }
+    if (status === 'escalated') {
+      report.metrics.escalations += 1;
+    }
+
+    report.timeline.push({
+      action: status,
+      description: summary,
+      performedBy: req.user.userId
+    });
+
+    const reporterUpdate = recordReporterUpdate(report, REPORT_STATUS_TITLES[status],
+      summary || 'El estado de tu reporte cambió');
+
+    await report.save();
+
+    notificationService.notify(report.reporter, reporterUpdate);
+
+    res.json({
+      message: 'Reporte actualizado exitosamente',
+      report
+    });
+  } catch (error) {
+    console.error('Error actualizando reporte:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
 // === ANALYTICS Y MÉTRICAS ===
 
 // Obtener analytics municipales
-router.get('/analytics', [
+router.get('/analytics', requirePermission('analytics:read'), [
   query('period').optional().isIn(['7d', '30d', '90d', '1y']),
   query('zone').optional().isString()
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const period = req.query.period || '30d';
     const days = {
       '7d': 7,
@@ -376,9 +704,12 @@ router.get('/analytics', [
 
     const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
     const filters = { createdAt: { $gte: startDate } };
-    
+    const completedFilters = { status: 'completed', completedDate: { $gte: startDate } };
+
     if (req.query.zone) {
-      filters['location.zone'] = req.query.zone;
+      const zone = await zoneService.resolve(req.query.zone);
+      Object.assign(filters, zoneService.filterFor(zone, 'location.zoneId', 'location.zone'));
+      Object.assign(completedFilters, zoneService.filterFor(zone, 'zoneId', 'zone'));
     }
 
     // Métricas de productos y materiales
@@ -389,7 +720,8 @@ router.get('/analytics', [
       totalWeight,
       environmentalImpact,
       topMaterials,
-      collectionEfficiency
+      collectionEfficiency,
+      completedRoutes
     ] = await Promise.all([
       Product.countDocuments(filters),
       Product.countDocuments({ 
@@ -432,7 +764,13 @@ router.get('/analytics', [
             avgDuration: { $avg: '$results.duration' }
           }
         }
-      ])
+      ]),
+      // Balance de carbono de las rutas cerradas: emisiones del vehículo
+      // frente al CO2 evitado por los materiales recolectados
+      CollectionSchedule.find(completedFilters)
+        .select('title zone vehicle completedDate results')
+        .sort({ completedDate: -1 })
+        .lean()
     ]);
 
     // Datos para gráficos temporales
@@ -466,11 +804,31 @@ router.get('/analytics', [
         totalWater: 0,
         totalEnergy: 0
       },
+      collectionImpact: {
+        totalEmissions: completedRoutes.reduce((total, route) => total + (route.results?.carbonFootprint || 0), 0),
+        totalCO2Saved: completedRoutes.reduce((total, route) => total + (route.results?.co2Saved || 0), 0),
+        netBenefit: completedRoutes.reduce((total, route) => total + (route.results?.netBenefit || 0), 0),
+        routes: completedRoutes.map(route => ({
+          scheduleId: route._id,
+          title: route.title,
+          zone: route.zone,
+          vehicle: route.vehicle,
+          completedDate: route.completedDate,
+          distance: route.results?.distance || 0,
+          totalWeight: route.results?.totalWeight || 0,
+          emissions: route.results?.carbonFootprint || 0,
+          co2Saved: route.results?.co2Saved || 0,
+          netBenefit: route.results?.netBenefit || 0
+        }))
+      },
       topMaterials,
       dailyStats,
       period
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Error obteniendo analytics:', error);
     res.status(500).json({ message: 'Error interno del servidor' });
   }
@@ -479,11 +837,16 @@ router.get('/analytics', [
 // === GESTIÓN DE PRODUCTORES ===
 
 // Aprobar perfil de productor
-router.patch('/approve-producer/:userId', [
+router.patch('/approve-producer/:userId', requirePermission('producers:approve'), [
   body('approved').isBoolean().withMessage('El estado de aprobación debe ser booleano'),
   body('notes').optional().isLength({ max: 500 }).withMessage('Las notas son muy largas')
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { approved, notes } = req.body;
     
     const user = await User.findById(req.params.userId);
@@ -522,11 +885,16 @@ router.patch('/approve-producer/:userId', [
 });
 
 // Obtener productores pendientes de aprobación
-router.get('/producers/pending', [
+router.get('/producers/pending', requirePermission('producers:approve'), [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 50 })
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
@@ -583,18 +951,75 @@ router.get('/producers/pending', [
 
 // === GESTIÓN DE ZONAS ===
 
+// Listar zonas (sin sus límites)
+router.get('/zones', requirePermission('schedules:read'), [
+  query('includeInactive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filters = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const zones = await Zone.find(filters).select('-boundary -properties').sort({ name: 1 });
+
+    res.json({ zones });
+  } catch (error) {
+    console.error('Error obteniendo zonas:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Importar zonas desde un GeoJSON y reasignar productos y usuarios
+router.post('/zones/import', requirePermission('zones:manage'), [
+  body('geojson').isObject().withMessage('El GeoJSON es requerido'),
+  body('nameProperty').optional().isString().notEmpty(),
+  body('codeProperty').optional().isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { nameProperty, codeProperty } = req.body;
+    const result = await zoneService.importGeoJSON(req.body.geojson, { nameProperty, codeProperty });
+    const assigned = await zoneService.assignAll();
+
+    res.json({
+      message: 'Zonas importadas exitosamente',
+      ...result,
+      assigned
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error importando zonas:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
 // Obtener estadísticas por zona
-router.get('/zones/stats', async (req, res) => {
+router.get('/zones/stats', requirePermission('analytics:read'), async (req, res) => {
   try {
+    // Los productos y cronogramas sin zona asignada se agrupan por el nombre cargado
+    const zones = await Zone.find().select('name');
+    const zonesById = new Map(zones.map(zone => [String(zone._id), zone]));
+
     const zoneStats = await Product.aggregate([
       {
         $match: {
-          'location.zone': { $exists: true, $ne: null }
+          $or: [
+            { 'location.zoneId': { $ne: null } },
+            { 'location.zone': { $ne: null } }
+          ]
         }
       },
       {
         $group: {
-          _id: '$location.zone',
+          _id: zoneService.groupKey(zones, 'location.zoneId', 'location.zone'),
           totalProducts: { $sum: 1 },
           totalWeight: { $sum: '$weight.actual' },
           validatedProducts: {
@@ -606,7 +1031,7 @@ router.get('/zones/stats', async (req, res) => {
       },
       {
         $project: {
-          zone: '$_id',
+          key: '$_id',
           totalProducts: 1,
           totalWeight: { $round: ['$totalWeight', 2] },
           validatedProducts: 1,
@@ -633,7 +1058,7 @@ router.get('/zones/stats', async (req, res) => {
       },
       {
         $group: {
-          _id: '$zone',
+          _id: zoneService.groupKey(zones, 'zoneId', 'zone'),
           totalSchedules: { $sum: 1 },
           completedSchedules: {
             $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
@@ -645,9 +1070,12 @@ router.get('/zones/stats', async (req, res) => {
     ]);
 
     // Combinar estadísticas
-    const combinedStats = zoneStats.map(zone => {
-      const collectionData = collectionStats.find(c => c._id === zone.zone) || {};
+    const combinedStats = zoneStats.map(({ key, ...zone }) => {
+      const collectionData = collectionStats.find(c => String(c._id) === String(key)) || {};
+      const definedZone = zonesById.get(String(key));
       return {
+        zone: definedZone ? definedZone.name : key,
+        zoneId: definedZone ? definedZone._id : null,
         ...zone,
         collection: {
           totalSchedules: collectionData.totalSchedules || 0,
@@ -676,39 +1104,321 @@ router.get('/zones/stats', async (req, res) => {
   }
 });
 
-// === FUNCIONES AUXILIARES ===
+// Obtener una zona con sus límites
+router.get('/zones/:id', requirePermission('schedules:read'), [
+  param('id').isMongoId().withMessage('ID de zona inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-// Función para crear cronogramas recurrentes
-async function createRecurringSchedules(baseSchedule, recurringConfig) {
-  const { interval, endDate } = recurringConfig;
-  const schedules = [];
-  
-  let currentDate = new Date(baseSchedule.scheduledDate);
-  const finalDate = new Date(endDate);
-  
-  while (currentDate <= finalDate) {
-    currentDate.setDate(currentDate.getDate() + interval);
-    
-    if (currentDate <= finalDate) {
-      const newSchedule = new CollectionSchedule({
-        ...baseSchedule.toObject(),
-        _id: undefined,
-        scheduledDate: new Date(currentDate),
-        recurring: {
-          ...recurringConfig,
-          parentSchedule: baseSchedule._id
-        }
-      });
-      
-      schedules.push(newSchedule);
+    const zone = await Zone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ message: 'Zona no encontrada' });
+    }
+
+    const [products, users] = await Promise.all([
+      Product.countDocuments({ 'location.zoneId': zone._id, status: 'available' }),
+      User.countDocuments({ 'location.zoneId': zone._id })
+    ]);
+
+    res.json({ zone, stats: { availableProducts: products, users } });
+  } catch (error) {
+    console.error('Error obteniendo zona:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// === PUNTOS VERDES ===
+
+// Campos que se pueden definir al crear o editar un punto verde
+const DROP_OFF_FIELDS = [
+  'name',
+  'description',
+  'location.address',
+  'location.coordinates.lat',
+  'location.coordinates.lng',
+  'location.landmark',
+  'openingHours',
+  'acceptedCategories',
+  'capacity.maximum',
+  'capacity.unit',
+  'contact.phone',
+  'contact.email',
+  'isActive'
+];
+
+const getField = (source, path) => path.split('.').reduce((value, key) => value?.[key], source);
+
+const dropOffValidation = [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('El nombre debe tener entre 1 y 100 caracteres'),
+  body('location.address').optional().trim().notEmpty().withMessage('La dirección no puede estar vacía'),
+  body('location.coordinates.lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitud inválida').toFloat(),
+  body('location.coordinates.lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitud inválida').toFloat(),
+  body('openingHours').optional().isArray().withMessage('Los horarios deben ser un array')
+    .custom(hours => hours.every(slot => !slot.open || !slot.close || slot.open < slot.close))
+    .withMessage('Cada horario debe abrir antes de cerrar'),
+  body('openingHours.*.day').isIn(DropOffPoint.schema.path('openingHours').schema.path('day').enumValues).withMessage('Día inválido'),
+  body('openingHours.*.open').matches(/^([01][0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Hora de apertura inválida'),
+  body('openingHours.*.close').matches(/^([01][0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Hora de cierre inválida'),
+  body('acceptedCategories').optional().isArray({ min: 1 }).withMessage('Debe aceptar al menos una categoría'),
+  body('acceptedCategories.*').isIn(Material.schema.path('category').enumValues).withMessage('Categoría inválida'),
+  body('capacity.maximum').optional().isFloat({ min: 0 }).withMessage('La capacidad debe ser un número positivo'),
+  body('capacity.unit').optional().isIn(CAPACITY_UNITS).withMessage('Unidad inválida'),
+  body('contact.email').optional().isEmail().withMessage('Email inválido'),
+  body('isActive').optional().isBoolean()
+];
+
+// Se asigna campo por campo, así una edición parcial (solo la latitud, por
+// ejemplo) conserva el resto del subdocumento
+const applyDropOffFields = (point, source) => {
+  DROP_OFF_FIELDS.forEach(path => {
+    const value = getField(source, path);
+    if (value !== undefined) point.set(path, value);
+  });
+};
+
+// Errores del esquema con la misma forma que los de express-validator
+const schemaErrors = (error) => Object.values(error.errors).map(({ path, value, message }) => ({
+  type: 'field',
+  path,
+  value,
+  msg: message,
+  location: 'body'
+}));
+
+// Listar puntos verdes (los recolectores ven cuáles hay que vaciar)
+router.get('/drop-off-points', requirePermission('schedules:read'), [
+  query('zone').optional().isString(),
+  query('category').optional().isIn(Material.schema.path('category').enumValues),
+  query('needsEmptying').optional().isBoolean(),
+  query('includeInactive').optional().isBoolean(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filters = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    if (req.query.category) filters.acceptedCategories = req.query.category;
+    if (req.query.needsEmptying) filters.needsEmptying = req.query.needsEmptying === 'true';
+    if (req.query.zone) {
+      const zone = await zoneService.resolve(req.query.zone);
+      Object.assign(filters, zoneService.filterFor(zone, 'location.zoneId', 'location.zone'));
+    }
+
+    const [points, total] = await Promise.all([
+      DropOffPoint.find(filters)
+        .select('-fillReadings')
+        .sort({ needsEmptying: -1, fillLevel: -1, name: 1 })
+        .skip(skip)
+        .limit(limit),
+      DropOffPoint.countDocuments(filters)
+    ]);
+
+    res.json({
+      points,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
     }
+    console.error('Error obteniendo puntos verdes:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
   }
-  
-  if (schedules.length > 0) {
-    await CollectionSchedule.insertMany(schedules);
+});
+
+// Obtener un punto verde con sus lecturas de llenado
+router.get('/drop-off-points/:id', requirePermission('schedules:read'), [
+  param('id').isMongoId().withMessage('ID de punto inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const point = await DropOffPoint.findById(req.params.id)
+      .populate('fillReadings.recordedBy', 'name');
+    if (!point) {
+      return res.status(404).json({ message: 'Punto verde no encontrado' });
+    }
+
+    res.json({ point });
+  } catch (error) {
+    console.error('Error obteniendo punto verde:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
   }
-  
-  return schedules.length;
+});
+
+// Crear punto verde
+router.post('/drop-off-points', requirePermission('dropoffs:manage'), [
+  body('name').exists().withMessage('El nombre es requerido'),
+  body('location.address').exists().withMessage('La dirección es requerida'),
+  body('location.coordinates.lat').exists().withMessage('La latitud es requerida'),
+  body('location.coordinates.lng').exists().withMessage('La longitud es requerida'),
+  body('acceptedCategories').exists().withMessage('Las categorías aceptadas son requeridas'),
+  body('capacity.maximum').exists().withMessage('La capacidad es requerida'),
+  ...dropOffValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const point = new DropOffPoint({ createdBy: req.user.userId });
+    applyDropOffFields(point, req.body);
+    await point.save();
+
+    res.status(201).json({
+      message: 'Punto verde creado exitosamente',
+      point
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ errors: schemaErrors(error) });
+    }
+    console.error('Error creando punto verde:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Editar punto verde
+router.put('/drop-off-points/:id', requirePermission('dropoffs:manage'), [
+  param('id').isMongoId().withMessage('ID de punto inválido'),
+  ...dropOffValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const point = await DropOffPoint.findById(req.params.id);
+    if (!point) {
+      return res.status(404).json({ message: 'Punto verde no encontrado' });
+    }
+
+    applyDropOffFields(point, req.body);
+    await point.save();
+
+    res.json({
+      message: 'Punto verde actualizado exitosamente',
+      point
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ errors: schemaErrors(error) });
+    }
+    console.error('Error actualizando punto verde:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Desactivar punto verde
+router.delete('/drop-off-points/:id', requirePermission('dropoffs:manage'), [
+  param('id').isMongoId().withMessage('ID de punto inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const point = await DropOffPoint.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+    if (!point) {
+      return res.status(404).json({ message: 'Punto verde no encontrado' });
+    }
+
+    res.json({ message: 'Punto verde desactivado exitosamente' });
+  } catch (error) {
+    console.error('Error desactivando punto verde:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Registrar el nivel de llenado (o el vaciado) de un punto verde
+router.patch('/drop-off-points/:id/fill-level', requirePermission('collections:record'), [
+  param('id').isMongoId().withMessage('ID de punto inválido'),
+  body('emptied').optional().isBoolean().withMessage('Valor inválido').toBoolean(),
+  body('level')
+    .if(body('emptied').not().equals('true'))
+    .isFloat({ min: 0, max: 100 }).withMessage('El nivel debe ser un porcentaje entre 0 y 100')
+    .toFloat(),
+  body('notes').optional().isString().isLength({ max: 500 }).withMessage('Las notas no pueden exceder 500 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const point = await DropOffPoint.findOne({ _id: req.params.id, isActive: true });
+    if (!point) {
+      return res.status(404).json({ message: 'Punto verde no encontrado' });
+    }
+
+    const { level, emptied, notes } = req.body;
+    point.recordFillLevel({ level, emptied, notes, recordedBy: req.user.userId });
+    await point.save();
+
+    res.json({
+      message: emptied ? 'Vaciado registrado exitosamente' : 'Nivel de llenado registrado exitosamente',
+      fillLevel: point.fillLevel,
+      needsEmptying: point.needsEmptying,
+      lastEmptiedAt: point.lastEmptiedAt
+    });
+  } catch (error) {
+    console.error('Error registrando nivel de llenado:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// === FUNCIONES AUXILIARES ===
+
+// Asunto del aviso al autor del reporte según su nuevo estado
+const REPORT_STATUS_TITLES = {
+  investigating: 'Tu reporte está siendo investigado',
+  resolved: 'Tu reporte fue resuelto',
+  dismissed: 'Tu reporte fue desestimado',
+  escalated: 'Tu reporte fue escalado'
+};
+
+// Registra el aviso al autor del reporte en sus comunicaciones y devuelve
+// la notificación a enviar una vez guardado el reporte
+function recordReporterUpdate(report, subject, message) {
+  report.communications.push({
+    type: 'in_app',
+    recipient: report.reporter,
+    subject,
+    message,
+    sentAt: new Date()
+  });
+
+  return {
+    type: 'report',
+    event: report.status,
+    title: subject,
+    message,
+    data: { report: report._id }
+  };
 }
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,208 @@
+// routes/notifications.js
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const authMiddleware = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
+const tokenService = require('../utils/tokenService');
+const { NOTIFICATION_TYPES, CHANNELS, DIGEST_FREQUENCIES } = require('../config/notifications');
+
+const router = express.Router();
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Baja de emails con un clic desde el enlace del email (sin sesión).
+// Acepta el token por query, como lo envían los clientes de correo
+// (List-Unsubscribe-Post), o en el cuerpo desde el frontend.
+router.post('/unsubscribe', async (req, res) => {
+  try {
+    const decoded = tokenService.verifyUnsubscribeToken(req.query.token || req.body.token);
+    if (!decoded) {
+      return res.status(400).json({ message: 'Enlace de baja inválido' });
+    }
+
+    const types = decoded.type ? [decoded.type] : NOTIFICATION_TYPES;
+    const updates = Object.fromEntries(types.map(type => [`notificationPreferences.channels.${type}.email`, false]));
+    // La baja total también detiene los resúmenes por email
+    if (!decoded.type) {
+      updates['notificationPreferences.digest.frequency'] = 'immediate';
+    }
+
+    const user = await User.findByIdAndUpdate(decoded.userId, { $set: updates });
+    if (!user) {
+      return res.status(400).json({ message: 'Enlace de baja inválido' });
+    }
+
+    res.json({
+      message: decoded.type
+        ? 'Ya no recibirás emails de este tipo de notificación'
+        : 'Ya no recibirás emails de notificaciones'
+    });
+  } catch (error) {
+    console.error('Error procesando baja de emails:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+router.use(authMiddleware);
+
+// Preferencias de notificación del usuario
+router.get('/preferences', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('notificationPreferences');
+    res.json({ preferences: user.notificationPreferences });
+  } catch (error) {
+    console.error('Error obteniendo preferencias:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Actualizar preferencias (solo los campos enviados)
+router.put('/preferences', [
+  body('channels').optional().isObject().custom(channels => Object.entries(channels).every(([type, byChannel]) =>
+    NOTIFICATION_TYPES.includes(type) &&
+    byChannel && typeof byChannel === 'object' &&
+    Object.entries(byChannel).every(([channel, enabled]) => CHANNELS.includes(channel) && typeof enabled === 'boolean')
+  )).withMessage('Preferencias de canales inválidas'),
+  body('quietHours.enabled').optional().isBoolean(),
+  body('quietHours.start').optional().matches(TIME_PATTERN).withMessage('Formato de hora inválido (HH:MM)'),
+  body('quietHours.end').optional().matches(TIME_PATTERN).withMessage('Formato de hora inválido (HH:MM)'),
+  body('quietHours.timezone').optional().custom(isValidTimezone).withMessage('Zona horaria inválida'),
+  body('digest.frequency').optional().isIn(DIGEST_FREQUENCIES).withMessage('Frecuencia de resumen inválida')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { channels = {}, quietHours = {}, digest = {} } = req.body;
+    const updates = {};
+
+    Object.entries(channels).forEach(([type, byChannel]) => {
+      Object.entries(byChannel).forEach(([channel, enabled]) => {
+        updates[`notificationPreferences.channels.${type}.${channel}`] = enabled;
+      });
+    });
+    ['enabled', 'start', 'end', 'timezone'].forEach(field => {
+      if (quietHours[field] !== undefined) updates[`notificationPreferences.quietHours.${field}`] = quietHours[field];
+    });
+    if (digest.frequency) {
+      updates['notificationPreferences.digest.frequency'] = digest.frequency;
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).select('notificationPreferences');
+
+    res.json({
+      message: 'Preferencias actualizadas exitosamente',
+      preferences: user.notificationPreferences
+    });
+  } catch (error) {
+    console.error('Error actualizando preferencias:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Listar notificaciones del usuario (más recientes primero)
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('unread').optional().isBoolean(),
+  query('type').optional().isIn(NOTIFICATION_TYPES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filters = notificationService.inAppFilter(req.user.userId);
+    if (req.query.unread === 'true') filters.isRead = false;
+    if (req.query.type) filters.type = req.query.type;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filters).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Notification.countDocuments(filters),
+      notificationService.getUnreadCount(req.user.userId)
+    ]);
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error obteniendo notificaciones:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Cantidad de notificaciones sin leer
+router.get('/unread-count', async (req, res) => {
+  try {
+    const unreadCount = await notificationService.getUnreadCount(req.user.userId);
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error('Error contando notificaciones:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Marcar todas como leídas
+router.patch('/read-all', async (req, res) => {
+  try {
+    const updated = await notificationService.markAllRead(req.user.userId);
+    res.json({ message: 'Notificaciones marcadas como leídas', updated });
+  } catch (error) {
+    console.error('Error marcando notificaciones:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Marcar una notificación como leída
+router.patch('/:id/read', [
+  param('id').isMongoId().withMessage('ID de notificación inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const notification = await notificationService.markRead(req.user.userId, req.params.id);
+    if (!notification) {
+      return res.status(404).json({ message: 'Notificación no encontrada' });
+    }
+
+    res.json({ notification });
+  } catch (error) {
+    console.error('Error marcando notificación:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+module.exports = router;
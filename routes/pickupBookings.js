@@ -0,0 +1,93 @@
+// routes/pickupBookings.js
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const pickupBookings = require('../services/pickupBookings');
+
+const router = express.Router();
+
+// Listar las reservas de retiro del usuario
+router.get('/', async (req, res) => {
+  try {
+    const bookings = await pickupBookings.listForUser(req.user.userId);
+    res.json({ bookings });
+  } catch (error) {
+    console.error('Error obteniendo reservas de retiro:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Cronogramas de la zona en los que se puede reservar el retiro de un producto
+router.get('/slots', [
+  query('product').isMongoId().withMessage('ID de producto inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const slots = await pickupBookings.getAvailableSlots(req.query.product, req.user.userId);
+    res.json({ slots });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error obteniendo cronogramas disponibles:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Reservar el retiro de un material validado en un cronograma
+router.post('/', [
+  body('product').isMongoId().withMessage('ID de producto inválido'),
+  body('schedule').isMongoId().withMessage('ID de cronograma inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { schedule, point } = await pickupBookings.book(req.body.product, req.body.schedule, req.user.userId);
+
+    res.status(201).json({
+      message: 'Retiro reservado exitosamente',
+      booking: {
+        scheduleId: schedule._id,
+        title: schedule.title,
+        scheduledDate: schedule.scheduledDate,
+        timeSlot: schedule.timeSlot,
+        point
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error reservando retiro:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Cancelar la reserva de retiro de un producto
+router.delete('/:productId', [
+  param('productId').isMongoId().withMessage('ID de producto inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await pickupBookings.cancel(req.params.productId, req.user.userId);
+    res.json({ message: 'Reserva cancelada exitosamente' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error cancelando reserva de retiro:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+module.exports = router;
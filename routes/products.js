@@ -1,13 +1,64 @@
 // routes/products.js
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const Product = require('../models/Product');
 const User = require('../models/User');
+const Material = require('../models/Material');
+const Transaction = require('../models/Transaction');
+const requestQueue = require('../services/requestQueue');
+const savedSearchService = require('../services/savedSearchService');
+const productSearch = require('../services/productSearch');
+const favoriteService = require('../services/favoriteService');
+const aiValidation = require('../services/aiValidation');
 const authMiddleware = require('../middleware/auth');
+const requireVerified = require('../middleware/verified');
 const upload = require('../middleware/upload');
+const { validateMaterial, getUploadedImages } = require('../middleware/materialValidation');
+const { LISTING_RENEWAL_DAYS, LISTING_MAX_RENEWAL_DAYS, RENEWABLE_STATUSES } = require('../config/listings');
+const {
+  DEFAULT_SEARCH_RADIUS_KM,
+  MAX_SEARCH_RADIUS_KM,
+  SEARCH_SORTS,
+  SEARCH_MAX_PAGE_SIZE
+} = require('../config/search');
 
 const router = express.Router();
 
+// Datos del material que puede declarar el dueño; el estado de validación
+// lo deciden la validación automática o el personal municipal
+const OWNER_MATERIAL_FIELDS = ['material', 'materialType', 'subMaterialType'];
+
+const ownerMaterialFields = (materialAnalysis = {}) => Object.fromEntries(
+  OWNER_MATERIAL_FIELDS
+    .filter(key => materialAnalysis[key] !== undefined)
+    .map(key => [key, materialAnalysis[key]])
+);
+
+// Campos que el dueño puede editar. El estado y la vigencia cambian por sus
+// propias rutas (renovar, reservar, donar); las métricas, las vistas y el
+// procesamiento los actualiza el sistema.
+const OWNER_EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'condition',
+  'weight',
+  'dimensions',
+  'location',
+  'pickupOptions',
+  'availability',
+  'additionalInfo',
+  'tags',
+  'isCompacted',
+  'materialType'
+];
+
+const ownerFields = (source) => Object.fromEntries(
+  OWNER_EDITABLE_FIELDS
+    .filter(key => source[key] !== undefined)
+    .map(key => [key, source[key]])
+);
+
 // Obtener productos con filtros y paginación
 router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('Página inválida'),
@@ -28,8 +79,9 @@ router.get('/', [
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    // Construir filtros
-    const filters = { status: 'available' };
+    // Construir filtros. Las publicaciones vencidas que el trabajo periódico
+    // todavía no marcó tampoco se muestran.
+    const filters = { status: 'available', $nor: [Product.expiringBefore(new Date())] };
     
     if (req.query.category) filters.category = req.query.category;
     if (req.query.condition) filters.condition = req.query.condition;
@@ -37,25 +89,16 @@ router.get('/', [
       filters.$text = { $search: req.query.search };
     }
 
-    let query = Product.find(filters);
-
-    // Filtro geoespacial
+    // Filtro geoespacial: forma parte de los filtros para que el total lo respete
     if (req.query.lat && req.query.lng) {
-      const radius = parseFloat(req.query.radius) || 10; // 10km por defecto
-      query = query.find({
-        'location.coordinates': {
-          $near: {
-            $geometry: {
-              type: 'Point',
-              coordinates: [parseFloat(req.query.lng), parseFloat(req.query.lat)]
-            },
-            $maxDistance: radius * 1000 // metros
-          }
-        }
-      });
+      Object.assign(filters, productSearch.nearFilter({
+        lat: parseFloat(req.query.lat),
+        lng: parseFloat(req.query.lng),
+        radius: parseFloat(req.query.radius) || DEFAULT_SEARCH_RADIUS_KM
+      }));
     }
 
-    const products = await query
+    const products = await Product.find(filters)
       .populate('owner', 'name avatar reputation')
       .sort({ createdAt: -1 })
       .skip(skip)
@@ -80,6 +123,55 @@ router.get('/', [
   }
 });
 
+// Búsqueda con facetas, orden por relevancia, distancia, popularidad o
+// novedad, y paginación por cursor (nextCursor) para el scroll infinito
+router.get('/search', [
+  query('q').optional().isString().trim().isLength({ min: 1, max: 200 }).withMessage('Texto de búsqueda inválido'),
+  query('category').optional().isIn(Product.schema.path('category').enumValues).withMessage('Categoría inválida'),
+  query('condition').optional().isIn(Product.schema.path('condition').enumValues).withMessage('Estado inválido'),
+  query('materialType').optional().isString().trim().isLength({ min: 1, max: 50 }).withMessage('Tipo de material inválido'),
+  query('urgent').optional().isBoolean().withMessage('Valor inválido').toBoolean(),
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitud inválida').toFloat(),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitud inválida').toFloat(),
+  query('radius').optional().isFloat({ min: 0.1, max: MAX_SEARCH_RADIUS_KM }).withMessage('Radio inválido').toFloat(),
+  query('sort').optional().isIn(SEARCH_SORTS).withMessage('Orden inválido'),
+  query('limit').optional().isInt({ min: 1, max: SEARCH_MAX_PAGE_SIZE }).withMessage('Límite inválido').toInt(),
+  query('cursor').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { q, category, condition, materialType, urgent, lat, lng, radius, sort, limit, cursor } = req.query;
+    if ((lat === undefined) !== (lng === undefined)) {
+      return res.status(400).json({ message: 'La ubicación requiere latitud y longitud' });
+    }
+
+    const result = await productSearch.search({
+      search: q,
+      category,
+      condition,
+      materialType,
+      urgent,
+      location: lat !== undefined ? { lat, lng } : null,
+      radius,
+      sort,
+      cursor,
+      limit
+    });
+
+    res.json(result);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error buscando productos:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
 // Obtener producto por ID
 router.get('/:id', async (req, res) => {
   try {
@@ -101,31 +193,42 @@ router.get('/:id', async (req, res) => {
 });
 
 // Crear nuevo producto
-router.post('/', authMiddleware, upload.array('images', 5), [
+router.post('/', authMiddleware, requireVerified, upload.array('images', 5), [
   body('title').trim().isLength({ min: 5, max: 100 }).withMessage('El título debe tener entre 5 y 100 caracteres'),
   body('description').trim().isLength({ min: 10, max: 1000 }).withMessage('La descripción debe tener entre 10 y 1000 caracteres'),
   body('category').isIn(['electronics', 'furniture', 'clothing', 'books', 'tools', 'appliances', 'sports', 'toys', 'kitchen', 'garden', 'other']),
   body('condition').isIn(['excellent', 'good', 'fair', 'poor']),
   body('location.address').notEmpty().withMessage('La dirección es requerida'),
   body('location.coordinates.lat').isFloat().withMessage('Latitud inválida'),
-  body('location.coordinates.lng').isFloat().withMessage('Longitud inválida')
-], async (req, res) => {
+  body('location.coordinates.lng').isFloat().withMessage('Longitud inválida'),
+  body('materialAnalysis.material').optional().isMongoId().withMessage('Material inválido'),
+  body('imageTypes').optional(),
+  body('imageTypes.*').isIn(['general', 'compacted', 'close_up', 'measurement', 'label', 'validation'])
+    .withMessage('Tipo de imagen inválido')
+], validateMaterial, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
+    // Al publicar tampoco se aceptan métricas ni estado: los favoritos y la
+    // popularidad se cuentan solos
     const productData = {
-      ...req.body,
+      ...ownerFields(req.body),
+      materialAnalysis: ownerMaterialFields(req.body.materialAnalysis),
       owner: req.user.userId,
-      images: req.files ? req.files.map(file => ({
-        url: file.path,
-        publicId: file.filename
-      })) : []
+      images: getUploadedImages(req)
     };
 
     const product = new Product(productData);
+
+    // Los casos claros quedan validados o rechazados; el resto pasa a revisión
+    if (req.materialValidation) {
+      const { result, material } = req.materialValidation;
+      aiValidation.applyValidation(product, result, material);
+    }
+
     await product.save();
 
     // Actualizar estadísticas del usuario
@@ -133,6 +236,9 @@ router.post('/', authMiddleware, upload.array('images', 5), [
       $inc: { 'stats.productsOffered': 1 }
     });
 
+    // Avisos de búsquedas guardadas, sin bloquear la respuesta
+    savedSearchService.notifyMatches(product);
+
     const populatedProduct = await Product.findById(product._id)
       .populate('owner', 'name avatar reputation');
 
@@ -147,8 +253,34 @@ router.post('/', authMiddleware, upload.array('images', 5), [
 });
 
 // Actualizar producto
-router.put('/:id', authMiddleware, upload.array('images', 5), async (req, res) => {
+router.put('/:id', authMiddleware, upload.array('images', 5), [
+  param('id').isMongoId().withMessage('ID de producto inválido'),
+  body('title').optional().trim().isLength({ min: 5, max: 100 }).withMessage('El título debe tener entre 5 y 100 caracteres'),
+  body('description').optional().trim().isLength({ min: 10, max: 1000 }).withMessage('La descripción debe tener entre 10 y 1000 caracteres'),
+  body('category').optional().isIn(['electronics', 'furniture', 'clothing', 'books', 'tools', 'appliances', 'sports', 'toys', 'kitchen', 'garden', 'other']),
+  body('condition').optional().isIn(['excellent', 'good', 'fair', 'poor']),
+  body('location').optional().isObject().withMessage('Ubicación inválida'),
+  body('location.address').if(body('location').exists()).notEmpty().withMessage('La dirección es requerida'),
+  body('location.coordinates.lat').if(body('location').exists()).isFloat().withMessage('Latitud inválida'),
+  body('location.coordinates.lng').if(body('location').exists()).isFloat().withMessage('Longitud inválida'),
+  body('weight').optional().isObject().withMessage('Peso inválido'),
+  body(['weight.declared', 'weight.estimated', 'weight.actual']).optional().isFloat({ min: 0 }).withMessage('Peso inválido'),
+  body('weight.unit').optional().isIn(['g', 'kg', 'ton']).withMessage('Unidad de peso inválida'),
+  body('dimensions').optional().isObject().withMessage('Dimensiones inválidas'),
+  body(['dimensions.length', 'dimensions.width', 'dimensions.height']).optional().isFloat({ min: 0 }).withMessage('Dimensión inválida'),
+  body('dimensions.unit').optional().isIn(['cm', 'm']).withMessage('Unidad de medida inválida'),
+  body('materialAnalysis').optional().isObject().withMessage('Análisis de material inválido'),
+  body('materialAnalysis.material').optional().isMongoId().withMessage('Material inválido'),
+  body('imageTypes').optional(),
+  body('imageTypes.*').isIn(['general', 'compacted', 'close_up', 'measurement', 'label', 'validation'])
+    .withMessage('Tipo de imagen inválido')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const product = await Product.findOne({
       _id: req.params.id,
       owner: req.user.userId
@@ -159,17 +291,35 @@ router.put('/:id', authMiddleware, upload.array('images', 5), async (req, res) =
     }
 
     // Actualizar datos
-    Object.keys(req.body).forEach(key => {
-      product[key] = req.body[key];
-    });
+    Object.entries(ownerFields(req.body)).forEach(([key, value]) => { product[key] = value; });
+
+    if (req.body.materialAnalysis) {
+      Object.assign(product.materialAnalysis, ownerMaterialFields(req.body.materialAnalysis));
+    }
 
     // Agregar nuevas imágenes si existen
     if (req.files && req.files.length > 0) {
-      const newImages = req.files.map(file => ({
-        url: file.path,
-        publicId: file.filename
-      }));
-      product.images = [...product.images, ...newImages];
+      product.images = [...product.images, ...getUploadedImages(req)];
+    }
+
+    product.touchListing();
+
+    // Revalidar el material si cambió algo que la validación revisa, aunque ya
+    // estuviera validado: la planificación y las reservas confían en ese estado.
+    // Sin un material con el que revalidar, vuelve a revisión.
+    const affectsValidation = (req.files && req.files.length > 0) ||
+      ['weight', 'dimensions', 'materialAnalysis'].some(key => key in req.body);
+
+    if (affectsValidation) {
+      const material = product.materialAnalysis.material &&
+        await Material.findOne({ _id: product.materialAnalysis.material, isActive: true });
+
+      if (material) {
+        const result = await aiValidation.validateCompaction(product, material);
+        aiValidation.applyValidation(product, result, material);
+      } else if (product.materialAnalysis.compactionStatus === 'validated') {
+        product.materialAnalysis.compactionStatus = 'pending';
+      }
     }
 
     await product.save();
@@ -207,4 +357,205 @@ router.delete('/:id', authMiddleware, async (req, res) => {
   }
 });
 
+// Renovar una publicación disponible o vencida (solo propietario).
+// Reinicia el plazo de inactividad y, si tiene fecha de fin, la extiende `days` días.
+router.post('/:id/renew', authMiddleware, [
+  body('days').optional().isInt({ min: 1, max: LISTING_MAX_RENEWAL_DAYS })
+    .withMessage(`Los días deben estar entre 1 y ${LISTING_MAX_RENEWAL_DAYS}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const current = await Product.findOne({
+      _id: req.params.id,
+      owner: req.user.userId
+    }).select('status availability.endDate');
+
+    if (!current) {
+      return res.status(404).json({ message: 'Producto no encontrado o no autorizado' });
+    }
+
+    const now = new Date();
+    const days = parseInt(req.body.days) || LISTING_RENEWAL_DAYS;
+    const update = {
+      $set: { status: 'available', 'listing.lastActivityAt': now, 'listing.renewedAt': now },
+      $unset: { 'listing.expiryWarningSentAt': 1, 'listing.expiredAt': 1 },
+      $inc: { 'listing.renewals': 1 }
+    };
+
+    if (current.availability.endDate) {
+      const from = Math.max(current.availability.endDate.getTime(), now.getTime());
+      update.$set['availability.endDate'] = new Date(from + days * 24 * 60 * 60 * 1000);
+    }
+
+    // El estado se vuelve a comprobar al actualizar por si cambió mientras tanto
+    const product = await Product.findOneAndUpdate(
+      { _id: current._id, status: { $in: RENEWABLE_STATUSES } },
+      update,
+      { new: true }
+    ).populate('owner', 'name avatar reputation');
+
+    if (!product) {
+      return res.status(409).json({ message: 'Solo se pueden renovar publicaciones disponibles o vencidas' });
+    }
+
+    if (current.status === 'expired') {
+      favoriteService.notifyWatchers(product, 'available');
+    }
+
+    res.json({
+      message: 'Publicación renovada exitosamente',
+      product,
+      expiresAt: product.getListingExpiry()
+    });
+  } catch (error) {
+    console.error('Error renovando producto:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// === FAVORITOS ===
+
+// Guardar un producto en favoritos
+router.post('/:id/favorite', authMiddleware, [
+  param('id').isMongoId().withMessage('ID de producto inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { created, favorites } = await favoriteService.add(req.user.userId, req.params.id);
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Producto guardado en favoritos' : 'El producto ya estaba en favoritos',
+      favorited: true,
+      favorites
+    });
+  } catch (error) {
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error guardando favorito:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Quitar un producto de favoritos
+router.delete('/:id/favorite', authMiddleware, [
+  param('id').isMongoId().withMessage('ID de producto inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { removed, favorites } = await favoriteService.remove(req.user.userId, req.params.id);
+    if (!removed) {
+      return res.status(404).json({ message: 'El producto no está en tus favoritos' });
+    }
+
+    res.json({
+      message: 'Producto quitado de favoritos',
+      favorited: false,
+      favorites
+    });
+  } catch (error) {
+    console.error('Error quitando favorito:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// === FILA DE ESPERA ===
+
+// Obtener la fila de espera de un producto.
+// El propietario ve la fila completa; los solicitantes solo su posición.
+router.get('/:id/queue', authMiddleware, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('owner status');
+    if (!product) {
+      return res.status(404).json({ message: 'Producto no encontrado' });
+    }
+
+    await requestQueue.expireOffers(product._id);
+
+    const queue = await requestQueue.getQueue(product._id);
+
+    if (product.owner.toString() === req.user.userId) {
+      return res.json({
+        productStatus: product.status,
+        queue,
+        total: queue.length
+      });
+    }
+
+    const position = queue.findIndex(entry => entry.recipient._id.toString() === req.user.userId);
+    if (position === -1) {
+      return res.status(404).json({ message: 'No estás en la fila de espera de este producto' });
+    }
+
+    res.json({
+      productStatus: product.status,
+      position: position + 1,
+      total: queue.length,
+      transaction: queue[position]
+    });
+  } catch (error) {
+    console.error('Error obteniendo fila de espera:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Reordenar la fila de espera (solo propietario)
+router.put('/:id/queue', authMiddleware, [
+  body('order').isArray({ min: 1 }).withMessage('El orden debe ser un array de solicitudes'),
+  body('order.*').isMongoId().withMessage('ID de solicitud inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await Product.findOne({
+      _id: req.params.id,
+      owner: req.user.userId
+    }).select('_id');
+
+    if (!product) {
+      return res.status(404).json({ message: 'Producto no encontrado o no autorizado' });
+    }
+
+    // Una oferta vigente no se reordena: solo las solicitudes que esperan
+    const offered = await Transaction.exists({
+      product: product._id,
+      status: 'pending',
+      'offer.expiresAt': { $gt: new Date() },
+      'offer.respondedAt': null
+    });
+
+    if (offered) {
+      return res.status(409).json({ message: 'Hay una oferta vigente; espera su respuesta para reordenar la fila' });
+    }
+
+    const queue = await requestQueue.reorder(product._id, req.body.order);
+
+    res.json({
+      message: 'Fila de espera actualizada exitosamente',
+      queue
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error reordenando fila de espera:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -3,6 +3,7 @@ const express = require('express');
 const Review = require('../models/Review');
 const Transaction = require('../models/Transaction');
 const User = require('../models/User');
+const notificationService = require('../services/notificationService');
 const { body, validationResult } = require('express-validator');
 
 const router = express.Router();
@@ -81,6 +82,14 @@ router.post('/', [
       .populate('reviewer', 'name avatar')
       .populate('reviewee', 'name avatar');
 
+    notificationService.notify(reviewee, {
+      type: 'review',
+      event: 'received',
+      title: 'Recibiste una nueva calificación',
+      message: `${populatedReview.reviewer.name} te calificó con ${rating} ${Number(rating) === 1 ? 'estrella' : 'estrellas'}`,
+      data: { review: review._id, transaction: transaction._id }
+    });
+
     res.status(201).json({
       message: 'Reseña creada exitosamente',
       review: populatedReview
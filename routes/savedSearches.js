@@ -0,0 +1,183 @@
+// routes/savedSearches.js
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const SavedSearch = require('../models/SavedSearch');
+const Product = require('../models/Product');
+const { MAX_SAVED_SEARCHES, ALERT_CHANNELS, ALERT_FREQUENCIES } = require('../config/savedSearches');
+const { MAX_SEARCH_RADIUS_KM } = require('../config/search');
+
+const router = express.Router();
+
+// Campos que el usuario puede definir al crear o editar una búsqueda
+const EDITABLE_FIELDS = [
+  'name',
+  'filters.category',
+  'filters.condition',
+  'filters.search',
+  'filters.location',
+  'filters.radius',
+  'alerts.enabled',
+  'alerts.channels',
+  'alerts.frequency'
+];
+
+const getField = (source, path) => path.split('.').reduce((value, key) => value?.[key], source);
+
+// Los filtros admiten null para quitarlos al editar
+const savedSearchValidation = [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('El nombre debe tener entre 1 y 100 caracteres'),
+  body('filters.category').optional({ nullable: true }).isIn(Product.schema.path('category').enumValues).withMessage('Categoría inválida'),
+  body('filters.condition').optional({ nullable: true }).isIn(Product.schema.path('condition').enumValues).withMessage('Estado inválido'),
+  body('filters.search').optional({ nullable: true }).isString().trim().isLength({ max: 200 }).withMessage('Texto de búsqueda muy largo'),
+  body('filters.location').optional({ nullable: true }).custom(location => {
+    if (location.lat === undefined || location.lng === undefined) {
+      throw new Error('La ubicación requiere latitud y longitud');
+    }
+    return true;
+  }),
+  body('filters.location.lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitud inválida'),
+  body('filters.location.lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitud inválida'),
+  body('filters.radius').optional().isFloat({ min: 0, max: MAX_SEARCH_RADIUS_KM }).withMessage('Radio inválido'),
+  body('alerts.enabled').optional().isBoolean().withMessage('Valor inválido'),
+  body('alerts.channels').optional().isArray().withMessage('Los canales deben ser un array'),
+  body('alerts.channels.*').isIn(ALERT_CHANNELS).withMessage('Canal inválido'),
+  body('alerts.frequency').optional().isIn(Object.keys(ALERT_FREQUENCIES)).withMessage('Frecuencia inválida')
+];
+
+const applyFields = (savedSearch, source) => {
+  EDITABLE_FIELDS.forEach(path => {
+    const value = getField(source, path);
+    if (value !== undefined) savedSearch.set(path, value === null ? undefined : value);
+  });
+
+  // Sin avisos no quedan coincidencias esperando
+  if (savedSearch.alerts.enabled === false) {
+    savedSearch.alerts.pending = [];
+  }
+};
+
+const withNextAlert = (savedSearch) => ({
+  ...savedSearch.toObject(),
+  nextAlertAt: savedSearch.getNextAlertAt()
+});
+
+// Listar las búsquedas guardadas del usuario
+router.get('/', async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user.userId }).sort({ createdAt: -1 });
+
+    res.json({
+      savedSearches: savedSearches.map(withNextAlert),
+      total: savedSearches.length,
+      limit: MAX_SAVED_SEARCHES
+    });
+  } catch (error) {
+    console.error('Error obteniendo búsquedas guardadas:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Guardar una búsqueda
+router.post('/', [
+  body('name').exists().withMessage('El nombre es requerido'),
+  ...savedSearchValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const count = await SavedSearch.countDocuments({ user: req.user.userId });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ message: `Puedes guardar hasta ${MAX_SAVED_SEARCHES} búsquedas` });
+    }
+
+    const savedSearch = new SavedSearch({ user: req.user.userId });
+    applyFields(savedSearch, req.body);
+    await savedSearch.save();
+
+    res.status(201).json({
+      message: 'Búsqueda guardada exitosamente',
+      savedSearch: withNextAlert(savedSearch)
+    });
+  } catch (error) {
+    console.error('Error guardando búsqueda:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Obtener una búsqueda guardada
+router.get('/:id', [
+  param('id').isMongoId().withMessage('ID de búsqueda inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user.userId });
+    if (!savedSearch) {
+      return res.status(404).json({ message: 'Búsqueda no encontrada' });
+    }
+
+    res.json({ savedSearch: withNextAlert(savedSearch) });
+  } catch (error) {
+    console.error('Error obteniendo búsqueda guardada:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Editar filtros o avisos de una búsqueda
+router.put('/:id', [
+  param('id').isMongoId().withMessage('ID de búsqueda inválido'),
+  ...savedSearchValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user.userId });
+    if (!savedSearch) {
+      return res.status(404).json({ message: 'Búsqueda no encontrada' });
+    }
+
+    applyFields(savedSearch, req.body);
+    await savedSearch.save();
+
+    res.json({
+      message: 'Búsqueda actualizada exitosamente',
+      savedSearch: withNextAlert(savedSearch)
+    });
+  } catch (error) {
+    console.error('Error actualizando búsqueda guardada:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Eliminar una búsqueda guardada
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('ID de búsqueda inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const savedSearch = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.user.userId });
+    if (!savedSearch) {
+      return res.status(404).json({ message: 'Búsqueda no encontrada' });
+    }
+
+    res.json({ message: 'Búsqueda eliminada exitosamente' });
+  } catch (error) {
+    console.error('Error eliminando búsqueda guardada:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,458 @@
+// routes/transactions.js
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Transaction = require('../models/Transaction');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const requestQueue = require('../services/requestQueue');
+const notificationService = require('../services/notificationService');
+const favoriteService = require('../services/favoriteService');
+
+const router = express.Router();
+
+// Solicitar un producto (si está reservado, la solicitud queda en la fila de espera)
+router.post('/', [
+  body('productId').isMongoId().withMessage('ID de producto inválido'),
+  body('message').optional().trim().isLength({ max: 500 }).withMessage('El mensaje no puede exceder 500 caracteres'),
+  body('preferredSlotId').optional().isMongoId().withMessage('Franja horaria inválida'),
+  body('pickupDate').optional().isISO8601().withMessage('Fecha de retiro inválida'),
+  body('pickupTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Formato de hora inválido (HH:MM)')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { productId, message, pickupDate, pickupTime, preferredSlotId } = req.body;
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({ message: 'Producto no encontrado' });
+    }
+
+    if (product.owner.toString() === req.user.userId) {
+      return res.status(400).json({ message: 'No puedes solicitar tu propio producto' });
+    }
+
+    if (!['available', 'reserved'].includes(product.status)) {
+      return res.status(409).json({ message: 'El producto no está disponible' });
+    }
+
+    // La franja preferida debe ser una de las ofrecidas por el donante
+    let preferredSlot;
+    if (preferredSlotId) {
+      const slot = product.availability?.timeSlots?.id(preferredSlotId);
+      if (!slot) {
+        return res.status(400).json({ message: 'La franja horaria no pertenece a la disponibilidad del producto' });
+      }
+      preferredSlot = { day: slot.day, startTime: slot.startTime, endTime: slot.endTime };
+    }
+
+    // Evitar solicitudes duplicadas del mismo usuario
+    const existingRequest = await Transaction.findOne({
+      product: productId,
+      recipient: req.user.userId,
+      status: { $in: ['pending', 'accepted', 'in_progress'] }
+    });
+
+    if (existingRequest) {
+      return res.status(409).json({ message: 'Ya tienes una solicitud activa para este producto' });
+    }
+
+    const transaction = new Transaction({
+      product: productId,
+      donor: product.owner,
+      recipient: req.user.userId,
+      message,
+      preferredSlot,
+      queuePosition: await requestQueue.nextPosition(productId),
+      pickupDate,
+      pickupTime,
+      pickupLocation: {
+        address: product.location.address,
+        coordinates: product.location.coordinates
+      }
+    });
+
+    await transaction.save();
+
+    await Product.findByIdAndUpdate(productId, { $inc: { 'analytics.contactAttempts': 1 } });
+
+    notifyParticipant(product.owner, transaction, 'request');
+
+    res.status(201).json({
+      message: product.status === 'reserved'
+        ? 'Te uniste a la fila de espera del producto'
+        : 'Solicitud enviada exitosamente',
+      transaction: await populateTransaction(transaction._id)
+    });
+  } catch (error) {
+    console.error('Error creando solicitud:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Obtener detalle de una transacción
+router.get('/:id', async (req, res) => {
+  try {
+    const transaction = await populateTransaction(req.params.id);
+
+    if (!transaction || !transaction.getParticipantRole(req.user.userId)) {
+      return res.status(404).json({ message: 'Transacción no encontrada' });
+    }
+
+    res.json({ transaction });
+  } catch (error) {
+    console.error('Error obteniendo transacción:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Aceptar solicitud (donante)
+router.patch('/:id/accept', async (req, res) => {
+  try {
+    const transaction = await findForParticipant(req.params.id, req.user.userId, 'donor');
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transacción no encontrada o no autorizado' });
+    }
+
+    if (!transaction.canTransitionTo('accepted')) {
+      return res.status(409).json({ message: `No se puede aceptar una transacción en estado ${transaction.status}` });
+    }
+
+    // Si la solicitud tiene una oferta vigente el producto ya está retenido para ella;
+    // si no, se reserva de forma atómica: solo una solicitud puede ganarlo
+    const heldByOffer = transaction.hasActiveOffer();
+    const product = heldByOffer
+      ? await Product.findOne({ _id: transaction.product, status: 'reserved' })
+      : await Product.findOneAndUpdate(
+        { _id: transaction.product, status: 'available' },
+        { status: 'reserved' },
+        { new: true }
+      );
+
+    if (!product) {
+      return res.status(409).json({ message: 'El producto ya no está disponible' });
+    }
+
+    const updated = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, status: 'pending' },
+      { status: 'accepted', acceptedAt: new Date() },
+      { new: true }
+    );
+
+    if (!updated) {
+      // Otra operación modificó la transacción: liberar el producto
+      if (!heldByOffer) {
+        await Product.findOneAndUpdate({ _id: product._id, status: 'reserved' }, { status: 'available' });
+      }
+      return res.status(409).json({ message: 'La transacción fue modificada por otra operación' });
+    }
+
+    notifyParticipant(updated.recipient, updated, 'accepted');
+    if (!heldByOffer) {
+      favoriteService.notifyWatchers(product, 'reserved');
+    }
+
+    res.json({
+      message: 'Solicitud aceptada exitosamente',
+      transaction: await populateTransaction(updated._id)
+    });
+  } catch (error) {
+    console.error('Error aceptando solicitud:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Rechazar solicitud (donante)
+router.patch('/:id/reject', [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('El motivo no puede exceder 500 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const transaction = await findForParticipant(req.params.id, req.user.userId, 'donor');
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transacción no encontrada o no autorizado' });
+    }
+
+    if (transaction.status !== 'pending') {
+      return res.status(409).json({ message: 'Solo se pueden rechazar solicitudes pendientes' });
+    }
+
+    const updated = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, status: 'pending' },
+      {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelledBy: req.user.userId,
+        cancellationReason: req.body.reason || 'Solicitud rechazada por el donante'
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({ message: 'La transacción fue modificada por otra operación' });
+    }
+
+    if (transaction.hasActiveOffer()) {
+      await requestQueue.offerNext(updated.product);
+    }
+
+    notifyParticipant(updated.recipient, updated, 'rejected');
+
+    res.json({
+      message: 'Solicitud rechazada',
+      transaction: await populateTransaction(updated._id)
+    });
+  } catch (error) {
+    console.error('Error rechazando solicitud:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Responder a una oferta de la fila de espera (solicitante)
+router.patch('/:id/respond-offer', [
+  body('accept').isBoolean().withMessage('La respuesta debe ser booleana')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const transaction = await findForParticipant(req.params.id, req.user.userId, 'recipient');
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transacción no encontrada o no autorizado' });
+    }
+
+    await requestQueue.expireOffers(transaction.product);
+
+    if (!transaction.hasActiveOffer()) {
+      return res.status(409).json({ message: 'No tienes una oferta vigente para este producto' });
+    }
+
+    const accepted = req.body.accept === true || req.body.accept === 'true';
+    const updated = await requestQueue.respondToOffer(transaction, accepted);
+
+    if (!updated) {
+      return res.status(409).json({ message: 'La oferta ya no está vigente' });
+    }
+
+    if (accepted) {
+      notifyParticipant(updated.donor, updated, 'accepted');
+    }
+
+    res.json({
+      message: accepted ? 'Oferta aceptada exitosamente' : 'Oferta rechazada',
+      transaction: await populateTransaction(updated._id)
+    });
+  } catch (error) {
+    console.error('Error respondiendo oferta:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Iniciar retiro del producto
+router.patch('/:id/start', async (req, res) => {
+  try {
+    const transaction = await findForParticipant(req.params.id, req.user.userId);
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transacción no encontrada o no autorizado' });
+    }
+
+    if (!transaction.canTransitionTo('in_progress')) {
+      return res.status(409).json({ message: `No se puede iniciar el retiro de una transacción en estado ${transaction.status}` });
+    }
+
+    const updated = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, status: 'accepted' },
+      { status: 'in_progress', startedAt: new Date() },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({ message: 'La transacción fue modificada por otra operación' });
+    }
+
+    res.json({
+      message: 'Retiro iniciado',
+      transaction: await populateTransaction(updated._id)
+    });
+  } catch (error) {
+    console.error('Error iniciando retiro:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Confirmar entrega (ambas partes deben confirmar)
+router.patch('/:id/confirm', async (req, res) => {
+  try {
+    const transaction = await findForParticipant(req.params.id, req.user.userId);
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transacción no encontrada o no autorizado' });
+    }
+
+    if (transaction.status !== 'in_progress') {
+      return res.status(409).json({ message: 'Solo se pueden confirmar transacciones en curso' });
+    }
+
+    const role = transaction.getParticipantRole(req.user.userId);
+    const confirmationField = `confirmations.${role}`;
+
+    const confirmed = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, status: 'in_progress', [confirmationField]: null },
+      { $set: { [confirmationField]: new Date() } },
+      { new: true }
+    );
+
+    if (!confirmed) {
+      return res.status(409).json({ message: 'Ya confirmaste esta entrega' });
+    }
+
+    if (!confirmed.confirmations.donor || !confirmed.confirmations.recipient) {
+      return res.json({
+        message: 'Confirmación registrada. Esperando confirmación de la otra parte',
+        transaction: await populateTransaction(confirmed._id)
+      });
+    }
+
+    // Ambas partes confirmaron: solo una petición puede completar la transacción
+    const completed = await Transaction.findOneAndUpdate(
+      { _id: confirmed._id, status: 'in_progress' },
+      { status: 'completed', completedAt: new Date() },
+      { new: true }
+    );
+
+    if (completed) {
+      await finalizeDonation(completed);
+    }
+
+    res.json({
+      message: 'Transacción completada exitosamente',
+      transaction: await populateTransaction(confirmed._id)
+    });
+  } catch (error) {
+    console.error('Error confirmando entrega:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Cancelar transacción (cualquiera de las partes)
+router.patch('/:id/cancel', [
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('El motivo debe tener entre 3 y 500 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const transaction = await findForParticipant(req.params.id, req.user.userId);
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transacción no encontrada o no autorizado' });
+    }
+
+    if (!transaction.canTransitionTo('cancelled')) {
+      return res.status(409).json({ message: `No se puede cancelar una transacción en estado ${transaction.status}` });
+    }
+
+    const previousStatus = transaction.status;
+
+    const updated = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, status: previousStatus },
+      {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelledBy: req.user.userId,
+        cancellationReason: req.body.reason
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({ message: 'La transacción fue modificada por otra operación' });
+    }
+
+    // Si el producto estaba reservado para esta transacción, se ofrece a la siguiente
+    // persona en la fila (o vuelve a estar disponible si no hay nadie esperando)
+    if (['accepted', 'in_progress'].includes(previousStatus) || transaction.hasActiveOffer()) {
+      await requestQueue.offerNext(updated.product);
+    }
+
+    const role = transaction.getParticipantRole(req.user.userId);
+    notifyParticipant(role === 'donor' ? updated.recipient : updated.donor, updated, 'cancelled');
+
+    res.json({
+      message: 'Transacción cancelada',
+      transaction: await populateTransaction(updated._id)
+    });
+  } catch (error) {
+    console.error('Error cancelando transacción:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// === FUNCIONES AUXILIARES ===
+
+// Buscar transacción verificando que el usuario participa (opcionalmente con un rol específico)
+async function findForParticipant(transactionId, userId, requiredRole = null) {
+  const transaction = await Transaction.findById(transactionId);
+  if (!transaction) return null;
+
+  const role = transaction.getParticipantRole(userId);
+  if (!role || (requiredRole && role !== requiredRole)) return null;
+
+  return transaction;
+}
+
+function populateTransaction(transactionId) {
+  return Transaction.findById(transactionId)
+    .populate('product', 'title images status')
+    .populate('donor', 'name avatar reputation')
+    .populate('recipient', 'name avatar reputation');
+}
+
+// Marcar el producto como donado y actualizar estadísticas de ambas partes
+async function finalizeDonation(transaction) {
+  await Product.findByIdAndUpdate(transaction.product, { status: 'donated' });
+
+  await User.bulkWrite([
+    {
+      updateOne: {
+        filter: { _id: transaction.donor },
+        update: { $inc: { 'stats.transactionsCompleted': 1 } }
+      }
+    },
+    {
+      updateOne: {
+        filter: { _id: transaction.recipient },
+        update: { $inc: { 'stats.productsReceived': 1, 'stats.transactionsCompleted': 1 } }
+      }
+    }
+  ]);
+
+  // Las demás solicitudes pendientes del producto ya no pueden concretarse
+  await Transaction.updateMany(
+    { product: transaction.product, _id: { $ne: transaction._id }, status: 'pending' },
+    {
+      status: 'cancelled',
+      cancelledAt: new Date(),
+      cancellationReason: 'El producto ya fue donado'
+    }
+  );
+
+  notifyParticipant(transaction.donor, transaction, 'completed');
+  notifyParticipant(transaction.recipient, transaction, 'completed');
+}
+
+// Notificación por los canales elegidos por el usuario, sin bloquear la respuesta
+function notifyParticipant(userId, transaction, type) {
+  notificationService.notifyTransaction(userId, transaction, type);
+}
+
+module.exports = router;
@@ -1,12 +1,27 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Zone = require('../models/Zone');
 const Product = require('../models/Product');
 const Transaction = require('../models/Transaction');
+const Favorite = require('../models/Favorite');
 const upload = require('../middleware/upload');
+const tokenService = require('../utils/tokenService');
+const { SUPPORTED_LOCALES } = require('../config/locales');
 
 const router = express.Router();
 
+// Campos que el usuario puede editar en su perfil. Los roles, el tipo de
+// usuario, la verificación, la contraseña y los tokens cambian por sus propias
+// rutas (administración y autenticación).
+const PROFILE_EDITABLE_FIELDS = ['name', 'phone', 'location', 'locale', 'notificationPreferences'];
+
+const profileFields = (source) => Object.fromEntries(
+  PROFILE_EDITABLE_FIELDS
+    .filter(key => source[key] !== undefined)
+    .map(key => [key, source[key]])
+);
+
 // Obtener perfil del usuario actual
 router.get('/profile', async (req, res) => {
   try {
@@ -45,7 +60,8 @@ router.put('/profile', upload.single('avatar'), [
   body('phone').optional().isMobilePhone('es-AR').withMessage('Teléfono inválido'),
   body('location.address').optional().notEmpty().withMessage('La dirección no puede estar vacía'),
   body('location.coordinates.lat').optional().isFloat().withMessage('Latitud inválida'),
-  body('location.coordinates.lng').optional().isFloat().withMessage('Longitud inválida')
+  body('location.coordinates.lng').optional().isFloat().withMessage('Longitud inválida'),
+  body('locale').optional().isIn(SUPPORTED_LOCALES).withMessage('Idioma no soportado')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -53,7 +69,15 @@ router.put('/profile', upload.single('avatar'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const updateData = { ...req.body };
+    const updateData = profileFields(req.body);
+
+    // findByIdAndUpdate no ejecuta el middleware de guardado: la zona se
+    // asigna aquí a partir de las coordenadas nuevas
+    if (updateData.location) {
+      const { zoneId, zone, ...location } = updateData.location;
+      const located = await Zone.locate(location.coordinates);
+      updateData.location = { ...location, ...located };
+    }
     
     // Si se subió una nueva imagen de avatar
     if (req.file) {
@@ -134,6 +158,13 @@ router.get('/my-products', async (req, res) => {
 
     const total = await Product.countDocuments(filters);
 
+    // Cuándo vence cada publicación disponible, para ofrecer renovarla
+    products.forEach(product => {
+      if (product.status === 'available') {
+        product.listing = { ...product.listing, expiresAt: Product.getListingExpiry(product) };
+      }
+    });
+
     res.json({
       products,
       pagination: {
@@ -150,6 +181,47 @@ router.get('/my-products', async (req, res) => {
   }
 });
 
+// Obtener los productos guardados en favoritos (más recientes primero).
+// Incluye los reservados o vencidos para que el usuario vea su estado.
+router.get('/favorites', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filters = { user: req.user.userId };
+
+    const favorites = await Favorite.find(filters)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate({
+        path: 'product',
+        select: 'title images category condition status location.address location.city availability.endDate analytics.favorites owner',
+        populate: { path: 'owner', select: 'name avatar reputation' }
+      })
+      .lean();
+
+    const total = await Favorite.countDocuments(filters);
+
+    res.json({
+      favorites: favorites
+        .filter(favorite => favorite.product)
+        .map(favorite => ({ product: favorite.product, favoritedAt: favorite.createdAt })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error obteniendo favoritos:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
 // Obtener historial de transacciones del usuario
 router.get('/transactions', async (req, res) => {
   try {
@@ -231,6 +303,9 @@ router.put('/change-password', [
     user.password = newPassword;
     await user.save();
 
+    // Cerrar las demás sesiones abiertas con la contraseña anterior
+    await tokenService.revokeAllForUser(req.user.userId, 'password_change', req.user.sessionId);
+
     res.json({ message: 'Contraseña actualizada exitosamente' });
   } catch (error) {
     console.error('Error cambiando contraseña:', error);
@@ -270,6 +345,8 @@ router.put('/deactivate', [
     user.deactivatedAt = new Date();
     await user.save();
 
+    await tokenService.revokeAllForUser(req.user.userId, 'account_deactivated');
+
     // También cambiar el estado de los productos activos a 'removed'
     await Product.updateMany(
       { owner: req.user.userId, status: 'available' },
@@ -283,6 +360,46 @@ router.put('/deactivate', [
   }
 });
 
+// Listar sesiones activas (dispositivos) del usuario
+router.get('/sessions', async (req, res) => {
+  try {
+    const sessions = await tokenService.listSessions(req.user.userId);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session.family,
+        device: session.device,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session.family === req.user.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Error obteniendo sesiones:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
+// Revocar una sesión de forma remota
+router.delete('/sessions/:sessionId', async (req, res) => {
+  try {
+    const sessions = await tokenService.listSessions(req.user.userId);
+    const session = sessions.find(s => s.family === req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({ message: 'Sesión no encontrada' });
+    }
+
+    await tokenService.revokeFamily(session.family, 'remote_revoke');
+
+    res.json({ message: 'Sesión revocada exitosamente' });
+  } catch (error) {
+    console.error('Error revocando sesión:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+});
+
 // Obtener estadísticas del dashboard del usuario
 router.get('/dashboard-stats', async (req, res) => {
   try {
@@ -0,0 +1,38 @@
+// scripts/importZones.js
+// Uso: node scripts/importZones.js zonas.geojson [propiedadNombre] [propiedadCodigo]
+const fs = require('fs');
+const mongoose = require('mongoose');
+require('dotenv').config();
+const zoneService = require('../services/zoneService');
+
+async function importZones(file, nameProperty, codeProperty) {
+  try {
+    if (!file) {
+      throw new Error('Indica el archivo GeoJSON a importar');
+    }
+    const geojson = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/circulapp');
+    console.log('Conectado a MongoDB');
+
+    const result = await zoneService.importGeoJSON(geojson, { nameProperty, codeProperty });
+    console.log(`✅ Zonas: ${result.created} creadas, ${result.updated} actualizadas, ${result.skipped.length} omitidas`);
+    result.skipped.forEach(({ index, name, reason }) => {
+      console.log(`  - Feature ${index}${name ? ` (${name})` : ''}: ${reason}`);
+    });
+
+    const assigned = await zoneService.assignAll();
+    console.log(`✅ Asignados: ${assigned.products} productos, ${assigned.users} usuarios`);
+  } catch (error) {
+    console.error('❌ Error importando zonas:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+if (require.main === module) {
+  importZones(...process.argv.slice(2));
+}
+
+module.exports = importZones;
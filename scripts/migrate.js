@@ -1,6 +1,7 @@
 // scripts/migrate.js
 const mongoose = require('mongoose');
 require('dotenv').config();
+const { TRACKING_RETENTION_DAYS } = require('../config/tracking');
 
 async function runMigrations() {
   try {
@@ -14,13 +15,54 @@ async function runMigrations() {
     await db.collection('users').createIndex({ email: 1 }, { unique: true });
     await db.collection('users').createIndex({ "location.coordinates": "2dsphere" });
     
-    // Índices para productos
-    await db.collection('products').createIndex({ "location.coordinates": "2dsphere" });
-    await db.collection('products').createIndex({ category: 1, status: 1 });
-    await db.collection('products').createIndex({ owner: 1 });
-    await db.collection('products').createIndex({ createdAt: -1 });
-    await db.collection('products').createIndex({ title: "text", description: "text" });
+    // Índices para productos.
+    // Las consultas geoespaciales usan location.point (GeoJSON [lng, lat]):
+    // se completa en los productos existentes y reemplaza al índice anterior
+    const products = db.collection('products');
+    const { modifiedCount: located } = await products.updateMany(
+      {
+        'location.coordinates.lat': { $type: 'number' },
+        'location.coordinates.lng': { $type: 'number' },
+        'location.point': { $exists: false }
+      },
+      [{ $set: { 'location.point': { type: 'Point', coordinates: ['$location.coordinates.lng', '$location.coordinates.lat'] } } }]
+    );
+    console.log(`Ubicación GeoJSON completada en ${located} producto(s)`);
+
+    const productIndexes = await products.indexes();
+    for (const name of ['location.coordinates_2dsphere', 'title_text_description_text']) {
+      if (productIndexes.some(index => index.name === name)) {
+        await products.dropIndex(name);
+      }
+    }
+
+    await products.createIndex({ 'location.point': '2dsphere' });
+    await products.createIndex({ category: 1, status: 1 });
+    await products.createIndex({ owner: 1 });
+    await products.createIndex({ createdAt: -1 });
+    await products.createIndex(
+      { title: 'text', description: 'text', tags: 'text' },
+      { weights: { title: 5, tags: 3, description: 1 }, default_language: 'spanish' }
+    );
     
+    await products.createIndex({ 'location.zoneId': 1, status: 1 });
+
+    // Índices para zonas (ver scripts/importZones.js)
+    await db.collection('zones').createIndex({ name: 1 }, { unique: true });
+    await db.collection('zones').createIndex({ code: 1 }, { unique: true, sparse: true });
+    await db.collection('zones').createIndex({ boundary: '2dsphere' });
+    await db.collection('users').createIndex({ 'location.zoneId': 1 });
+
+    // Rastro de los vehículos: se borra solo a los TRACKING_RETENTION_DAYS días
+    await db.collection('vehiclepositions').createIndex({ schedule: 1, recordedAt: 1 });
+    await db.collection('vehiclepositions').createIndex({ recordedAt: 1 }, { expireAfterSeconds: TRACKING_RETENTION_DAYS * 24 * 60 * 60 });
+
+    // Índices para puntos verdes
+    await db.collection('dropoffpoints').createIndex({ 'location.point': '2dsphere' });
+    await db.collection('dropoffpoints').createIndex({ isActive: 1, acceptedCategories: 1 });
+    await db.collection('dropoffpoints').createIndex({ needsEmptying: 1, isActive: 1 });
+    await db.collection('collectionschedules').createIndex({ zoneId: 1, scheduledDate: 1 });
+
     // Índices para transacciones
     await db.collection('transactions').createIndex({ donor: 1 });
     await db.collection('transactions').createIndex({ recipient: 1 });
@@ -33,6 +75,13 @@ async function runMigrations() {
     // Índices para reseñas
     await db.collection('reviews').createIndex({ transaction: 1, reviewer: 1 }, { unique: true });
     await db.collection('reviews').createIndex({ reviewee: 1 });
+
+    // Roles: las cuentas de tipo comuna pasan a ser administradores municipales
+    const { modifiedCount } = await db.collection('users').updateMany(
+      { userType: 'comuna', roles: { $ne: 'municipal_admin' } },
+      { $addToSet: { roles: 'municipal_admin' } }
+    );
+    console.log(`Rol municipal_admin asignado a ${modifiedCount} usuario(s) comuna`);
     
     console.log('✅ Migraciones completadas exitosamente');
   } catch (error) {
@@ -22,6 +22,7 @@ async function seedDatabase() {
       email: 'admin@charbonier.gob.ar',
       password: adminPassword,
       userType: 'comuna',
+      roles: ['municipal_admin'],
       location: {
         address: 'Plaza Central, Charbonier, Córdoba',
         coordinates: { lat: -31.4201, lng: -64.1888 },
@@ -45,7 +46,8 @@ async function seedDatabase() {
           coordinates: { lat: -31.4205, lng: -64.1890 },
           city: 'Charbonier',
           province: 'Córdoba'
-        }
+        },
+        isVerified: true
       },
       {
         name: 'Juan Pérez',
@@ -58,7 +60,8 @@ async function seedDatabase() {
           coordinates: { lat: -31.4210, lng: -64.1885 },
           city: 'Charbonier',
           province: 'Córdoba'
-        }
+        },
+        isVerified: true
       },
       {
         name: 'EcoTaller Sustentable',
@@ -164,7 +167,8 @@ async function seedDatabase() {
       }
     ];
 
-    const createdProducts = await Product.insertMany(products);
+    // create (y no insertMany) para que el middleware complete location.point
+    const createdProducts = await Product.create(products);
     console.log(`✅ ${createdProducts.length} productos creados`);
 
     console.log('\n🎉 Base de datos poblada exitosamente!');
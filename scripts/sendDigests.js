@@ -0,0 +1,26 @@
+// scripts/sendDigests.js
+// Uso: node scripts/sendDigests.js daily|weekly
+const mongoose = require('mongoose');
+require('dotenv').config();
+const digestService = require('../services/digestService');
+
+async function sendDigests(frequency = 'daily') {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/circulapp');
+    console.log('Conectado a MongoDB');
+
+    const stats = await digestService.run(frequency);
+    console.log(`✅ Resúmenes ${frequency}: ${stats.sent} enviados, ${stats.empty} sin novedades, ${stats.skipped} ya enviados, ${stats.failed} fallidos`);
+  } catch (error) {
+    console.error('❌ Error enviando resúmenes:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+if (require.main === module) {
+  sendDigests(process.argv[2]);
+}
+
+module.exports = sendDigests;
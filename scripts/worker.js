@@ -0,0 +1,42 @@
+// scripts/worker.js
+// Uso: node scripts/worker.js
+// Ejecuta los trabajos en segundo plano (jobs/index.js) hasta recibir SIGINT o SIGTERM
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { redisClient } = require('../config/redis');
+const jobQueue = require('../services/jobQueue');
+const { registerJobs } = require('../jobs');
+
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+
+async function startWorker() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/circulapp');
+  console.log('Conectado a MongoDB');
+
+  // Mientras Redis no esté disponible los trabajos se guardan en la memoria de este proceso
+  redisClient.connect();
+
+  registerJobs(jobQueue);
+  jobQueue.start({ pollInterval: POLL_INTERVAL_MS });
+  console.log(`✅ Worker ${jobQueue.workerId} iniciado (${jobQueue.backend}), ${jobQueue.schedules.size} trabajos programados`);
+
+  const shutdown = async (signal) => {
+    console.log(`${signal} recibido, deteniendo worker...`);
+    await jobQueue.stop();
+    await redisClient.disconnect();
+    await mongoose.disconnect();
+    process.exit(0);
+  };
+
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+if (require.main === module) {
+  startWorker().catch(error => {
+    console.error('❌ Error iniciando worker:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = startWorker;
@@ -17,11 +17,21 @@ const userRoutes = require('./routes/users');
 const productRoutes = require('./routes/products');
 const chatRoutes = require('./routes/chat');
 const reviewRoutes = require('./routes/reviews');
+const transactionRoutes = require('./routes/transactions');
 const adminRoutes = require('./routes/admin');
+const materialRoutes = require('./routes/materials');
+const municipalRoutes = require('./routes/municipal');
+const notificationRoutes = require('./routes/notifications');
+const savedSearchRoutes = require('./routes/savedSearches');
+const dropOffPointRoutes = require('./routes/dropOffPoints');
+const pickupBookingRoutes = require('./routes/pickupBookings');
+const collectorRoutes = require('./routes/collector');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const authMiddleware = require('./middleware/auth');
+const { redisClient } = require('./config/redis');
+const notificationService = require('./services/notificationService');
 
 const app = express();
 const server = http.createServer(app);
@@ -51,16 +61,23 @@ app.use(limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Database connection
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/circulapp', {
-    useNewUrlParser: true,
-    useUnifiedTopology: true,
-})
-.then(() => console.log('✅ MongoDB conectado'))
-.catch(err => console.error('❌ Error conectando a MongoDB:', err));
+// Database connection (los tests gestionan su propia conexión)
+if (process.env.NODE_ENV !== 'test') {
+    mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/circulapp', {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+    })
+    .then(() => console.log('✅ MongoDB conectado'))
+    .catch(err => console.error('❌ Error conectando a MongoDB:', err));
 
-// Socket.io para chat en tiempo real
+    // Redis (lista negra de tokens, cache); la app sigue funcionando sin él
+    redisClient.connect();
+}
+
+// Socket.io para chat, notificaciones y seguimiento de vehículos en tiempo real
 require('./socket/chatSocket')(io);
+require('./socket/trackingSocket')(io);
+notificationService.setIo(io);
 
 // Routes
 app.use('/api/auth', authRoutes);
@@ -68,7 +85,18 @@ app.use('/api/users', authMiddleware, userRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/chat', authMiddleware, chatRoutes);
 app.use('/api/reviews', authMiddleware, reviewRoutes);
+app.use('/api/transactions', authMiddleware, transactionRoutes);
 app.use('/api/admin', authMiddleware, adminRoutes);
+// El catálogo de materiales es público; el router autentica sus rutas privadas
+app.use('/api/materials', materialRoutes);
+app.use('/api/municipal', authMiddleware, municipalRoutes);
+// La baja de emails es pública; el router autentica el resto de las rutas
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/saved-searches', authMiddleware, savedSearchRoutes);
+// Búsqueda pública de puntos verdes; la gestión está en /api/municipal
+app.use('/api/drop-off-points', dropOffPointRoutes);
+app.use('/api/pickup-bookings', authMiddleware, pickupBookingRoutes);
+app.use('/api/collector', authMiddleware, collectorRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -103,16 +131,19 @@ app.use('*', (req, res) => {
 
 const PORT = process.env.PORT || 5000;
 
-server.listen(PORT, () => {
-    console.log(`
+// En tests supertest levanta la app sin ocupar el puerto
+if (process.env.NODE_ENV !== 'test') {
+    server.listen(PORT, () => {
+        console.log(`
 🚀 Servidor Circulapp iniciado
 📍 Puerto: ${PORT}
 🌐 URL: http://localhost:${PORT}
 🏥 Health: http://localhost:${PORT}/health
 🔧 Entorno: ${process.env.NODE_ENV || 'development'}
 ⏰ Tiempo: ${new Date().toLocaleString()}
-    `);
-});
+        `);
+    });
+}
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
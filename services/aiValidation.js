@@ -1,14 +1,228 @@
 // services/aiValidation.js
+const WEIGHT_TO_KG = { g: 0.001, kg: 1, ton: 1000 };
+
+// Densidad plausible del material compactado (kg/m3) por categoría.
+// typical se usa para estimar el peso a partir del volumen declarado.
+const DENSITY_RANGES = {
+  plastic: { min: 30, max: 450, typical: 150 },
+  paper: { min: 60, max: 800, typical: 350 },
+  metal: { min: 80, max: 2500, typical: 400 },
+  glass: { min: 250, max: 1600, typical: 700 },
+  organic: { min: 250, max: 1100, typical: 600 },
+  electronic: { min: 100, max: 1500, typical: 400 },
+  textile: { min: 80, max: 600, typical: 250 },
+  wood: { min: 150, max: 900, typical: 450 },
+  other: { min: 20, max: 2500, typical: 300 }
+};
+
+// Confianza mínima del analizador para aprobar sin revisión humana
+const AUTO_VALIDATE_CONFIDENCE = 80;
+
+const PENALTIES = { critical: 35, warning: 15, unknown: 10 };
+
+const RECOMMENDATIONS = {
+  weight_missing: 'Indica el peso aproximado del material',
+  weight_below_minimum: 'Junta más material antes de publicarlo: no alcanza el peso mínimo de retiro',
+  weight_above_maximum: 'Divide el material en varias publicaciones: supera el peso máximo por retiro',
+  missing_images: 'Agrega las fotos requeridas para este material',
+  dimensions_missing: 'Indica las medidas del material compactado',
+  density_too_low: 'Compacta más el material o revisa las medidas: el volumen es alto para el peso declarado',
+  density_too_high: 'Revisa el peso y las medidas declaradas: el peso es alto para el volumen',
+  material_mismatch: 'Revisa el tipo de material: las fotos no coinciden con el declarado'
+};
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const issue = (code, severity, imageTypes = []) => ({
+  code,
+  severity,
+  imageTypes,
+  recommendation: RECOMMENDATIONS[code]
+});
+
+// Volumen en m3 a partir de las dimensiones, como en el modelo Product
+const getVolume = (dimensions = {}) => {
+  if (dimensions.volume) return dimensions.volume;
+  if (!dimensions.length || !dimensions.width || !dimensions.height) return null;
+  const factor = dimensions.unit === 'm' ? 1 : 0.000001;
+  return dimensions.length * dimensions.width * dimensions.height * factor;
+};
+
+// === CHEQUEOS ===
+// Cada chequeo recibe el contexto de medición y devuelve los problemas encontrados
+
+const checkWeightRange = ({ material, declaredKg }) => {
+  const { minWeight, maxWeight } = material.validationCriteria;
+
+  if (!declaredKg) return [issue('weight_missing', 'unknown')];
+  if (declaredKg < minWeight) return [issue('weight_below_minimum', 'critical')];
+  if (declaredKg > maxWeight) return [issue('weight_above_maximum', 'critical')];
+  return [];
+};
+
+const checkRequiredImages = ({ material, images }) => {
+  const present = new Set(images.map(image => image.type || 'general'));
+  const missing = (material.validationCriteria.requiredImages || [])
+    .filter(required => required.required !== false && !present.has(required.type))
+    .map(required => required.type);
+
+  return missing.length > 0 ? [issue('missing_images', 'critical', missing)] : [];
+};
+
+const checkDensity = ({ density, range }) => {
+  if (density === null) return [issue('dimensions_missing', 'unknown', ['measurement'])];
+  if (density < range.min) return [issue('density_too_low', 'warning', ['compacted', 'measurement'])];
+  if (density > range.max) return [issue('density_too_high', 'warning', ['measurement'])];
+  return [];
+};
+
+// Analizador por defecto, sin conexión: no mira los píxeles, describe cada
+// imagen con lo deducido de las medidas declaradas. Un analizador de visión
+// debe respetar la misma interfaz: analyze(context) => { images, materialType, confidence }
+const heuristicAnalyzer = {
+  async analyze({ material, images, estimatedKg, compactionQuality, issues, score }) {
+    return {
+      materialType: material.category,
+      confidence: score,
+      images: images.map(image => ({
+        materialType: material.category,
+        estimatedWeight: estimatedKg,
+        compactionQuality,
+        qualityScore: score,
+        detectedIssues: issues
+          .filter(found => found.imageTypes.length === 0 || found.imageTypes.includes(image.type || 'general'))
+          .map(found => found.code)
+      }))
+    };
+  }
+};
+
 class MaterialValidationAI {
-  async validateCompaction(images) {
-    // Análisis de imágenes para verificar compactación
-    // Estimación de peso basada en dimensiones visuales
-    // Identificación automática de tipo de material
+  constructor({ analyzer = heuristicAnalyzer, checks = [checkWeightRange, checkRequiredImages, checkDensity] } = {}) {
+    this.analyzer = analyzer;
+    this.checks = checks;
+  }
+
+  // Reemplazar el analizador (por ejemplo, por un servicio de visión)
+  setAnalyzer(analyzer) {
+    this.analyzer = analyzer;
+  }
+
+  // Valida una publicación de material contra los criterios del catálogo.
+  // product: { images: [{ type }], weight: { declared, unit }, dimensions }
+  // Devuelve el estado sugerido: validated y rejected son casos claros,
+  // pending queda para revisión del personal municipal.
+  async validateCompaction(product, material) {
+    const range = DENSITY_RANGES[material.category] || DENSITY_RANGES.other;
+    const images = product.images || [];
+    const declaredKg = (product.weight?.declared || 0) * (WEIGHT_TO_KG[product.weight?.unit] || 1);
+    const volume = getVolume(product.dimensions);
+    const density = volume && declaredKg ? declaredKg / volume : null;
+
+    const context = { material, images, declaredKg, volume, density, range };
+    const issues = this.checks.flatMap(check => check(context));
+
+    const analysis = await this.analyzer.analyze({
+      ...context,
+      issues,
+      score: this.score(issues),
+      estimatedKg: volume ? round(volume * range.typical) : declaredKg || undefined,
+      compactionQuality: density !== null ? Math.min(100, Math.round((density / range.typical) * 100)) : undefined
+    });
+
+    if (analysis.materialType && analysis.materialType !== material.category) {
+      issues.push(issue('material_mismatch', 'warning'));
+    }
+
+    const score = this.score(issues);
+    const confidence = Math.min(analysis.confidence ?? score, 100);
+
+    return {
+      status: this.decide(issues, confidence),
+      confidence,
+      issues,
+      estimatedWeight: analysis.images[0]?.estimatedWeight,
+      images: analysis.images,
+      qualityAssessment: {
+        overallScore: score,
+        compactionQuality: analysis.images[0]?.compactionQuality,
+        recommendations: [...new Set(issues.map(found => found.recommendation).filter(Boolean))]
+      }
+    };
+  }
+
+  score(issues) {
+    return Math.max(0, issues.reduce((total, found) => total - (PENALTIES[found.severity] || 0), 100));
+  }
+
+  decide(issues, confidence) {
+    if (issues.some(found => found.severity === 'critical')) return 'rejected';
+    if (issues.length === 0 && confidence >= AUTO_VALIDATE_CONFIDENCE) return 'validated';
+    return 'pending';
+  }
+
+  // Escribe el resultado en el producto (sin guardarlo)
+  applyValidation(product, result, material) {
+    result.images.forEach((aiAnalysis, index) => {
+      if (product.images[index]) product.images[index].aiAnalysis = aiAnalysis;
+    });
+
+    if (result.estimatedWeight !== undefined) {
+      product.weight.estimated = result.estimatedWeight;
+      product.materialAnalysis.estimatedWeight = result.estimatedWeight;
+    }
+
+    product.materialAnalysis.materialType = product.materialAnalysis.materialType || material.category;
+    product.materialAnalysis.qualityAssessment = {
+      ...product.materialAnalysis.qualityAssessment,
+      ...result.qualityAssessment
+    };
+    product.materialAnalysis.aiValidation = {
+      confidence: result.confidence,
+      processedAt: new Date()
+    };
+    product.materialAnalysis.compactionStatus = result.status;
+
+    if (result.status !== 'pending') {
+      product.materialAnalysis.validatedAt = new Date();
+      product.materialAnalysis.validationNotes = 'Validación automática';
+    }
+
+    if (result.status === 'validated') {
+      product.materialAnalysis.environmentalImpact = product.calculateEnvironmentalImpact();
+      product.materialAnalysis.recyclingValue = material.recyclingValue * (product.weight.estimated || product.weight.declared || 0);
+    }
+
+    return product;
   }
-  
-  async suggestOptimizations(userHistory) {
-    // Sugerencias personalizadas basadas en historial
+
+  // Sugerencias personalizadas a partir de los problemas repetidos
+  // en las publicaciones anteriores del usuario
+  async suggestOptimizations(userHistory = []) {
+    const counts = {};
+
+    userHistory.forEach(product => {
+      const codes = new Set((product.images || []).flatMap(image => image.aiAnalysis?.detectedIssues || []));
+      codes.forEach(code => { counts[code] = (counts[code] || 0) + 1; });
+    });
+
+    const rejected = userHistory.filter(product => product.materialAnalysis?.compactionStatus === 'rejected').length;
+    const suggestions = Object.entries(counts)
+      .filter(([code, count]) => RECOMMENDATIONS[code] && count >= 2)
+      .sort((a, b) => b[1] - a[1])
+      .map(([code, count]) => ({ code, occurrences: count, recommendation: RECOMMENDATIONS[code] }));
+
+    return {
+      rejectionRate: userHistory.length > 0 ? Math.round((rejected / userHistory.length) * 100) : 0,
+      suggestions
+    };
   }
 }
 
-module.exports = MaterialValidationAI;
\ No newline at end of file
+module.exports = new MaterialValidationAI();
+module.exports.MaterialValidationAI = MaterialValidationAI;
+module.exports.DENSITY_RANGES = DENSITY_RANGES;
+module.exports.heuristicAnalyzer = heuristicAnalyzer;
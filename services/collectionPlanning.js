@@ -0,0 +1,384 @@
+// services/collectionPlanning.js
+const CollectionSchedule = require('../models/CollectionSchedule');
+const Product = require('../models/Product');
+const routeService = require('./routeOptimization');
+const notificationService = require('./notificationService');
+const zoneService = require('./zoneService');
+const { startOfDay } = require('../utils/dates');
+const { COLLECTION_TIMEZONE } = require('../config/pickupBookings');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const ACTIVE_STATUSES = ['scheduled', 'in_progress'];
+const WEIGHT_TO_KG = { g: 0.001, kg: 1, ton: 1000 };
+
+const planningError = (message, status, details = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+};
+
+class CollectionPlanningService {
+  getDayRange(date) {
+    const start = new Date(date);
+    const end = new Date(start);
+    end.setDate(start.getDate() + 1);
+    return { start, end };
+  }
+
+  // Cronogramas (vehículos) de la zona disponibles para planificar ese día.
+  // zone es una zona resuelta por zoneService.resolve()
+  getSchedules(zone, date) {
+    const { start, end } = this.getDayRange(date);
+    return CollectionSchedule.find({
+      ...zoneService.filterFor(zone, 'zoneId', 'zone'),
+      isActive: true,
+      status: 'scheduled',
+      scheduledDate: { $gte: start, $lt: end }
+    }).sort({ 'timeSlot.start': 1 });
+  }
+
+  // Productos ya asignados a otros cronogramas activos
+  getScheduledElsewhere(scheduleIds) {
+    return CollectionSchedule.distinct('route.products', {
+      _id: { $nin: scheduleIds },
+      isActive: true,
+      status: { $in: ACTIVE_STATUSES }
+    });
+  }
+
+  // Ventana horaria del retiro para ese día: {} sin restricción, null si no está disponible
+  getPickupWindow(product, date) {
+    const day = new Date(date);
+    const dayOfWeek = DAYS[day.getUTCDay()];
+    const sameDay = other => new Date(other).toISOString().slice(0, 10) === day.toISOString().slice(0, 10);
+    const { availability = {}, pickupOptions = {} } = product;
+
+    if ((availability.blackoutDates || []).some(sameDay)) return null;
+    if (availability.startDate && availability.startDate > this.getDayRange(date).end) return null;
+    if (availability.endDate && availability.endDate < day) return null;
+
+    const preferences = (pickupOptions.schedulePreferences || [])
+      .map(slot => ({ day: slot.day, start: slot.timeStart, end: slot.timeEnd, preferred: slot.preferred }));
+    const slots = preferences.length > 0
+      ? preferences
+      : (availability.timeSlots || []).map(slot => ({ day: slot.day, start: slot.startTime, end: slot.endTime }));
+
+    if (slots.length === 0) return {};
+
+    const [slot] = slots
+      .filter(candidate => candidate.day === dayOfWeek)
+      .sort((a, b) => Number(Boolean(b.preferred)) - Number(Boolean(a.preferred)));
+
+    return slot ? { start: slot.start, end: slot.end } : null;
+  }
+
+  toPickup(product, timeWindow) {
+    const weight = product.weight?.actual || product.weight?.estimated || product.weight?.declared || 0;
+    const weightKg = weight * (WEIGHT_TO_KG[product.weight?.unit] || 1);
+
+    return {
+      product: product._id,
+      address: product.location.address,
+      coordinates: { lat: product.location.coordinates.lat, lng: product.location.coordinates.lng },
+      materialType: product.materialAnalysis?.materialType || product.materialType || 'other',
+      timeWindow: timeWindow.start || timeWindow.end ? timeWindow : undefined,
+      load: weightKg,
+      loadByUnit: {
+        kg: weightKg,
+        items: 1,
+        m3: product.dimensions?.volume || 0
+      }
+    };
+  }
+
+  // Productos que se pueden planificar: materiales validados, sin procesar y
+  // que aceptan retiro. Lo usan también las rutas confirmadas y las reservas.
+  getPickupCriteria() {
+    return {
+      status: 'available',
+      'pickupOptions.allowsPickup': true,
+      'materialAnalysis.compactionStatus': 'validated',
+      'processing.isProcessed': { $ne: true }
+    };
+  }
+
+  // Retiros pendientes de la zona: materiales validados que aceptan retiro
+  async getPendingPickups(zone, date, scheduleIds) {
+    const scheduledElsewhere = await this.getScheduledElsewhere(scheduleIds);
+
+    const products = await Product.find({
+      _id: { $nin: scheduledElsewhere },
+      ...zoneService.filterFor(zone, 'location.zoneId', 'location.zone'),
+      ...this.getPickupCriteria()
+    });
+
+    const pickups = [];
+    const unavailable = [];
+
+    products.forEach(product => {
+      const timeWindow = this.getPickupWindow(product, date);
+      if (timeWindow) {
+        pickups.push(this.toPickup(product, timeWindow));
+      } else {
+        unavailable.push({ product: product._id, address: product.location.address, reason: 'not_available' });
+      }
+    });
+
+    return { pickups, unavailable };
+  }
+
+  toVehicle(schedule) {
+    return { schedule: schedule._id, ...schedule.getRouteOptions() };
+  }
+
+  // Hora estimada a partir de los minutos desde el inicio del día del
+  // cronograma en la zona horaria del municipio
+  toEstimatedTime(schedule, minutes) {
+    const dayStart = startOfDay(schedule.scheduledDate, COLLECTION_TIMEZONE);
+    return new Date(dayStart.getTime() + minutes * 60 * 1000);
+  }
+
+  toRoutePoint(schedule, pickup, arrival) {
+    return {
+      address: pickup.address,
+      coordinates: pickup.coordinates,
+      products: [pickup.product],
+      timeWindow: pickup.timeWindow,
+      load: pickup.loadByUnit[schedule.capacity.unit] ?? pickup.load,
+      estimatedTime: this.toEstimatedTime(schedule, arrival),
+      status: 'pending'
+    };
+  }
+
+  // Propuesta de rutas para todos los vehículos de la zona en la fecha
+  async buildPlan(zone, date) {
+    const schedules = await this.getSchedules(zone, date);
+    if (schedules.length === 0) {
+      throw planningError('No hay cronogramas programados para la zona en esa fecha', 404);
+    }
+
+    const { pickups, unavailable } = await this.getPendingPickups(zone, date, schedules.map(s => s._id));
+    const vehicles = schedules.map(schedule => this.toVehicle(schedule));
+    const plan = await routeService.planVehicleRoutes(vehicles, pickups);
+
+    return {
+      zone: zone.name,
+      zoneId: zone.id,
+      date,
+      routes: plan.routes.map((route, index) => {
+        const schedule = schedules[index];
+        return {
+          scheduleId: schedule._id,
+          title: schedule.title,
+          vehicle: schedule.vehicle,
+          timeSlot: schedule.timeSlot,
+          route: route.stops.map((stop, position) => this.toRoutePoint(schedule, stop, route.arrivals[position])),
+          metrics: {
+            distance: route.distance,
+            duration: route.duration,
+            load: route.load,
+            capacity: schedule.capacity.maximum,
+            unit: schedule.capacity.unit
+          }
+        };
+      }),
+      unassigned: [
+        ...plan.unassigned.map(pickup => ({
+          product: pickup.product,
+          address: pickup.address,
+          materialType: pickup.materialType,
+          reason: vehicles.some(vehicle => routeService.isCompatible(vehicle, pickup))
+            ? 'capacity_or_time'
+            : 'incompatible_material'
+        })),
+        ...unavailable
+      ]
+    };
+  }
+
+  // Guardar las rutas propuestas (o editadas) en cada cronograma.
+  // routes: [{ scheduleId, route: [{ products: [productId] }] }]
+  async commitPlan(routes) {
+    const scheduleIds = routes.map(route => route.scheduleId.toString());
+    const productIds = routes.flatMap(route => route.route.flatMap(point => point.products.map(String)));
+
+    if (new Set(scheduleIds).size !== scheduleIds.length) {
+      throw planningError('Cada cronograma debe aparecer una sola vez', 400);
+    }
+    if (new Set(productIds).size !== productIds.length) {
+      throw planningError('Un producto no puede asignarse a más de una parada', 400);
+    }
+
+    const schedules = await CollectionSchedule.find({ _id: { $in: scheduleIds }, isActive: true, status: 'scheduled' });
+    if (schedules.length !== scheduleIds.length) {
+      throw planningError('Algunos cronogramas no existen o ya no están programados', 409);
+    }
+
+    // Las reservas de los vecinos se conservan aunque el retiro cambie de parada o de vehículo
+    const bookings = new Map(schedules.flatMap(schedule => schedule.route
+      .filter(point => point.bookedBy)
+      .flatMap(point => point.products.map(id => [id.toString(), { bookedBy: point.bookedBy, bookedAt: point.bookedAt, reminderSentAt: point.reminderSentAt, schedule }]))));
+
+    // Una reserva solo puede quedar fuera de las rutas si el material ya no se
+    // puede retirar; en ese caso se avisa al vecino
+    const missingBookings = [...bookings.keys()].filter(id => !productIds.includes(id));
+    const stillBookable = (await Product.find({ _id: { $in: missingBookings }, ...this.getPickupCriteria() }).select('_id'))
+      .map(product => product._id.toString());
+
+    if (stillBookable.length > 0) {
+      throw planningError('Las rutas no incluyen retiros reservados por vecinos', 409, { products: stillBookable });
+    }
+
+    // Cada parada guarda un solo vecino: una reserva no se agrupa con otros retiros
+    const groupedBookings = routes.flatMap(({ route }) => route
+      .filter(point => point.products.length > 1)
+      .flatMap(point => point.products.map(String))
+      .filter(id => bookings.has(id)));
+
+    if (groupedBookings.length > 0) {
+      throw planningError('Los retiros reservados deben ir en una parada propia', 422, { products: groupedBookings });
+    }
+
+    // Mismo criterio que la propuesta: una ruta editada no puede sumar
+    // materiales sin validar, que no aceptan retiro o ya procesados
+    const scheduledElsewhere = (await this.getScheduledElsewhere(scheduleIds)).map(String);
+    const products = await Product.find({ _id: { $in: productIds }, ...this.getPickupCriteria() });
+    const unavailable = productIds.filter(id =>
+      scheduledElsewhere.includes(id) || !products.some(product => product._id.toString() === id)
+    );
+
+    if (unavailable.length > 0) {
+      throw planningError('Algunos retiros ya no están disponibles', 409, { products: unavailable });
+    }
+
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+    const outsideZone = routes.flatMap(({ scheduleId, route }) => {
+      const schedule = schedules.find(s => s._id.toString() === scheduleId.toString());
+      const zone = { id: schedule.zoneId, name: schedule.zone };
+      return route.flatMap(point => point.products.map(String))
+        .filter(id => !zoneService.contains(zone, productsById.get(id).location, 'zoneId', 'zone'));
+    });
+
+    if (outsideZone.length > 0) {
+      throw planningError('Algunos retiros no pertenecen a la zona del cronograma', 422, { products: outsideZone });
+    }
+    const updates = routes.map(({ scheduleId, route }) => {
+      const schedule = schedules.find(s => s._id.toString() === scheduleId.toString());
+      const vehicle = this.toVehicle(schedule);
+
+      const pickups = route.map(point => {
+        const stopProducts = point.products.map(id => productsById.get(id.toString()));
+        const [first] = stopProducts;
+        const timeWindow = this.getPickupWindow(first, schedule.scheduledDate);
+
+        if (!timeWindow) {
+          throw planningError('Algunos retiros no están disponibles ese día', 409, { products: [first._id] });
+        }
+
+        const pickup = this.toPickup(first, timeWindow);
+
+        // Varias publicaciones retiradas en la misma parada suman su carga
+        stopProducts.slice(1).forEach(product => {
+          const extra = this.toPickup(product, {});
+          pickup.load += extra.load;
+          Object.keys(pickup.loadByUnit).forEach(unit => { pickup.loadByUnit[unit] += extra.loadByUnit[unit]; });
+        });
+        pickup.products = stopProducts.map(product => product._id);
+        pickup.materialTypes = stopProducts.map(product => this.toPickup(product, {}).materialType);
+        return pickup;
+      });
+
+      const incompatible = pickups.some(pickup => pickup.materialTypes.some(materialType =>
+        !routeService.isCompatible(vehicle, { materialType })
+      ));
+      const evaluation = routeService.evaluateRoute(pickups, vehicle);
+
+      if (incompatible || !evaluation.feasible) {
+        throw planningError('La ruta no respeta capacidad, horarios o tipos de material del vehículo', 422, {
+          scheduleId: schedule._id
+        });
+      }
+
+      return { schedule, pickups, evaluation };
+    });
+
+    for (const { schedule, pickups, evaluation } of updates) {
+      schedule.route = pickups.map((pickup, index) => ({
+        ...this.toRoutePoint(schedule, pickup, evaluation.arrivals[index]),
+        ...this.toBooking(bookings.get(pickup.products[0].toString())),
+        products: pickup.products
+      }));
+      schedule.capacity.current = pickups.reduce((total, pickup) =>
+        total + (pickup.loadByUnit[schedule.capacity.unit] ?? pickup.load), 0);
+      schedule.routeMetrics = {
+        distance: evaluation.distance,
+        duration: evaluation.duration,
+        optimizedAt: new Date()
+      };
+      await schedule.save();
+    }
+
+    updates.forEach(({ schedule }) => this.notifyScheduledPickups(schedule));
+    this.notifyRemovedBookings(missingBookings.map(id => ({ product: id, ...bookings.get(id) })));
+
+    return updates.map(({ schedule }) => schedule);
+  }
+
+  toBooking(booking) {
+    return booking
+      ? { bookedBy: booking.bookedBy, bookedAt: booking.bookedAt, reminderSentAt: booking.reminderSentAt }
+      : {};
+  }
+
+  // Avisar a los vecinos cuyas reservas quedaron fuera de las rutas
+  async notifyRemovedBookings(removed) {
+    try {
+      const products = await Product.find({ _id: { $in: removed.map(booking => booking.product) } }).select('title');
+
+      await Promise.all(removed.map(({ product: productId, bookedBy, schedule }) => {
+        const product = products.find(candidate => candidate._id.toString() === productId);
+
+        return notificationService.notify(bookedBy, {
+          type: 'collection',
+          event: 'booking_cancelled',
+          title: 'Reserva de retiro cancelada',
+          message: `Cancelamos el retiro de "${product?.title || 'tu material'}" del ${schedule.scheduledDate.toLocaleDateString('es-AR')} porque el material ya no está disponible para retirar`,
+          data: { schedule: schedule._id, product: productId }
+        });
+      }));
+    } catch (error) {
+      console.error('Error notificando reservas canceladas:', error);
+    }
+  }
+
+  // Avisar a los dueños de los materiales el horario estimado de retiro
+  async notifyScheduledPickups(schedule) {
+    try {
+      const products = await Product.find({ _id: { $in: schedule.route.flatMap(point => point.products) } })
+        .select('owner title');
+
+      await Promise.all(schedule.route.flatMap(point => point.products.map(productId => {
+        const product = products.find(candidate => candidate._id.toString() === productId.toString());
+        if (!product) return null;
+
+        const when = point.estimatedTime
+          ? `el ${point.estimatedTime.toLocaleString('es-AR')}`
+          : `el ${schedule.scheduledDate.toLocaleDateString('es-AR')}`;
+
+        return notificationService.notify(product.owner, {
+          type: 'collection',
+          event: 'scheduled',
+          title: 'Retiro programado',
+          message: `Pasaremos a retirar "${product.title}" ${when}`,
+          data: { schedule: schedule._id, product: product._id }
+        });
+      })));
+    } catch (error) {
+      console.error('Error notificando retiros programados:', error);
+    }
+  }
+}
+
+module.exports = new CollectionPlanningService();
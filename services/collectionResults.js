@@ -0,0 +1,285 @@
+// services/collectionResults.js
+const CollectionSchedule = require('../models/CollectionSchedule');
+const Product = require('../models/Product');
+const Transaction = require('../models/Transaction');
+const routeService = require('./routeOptimization');
+const notificationService = require('./notificationService');
+const favoriteService = require('./favoriteService');
+const { DEFAULT_FUEL_TYPE, FUEL_CO2_PER_LITRE } = require('../config/emissions');
+
+const OPEN_STATUSES = ['scheduled', 'in_progress'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const resultsError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const productWeight = (product) =>
+  product.weight.actual || product.weight.estimated || product.weight.declared || 0;
+
+const MINUTE = 60 * 1000;
+
+class CollectionResultsService {
+  // Cronograma asignado al recolector
+  async getAssignedSchedule(scheduleId, collectorId) {
+    const schedule = await CollectionSchedule.findOne({ _id: scheduleId, isActive: true });
+    if (!schedule) {
+      throw resultsError('Cronograma no encontrado', 404);
+    }
+    if (!schedule.collector?.equals(collectorId)) {
+      throw resultsError('No estás asignado a este cronograma', 403);
+    }
+    return schedule;
+  }
+
+  // Comenzar el recorrido: solo desde programado y una sola vez
+  async startSchedule(scheduleId, collectorId, now = new Date()) {
+    await this.getAssignedSchedule(scheduleId, collectorId);
+
+    const started = await CollectionSchedule.findOneAndUpdate(
+      { _id: scheduleId, status: 'scheduled' },
+      { $set: { status: 'in_progress', startedAt: now } },
+      { new: true }
+    );
+    if (!started) {
+      throw resultsError('El cronograma ya fue iniciado o cerrado', 409);
+    }
+    return started;
+  }
+
+  // Registrar lo sucedido en un punto del recorrido en curso. Se puede
+  // corregir mientras el cronograma no se cierre.
+  // entry: { status, collectedWeight, skipReason, notes, photo }
+  async recordPoint(scheduleId, pointId, collectorId, entry, now = new Date()) {
+    const schedule = await this.getAssignedSchedule(scheduleId, collectorId);
+    if (!schedule.route.id(pointId)) {
+      throw resultsError('Punto de ruta no encontrado', 404);
+    }
+
+    const completed = entry.status === 'completed';
+    const update = {
+      $set: {
+        'route.$.status': entry.status,
+        'route.$.actualTime': now
+      },
+      $unset: {}
+    };
+    const setOrUnset = (field, value) => {
+      if (value === undefined) update.$unset[`route.$.${field}`] = 1;
+      else update.$set[`route.$.${field}`] = value;
+    };
+
+    setOrUnset('collectedWeight', completed ? entry.collectedWeight : undefined);
+    setOrUnset('skipReason', completed ? undefined : entry.skipReason);
+    setOrUnset('collectorNotes', entry.notes);
+    if (entry.photo) update.$set['route.$.photo'] = entry.photo;
+    if (Object.keys(update.$unset).length === 0) delete update.$unset;
+
+    const updated = await CollectionSchedule.findOneAndUpdate(
+      { _id: scheduleId, status: 'in_progress', 'route._id': pointId },
+      update,
+      { new: true }
+    );
+    if (!updated) {
+      throw resultsError('El recorrido no está en curso', 409);
+    }
+    return { schedule: updated, point: updated.route.id(pointId) };
+  }
+
+  // Cerrar el recorrido del recolector con lo registrado en cada punto. La
+  // duración es el tiempo desde que se inició, salvo que se informe otra.
+  async closeSchedule(scheduleId, collectorId, report = {}, now = new Date()) {
+    const schedule = await this.getAssignedSchedule(scheduleId, collectorId);
+    if (schedule.status !== 'in_progress') {
+      throw resultsError('El recorrido no está en curso', 409);
+    }
+
+    const duration = report.duration ?? (schedule.startedAt ? Math.round((now - schedule.startedAt) / MINUTE) : undefined);
+    return this.completeSchedule(scheduleId, { ...report, points: [], duration });
+  }
+
+  // Emisiones del vehículo: por consumo real si se registró, si no por distancia
+  calculateEmissions(schedule, distance, fuelUsed) {
+    const fuelType = schedule.vehicle?.fuelType || DEFAULT_FUEL_TYPE[schedule.vehicle?.type];
+
+    if (fuelUsed && FUEL_CO2_PER_LITRE[fuelType]) {
+      return round(fuelUsed * FUEL_CO2_PER_LITRE[fuelType]);
+    }
+
+    return routeService.calculateCarbonFootprint(distance, schedule.vehicle);
+  }
+
+  // Reparte el peso registrado en el punto entre sus productos y devuelve
+  // el peso total recolectado
+  applyCollectedWeight(point, products) {
+    const declared = products.reduce((total, product) => total + productWeight(product), 0);
+
+    if (point.collectedWeight == null) return declared;
+
+    products.forEach(product => {
+      const share = declared > 0 ? productWeight(product) / declared : 1 / products.length;
+      product.weight.actual = point.collectedWeight * share;
+    });
+
+    return point.collectedWeight;
+  }
+
+  // Cerrar el cronograma con lo registrado en cada punto y calcular su
+  // balance de carbono: CO2 evitado por los materiales menos lo emitido.
+  // report: { points: [{ pointId, status, collectedWeight, notes }], distance, duration, fuelUsed, issues }
+  async completeSchedule(scheduleId, report = {}) {
+    const schedule = await CollectionSchedule.findById(scheduleId);
+    if (!schedule) {
+      throw resultsError('Cronograma no encontrado', 404);
+    }
+    if (!OPEN_STATUSES.includes(schedule.status)) {
+      throw resultsError('El cronograma ya fue cerrado', 409);
+    }
+
+    const now = new Date();
+    for (const entry of report.points || []) {
+      const point = schedule.route.id(entry.pointId);
+      if (!point) {
+        throw resultsError('Punto de ruta no encontrado', 400);
+      }
+
+      point.status = entry.status;
+      point.actualTime = point.actualTime || now;
+      if (entry.collectedWeight !== undefined) point.collectedWeight = entry.collectedWeight;
+      if (entry.notes) point.collectorNotes = entry.notes;
+    }
+
+    // Los puntos que no se registraron quedan como omitidos
+    schedule.route.forEach(point => {
+      if (!['completed', 'skipped'].includes(point.status)) point.status = 'skipped';
+    });
+
+    const completedPoints = schedule.route.filter(point => point.status === 'completed');
+    const products = await Product.find({ _id: { $in: completedPoints.flatMap(point => point.products) } });
+
+    let totalWeight = 0;
+    let co2Saved = 0;
+
+    completedPoints.forEach(point => {
+      const pointProducts = products.filter(product =>
+        point.products.some(id => id.toString() === product._id.toString())
+      );
+
+      totalWeight += this.applyCollectedWeight(point, pointProducts);
+
+      pointProducts.forEach(product => {
+        const impact = product.calculateEnvironmentalImpact();
+        product.materialAnalysis.environmentalImpact = impact;
+        product.materialAnalysis.carbonFootprintSaved = impact.carbonFootprintSaved;
+        co2Saved += impact.co2Reduction;
+      });
+    });
+
+    const distance = report.distance ?? schedule.routeMetrics?.distance ??
+      routeService.evaluateRoute(completedPoints, schedule.getRouteOptions()).distance;
+    const carbonFootprint = this.calculateEmissions(schedule, distance, report.fuelUsed);
+
+    const results = {
+      totalWeight: round(totalWeight),
+      totalItems: products.length,
+      pointsCompleted: completedPoints.length,
+      pointsSkipped: schedule.route.length - completedPoints.length,
+      duration: report.duration ?? schedule.routeMetrics?.duration,
+      distance: round(distance),
+      fuelUsed: report.fuelUsed,
+      carbonFootprint,
+      co2Saved: round(co2Saved),
+      netBenefit: round(co2Saved - carbonFootprint),
+      issues: report.issues || []
+    };
+
+    // Solo se cierra si nadie lo cerró mientras tanto
+    const completed = await CollectionSchedule.findOneAndUpdate(
+      { _id: schedule._id, status: schedule.status },
+      {
+        $set: {
+          route: schedule.route.map(point => point.toObject()),
+          results,
+          status: 'completed',
+          completedDate: now
+        }
+      },
+      { new: true }
+    );
+
+    if (!completed) {
+      throw resultsError('El cronograma ya fue cerrado', 409);
+    }
+
+    await Promise.all(products.map(product => product.save()));
+    await this.markCollected(products, now);
+
+    this.notifyOwners(completed);
+
+    return completed;
+  }
+
+  // Los productos recolectados dejan de estar disponibles. Solo se marcan los
+  // que seguían disponibles: si entretanto se reservaron o donaron, manda esa
+  // transacción. Como en una donación, las solicitudes abiertas se cancelan.
+  async markCollected(products, now = new Date()) {
+    const donated = [];
+
+    for (const product of products) {
+      const updated = await Product.findOneAndUpdate(
+        { _id: product._id, status: 'available' },
+        { $set: { status: 'donated' } },
+        { new: true }
+      );
+      if (updated) donated.push(updated);
+    }
+    if (donated.length === 0) return donated;
+
+    const filter = { product: { $in: donated.map(product => product._id) }, status: { $in: ['pending', 'accepted'] } };
+    const open = await Transaction.find(filter);
+    await Transaction.updateMany(filter, {
+      status: 'cancelled',
+      cancelledAt: now,
+      cancellationReason: 'El material fue retirado por la recolección municipal'
+    });
+
+    open.forEach(transaction => {
+      transaction.cancellationReason = 'El material fue retirado por la recolección municipal';
+      notificationService.notifyTransaction(transaction.recipient, transaction, 'cancelled');
+    });
+    donated.forEach(product => favoriteService.notifyWatchers(product, 'donated'));
+
+    return donated;
+  }
+
+  // Avisar a cada dueño si su material fue retirado o quedó pendiente
+  async notifyOwners(schedule) {
+    try {
+      const products = await Product.find({ _id: { $in: schedule.route.flatMap(point => point.products) } })
+        .select('owner title');
+
+      await Promise.all(schedule.route.flatMap(point => point.products.map(productId => {
+        const product = products.find(candidate => candidate._id.toString() === productId.toString());
+        if (!product) return null;
+
+        const collected = point.status === 'completed';
+        return notificationService.notify(product.owner, {
+          type: 'collection',
+          event: collected ? 'collected' : 'skipped',
+          title: collected ? 'Material retirado' : 'No pudimos retirar tu material',
+          message: collected
+            ? `Retiramos "${product.title}". ¡Gracias por reciclar!`
+            : `No pudimos retirar "${product.title}". Lo incluiremos en una próxima recolección.`,
+          data: { schedule: schedule._id, product: product._id }
+        });
+      })));
+    } catch (error) {
+      console.error('Error notificando resultados de recolección:', error);
+    }
+  }
+}
+
+module.exports = new CollectionResultsService();
@@ -0,0 +1,291 @@
+// services/digestService.js
+const mongoose = require('mongoose');
+const Digest = require('../models/Digest');
+const Notification = require('../models/Notification');
+const Product = require('../models/Product');
+const Chat = require('../models/Chat');
+const User = require('../models/User');
+const emailService = require('../utils/emailService');
+const notificationService = require('./notificationService');
+const { haversineDistance } = require('../utils/geo');
+const {
+  DEFAULT_TIMEZONE,
+  DIGEST_PERIODS,
+  DIGEST_NEARBY_RADIUS_KM,
+  DIGEST_MAX_ITEMS
+} = require('../config/notifications');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KM_PER_DEGREE = 111.32;
+
+// Entregas por email que esperan al próximo resumen
+const PENDING_DIGEST = { channel: 'email', status: 'deferred', reason: 'digest' };
+
+// Fecha local (YYYY-MM-DD) y día de la semana (0 = domingo) en la zona horaria dada
+const localDate = (date, timezone) => {
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' });
+  } catch (error) {
+    formatter = new Intl.DateTimeFormat('en-CA', { timeZone: DEFAULT_TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit' });
+  }
+
+  const day = formatter.format(date);
+  return { day, weekday: new Date(`${day}T00:00:00Z`).getUTCDay() };
+};
+
+class DigestService {
+  // Envía el resumen a todos los usuarios activos con esa frecuencia.
+  // Se puede ejecutar varias veces por período: los ya enviados se omiten.
+  async run(frequency, now = new Date()) {
+    if (!DIGEST_PERIODS[frequency]) {
+      throw new Error(`Frecuencia de resumen inválida: ${frequency}`);
+    }
+
+    const stats = { sent: 0, empty: 0, skipped: 0, failed: 0 };
+    const users = User.find({ isActive: true, 'notificationPreferences.digest.frequency': frequency })
+      .select('name email locale location notificationPreferences')
+      .cursor();
+
+    for await (const user of users) {
+      try {
+        const result = await this.sendDigest(user, frequency, now);
+        stats[result.status]++;
+      } catch (error) {
+        console.error(`Error enviando resumen a ${user._id}:`, error);
+        stats.failed++;
+      }
+    }
+
+    return stats;
+  }
+
+  async sendDigest(user, frequency, now = new Date()) {
+    const timezone = user.notificationPreferences?.quietHours?.timezone || DEFAULT_TIMEZONE;
+    const periodKey = this.getPeriodKey(frequency, now, timezone);
+
+    const digest = await this.buildDigest(user, frequency, now);
+    if (this.isEmpty(digest)) {
+      return { status: 'empty' };
+    }
+
+    const record = await this.claim(user._id, frequency, periodKey);
+    if (!record) {
+      return { status: 'skipped' };
+    }
+
+    const notificationIds = digest.notifications.map(notification => notification._id);
+    const productIds = digest.nearbyProducts.map(product => product._id);
+
+    try {
+      await emailService.sendDigestEmail(user, digest, notificationService.getUnsubscribeLinks(user._id));
+    } catch (error) {
+      console.error('Error enviando email de resumen:', error);
+      record.status = 'failed';
+      record.error = error.message;
+      await record.save();
+      return { status: 'failed', digest: record };
+    }
+
+    await Notification.updateMany(
+      { _id: { $in: notificationIds } },
+      { $set: { 'deliveries.$[delivery].status': 'sent', 'deliveries.$[delivery].sentAt': now } },
+      { arrayFilters: [{ 'delivery.channel': 'email', 'delivery.status': 'deferred', 'delivery.reason': 'digest' }] }
+    );
+
+    Object.assign(record, {
+      status: 'sent',
+      error: undefined,
+      sentAt: now,
+      notifications: notificationIds,
+      products: productIds,
+      summary: {
+        notifications: digest.notifications.length,
+        newRequests: digest.newRequests.length,
+        unreadMessages: digest.unreadMessages.total,
+        expiringListings: digest.expiringListings.length,
+        nearbyProducts: digest.nearbyProducts.length,
+        co2Saved: digest.impact.co2Reduction
+      }
+    });
+    await record.save();
+
+    return { status: 'sent', digest: record };
+  }
+
+  // Reserva el período para este usuario. Devuelve null si el resumen ya se
+  // envió (o se está enviando); un envío fallido puede reintentarse.
+  async claim(userId, frequency, periodKey) {
+    try {
+      return await Digest.create({ user: userId, frequency, periodKey });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      return Digest.findOneAndUpdate(
+        { user: userId, frequency, periodKey, status: 'failed' },
+        { $set: { status: 'sending' } },
+        { new: true }
+      );
+    }
+  }
+
+  async buildDigest(user, frequency, now = new Date()) {
+    const since = await this.getSince(user._id, frequency, now);
+
+    const [notifications, unreadMessages, expiringListings, impact, nearbyProducts] = await Promise.all([
+      this.getPendingNotifications(user._id, now),
+      this.getUnreadMessages(user._id, since),
+      this.getExpiringListings(user._id, frequency, now),
+      this.getEnvironmentalImpact(user._id),
+      this.getNearbyProducts(user, since, now)
+    ]);
+
+    return {
+      frequency,
+      since,
+      notifications,
+      newRequests: notifications.filter(notification =>
+        notification.type === 'transaction' && notification.event === 'request'
+      ),
+      unreadMessages,
+      expiringListings,
+      impact,
+      nearbyProducts
+    };
+  }
+
+  // El impacto ambiental solo acompaña: sin novedades no se envía el resumen
+  isEmpty(digest) {
+    return digest.notifications.length === 0 &&
+      digest.unreadMessages.total === 0 &&
+      digest.expiringListings.length === 0 &&
+      digest.nearbyProducts.length === 0;
+  }
+
+  // Día del resumen diario o lunes de la semana del resumen semanal
+  getPeriodKey(frequency, now, timezone = DEFAULT_TIMEZONE) {
+    const { day, weekday } = localDate(now, timezone);
+    if (frequency === 'daily') return day;
+
+    const monday = new Date(`${day}T00:00:00Z`);
+    monday.setUTCDate(monday.getUTCDate() - (weekday + 6) % 7);
+    return monday.toISOString().slice(0, 10);
+  }
+
+  // Inicio del período: el último resumen enviado, sin ir más atrás que la frecuencia
+  async getSince(userId, frequency, now) {
+    const periodStart = new Date(now.getTime() - DIGEST_PERIODS[frequency].days * DAY_MS);
+    const last = await Digest.findOne({ user: userId, status: 'sent' }).sort({ sentAt: -1 }).select('sentAt');
+
+    return last && last.sentAt > periodStart ? last.sentAt : periodStart;
+  }
+
+  getPendingNotifications(userId, now) {
+    return Notification.find({
+      recipient: userId,
+      createdAt: { $lte: now },
+      deliveries: { $elemMatch: PENDING_DIGEST }
+    })
+      .sort({ createdAt: -1 })
+      .select('type event title message data createdAt');
+  }
+
+  // Mensajes de chat sin leer enviados por otros participantes
+  // Mensajes sin leer recibidos desde el último resumen: los anteriores ya se avisaron
+  async getUnreadMessages(userId, since) {
+    const id = new mongoose.Types.ObjectId(userId);
+    const chats = await Chat.aggregate([
+      { $match: { participants: id, isActive: true } },
+      { $unwind: '$messages' },
+      { $match: { 'messages.sender': { $ne: id }, 'messages.isRead': false, 'messages.createdAt': { $gt: since } } },
+      {
+        $group: {
+          _id: '$_id',
+          product: { $first: '$product' },
+          count: { $sum: 1 },
+          lastMessageAt: { $max: '$messages.createdAt' }
+        }
+      },
+      { $sort: { lastMessageAt: -1 } }
+    ]);
+
+    await Product.populate(chats, { path: 'product', select: 'title' });
+
+    return {
+      total: chats.reduce((sum, chat) => sum + chat.count, 0),
+      chats: chats.map(chat => ({
+        chat: chat._id,
+        product: chat.product,
+        count: chat.count,
+        lastMessageAt: chat.lastMessageAt
+      }))
+    };
+  }
+
+  // Publicaciones propias que vencen antes del próximo resumen
+  getExpiringListings(userId, frequency, now) {
+    const until = new Date(now.getTime() + DIGEST_PERIODS[frequency].expiringWithinDays * DAY_MS);
+
+    return Product.find({
+      owner: userId,
+      status: 'available',
+      'availability.endDate': { $gte: now, $lte: until }
+    })
+      .sort({ 'availability.endDate': 1 })
+      .limit(DIGEST_MAX_ITEMS)
+      .select('title availability.endDate');
+  }
+
+  // Impacto acumulado de los productos donados por el usuario
+  async getEnvironmentalImpact(userId) {
+    const donated = await Product.find({ owner: userId, status: 'donated' })
+      .select('weight materialAnalysis.materialType');
+
+    return donated.reduce((impact, product) => {
+      const productImpact = product.calculateEnvironmentalImpact();
+      impact.co2Reduction += productImpact.co2Reduction;
+      impact.waterSaved += productImpact.waterSaved;
+      impact.energySaved += productImpact.energySaved;
+      return impact;
+    }, { donatedProducts: donated.length, co2Reduction: 0, waterSaved: 0, energySaved: 0 });
+  }
+
+  // Productos publicados desde el último resumen cerca de la ubicación guardada
+  // del usuario, sin repetir los que ya se incluyeron en resúmenes anteriores
+  async getNearbyProducts(user, since, now) {
+    const origin = user.location?.coordinates;
+    if (typeof origin?.lat !== 'number' || typeof origin?.lng !== 'number') {
+      return [];
+    }
+
+    const latDelta = DIGEST_NEARBY_RADIUS_KM / KM_PER_DEGREE;
+    const lngDelta = DIGEST_NEARBY_RADIUS_KM / (KM_PER_DEGREE * Math.max(Math.cos(origin.lat * Math.PI / 180), 0.01));
+
+    const alreadySent = await Digest.distinct('products', { user: user._id, status: 'sent', sentAt: { $gte: since } });
+
+    const candidates = await Product.find({
+      _id: { $nin: alreadySent },
+      owner: { $ne: user._id },
+      status: 'available',
+      createdAt: { $gt: since, $lte: now },
+      'location.coordinates.lat': { $gte: origin.lat - latDelta, $lte: origin.lat + latDelta },
+      'location.coordinates.lng': { $gte: origin.lng - lngDelta, $lte: origin.lng + lngDelta }
+    })
+      .sort({ createdAt: -1 })
+      .select('title category location images createdAt');
+
+    return candidates
+      .map(product => ({ product, distance: haversineDistance(origin, product.location.coordinates) }))
+      .filter(({ distance }) => distance <= DIGEST_NEARBY_RADIUS_KM)
+      .slice(0, DIGEST_MAX_ITEMS)
+      .map(({ product, distance }) => ({
+        _id: product._id,
+        title: product.title,
+        category: product.category,
+        address: product.location.address,
+        distance: Math.round(distance * 10) / 10
+      }));
+  }
+}
+
+module.exports = new DigestService();
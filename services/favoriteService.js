@@ -0,0 +1,95 @@
+// services/favoriteService.js
+const Favorite = require('../models/Favorite');
+const Product = require('../models/Product');
+const notificationService = require('./notificationService');
+
+// Estados de un producto guardado que se avisan a quienes lo guardaron
+const STATUS_MESSAGES = {
+  reserved: {
+    title: 'Un producto que guardaste fue reservado',
+    message: (title) => `"${title}" fue reservado. Te avisaremos si vuelve a estar disponible.`
+  },
+  available: {
+    title: '¡Un producto que guardaste está disponible!',
+    message: (title) => `"${title}" vuelve a estar disponible. Solicítalo antes de que lo reserve otra persona.`
+  },
+  expired: {
+    title: 'Un producto que guardaste venció',
+    message: (title) => `"${title}" ya no está publicado porque venció.`
+  },
+  donated: {
+    title: 'Un producto que guardaste ya no está disponible',
+    message: (title) => `"${title}" ya fue entregado.`
+  }
+};
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class FavoriteService {
+  // Guardar un producto. Si ya estaba guardado no cambia nada.
+  async add(userId, productId) {
+    const product = await Product.findOne({ _id: productId, status: { $ne: 'removed' } }).select('owner');
+    if (!product) {
+      throw httpError(404, 'Producto no encontrado');
+    }
+    if (product.owner.toString() === userId.toString()) {
+      throw httpError(400, 'No puedes guardar tu propio producto');
+    }
+
+    const { upsertedCount } = await Favorite.updateOne(
+      { user: userId, product: productId },
+      { $setOnInsert: { user: userId, product: productId } },
+      { upsert: true }
+    );
+
+    if (upsertedCount) {
+      await Product.updateOne({ _id: productId }, { $inc: { 'analytics.favorites': 1 } });
+    }
+
+    return { created: upsertedCount > 0, favorites: await this.count(productId) };
+  }
+
+  async remove(userId, productId) {
+    const { deletedCount } = await Favorite.deleteOne({ user: userId, product: productId });
+
+    if (deletedCount) {
+      await Product.updateOne({ _id: productId }, { $inc: { 'analytics.favorites': -1 } });
+    }
+
+    return { removed: deletedCount > 0, favorites: await this.count(productId) };
+  }
+
+  async count(productId) {
+    const product = await Product.findById(productId).select('analytics.favorites');
+    return product?.analytics?.favorites || 0;
+  }
+
+  // Avisar a quienes guardaron el producto que cambió de estado.
+  // No lanza errores: el cambio de estado no debe fallar por los avisos.
+  async notifyWatchers(product, status) {
+    try {
+      const { title, message } = STATUS_MESSAGES[status];
+      const watchers = await Favorite.find({ product: product._id }).distinct('user');
+
+      await notificationService.notifyMany(watchers, {
+        type: 'favorite',
+        event: status,
+        title,
+        message: message(product.title),
+        data: { product: product._id }
+      });
+
+      return watchers.length;
+    } catch (error) {
+      console.error('Error avisando cambios de un producto guardado:', error);
+      return 0;
+    }
+  }
+}
+
+module.exports = new FavoriteService();
+module.exports.FavoriteService = FavoriteService;
@@ -0,0 +1,365 @@
+// services/jobQueue.js
+const os = require('os');
+const { redisClient } = require('../config/redis');
+const { parseCron, nextCronDate } = require('../utils/cron');
+const {
+  JOB_TIMEZONE,
+  DEFAULT_MAX_ATTEMPTS,
+  RETRY_BASE_DELAY_MS,
+  RETRY_MAX_DELAY_MS,
+  DEAD_LETTER_LIMIT,
+  WORKER_STALE_AFTER_MS
+} = require('../config/jobs');
+
+const KEYS = {
+  ready: 'jobs:ready',
+  delayed: 'jobs:delayed',
+  dead: 'jobs:dead',
+  lastRuns: 'jobs:last-runs',
+  workers: 'jobs:workers',
+  stat: (name) => `jobs:stats:${name}`,
+  cronLock: (name, runAt) => `jobs:cron:${name}:${runAt.getTime()}`
+};
+
+const STATS = ['completed', 'retried', 'failed'];
+
+// Listas, hashes y contadores en memoria con la misma interfaz que Redis.
+// Se usa cuando Redis no está disponible: los trabajos solo viven en este proceso.
+class MemoryStore {
+  constructor() {
+    this.lists = new Map();
+    this.hashes = new Map();
+    this.values = new Map();
+  }
+
+  list(key) {
+    if (!this.lists.has(key)) this.lists.set(key, []);
+    return this.lists.get(key);
+  }
+
+  hash(key) {
+    if (!this.hashes.has(key)) this.hashes.set(key, {});
+    return this.hashes.get(key);
+  }
+
+  async lpush(key, ...values) {
+    this.list(key).unshift(...values.reverse());
+    return true;
+  }
+
+  async rpop(key) {
+    const value = this.list(key).pop();
+    return value === undefined ? null : value;
+  }
+
+  async llen(key) {
+    return this.list(key).length;
+  }
+
+  async lrange(key, start, stop) {
+    return this.list(key).slice(start, stop === -1 ? undefined : stop + 1);
+  }
+
+  async ltrim(key, start, stop) {
+    this.lists.set(key, await this.lrange(key, start, stop));
+    return true;
+  }
+
+  async hset(key, field, value) {
+    this.hash(key)[field] = value;
+    return true;
+  }
+
+  async hdel(key, field) {
+    delete this.hash(key)[field];
+    return true;
+  }
+
+  async hgetall(key) {
+    return { ...this.hash(key) };
+  }
+
+  async incr(key) {
+    const value = Number(await this.get(key)) + 1;
+    this.values.set(key, { value: String(value) });
+    return value;
+  }
+
+  async get(key) {
+    const entry = this.values.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.values.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, { EX, NX } = {}) {
+    if (NX && await this.get(key) !== null) return false;
+    this.values.set(key, { value: String(value), expiresAt: EX ? Date.now() + EX * 1000 : null });
+    return true;
+  }
+}
+
+// Demora del reintento: crece al doble en cada intento, con un máximo
+const getBackoffDelay = (attempts, baseDelay = RETRY_BASE_DELAY_MS) =>
+  Math.min(baseDelay * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY_MS);
+
+class JobQueue {
+  constructor({ redis = redisClient, timezone = JOB_TIMEZONE } = {}) {
+    this.redis = redis;
+    this.memory = new MemoryStore();
+    this.timezone = timezone;
+    this.handlers = new Map();
+    this.schedules = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.running = false;
+    this.stopping = false;
+    this.timer = null;
+    this.current = null;
+  }
+
+  // Almacenamiento activo: Redis si está conectado, memoria si no
+  get store() {
+    return this.redis.isConnected ? this.redis : this.memory;
+  }
+
+  get backend() {
+    return this.redis.isConnected ? 'redis' : 'memory';
+  }
+
+  // handler(data, job) puede ser async; si lanza un error el trabajo se reintenta
+  register(name, handler, { maxAttempts = DEFAULT_MAX_ATTEMPTS, backoff = RETRY_BASE_DELAY_MS } = {}) {
+    this.handlers.set(name, { handler, maxAttempts, backoff });
+    return this;
+  }
+
+  // Encolar el trabajo según una expresión cron (ver utils/cron.js)
+  schedule(name, cron, data = {}, now = new Date()) {
+    if (!this.handlers.has(name)) {
+      throw new Error(`Trabajo no registrado: ${name}`);
+    }
+
+    const parsed = parseCron(cron);
+    this.schedules.set(name, { name, cron, parsed, data, nextRunAt: nextCronDate(parsed, now, this.timezone) });
+    return this;
+  }
+
+  async add(name, data = {}, { delay = 0, runAt = null, maxAttempts } = {}) {
+    const registered = this.handlers.get(name);
+    if (!registered) {
+      throw new Error(`Trabajo no registrado: ${name}`);
+    }
+
+    const now = Date.now();
+    const job = {
+      id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+      name,
+      data,
+      attempts: 0,
+      maxAttempts: maxAttempts || registered.maxAttempts,
+      createdAt: new Date(now).toISOString(),
+      runAt: new Date(runAt ? new Date(runAt).getTime() : now + delay).toISOString()
+    };
+
+    await this.push(new Date(job.runAt).getTime() > now ? KEYS.delayed : KEYS.ready, job);
+    return job;
+  }
+
+  // Si Redis falla al escribir, el trabajo queda en memoria en lugar de perderse
+  async push(key, job) {
+    const value = JSON.stringify(job);
+    if (this.redis.isConnected && await this.redis.lpush(key, value)) return;
+    await this.memory.lpush(key, value);
+  }
+
+  // Encolar los cron vencidos y pasar a la cola los trabajos demorados cuya hora llegó
+  async tick(now = new Date()) {
+    for (const schedule of this.schedules.values()) {
+      if (schedule.nextRunAt > now) continue;
+
+      // Con varios workers, solo uno encola cada ejecución
+      const lock = await this.store.set(KEYS.cronLock(schedule.name, schedule.nextRunAt), this.workerId, { NX: true, EX: 24 * 60 * 60 });
+      if (lock) {
+        await this.add(schedule.name, schedule.data);
+      }
+      schedule.nextRunAt = nextCronDate(schedule.parsed, now, this.timezone);
+    }
+
+    await this.promoteDelayed(this.memory, now);
+    if (this.redis.isConnected) {
+      await this.promoteDelayed(this.redis, now);
+    }
+  }
+
+  // Recorre la lista de demorados una vez: los vencidos pasan a la cola y
+  // el resto vuelve a la lista
+  async promoteDelayed(store, now) {
+    const count = await store.llen(KEYS.delayed);
+
+    for (let i = 0; i < count; i++) {
+      const value = await store.rpop(KEYS.delayed);
+      if (value === null) break;
+
+      const job = JSON.parse(value);
+      await store.lpush(new Date(job.runAt) <= now ? KEYS.ready : KEYS.delayed, value);
+    }
+  }
+
+  // Toma y ejecuta el siguiente trabajo. Devuelve null si la cola está vacía.
+  async processNext(now = new Date()) {
+    let value = this.redis.isConnected ? await this.redis.rpop(KEYS.ready) : null;
+    if (value === null) value = await this.memory.rpop(KEYS.ready);
+    if (value === null) return null;
+
+    const job = JSON.parse(value);
+    const registered = this.handlers.get(job.name);
+    const startedAt = Date.now();
+    job.attempts++;
+
+    try {
+      if (!registered) {
+        throw new Error(`Trabajo no registrado: ${job.name}`);
+      }
+
+      this.current = job;
+      const result = await registered.handler(job.data, job);
+
+      await this.store.incr(KEYS.stat('completed'));
+      await this.recordRun(job, { status: 'completed', duration: Date.now() - startedAt });
+      return { job, status: 'completed', result };
+    } catch (error) {
+      console.error(`Error ejecutando trabajo ${job.name} (intento ${job.attempts}/${job.maxAttempts}):`, error);
+      job.lastError = error.message;
+      await this.recordRun(job, { status: 'failed', duration: Date.now() - startedAt, error: error.message });
+
+      if (registered && job.attempts < job.maxAttempts) {
+        job.runAt = new Date(now.getTime() + getBackoffDelay(job.attempts, registered.backoff)).toISOString();
+        await this.push(KEYS.delayed, job);
+        await this.store.incr(KEYS.stat('retried'));
+        return { job, status: 'retried', error };
+      }
+
+      job.failedAt = new Date().toISOString();
+      await this.push(KEYS.dead, job);
+      await this.store.ltrim(KEYS.dead, 0, DEAD_LETTER_LIMIT - 1);
+      await this.store.incr(KEYS.stat('failed'));
+      return { job, status: 'failed', error };
+    } finally {
+      this.current = null;
+    }
+  }
+
+  recordRun(job, { status, duration, error }) {
+    return this.store.hset(KEYS.lastRuns, job.name, JSON.stringify({
+      status,
+      jobId: job.id,
+      attempts: job.attempts,
+      duration,
+      error,
+      finishedAt: new Date().toISOString()
+    }));
+  }
+
+  // Un ciclo completo: cron, demorados y todos los trabajos listos
+  async runOnce(now = new Date()) {
+    await this.tick(now);
+
+    const results = [];
+    let result;
+    while (!this.stopping && (result = await this.processNext(now))) {
+      results.push(result);
+    }
+    return results;
+  }
+
+  start({ pollInterval = 1000 } = {}) {
+    if (this.running) return;
+    this.running = true;
+    this.stopping = false;
+    this.startedAt = new Date().toISOString();
+
+    const loop = async () => {
+      try {
+        await this.heartbeat();
+        await this.runOnce();
+      } catch (error) {
+        console.error('Error en el ciclo de trabajos:', error);
+      }
+
+      if (this.running) {
+        this.timer = setTimeout(loop, pollInterval);
+      }
+    };
+
+    loop();
+  }
+
+  // Detiene el ciclo y espera a que termine el trabajo en curso
+  async stop() {
+    this.running = false;
+    this.stopping = true;
+    clearTimeout(this.timer);
+
+    while (this.current) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    await this.store.hdel(KEYS.workers, this.workerId);
+  }
+
+  heartbeat() {
+    return this.store.hset(KEYS.workers, this.workerId, JSON.stringify({
+      pid: process.pid,
+      startedAt: this.startedAt,
+      lastSeenAt: new Date().toISOString(),
+      schedules: [...this.schedules.values()].map(({ name, cron, nextRunAt }) => ({ name, cron, nextRunAt }))
+    }));
+  }
+
+  // Estado de las colas para el panel de administración
+  async getHealth({ deadLetters = 20 } = {}) {
+    const store = this.store;
+    const countsOf = async (source) => ({
+      ready: await source.llen(KEYS.ready),
+      delayed: await source.llen(KEYS.delayed),
+      dead: await source.llen(KEYS.dead)
+    });
+
+    const [queues, dead, lastRuns, workers, stats] = await Promise.all([
+      countsOf(store),
+      store.lrange(KEYS.dead, 0, deadLetters - 1),
+      store.hgetall(KEYS.lastRuns),
+      store.hgetall(KEYS.workers),
+      Promise.all(STATS.map(async name => [name, Number(await store.get(KEYS.stat(name))) || 0]))
+    ]);
+
+    const now = Date.now();
+    const health = {
+      backend: this.backend,
+      queues,
+      stats: Object.fromEntries(stats),
+      workers: Object.entries(workers).map(([id, value]) => {
+        const worker = JSON.parse(value);
+        return { id, ...worker, alive: now - new Date(worker.lastSeenAt).getTime() < WORKER_STALE_AFTER_MS };
+      }),
+      lastRuns: Object.fromEntries(Object.entries(lastRuns).map(([name, value]) => [name, JSON.parse(value)])),
+      deadLetters: dead.map(value => JSON.parse(value))
+    };
+
+    // Trabajos que quedaron en memoria mientras Redis no estaba disponible
+    if (this.backend === 'redis') {
+      health.memoryFallback = await countsOf(this.memory);
+    }
+
+    return health;
+  }
+}
+
+module.exports = new JobQueue();
+module.exports.JobQueue = JobQueue;
+module.exports.MemoryStore = MemoryStore;
+module.exports.getBackoffDelay = getBackoffDelay;
+module.exports.KEYS = KEYS;
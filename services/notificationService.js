@@ -0,0 +1,288 @@
+// services/notificationService.js
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const emailService = require('../utils/emailService');
+const tokenService = require('../utils/tokenService');
+const { QUIET_HOURS_CHANNELS, DEFAULT_TIMEZONE } = require('../config/notifications');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+const TRANSACTION_MESSAGES = {
+  request: {
+    title: 'Nueva solicitud para tu producto',
+    message: 'Alguien está interesado en tu producto. Revisa la solicitud para responder.'
+  },
+  accepted: {
+    title: 'Solicitud aceptada',
+    message: 'La solicitud fue aceptada. Coordina la entrega a través del chat.'
+  },
+  offered: {
+    title: '¡El producto que esperabas está disponible!',
+    message: 'El producto por el que estabas en fila de espera quedó libre y te lo ofrecemos a ti.'
+  },
+  rejected: {
+    title: 'Tu solicitud no fue aceptada',
+    message: 'El donante no pudo aceptar tu solicitud esta vez. ¡Sigue explorando otros productos disponibles!'
+  },
+  completed: {
+    title: 'Transacción completada',
+    message: 'La entrega fue confirmada por ambas partes. No olvides calificar tu experiencia.'
+  },
+  cancelled: {
+    title: 'Transacción cancelada',
+    message: 'La transacción fue cancelada.'
+  }
+};
+
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutos transcurridos del día en la zona horaria del usuario
+const localMinutes = (date, timezone) => {
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+  } catch (error) {
+    formatter = new Intl.DateTimeFormat('en-GB', { timeZone: DEFAULT_TIMEZONE, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+  }
+
+  const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]));
+  return Number(parts.hour) * 60 + Number(parts.minute);
+};
+
+class NotificationService {
+  constructor() {
+    this.io = null;
+    // Proveedores externos de push y SMS: { send(user, notification) }
+    this.providers = {};
+  }
+
+  // Servidor de Socket.IO usado para el envío en vivo
+  setIo(io) {
+    this.io = io;
+  }
+
+  setProvider(channel, provider) {
+    this.providers[channel] = provider;
+  }
+
+  // Único punto de salida de las notificaciones: guarda la notificación y la
+  // envía por los canales que el usuario eligió para ese tipo, respetando el
+  // horario de silencio y la frecuencia de resumen.
+  // Con `channels` se limita el envío a esos canales (por ejemplo, los que el
+  // usuario eligió para una búsqueda guardada).
+  // No lanza errores: una notificación fallida no debe deshacer la
+  // operación que la originó.
+  async notify(recipient, { type, event, title, message, data = {}, channels: allowed }) {
+    try {
+      const user = await User.findById(recipient).select('name email phone locale isActive notificationPreferences');
+      if (!user || !user.isActive) return null;
+
+      const channels = this.getEnabledChannels(user, type)
+        .filter(channel => !allowed || allowed.includes(channel));
+      if (channels.length === 0) return null;
+
+      const notification = await Notification.create({ recipient, type, event, title, message, data, channels });
+
+      notification.deliveries = await Promise.all(
+        channels.map(channel => this.deliver(user, notification, channel))
+      );
+      await notification.save();
+
+      return notification;
+    } catch (error) {
+      console.error('Error creando notificación:', error);
+      return null;
+    }
+  }
+
+  notifyMany(recipients, payload) {
+    const unique = [...new Set(recipients.filter(Boolean).map(String))];
+    return Promise.all(unique.map(recipient => this.notify(recipient, payload)));
+  }
+
+  notifyTransaction(recipient, transaction, event) {
+    const { title, message } = TRANSACTION_MESSAGES[event];
+    let detail = message;
+
+    if (event === 'cancelled' && transaction.cancellationReason) {
+      detail = `La transacción fue cancelada: ${transaction.cancellationReason}`;
+    }
+    if (event === 'offered' && transaction.offer?.expiresAt) {
+      detail = `${message} Responde antes del ${transaction.offer.expiresAt.toLocaleString('es-AR')} o se ofrecerá a la siguiente persona.`;
+    }
+
+    return this.notify(recipient, {
+      type: 'transaction',
+      event,
+      title,
+      message: detail,
+      data: { transaction: transaction._id, product: transaction.product }
+    });
+  }
+
+  getEnabledChannels(user, type) {
+    const preferences = user.notificationPreferences?.channels?.[type] || {};
+    return Object.keys(preferences.toObject ? preferences.toObject() : preferences)
+      .filter(channel => preferences[channel]);
+  }
+
+  // Enviar (o postergar) por un canal y devolver el registro de entrega
+  async deliver(user, notification, channel, now = new Date()) {
+    const { digest, quietHours } = user.notificationPreferences;
+
+    if (channel === 'in_app') {
+      return this.send(user, notification, channel, now);
+    }
+
+    if (channel === 'email' && digest?.frequency !== 'immediate') {
+      return { channel, status: 'deferred', reason: 'digest' };
+    }
+
+    if (QUIET_HOURS_CHANNELS.includes(channel) && this.isQuietTime(quietHours, now)) {
+      return { channel, status: 'deferred', reason: 'quiet_hours', deliverAfter: this.getQuietHoursEnd(quietHours, now) };
+    }
+
+    return this.send(user, notification, channel, now);
+  }
+
+  async send(user, notification, channel, now = new Date()) {
+    try {
+      if (channel === 'in_app') {
+        await this.emitLive(user._id, notification);
+        return { channel, status: 'sent', sentAt: now };
+      }
+
+      if (channel === 'email') {
+        await emailService.sendNotificationEmail(user, notification, this.getUnsubscribeLinks(user._id, notification.type));
+        return { channel, status: 'sent', sentAt: now };
+      }
+
+      const provider = this.providers[channel];
+      if (!provider) {
+        return { channel, status: 'skipped', reason: 'no_provider' };
+      }
+      if (channel === 'sms' && !user.phone) {
+        return { channel, status: 'skipped', reason: 'no_phone' };
+      }
+
+      await provider.send(user, notification);
+      return { channel, status: 'sent', sentAt: now };
+    } catch (error) {
+      console.error(`Error enviando notificación por ${channel}:`, error);
+      return { channel, status: 'failed', reason: error.message };
+    }
+  }
+
+  // Enviar lo postergado por horario de silencio cuyo plazo ya venció
+  async flushDeferred(now = new Date()) {
+    const pending = await Notification.find({
+      deliveries: { $elemMatch: { status: 'deferred', reason: 'quiet_hours', deliverAfter: { $lte: now } } }
+    });
+    let sent = 0;
+
+    for (const notification of pending) {
+      const user = await User.findById(notification.recipient).select('name email phone locale isActive notificationPreferences');
+
+      notification.deliveries = await Promise.all(notification.deliveries.map(async delivery => {
+        const due = delivery.status === 'deferred' && delivery.reason === 'quiet_hours' && delivery.deliverAfter <= now;
+        if (!due) return delivery.toObject();
+        if (!user || !user.isActive) return { channel: delivery.channel, status: 'skipped', reason: 'inactive_user' };
+
+        const result = await this.deliver(user, notification, delivery.channel, now);
+        if (result.status === 'sent') sent++;
+        return result;
+      }));
+
+      await notification.save();
+    }
+
+    return sent;
+  }
+
+  isQuietTime(quietHours, date = new Date()) {
+    if (!quietHours?.enabled) return false;
+
+    const now = localMinutes(date, quietHours.timezone);
+    const start = timeToMinutes(quietHours.start);
+    const end = timeToMinutes(quietHours.end);
+
+    // Un horario como 22:00-08:00 cruza la medianoche
+    return start <= end ? now >= start && now < end : now >= start || now < end;
+  }
+
+  getQuietHoursEnd(quietHours, date = new Date()) {
+    const now = localMinutes(date, quietHours.timezone);
+    const minutesLeft = (timeToMinutes(quietHours.end) - now + 24 * 60) % (24 * 60);
+    const end = new Date(date.getTime() + minutesLeft * 60 * 1000);
+    end.setSeconds(0, 0);
+    return end;
+  }
+
+  // url: baja con un clic (POST, cabecera List-Unsubscribe)
+  // pageUrl: página del frontend que confirma la baja
+  getUnsubscribeLinks(userId, type) {
+    const token = encodeURIComponent(tokenService.generateUnsubscribeToken(userId, type));
+    return {
+      url: `${API_URL}/api/notifications/unsubscribe?token=${token}`,
+      pageUrl: `${FRONTEND_URL}/unsubscribe?token=${token}`
+    };
+  }
+
+  // Solo se muestran en la app las notificaciones con ese canal activo
+  inAppFilter(userId) {
+    return { recipient: userId, channels: 'in_app' };
+  }
+
+  getUnreadCount(userId) {
+    return Notification.countDocuments({ ...this.inAppFilter(userId), isRead: false });
+  }
+
+  async markRead(userId, notificationId) {
+    const notification = await Notification.findOneAndUpdate(
+      { ...this.inAppFilter(userId), _id: notificationId },
+      { $set: { isRead: true }, $min: { readAt: new Date() } },
+      { new: true }
+    );
+
+    if (notification) this.emitUnreadCount(userId);
+    return notification;
+  }
+
+  async markAllRead(userId) {
+    const result = await Notification.updateMany(
+      { ...this.inAppFilter(userId), isRead: false },
+      { isRead: true, readAt: new Date() }
+    );
+
+    this.emitUnreadCount(userId);
+    return result.modifiedCount;
+  }
+
+  async emitLive(userId, notification) {
+    if (!this.io) return;
+
+    this.io.to(userId.toString()).emit('notification', {
+      notification,
+      unreadCount: await this.getUnreadCount(userId)
+    });
+  }
+
+  // Mantiene sincronizado el contador en los demás dispositivos del usuario
+  async emitUnreadCount(userId) {
+    if (!this.io) return;
+
+    try {
+      this.io.to(userId.toString()).emit('notifications_unread', {
+        unreadCount: await this.getUnreadCount(userId)
+      });
+    } catch (error) {
+      console.error('Error enviando contador de notificaciones:', error);
+    }
+  }
+}
+
+module.exports = new NotificationService();
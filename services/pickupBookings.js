@@ -0,0 +1,278 @@
+// services/pickupBookings.js
+const CollectionSchedule = require('../models/CollectionSchedule');
+const Product = require('../models/Product');
+const collectionPlanning = require('./collectionPlanning');
+const notificationService = require('./notificationService');
+const zoneService = require('./zoneService');
+const { PICKUP_REMINDER_HOURS, PICKUP_BOOKING_WINDOW_DAYS } = require('../config/pickupBookings');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const bookingError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('es-AR');
+
+// Reservas de los vecinos: el dueño de un material validado pide que un
+// cronograma de su zona pase a retirarlo. La reserva es una parada más de la ruta.
+class PickupBookingService {
+  // Producto del usuario en condiciones de reservar un retiro
+  async getBookableProduct(productId, userId) {
+    const product = await Product.findOne({ _id: productId, owner: userId });
+    if (!product) {
+      throw bookingError('Producto no encontrado', 404);
+    }
+    if (product.status !== 'available') {
+      throw bookingError('El producto no está disponible', 409);
+    }
+    // Mismo criterio que collectionPlanning.getPickupCriteria(): si no, la
+    // reserva no aparecería en la propuesta de rutas
+    if (product.materialAnalysis?.compactionStatus !== 'validated') {
+      throw bookingError('El material debe estar validado para reservar un retiro', 400);
+    }
+    if (!product.pickupOptions?.allowsPickup) {
+      throw bookingError('El producto no acepta retiro a domicilio', 400);
+    }
+    if (product.processing?.isProcessed) {
+      throw bookingError('El material ya fue procesado', 409);
+    }
+    if (!product.location.zoneId && !product.location.zone) {
+      throw bookingError('El producto no tiene una zona asignada', 400);
+    }
+    return product;
+  }
+
+  // Cronogramas activos de la zona del producto que aceptan su material
+  findCandidates(product, now = new Date()) {
+    const pickup = collectionPlanning.toPickup(product, {});
+    return CollectionSchedule.find({
+      ...zoneService.filterFor({ id: product.location.zoneId, name: product.location.zone }, 'zoneId', 'zone'),
+      isActive: true,
+      status: 'scheduled',
+      materialTypes: pickup.materialType,
+      scheduledDate: { $gt: now, $lte: new Date(now.getTime() + PICKUP_BOOKING_WINDOW_DAYS * DAY) }
+    }).sort({ scheduledDate: 1, 'timeSlot.start': 1 });
+  }
+
+  // Carga del producto en la unidad de capacidad del cronograma
+  getLoad(schedule, pickup) {
+    return pickup.loadByUnit[schedule.capacity.unit] ?? pickup.load;
+  }
+
+  // Cronogramas en los que el producto se puede reservar: con lugar y con el
+  // producto disponible ese día
+  async getAvailableSlots(productId, userId, now = new Date()) {
+    const product = await this.getBookableProduct(productId, userId);
+    const pickup = collectionPlanning.toPickup(product, {});
+    const schedules = await this.findCandidates(product, now);
+
+    return schedules
+      .filter(schedule => schedule.hasCapacity(this.getLoad(schedule, pickup)))
+      .filter(schedule => collectionPlanning.getPickupWindow(product, schedule.scheduledDate))
+      .map(schedule => ({
+        scheduleId: schedule._id,
+        title: schedule.title,
+        zone: schedule.zone,
+        scheduledDate: schedule.scheduledDate,
+        timeSlot: schedule.timeSlot,
+        availableCapacity: schedule.capacity.maximum - schedule.capacity.current,
+        unit: schedule.capacity.unit
+      }));
+  }
+
+  async book(productId, scheduleId, userId, now = new Date()) {
+    const product = await this.getBookableProduct(productId, userId);
+
+    const scheduledElsewhere = (await collectionPlanning.getScheduledElsewhere([])).map(String);
+    if (scheduledElsewhere.includes(product._id.toString())) {
+      throw bookingError('El producto ya tiene un retiro programado', 409);
+    }
+
+    const schedule = await CollectionSchedule.findOne({
+      _id: scheduleId,
+      isActive: true,
+      status: 'scheduled',
+      scheduledDate: { $gt: now }
+    });
+    if (!schedule) {
+      throw bookingError('Cronograma no encontrado', 404);
+    }
+
+    const sameZone = schedule.zoneId && product.location.zoneId
+      ? schedule.zoneId.equals(product.location.zoneId)
+      : schedule.zone === product.location.zone;
+    if (!sameZone) {
+      throw bookingError('El cronograma no pasa por la zona del producto', 400);
+    }
+
+    const timeWindow = collectionPlanning.getPickupWindow(product, schedule.scheduledDate);
+    const pickup = collectionPlanning.toPickup(product, timeWindow || {});
+    if (!schedule.materialTypes.includes(pickup.materialType)) {
+      throw bookingError('El cronograma no recolecta este tipo de material', 400);
+    }
+    if (!timeWindow) {
+      throw bookingError('El producto no está disponible para retirar ese día', 409);
+    }
+
+    const load = this.getLoad(schedule, pickup);
+    if (!schedule.hasCapacity(load)) {
+      throw bookingError('El cronograma no tiene capacidad para este retiro', 409);
+    }
+
+    // La condición sobre la capacidad evita sobrepasarla si reservan a la vez
+    const booked = await CollectionSchedule.findOneAndUpdate(
+      {
+        _id: schedule._id,
+        status: 'scheduled',
+        'route.products': { $ne: product._id },
+        'capacity.current': { $lte: schedule.capacity.maximum - load }
+      },
+      {
+        $push: {
+          route: {
+            address: pickup.address,
+            coordinates: pickup.coordinates,
+            products: [product._id],
+            timeWindow: pickup.timeWindow,
+            load,
+            status: 'pending',
+            bookedBy: userId,
+            bookedAt: now
+          }
+        },
+        $inc: { 'capacity.current': load }
+      },
+      { new: true }
+    );
+    if (!booked) {
+      throw bookingError('El cronograma no tiene capacidad para este retiro', 409);
+    }
+
+    notificationService.notify(userId, {
+      type: 'collection',
+      event: 'booked',
+      title: 'Retiro reservado',
+      message: `Pasaremos a retirar "${product.title}" el ${formatDate(booked.scheduledDate)} entre las ${booked.timeSlot.start} y las ${booked.timeSlot.end}`,
+      data: { schedule: booked._id, product: product._id }
+    });
+
+    return { schedule: booked, point: booked.route[booked.route.length - 1] };
+  }
+
+  // Cancelar una reserva que todavía no comenzó
+  async cancel(productId, userId) {
+    const schedule = await CollectionSchedule.findOne({
+      status: 'scheduled',
+      route: { $elemMatch: { products: productId, bookedBy: userId } }
+    });
+    if (!schedule) {
+      throw bookingError('Reserva no encontrada', 404);
+    }
+
+    const point = schedule.route.find(candidate =>
+      candidate.bookedBy?.equals(userId) && candidate.products.some(id => id.equals(productId)));
+
+    const cancelled = await CollectionSchedule.findOneAndUpdate(
+      { _id: schedule._id, status: 'scheduled', 'route._id': point._id },
+      {
+        $pull: { route: { _id: point._id } },
+        $inc: { 'capacity.current': -(point.load || 0) }
+      },
+      { new: true }
+    );
+    if (!cancelled) {
+      throw bookingError('La recolección ya comenzó', 409);
+    }
+
+    return cancelled;
+  }
+
+  // Reservas del usuario en cronogramas que todavía no terminaron
+  async listForUser(userId) {
+    const schedules = await CollectionSchedule.find({
+      'route.bookedBy': userId,
+      isActive: true,
+      status: { $in: ['scheduled', 'in_progress'] }
+    })
+      .populate('route.products', 'title images status')
+      .sort({ scheduledDate: 1 });
+
+    return schedules.flatMap(schedule => schedule.route
+      .filter(point => point.bookedBy?.equals(userId))
+      .map(point => ({
+        scheduleId: schedule._id,
+        title: schedule.title,
+        zone: schedule.zone,
+        scheduledDate: schedule.scheduledDate,
+        timeSlot: schedule.timeSlot,
+        status: schedule.status,
+        products: point.products,
+        estimatedTime: point.estimatedTime,
+        pointStatus: point.status,
+        bookedAt: point.bookedAt
+      })));
+  }
+
+  // Recordatorio a quienes reservaron en los cronogramas de las próximas
+  // PICKUP_REMINDER_HOURS horas. reminderSentAt marca cada parada ya recordada:
+  // las reservas hechas después de un envío se recuerdan en el siguiente, y
+  // cada una se avisa una sola vez aunque haya varios workers.
+  // notifications.reminder/reminderSentAt registran el último envío del cronograma.
+  async sendReminders(now = new Date()) {
+    const pendingReminder = { bookedBy: { $ne: null }, status: 'pending', reminderSentAt: null };
+    const schedules = await CollectionSchedule.find({
+      isActive: true,
+      status: 'scheduled',
+      route: { $elemMatch: pendingReminder },
+      scheduledDate: { $gt: now, $lte: new Date(now.getTime() + PICKUP_REMINDER_HOURS * HOUR) }
+    });
+
+    let reminded = 0;
+
+    for (const schedule of schedules) {
+      let sent = 0;
+      const points = schedule.route.filter(point => point.bookedBy && point.status === 'pending' && !point.reminderSentAt);
+      const products = await Product.find({ _id: { $in: points.flatMap(point => point.products) } }).select('title');
+      const titles = new Map(products.map(product => [product._id.toString(), product.title]));
+
+      for (const point of points) {
+        const claimed = await CollectionSchedule.updateOne(
+          { _id: schedule._id, route: { $elemMatch: { _id: point._id, ...pendingReminder } } },
+          { $set: { 'route.$.reminderSentAt': now } }
+        );
+        if (claimed.modifiedCount === 0) continue;
+
+        const title = titles.get(point.products[0].toString()) || 'tu material';
+        const when = point.estimatedTime
+          ? `el ${point.estimatedTime.toLocaleString('es-AR')}`
+          : `el ${formatDate(schedule.scheduledDate)} entre las ${schedule.timeSlot.start} y las ${schedule.timeSlot.end}`;
+
+        await notificationService.notify(point.bookedBy, {
+          type: 'collection',
+          event: 'reminder',
+          title: 'Recordatorio de retiro',
+          message: `Recuerda tener listo "${title}": pasaremos a retirarlo ${when}`,
+          data: { schedule: schedule._id, products: point.products }
+        });
+        sent++;
+      }
+
+      if (sent > 0) {
+        await CollectionSchedule.updateOne(
+          { _id: schedule._id },
+          { $set: { 'notifications.reminder': true, 'notifications.reminderSentAt': now } }
+        );
+      }
+      reminded += sent;
+    }
+
+    return reminded;
+  }
+}
+
+module.exports = new PickupBookingService();
+module.exports.PickupBookingService = PickupBookingService;
@@ -0,0 +1,232 @@
+// services/productSearch.js
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { EARTH_RADIUS_KM } = require('../utils/geo');
+const {
+  DEFAULT_SEARCH_RADIUS_KM,
+  SEARCH_PAGE_SIZE,
+  DISTANCE_BUCKETS_KM
+} = require('../config/search');
+
+const OWNER_FIELDS = 'name avatar reputation';
+
+// Valor por el que se ordena cada criterio y su sentido. El _id desempata
+// para que el cursor sea estable.
+const SORTS = {
+  relevance: { direction: -1, value: () => ({ $meta: 'textScore' }) },
+  distance: { direction: 1, value: () => '$distance' },
+  popularity: { direction: -1, value: () => ({ $ifNull: ['$analytics.popularityScore', 0] }) },
+  newest: { direction: -1, value: () => '$createdAt', isDate: true }
+};
+
+// Filtros que tienen faceta: cada faceta cuenta con el resto de los filtros
+// aplicados, así el usuario ve cuántos resultados obtendría al cambiarla.
+// missing es el valor con que se cuentan los productos sin el campo (null: no se cuentan).
+const FACETS = {
+  category: { field: 'category', missing: null, filter: value => ({ category: value }) },
+  condition: { field: 'condition', missing: null, filter: value => ({ condition: value }) },
+  materialType: {
+    field: 'materialAnalysis.materialType',
+    missing: null,
+    filter: value => ({ 'materialAnalysis.materialType': value })
+  },
+  urgent: {
+    field: 'availability.isUrgent',
+    missing: false,
+    filter: value => (value ? { 'availability.isUrgent': true } : { 'availability.isUrgent': { $ne: true } })
+  }
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Distancia en km (haversine) desde el origen hasta la ubicación del producto
+const distanceExpression = ({ lat, lng }) => {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const productLat = { $degreesToRadians: '$location.coordinates.lat' };
+  const productLng = { $degreesToRadians: '$location.coordinates.lng' };
+  const halfSin = (delta) => ({ $pow: [{ $sin: { $divide: [delta, 2] } }, 2] });
+
+  const a = {
+    $add: [
+      halfSin({ $subtract: [productLat, toRadians(lat)] }),
+      {
+        $multiply: [
+          Math.cos(toRadians(lat)),
+          { $cos: productLat },
+          halfSin({ $subtract: [productLng, toRadians(lng)] })
+        ]
+      }
+    ]
+  };
+
+  return { $multiply: [2 * EARTH_RADIUS_KM, { $asin: { $min: [1, { $sqrt: a }] } }] };
+};
+
+class ProductSearchService {
+  // Productos dentro del radio (km). A diferencia de $near se puede contar y
+  // combinar con $text.
+  nearFilter({ lat, lng, radius = DEFAULT_SEARCH_RADIUS_KM }) {
+    return {
+      'location.point': {
+        $geoWithin: { $centerSphere: [[lng, lat], radius / EARTH_RADIUS_KM] }
+      }
+    };
+  }
+
+  // Orden por defecto: relevancia si hay texto, distancia si hay ubicación
+  resolveSort({ sort, search, location }) {
+    const resolved = sort || (search ? 'relevance' : location ? 'distance' : 'newest');
+
+    if (resolved === 'relevance' && !search) {
+      throw badRequest('El orden por relevancia requiere un texto de búsqueda');
+    }
+    if (resolved === 'distance' && !location) {
+      throw badRequest('El orden por distancia requiere una ubicación');
+    }
+    return resolved;
+  }
+
+  // El cursor guarda el valor de orden y el _id del último resultado entregado
+  encodeCursor(sort, product) {
+    return Buffer.from(JSON.stringify([sort, product.sortValue, product._id])).toString('base64url');
+  }
+
+  decodeCursor(cursor, sort) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch (error) {
+      throw badRequest('Cursor inválido');
+    }
+
+    const [cursorSort, value, id] = Array.isArray(decoded) ? decoded : [];
+    if (cursorSort !== sort || !mongoose.isValidObjectId(id)) {
+      throw badRequest('Cursor inválido');
+    }
+
+    return {
+      value: SORTS[sort].isDate ? new Date(value) : value,
+      id: new mongoose.Types.ObjectId(id)
+    };
+  }
+
+  // Resultados posteriores al cursor en el orden elegido
+  afterCursor({ value, id }, sort) {
+    const op = SORTS[sort].direction === 1 ? '$gt' : '$lt';
+    return {
+      $or: [
+        { sortValue: { [op]: value } },
+        { sortValue: value, _id: { [op]: id } }
+      ]
+    };
+  }
+
+  // Rangos de distancia que terminan en el radio de la búsqueda
+  distanceBuckets(radius) {
+    return [...DISTANCE_BUCKETS_KM.filter(limit => limit < radius), radius];
+  }
+
+  // Búsqueda con facetas en una sola agregación:
+  // - $match con los filtros sin faceta (estado, vigencia, texto y radio)
+  // - cálculo de relevancia, distancia y valor de orden
+  // - $facet con la página de resultados, el total y los conteos
+  async search({ search, category, condition, materialType, urgent, location, radius, sort, cursor, limit = SEARCH_PAGE_SIZE }, now = new Date()) {
+    const sortBy = this.resolveSort({ sort, search, location });
+    const after = cursor ? this.decodeCursor(cursor, sortBy) : null;
+    const searchRadius = radius || DEFAULT_SEARCH_RADIUS_KM;
+
+    const base = { status: 'available', $nor: [Product.expiringBefore(now)] };
+    if (search) base.$text = { $search: search };
+    if (location) Object.assign(base, this.nearFilter({ ...location, radius: searchRadius }));
+
+    const selected = { category, condition, materialType, urgent };
+    const matchFacets = (except) => ({
+      $match: Object.assign({}, ...Object.entries(FACETS)
+        .filter(([name]) => name !== except && selected[name] !== undefined)
+        .map(([name, facet]) => facet.filter(selected[name])))
+    });
+    const matchAll = matchFacets();
+
+    const computed = { sortValue: SORTS[sortBy].value() };
+    if (search) computed.score = { $meta: 'textScore' };
+    if (location) computed.distance = distanceExpression(location);
+
+    const direction = SORTS[sortBy].direction;
+    const facets = {
+      results: [
+        matchAll,
+        ...(after ? [{ $match: this.afterCursor(after, sortBy) }] : []),
+        { $sort: { sortValue: direction, _id: direction } },
+        { $limit: limit + 1 }
+      ],
+      total: [matchAll, { $count: 'count' }]
+    };
+
+    Object.entries(FACETS).forEach(([name, { field, missing }]) => {
+      facets[name] = [
+        matchFacets(name),
+        { $group: { _id: { $ifNull: [`$${field}`, missing] }, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+      ];
+    });
+
+    const buckets = location ? this.distanceBuckets(searchRadius) : [];
+    if (location) {
+      facets.distance = [
+        matchAll,
+        {
+          $group: {
+            _id: { $switch: { branches: buckets.map(limit => ({ case: { $lte: ['$distance', limit] }, then: limit })), default: searchRadius } },
+            count: { $sum: 1 }
+          }
+        }
+      ];
+    }
+
+    const [result] = await Product.aggregate([
+      { $match: base },
+      { $addFields: computed },
+      { $facet: facets }
+    ]);
+
+    const hasMore = result.results.length > limit;
+    const page = result.results.slice(0, limit);
+    const last = page[page.length - 1];
+    const products = await Product.populate(page, { path: 'owner', select: OWNER_FIELDS });
+
+    return {
+      products: products.map(({ sortValue, ...product }) => product),
+      total: result.total[0]?.count || 0,
+      sort: sortBy,
+      nextCursor: hasMore ? this.encodeCursor(sortBy, last) : null,
+      hasMore,
+      facets: this.formatFacets(result, buckets)
+    };
+  }
+
+  formatFacets(result, buckets) {
+    const facets = Object.fromEntries(Object.keys(FACETS).map(name => [
+      name,
+      result[name].filter(entry => entry._id !== null).map(entry => ({ value: entry._id, count: entry.count }))
+    ]));
+
+    if (result.distance) {
+      const counts = Object.fromEntries(result.distance.map(entry => [entry._id, entry.count]));
+      facets.distance = buckets.map((limit, index) => ({
+        fromKm: index === 0 ? 0 : buckets[index - 1],
+        toKm: limit,
+        count: counts[limit] || 0
+      }));
+    }
+
+    return facets;
+  }
+}
+
+module.exports = new ProductSearchService();
+module.exports.ProductSearchService = ProductSearchService;
+module.exports.distanceExpression = distanceExpression;
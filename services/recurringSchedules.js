@@ -0,0 +1,125 @@
+// services/recurringSchedules.js
+const CollectionSchedule = require('../models/CollectionSchedule');
+
+// Ocurrencias futuras que se mantienen creadas por cada serie recurrente.
+// Las series más largas se completan a medida que pasan las fechas
+// (job collections:extend-recurring).
+const MAX_RECURRING_OCCURRENCES = 104;
+
+// Fecha de la ocurrencia número `index` a partir de la fecha base.
+// La frecuencia mensual mantiene el día de la semana y su ordinal dentro
+// del mes (ej. segundo martes); si ese día no existe, usa el último.
+function getOccurrenceDate(baseDate, frequency, index) {
+  const date = new Date(baseDate);
+
+  if (frequency === 'monthly') {
+    const weekday = date.getUTCDay();
+    const ordinal = Math.ceil(date.getUTCDate() / 7);
+
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + index);
+    const month = date.getUTCMonth();
+
+    date.setUTCDate(1 + ((weekday - date.getUTCDay() + 7) % 7) + (ordinal - 1) * 7);
+    if (date.getUTCMonth() !== month) {
+      date.setUTCDate(date.getUTCDate() - 7);
+    }
+
+    return date;
+  }
+
+  const days = frequency === 'biweekly' ? 14 : 7;
+  date.setUTCDate(date.getUTCDate() + days * index);
+  return date;
+}
+
+class RecurringScheduleService {
+  // Crea las ocurrencias de la serie a partir de la número `fromIndex`,
+  // hasta la fecha de fin o hasta completar `limit` ocurrencias
+  async createOccurrences(baseSchedule, { fromIndex = 1, limit = MAX_RECURRING_OCCURRENCES } = {}) {
+    const frequency = baseSchedule.frequency || 'weekly';
+    const finalDate = new Date(baseSchedule.recurring.endDate);
+    const schedules = [];
+
+    // Cada ocurrencia copia la planificación, no el progreso de la original
+    const {
+      _id, createdAt, updatedAt, __v,
+      status, startedAt, completedDate, results, notifications, weather, tracking, disruption,
+      ...template
+    } = baseSchedule.toObject();
+
+    let index = fromIndex;
+    let currentDate = getOccurrenceDate(baseSchedule.scheduledDate, frequency, index);
+
+    while (currentDate <= finalDate && schedules.length < limit) {
+      schedules.push({
+        ...template,
+        scheduledDate: currentDate,
+        capacity: { ...template.capacity, current: 0 },
+        // Las reservas de los vecinos valen solo para la fecha reservada
+        route: template.route
+          .filter(point => !point.bookedBy)
+          .map(({ _id: pointId, estimatedTime, actualTime, collectedWeight, collectorNotes, skipReason, photo, arrivalNoticeSentAt, rescheduledTo, ...point }) => ({
+            ...point,
+            status: 'pending'
+          })),
+        recurring: {
+          enabled: true,
+          endDate: finalDate,
+          parentSchedule: baseSchedule._id
+        }
+      });
+
+      index++;
+      currentDate = getOccurrenceDate(baseSchedule.scheduledDate, frequency, index);
+    }
+
+    if (schedules.length > 0) {
+      await CollectionSchedule.insertMany(schedules);
+    }
+
+    return schedules.length;
+  }
+
+  // Completa las series vigentes para que cada una mantenga hasta
+  // MAX_RECURRING_OCCURRENCES ocurrencias futuras
+  async extendAll(now = new Date()) {
+    const series = await CollectionSchedule.find({
+      isActive: true,
+      'recurring.enabled': true,
+      'recurring.parentSchedule': { $exists: false },
+      'recurring.endDate': { $gt: now }
+    });
+    let created = 0;
+
+    for (const baseSchedule of series) {
+      const [last, upcoming] = await Promise.all([
+        CollectionSchedule.findOne({ 'recurring.parentSchedule': baseSchedule._id })
+          .sort({ scheduledDate: -1 })
+          .select('scheduledDate'),
+        CollectionSchedule.countDocuments({
+          'recurring.parentSchedule': baseSchedule._id,
+          scheduledDate: { $gte: now }
+        })
+      ]);
+
+      const limit = MAX_RECURRING_OCCURRENCES - upcoming;
+      if (limit <= 0) continue;
+
+      // Primera ocurrencia posterior a la última creada
+      const frequency = baseSchedule.frequency || 'weekly';
+      let fromIndex = 1;
+      while (last && getOccurrenceDate(baseSchedule.scheduledDate, frequency, fromIndex) <= last.scheduledDate) {
+        fromIndex++;
+      }
+
+      created += await this.createOccurrences(baseSchedule, { fromIndex, limit });
+    }
+
+    return created;
+  }
+}
+
+module.exports = new RecurringScheduleService();
+module.exports.getOccurrenceDate = getOccurrenceDate;
+module.exports.MAX_RECURRING_OCCURRENCES = MAX_RECURRING_OCCURRENCES;
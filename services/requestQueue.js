@@ -0,0 +1,155 @@
+// services/requestQueue.js
+const Transaction = require('../models/Transaction');
+const Product = require('../models/Product');
+const notificationService = require('./notificationService');
+const favoriteService = require('./favoriteService');
+
+const OFFER_HOURS = parseInt(process.env.QUEUE_OFFER_HOURS) || 24;
+
+class RequestQueueService {
+  // Siguiente posición libre en la fila de un producto
+  async nextPosition(productId) {
+    const last = await Transaction.findOne({ product: productId, status: 'pending' })
+      .sort({ queuePosition: -1 })
+      .select('queuePosition');
+
+    return (last?.queuePosition || 0) + 1;
+  }
+
+  // Fila ordenada de solicitudes pendientes
+  getQueue(productId) {
+    return Transaction.find({ product: productId, status: 'pending' })
+      .populate('recipient', 'name avatar reputation')
+      .sort({ queuePosition: 1, createdAt: 1 });
+  }
+
+  // Reordenar la fila según la lista de IDs de transacción enviada por el donante
+  async reorder(productId, orderedIds) {
+    const queue = await Transaction.find({ product: productId, status: 'pending' }).select('_id');
+    const queueIds = queue.map(t => t._id.toString());
+
+    const sameEntries = orderedIds.length === queueIds.length &&
+      orderedIds.every(id => queueIds.includes(id.toString()));
+
+    if (!sameEntries) {
+      const error = new Error('El orden debe incluir exactamente las solicitudes pendientes del producto');
+      error.status = 400;
+      throw error;
+    }
+
+    await Transaction.bulkWrite(orderedIds.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id, product: productId, status: 'pending' },
+        update: { queuePosition: index + 1 }
+      }
+    })));
+
+    return this.getQueue(productId);
+  }
+
+  // Ofrecer el producto a la siguiente persona en la fila.
+  // Si no queda nadie, el producto vuelve a estar disponible.
+  async offerNext(productId) {
+    const now = new Date();
+    const next = await Transaction.findOneAndUpdate(
+      { product: productId, status: 'pending', 'offer.offeredAt': null },
+      {
+        $set: {
+          'offer.offeredAt': now,
+          'offer.expiresAt': new Date(now.getTime() + OFFER_HOURS * 60 * 60 * 1000)
+        }
+      },
+      { new: true, sort: { queuePosition: 1, createdAt: 1 } }
+    );
+
+    if (!next) {
+      const released = await Product.findOneAndUpdate(
+        { _id: productId, status: 'reserved' },
+        { status: 'available' },
+        { new: true }
+      );
+      if (released) {
+        await favoriteService.notifyWatchers(released, 'available');
+      }
+      return null;
+    }
+
+    // El producto queda retenido mientras la oferta está vigente
+    // (findOneAndUpdate devuelve el estado anterior)
+    const previous = await Product.findOneAndUpdate(
+      { _id: productId, status: { $in: ['available', 'reserved'] } },
+      { status: 'reserved' }
+    );
+    if (previous?.status === 'available') {
+      await favoriteService.notifyWatchers(previous, 'reserved');
+    }
+
+    await notificationService.notifyTransaction(next.recipient, next, 'offered');
+
+    return next;
+  }
+
+  // Registrar la respuesta de quien recibió la oferta
+  async respondToOffer(transaction, accepted) {
+    const now = new Date();
+    const update = accepted
+      ? { status: 'accepted', acceptedAt: now, 'offer.respondedAt': now }
+      : {
+        status: 'cancelled',
+        cancelledAt: now,
+        cancelledBy: transaction.recipient,
+        cancellationReason: 'Oferta rechazada por el solicitante',
+        'offer.respondedAt': now
+      };
+
+    const updated = await Transaction.findOneAndUpdate(
+      {
+        _id: transaction._id,
+        status: 'pending',
+        'offer.respondedAt': null,
+        'offer.expiresAt': { $gt: now }
+      },
+      update,
+      { new: true }
+    );
+
+    if (updated && !accepted) {
+      await this.offerNext(updated.product);
+    }
+
+    return updated;
+  }
+
+  // Cancelar ofertas vencidas y pasar a la siguiente persona
+  async expireOffers(productId = null) {
+    const filters = {
+      status: 'pending',
+      'offer.respondedAt': null,
+      'offer.expiresAt': { $lte: new Date() }
+    };
+    if (productId) filters.product = productId;
+
+    const expired = await Transaction.find(filters).select('_id product');
+    let count = 0;
+
+    for (const transaction of expired) {
+      const cancelled = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, status: 'pending', 'offer.respondedAt': null },
+        {
+          status: 'cancelled',
+          cancelledAt: new Date(),
+          cancellationReason: 'La oferta expiró sin respuesta'
+        }
+      );
+
+      if (cancelled) {
+        count++;
+        await this.offerNext(transaction.product);
+      }
+    }
+
+    return count;
+  }
+}
+
+module.exports = new RequestQueueService();
@@ -1,10 +1,350 @@
 // services/routeOptimization.js
+const { haversineDistance } = require('../utils/geo');
+const { getEmissionFactor } = require('../config/emissions');
+
+// Velocidad promedio en zona urbana por tipo de vehículo (km/h)
+const AVERAGE_SPEED_KMH = {
+  truck: 25,
+  van: 30,
+  car: 35,
+  bicycle: 12,
+  walking: 4
+};
+
+const DEFAULT_SERVICE_MINUTES = 15;
+const MAX_IMPROVEMENT_PASSES = 200;
+const EPSILON = 1e-9;
+
+const timeToMinutes = (time) => {
+  if (!time) return null;
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
 class RouteService {
-  async optimizeCollectionRoute(pickupPoints) {
-    // Optimización de rutas de recolección usando Google Maps API
+  // Optimización offline de la ruta de recolección.
+  // Construye la ruta por inserción más barata respetando ventanas horarias y
+  // capacidad, y la mejora con movimientos 2-opt y Or-opt.
+  //
+  // points: [{ coordinates: { lat, lng }, timeWindow?: { start, end }, serviceTime?, load? }]
+  // options: { depot: { start, end }, startTime, endTime, capacity, vehicleType,
+  //            averageSpeedKmh, serviceTime }
+  async optimizeCollectionRoute(points, options = {}) {
+    const context = this.buildContext(points, options);
+    const original = this.simulate(context, points.map((_, index) => index));
+    const { order, unassigned } = this.solve(context);
+    const optimized = this.simulate(context, order);
+
+    return {
+      route: order.map(index => points[index]),
+      unassigned: unassigned.map(index => points[index]),
+      arrivals: optimized.arrivals,
+      before: this.summarize(original),
+      after: this.summarize(optimized),
+      savings: {
+        distance: round(original.distance - optimized.distance),
+        duration: Math.round(original.duration - optimized.duration)
+      }
+    };
   }
-  
-  async calculateCarbonFootprint(distance, materialType) {
-    // Cálculo de impacto ambiental
+
+  // Ruteo de varios vehículos con capacidad y ventanas horarias (CVRP).
+  // Asigna cada retiro al vehículo compatible donde su inserción cuesta menos
+  // y luego mejora reubicando retiros entre vehículos y dentro de cada ruta.
+  //
+  // vehicles: [{ materialTypes, depot, startTime, endTime, capacity, capacityUnit, vehicleType }]
+  // pickups: [{ coordinates, materialType, timeWindow?, serviceTime?, load?, loadByUnit? }]
+  async planVehicleRoutes(vehicles, pickups) {
+    const contexts = vehicles.map(vehicle => this.buildContext(pickups, vehicle));
+    let orders = vehicles.map(() => []);
+    const unassigned = [];
+
+    // Primero los retiros con ventanas que cierran antes y, a igualdad, los más pesados
+    const windowEnd = index => timeToMinutes(pickups[index].timeWindow?.end) ?? Infinity;
+    const candidates = [...pickups.keys()].sort((a, b) =>
+      (windowEnd(a) - windowEnd(b)) || ((pickups[b].load || 0) - (pickups[a].load || 0))
+    );
+
+    for (const index of candidates) {
+      let best = null;
+
+      vehicles.forEach((vehicle, v) => {
+        if (!this.isCompatible(vehicle, pickups[index])) return;
+
+        const currentDistance = this.simulate(contexts[v], orders[v]).distance;
+        for (let position = 0; position <= orders[v].length; position++) {
+          const trial = [...orders[v].slice(0, position), index, ...orders[v].slice(position)];
+          const result = this.simulate(contexts[v], trial);
+          const added = result.distance - currentDistance;
+
+          if (result.feasible && (!best || added < best.added - EPSILON)) {
+            best = { vehicle: v, order: trial, added };
+          }
+        }
+      });
+
+      if (best) {
+        orders[best.vehicle] = best.order;
+      } else {
+        unassigned.push(index);
+      }
+    }
+
+    orders = orders.map((order, v) => this.improve(contexts[v], order));
+    if (this.relocateBetweenVehicles(vehicles, pickups, contexts, orders)) {
+      orders = orders.map((order, v) => this.improve(contexts[v], order));
+    }
+
+    return {
+      routes: vehicles.map((vehicle, v) => {
+        const result = this.simulate(contexts[v], orders[v]);
+        return {
+          vehicle,
+          stops: orders[v].map(index => pickups[index]),
+          arrivals: result.arrivals,
+          load: orders[v].reduce((total, index) => total + contexts[v].loads[index], 0),
+          ...this.summarize(result)
+        };
+      }),
+      unassigned: unassigned.map(index => pickups[index])
+    };
   }
-}
\ No newline at end of file
+
+  isCompatible(vehicle, pickup) {
+    if (!vehicle.materialTypes?.length) return true;
+    return vehicle.materialTypes.includes(pickup.materialType || 'other');
+  }
+
+  // Distancia, duración y horarios de la ruta en el orden recibido
+  evaluateRoute(points, options = {}) {
+    const context = this.buildContext(points, options);
+    const result = this.simulate(context, points.map((_, index) => index));
+    return { ...this.summarize(result), arrivals: result.arrivals };
+  }
+
+  // Emisiones del recorrido (kg CO2e) según tipo de vehículo y combustible
+  calculateCarbonFootprint(distance, vehicle = {}) {
+    return round(distance * getEmissionFactor(vehicle));
+  }
+
+  // === MÉTODOS INTERNOS ===
+
+  // Precalcula distancias y restricciones. Los depósitos ocupan los índices
+  // n (inicio) y n + 1 (fin); un depósito ausente está a distancia 0 de todo.
+  // Si el punto trae su carga por unidad (loadByUnit), se usa la del vehículo.
+  buildContext(points, options) {
+    const startDepot = options.depot?.start || null;
+    const endDepot = options.depot?.end !== undefined ? options.depot.end : startDepot;
+    const locations = [...points.map(point => point.coordinates), startDepot, endDepot];
+
+    return {
+      size: points.length,
+      matrix: locations.map(from => locations.map(to => (
+        from && to ? haversineDistance(from, to) : 0
+      ))),
+      speed: options.averageSpeedKmh || AVERAGE_SPEED_KMH[options.vehicleType] || AVERAGE_SPEED_KMH.truck,
+      startTime: timeToMinutes(options.startTime) || 0,
+      endTime: timeToMinutes(options.endTime),
+      capacity: options.capacity || Infinity,
+      windows: points.map(point => ({
+        start: timeToMinutes(point.timeWindow?.start),
+        end: timeToMinutes(point.timeWindow?.end)
+      })),
+      serviceTimes: points.map(point => point.serviceTime ?? options.serviceTime ?? DEFAULT_SERVICE_MINUTES),
+      loads: points.map(point => (
+        (options.capacityUnit && point.loadByUnit ? point.loadByUnit[options.capacityUnit] : point.load) || 0
+      ))
+    };
+  }
+
+  // Recorre la secuencia de índices calculando distancia, horarios y
+  // violaciones de ventanas horarias, jornada y capacidad
+  simulate(context, order) {
+    const { size, matrix, speed, windows } = context;
+    let position = size;
+    let distance = 0;
+    let time = context.startTime;
+    let load = 0;
+    let violations = 0;
+    const arrivals = [];
+
+    for (const index of order) {
+      const leg = matrix[position][index];
+      distance += leg;
+      time += (leg / speed) * 60;
+
+      if (windows[index].start !== null && time < windows[index].start) {
+        time = windows[index].start;
+      }
+      if (windows[index].end !== null && time > windows[index].end + EPSILON) {
+        violations++;
+      }
+
+      arrivals.push(Math.round(time));
+      time += context.serviceTimes[index];
+      load += context.loads[index];
+      position = index;
+    }
+
+    const lastLeg = matrix[position][size + 1];
+    distance += lastLeg;
+    time += (lastLeg / speed) * 60;
+
+    if (context.endTime !== null && time > context.endTime + EPSILON) violations++;
+    if (load > context.capacity) violations++;
+
+    return {
+      feasible: violations === 0,
+      distance,
+      duration: time - context.startTime,
+      arrivals
+    };
+  }
+
+  summarize(result) {
+    return {
+      distance: round(result.distance),
+      duration: Math.round(result.duration),
+      feasible: result.feasible
+    };
+  }
+
+  solve(context) {
+    // Primero los puntos con ventanas que cierran antes
+    const candidates = [...Array(context.size).keys()].sort((a, b) =>
+      (context.windows[a].end ?? Infinity) - (context.windows[b].end ?? Infinity)
+    );
+
+    let order = [];
+    const unassigned = [];
+
+    for (const index of candidates) {
+      let best = null;
+
+      for (let position = 0; position <= order.length; position++) {
+        const trial = [...order.slice(0, position), index, ...order.slice(position)];
+        const result = this.simulate(context, trial);
+
+        if (result.feasible && (!best || result.distance < best.distance - EPSILON)) {
+          best = { order: trial, distance: result.distance };
+        }
+      }
+
+      if (best) {
+        order = best.order;
+      } else {
+        unassigned.push(index);
+      }
+    }
+
+    return { order: this.improve(context, order), unassigned };
+  }
+
+  // Búsqueda local de primera mejora hasta no encontrar movimientos útiles
+  improve(context, order) {
+    let best = order;
+    let bestDistance = this.simulate(context, order).distance;
+
+    for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass++) {
+      let improved = false;
+
+      for (const candidate of this.neighbours(best)) {
+        const result = this.simulate(context, candidate);
+
+        if (result.feasible && result.distance < bestDistance - EPSILON) {
+          best = candidate;
+          bestDistance = result.distance;
+          improved = true;
+          break;
+        }
+      }
+
+      if (!improved) break;
+    }
+
+    return best;
+  }
+
+  // Mover retiros de un vehículo a otro mientras baje la distancia total.
+  // Modifica `orders` y devuelve si hubo algún cambio.
+  relocateBetweenVehicles(vehicles, pickups, contexts, orders) {
+    const distanceOf = (v, order) => {
+      const result = this.simulate(contexts[v], order);
+      return result.feasible ? result.distance : Infinity;
+    };
+    let changed = false;
+
+    for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass++) {
+      const move = this.findRelocation(vehicles, pickups, orders, distanceOf);
+      if (!move) break;
+
+      orders[move.from] = move.fromOrder;
+      orders[move.to] = move.toOrder;
+      changed = true;
+    }
+
+    return changed;
+  }
+
+  findRelocation(vehicles, pickups, orders, distanceOf) {
+    for (let from = 0; from < orders.length; from++) {
+      const fromDistance = distanceOf(from, orders[from]);
+
+      for (let i = 0; i < orders[from].length; i++) {
+        const index = orders[from][i];
+        const fromOrder = [...orders[from].slice(0, i), ...orders[from].slice(i + 1)];
+        const gain = fromDistance - distanceOf(from, fromOrder);
+
+        for (let to = 0; to < orders.length; to++) {
+          if (to === from || !this.isCompatible(vehicles[to], pickups[index])) continue;
+          const toDistance = distanceOf(to, orders[to]);
+
+          for (let position = 0; position <= orders[to].length; position++) {
+            const toOrder = [...orders[to].slice(0, position), index, ...orders[to].slice(position)];
+
+            if (distanceOf(to, toOrder) - toDistance < gain - EPSILON) {
+              return { from, to, fromOrder, toOrder };
+            }
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  * neighbours(order) {
+    // 2-opt: invertir un tramo de la ruta
+    for (let i = 0; i < order.length - 1; i++) {
+      for (let j = i + 1; j < order.length; j++) {
+        yield [...order.slice(0, i), ...order.slice(i, j + 1).reverse(), ...order.slice(j + 1)];
+      }
+    }
+
+    // Or-opt: mover tramos de hasta 3 puntos a otra posición, en ambos sentidos
+    for (let length = 1; length <= 3; length++) {
+      for (let i = 0; i + length <= order.length; i++) {
+        const segment = order.slice(i, i + length);
+        const rest = [...order.slice(0, i), ...order.slice(i + length)];
+
+        for (let k = 0; k <= rest.length; k++) {
+          if (k === i) continue;
+          yield [...rest.slice(0, k), ...segment, ...rest.slice(k)];
+          if (length > 1) {
+            yield [...rest.slice(0, k), ...[...segment].reverse(), ...rest.slice(k)];
+          }
+        }
+      }
+    }
+  }
+}
+
+module.exports = new RouteService();
+module.exports.RouteService = RouteService;
+module.exports.AVERAGE_SPEED_KMH = AVERAGE_SPEED_KMH;
+module.exports.DEFAULT_SERVICE_MINUTES = DEFAULT_SERVICE_MINUTES;
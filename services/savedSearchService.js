@@ -0,0 +1,156 @@
+// services/savedSearchService.js
+const SavedSearch = require('../models/SavedSearch');
+const Product = require('../models/Product');
+const notificationService = require('./notificationService');
+const { haversineDistance } = require('../utils/geo');
+const { ALERT_FREQUENCIES, MAX_PENDING_MATCHES } = require('../config/savedSearches');
+const { DEFAULT_SEARCH_RADIUS_KM } = require('../config/search');
+
+// Productos que se nombran en un aviso agrupado
+const TITLES_IN_ALERT = 5;
+
+class SavedSearchService {
+  // Búsquedas con aviso que podrían coincidir con el producto: la categoría y
+  // el estado se filtran en la base; el texto y la distancia, en matches()
+  findCandidates(product) {
+    return SavedSearch.find({
+      user: { $ne: product.owner },
+      'alerts.enabled': true,
+      'filters.category': { $in: [null, product.category] },
+      'filters.condition': { $in: [null, product.condition] }
+    }).cursor();
+  }
+
+  // Mismo criterio que GET /api/products: el texto se evalúa con $text sobre
+  // el índice de productos y la ubicación por distancia al radio de la búsqueda.
+  // textMatches guarda el resultado de cada texto para no repetir la consulta.
+  async matches(search, product, textMatches = new Map()) {
+    if (search.hasLocation()) {
+      const radius = search.filters.radius || DEFAULT_SEARCH_RADIUS_KM;
+      if (haversineDistance(search.filters.location, product.location.coordinates) > radius) {
+        return false;
+      }
+    }
+
+    const text = search.filters.search;
+    if (text) {
+      if (!textMatches.has(text)) {
+        textMatches.set(text, Product.exists({ _id: product._id, $text: { $search: text } }));
+      }
+      if (!await textMatches.get(text)) return false;
+    }
+
+    return true;
+  }
+
+  // Avisa a los usuarios cuyas búsquedas coinciden con un producto recién
+  // publicado. No lanza errores: la publicación no debe fallar por los avisos.
+  async notifyMatches(product, now = new Date()) {
+    try {
+      if (product.status !== 'available') return 0;
+
+      const textMatches = new Map();
+      let matched = 0;
+
+      for await (const search of this.findCandidates(product)) {
+        if (!await this.matches(search, product, textMatches)) continue;
+
+        matched++;
+        await this.recordMatch(search, product, now);
+      }
+
+      return matched;
+    } catch (error) {
+      console.error('Error avisando búsquedas guardadas:', error);
+      return 0;
+    }
+  }
+
+  // Si ya pasó el intervalo de la búsqueda se avisa en el momento (junto con lo
+  // que estuviera pendiente); si no, el producto espera al próximo aviso agrupado
+  async recordMatch(search, product, now = new Date()) {
+    const interval = ALERT_FREQUENCIES[search.alerts.frequency] * 60 * 1000;
+
+    const previous = await SavedSearch.findOneAndUpdate(
+      {
+        _id: search._id,
+        $or: [
+          { 'alerts.lastAlertAt': null },
+          { 'alerts.lastAlertAt': { $lte: new Date(now.getTime() - interval) } }
+        ]
+      },
+      {
+        $set: { 'alerts.lastAlertAt': now, 'alerts.pending': [], lastMatchAt: now },
+        $inc: { matchCount: 1 }
+      }
+    );
+
+    if (previous) {
+      return this.sendAlert(previous, [...previous.alerts.pending, product._id]);
+    }
+
+    await SavedSearch.updateOne({ _id: search._id }, {
+      $push: { 'alerts.pending': { $each: [product._id], $slice: -MAX_PENDING_MATCHES } },
+      $set: { lastMatchAt: now },
+      $inc: { matchCount: 1 }
+    });
+    return null;
+  }
+
+  // Envía los avisos agrupados cuyo intervalo ya pasó. Devuelve cuántos se enviaron.
+  async flushPending(now = new Date()) {
+    const searches = await SavedSearch.find({
+      'alerts.enabled': true,
+      'alerts.pending.0': { $exists: true }
+    }).select('alerts');
+    let sent = 0;
+
+    for (const search of searches) {
+      const nextAlertAt = search.getNextAlertAt();
+      if (nextAlertAt && nextAlertAt > now) continue;
+
+      // Solo un proceso toma los pendientes de cada búsqueda
+      const previous = await SavedSearch.findOneAndUpdate(
+        { _id: search._id, 'alerts.lastAlertAt': search.alerts.lastAlertAt },
+        { $set: { 'alerts.lastAlertAt': now, 'alerts.pending': [] } }
+      );
+      if (!previous) continue;
+
+      if (await this.sendAlert(previous, previous.alerts.pending)) sent++;
+    }
+
+    return sent;
+  }
+
+  // Aviso por los canales elegidos para la búsqueda. Se omiten los productos
+  // que ya no están disponibles.
+  async sendAlert(search, productIds) {
+    const products = await Product.find({ _id: { $in: productIds }, status: 'available' })
+      .sort({ createdAt: -1 })
+      .select('title');
+    if (products.length === 0) return null;
+
+    let title = `Nuevo producto para "${search.name}"`;
+    let message = `"${products[0].title}" coincide con tu búsqueda guardada.`;
+
+    if (products.length > 1) {
+      const titles = products.slice(0, TITLES_IN_ALERT).map(product => `"${product.title}"`).join(', ');
+      const rest = products.length - TITLES_IN_ALERT;
+
+      title = `${products.length} productos nuevos para "${search.name}"`;
+      message = `Coinciden con tu búsqueda guardada: ${titles}${rest > 0 ? ` y ${rest} más` : ''}.`;
+    }
+
+    return notificationService.notify(search.user, {
+      type: 'saved_search',
+      event: 'match',
+      title,
+      message,
+      data: { savedSearch: search._id, products: products.map(product => product._id) },
+      channels: search.alerts.channels
+    });
+  }
+}
+
+module.exports = new SavedSearchService();
+module.exports.SavedSearchService = SavedSearchService;
@@ -0,0 +1,225 @@
+// services/scheduleDisruptions.js
+const CollectionSchedule = require('../models/CollectionSchedule');
+const Product = require('../models/Product');
+const collectionPlanning = require('./collectionPlanning');
+const notificationService = require('./notificationService');
+const zoneService = require('./zoneService');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Estados desde los que se puede cancelar o postergar
+const DISRUPTABLE_STATUSES = {
+  cancel: ['scheduled', 'in_progress'],
+  postpone: ['scheduled']
+};
+
+const REASON_LABELS = {
+  weather: 'por el clima',
+  vehicle_breakdown: 'por un desperfecto del vehículo',
+  staff_shortage: 'por falta de personal',
+  holiday: 'por un feriado',
+  other: 'por un imprevisto'
+};
+
+const disruptionError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('es-AR');
+
+class ScheduleDisruptionService {
+  // Cancela o posterga un cronograma. Los puntos que faltaban recorrer pasan
+  // al próximo cronograma compatible de la zona (al nuevo, si se postergó y es
+  // el primero con lugar); los que no entran vuelven a quedar pendientes de
+  // planificar. Se avisa a cada vecino afectado.
+  // disruption: { action: 'cancel'|'postpone', reason, details, newDate, weather }
+  async disrupt(scheduleId, disruption, userId, now = new Date()) {
+    const { action, reason, details, newDate, weather } = disruption;
+
+    const schedule = await CollectionSchedule.findOne({ _id: scheduleId, isActive: true });
+    if (!schedule) {
+      throw disruptionError('Cronograma no encontrado', 404);
+    }
+    if (!DISRUPTABLE_STATUSES[action].includes(schedule.status)) {
+      throw disruptionError(action === 'cancel'
+        ? 'El cronograma ya fue cerrado o cancelado'
+        : 'Solo se pueden postergar cronogramas que no comenzaron', 409);
+    }
+
+    // Lo ya retirado se registra al cerrar el recorrido (con sus resultados y
+    // productos); cancelar lo dejaría sin registrar
+    if (schedule.route.some(point => point.status === 'completed')) {
+      throw disruptionError('El recorrido ya tiene puntos retirados: ciérralo para registrar lo recolectado', 409);
+    }
+
+    const update = {
+      status: action === 'cancel' ? 'cancelled' : 'rescheduled',
+      disruption: { action, reason, details, recordedBy: userId, recordedAt: now }
+    };
+    if (reason === 'weather') {
+      update.weather = { ...schedule.toObject().weather, ...weather, affecting: true };
+    }
+
+    // Solo un pedido toma el cronograma
+    const claimed = await CollectionSchedule.findOneAndUpdate(
+      { _id: schedule._id, status: schedule.status, 'route.status': { $ne: 'completed' } },
+      { $set: update },
+      { new: true }
+    );
+    if (!claimed) {
+      throw disruptionError('El cronograma cambió de estado, vuelve a intentarlo', 409);
+    }
+
+    const replacement = action === 'postpone'
+      ? await this.createReplacement(claimed, new Date(newDate))
+      : null;
+
+    const affected = claimed.route.filter(point => point.status === 'pending' || point.status === 'in_progress');
+    const { moved, returned } = await this.relocatePoints(claimed, affected, now);
+
+    claimed.disruption.replacement = replacement?._id;
+    claimed.disruption.pointsMoved = moved.length;
+    claimed.disruption.pointsReturned = returned.length;
+    moved.forEach(({ point, schedule: target }) => {
+      claimed.route.id(point._id).rescheduledTo = target._id;
+    });
+    await claimed.save();
+
+    this.notifyCitizens(claimed, moved, returned);
+
+    return { schedule: claimed, replacement, moved, returned };
+  }
+
+  // Cronograma en la nueva fecha con la misma planificación y la ruta vacía
+  createReplacement(schedule, date) {
+    const {
+      _id, createdAt, updatedAt, __v,
+      status, startedAt, completedDate, results, notifications, weather, tracking, disruption,
+      route, routeMetrics, recurring,
+      ...template
+    } = schedule.toObject();
+
+    return CollectionSchedule.create({
+      ...template,
+      scheduledDate: date,
+      dayOfWeek: DAYS[date.getUTCDay()],
+      capacity: { ...template.capacity, current: 0 },
+      route: []
+    });
+  }
+
+  // Cronogramas programados de la zona, del más próximo al más lejano
+  findCandidates(schedule, now) {
+    return CollectionSchedule.find({
+      ...zoneService.filterFor({ id: schedule.zoneId, name: schedule.zone }, 'zoneId', 'zone'),
+      _id: { $ne: schedule._id },
+      isActive: true,
+      status: 'scheduled',
+      scheduledDate: { $gte: now }
+    }).sort({ scheduledDate: 1, 'timeSlot.start': 1 });
+  }
+
+  // Pasa cada punto al primer cronograma que recolecta sus materiales y
+  // tiene lugar. Los productos que ya no están disponibles no se mueven.
+  async relocatePoints(schedule, points, now) {
+    const moved = [];
+    const returned = [];
+    if (points.length === 0) return { moved, returned };
+
+    const candidates = await this.findCandidates(schedule, now);
+    const products = await Product.find({
+      _id: { $in: points.flatMap(point => point.products) },
+      status: 'available'
+    });
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+    for (const point of points) {
+      const pickups = point.products
+        .map(id => productsById.get(id.toString()))
+        .filter(Boolean)
+        .map(product => collectionPlanning.toPickup(product, {}));
+      if (pickups.length === 0) continue;
+
+      const target = await this.movePoint(point, pickups, candidates);
+      if (target) {
+        moved.push({ point, schedule: target });
+      } else {
+        returned.push({ point });
+      }
+    }
+
+    return { moved, returned };
+  }
+
+  // La condición sobre la capacidad evita sobrepasarla si otro pedido la ocupa a la vez
+  async movePoint(point, pickups, candidates) {
+    for (const candidate of candidates) {
+      const compatible = pickups.every(pickup => candidate.materialTypes.includes(pickup.materialType));
+      const load = pickups.reduce((total, pickup) =>
+        total + (pickup.loadByUnit[candidate.capacity.unit] ?? pickup.load), 0);
+
+      if (!compatible || !candidate.hasCapacity(load)) continue;
+
+      const {
+        _id, estimatedTime, actualTime, arrivalNoticeSentAt, reminderSentAt, rescheduledTo,
+        collectedWeight, collectorNotes, skipReason, photo,
+        ...copy
+      } = point.toObject();
+      const target = await CollectionSchedule.findOneAndUpdate(
+        {
+          _id: candidate._id,
+          status: 'scheduled',
+          'capacity.current': { $lte: candidate.capacity.maximum - load }
+        },
+        {
+          $push: { route: { ...copy, products: pickups.map(pickup => pickup.product), load, status: 'pending' } },
+          $inc: { 'capacity.current': load }
+        },
+        { new: true }
+      );
+
+      if (target) {
+        candidate.capacity.current = target.capacity.current;
+        return target;
+      }
+    }
+    return null;
+  }
+
+  // Aviso a los dueños de los materiales de cada punto afectado
+  async notifyCitizens(schedule, moved, returned) {
+    try {
+      const entries = [
+        ...moved.map(({ point, schedule: target }) => ({ point, target })),
+        ...returned.map(({ point }) => ({ point, target: null }))
+      ];
+      const products = await Product.find({ _id: { $in: entries.flatMap(({ point }) => point.products) } })
+        .select('owner title');
+      const cause = REASON_LABELS[schedule.disruption.reason] || REASON_LABELS.other;
+
+      await Promise.all(entries.flatMap(({ point, target }) => point.products.map(productId => {
+        const product = products.find(candidate => candidate._id.equals(productId));
+        if (!product) return null;
+
+        const message = target
+          ? `El retiro de "${product.title}" del ${formatDate(schedule.scheduledDate)} se suspendió ${cause}. Pasaremos el ${formatDate(target.scheduledDate)} entre las ${target.timeSlot.start} y las ${target.timeSlot.end}.`
+          : `El retiro de "${product.title}" del ${formatDate(schedule.scheduledDate)} se suspendió ${cause}. Lo incluiremos en una próxima recolección${point.bookedBy ? ' o puedes reservar otro turno' : ''}.`;
+
+        return notificationService.notify(product.owner, {
+          type: 'collection',
+          event: target ? 'rescheduled' : 'cancelled',
+          title: target ? 'Retiro reprogramado' : 'Retiro suspendido',
+          message,
+          data: { schedule: schedule._id, product: product._id, newSchedule: target?._id }
+        });
+      })));
+    } catch (error) {
+      console.error('Error notificando cambios de cronograma:', error);
+    }
+  }
+}
+
+module.exports = new ScheduleDisruptionService();
+module.exports.ScheduleDisruptionService = ScheduleDisruptionService;
@@ -0,0 +1,171 @@
+// services/trackingService.js
+const CollectionSchedule = require('../models/CollectionSchedule');
+const VehiclePosition = require('../models/VehiclePosition');
+const Product = require('../models/Product');
+const notificationService = require('./notificationService');
+const { AVERAGE_SPEED_KMH, DEFAULT_SERVICE_MINUTES } = require('./routeOptimization');
+const { haversineDistance } = require('../utils/geo');
+const {
+  TRACKING_MIN_INTERVAL_SECONDS,
+  TRACKING_ARRIVAL_NOTICE_MINUTES
+} = require('../config/tracking');
+
+const MINUTE = 60 * 1000;
+
+const trackingError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Salas del namespace /tracking
+const scheduleRoom = scheduleId => `schedule:${scheduleId}`;
+const userRoom = userId => `user:${userId}`;
+
+class TrackingService {
+  constructor() {
+    // Namespace /tracking de Socket.IO; sin él las posiciones se guardan pero no se emiten
+    this.namespace = null;
+  }
+
+  setNamespace(namespace) {
+    this.namespace = namespace;
+  }
+
+  emit(room, event, data) {
+    if (this.namespace) this.namespace.to(room).emit(event, data);
+  }
+
+  // Un vecino puede seguir el vehículo si tiene un retiro reservado en el
+  // cronograma; el personal con acceso a los cronogramas puede seguir cualquiera
+  async canSubscribe(scheduleId, user) {
+    if (user.hasPermission('schedules:read')) {
+      return CollectionSchedule.exists({ _id: scheduleId });
+    }
+    return CollectionSchedule.exists({ _id: scheduleId, 'route.bookedBy': user._id });
+  }
+
+  // Minutos estimados hasta cada punto pendiente, recorriendo la ruta en orden
+  // desde la posición actual a la velocidad promedio del vehículo
+  estimateArrivals(schedule, position) {
+    const speed = AVERAGE_SPEED_KMH[schedule.vehicle?.type] || AVERAGE_SPEED_KMH.truck;
+    let from = position;
+    let minutes = 0;
+
+    return schedule.route
+      .filter(point => point.status === 'pending' || point.status === 'in_progress')
+      .map(point => {
+        minutes += haversineDistance(from, point.coordinates) / speed * 60;
+        const eta = Math.round(minutes);
+
+        minutes += point.serviceTime ?? DEFAULT_SERVICE_MINUTES;
+        from = point.coordinates;
+        return { point, minutes: eta };
+      });
+  }
+
+  // Posición enviada por el recolector asignado durante el recorrido. Guarda
+  // el rastro, la difunde a los suscriptos y avisa a quienes está por llegar.
+  // position: { lat, lng, speed, heading, accuracy }
+  async recordPosition(scheduleId, collectorId, position, now = new Date()) {
+    const schedule = await CollectionSchedule.findOne({ _id: scheduleId, isActive: true });
+    if (!schedule) {
+      throw trackingError('Cronograma no encontrado', 404);
+    }
+    if (!schedule.collector?.equals(collectorId)) {
+      throw trackingError('No estás asignado a este cronograma', 403);
+    }
+    if (schedule.status !== 'in_progress') {
+      throw trackingError('El recorrido no está en curso', 409);
+    }
+
+    const lastPositionAt = schedule.tracking?.lastPositionAt;
+    if (lastPositionAt && now - lastPositionAt < TRACKING_MIN_INTERVAL_SECONDS * 1000) {
+      return { stored: false, etas: [] };
+    }
+
+    const coordinates = { lat: position.lat, lng: position.lng };
+    await VehiclePosition.create({
+      schedule: schedule._id,
+      collector: collectorId,
+      coordinates,
+      speed: position.speed,
+      heading: position.heading,
+      accuracy: position.accuracy,
+      recordedAt: now
+    });
+    await CollectionSchedule.updateOne(
+      { _id: schedule._id },
+      { $set: { 'tracking.lastPosition': coordinates, 'tracking.lastPositionAt': now } }
+    );
+
+    this.emit(scheduleRoom(schedule._id), 'vehicle_position', {
+      scheduleId: schedule._id,
+      coordinates,
+      heading: position.heading,
+      recordedAt: now
+    });
+
+    const etas = this.estimateArrivals(schedule, coordinates);
+    const booked = etas.filter(({ point }) => point.bookedBy);
+
+    booked.forEach(({ point, minutes }) => {
+      this.emit(userRoom(point.bookedBy), 'eta_update', {
+        scheduleId: schedule._id,
+        pointId: point._id,
+        etaMinutes: minutes,
+        estimatedTime: new Date(now.getTime() + minutes * MINUTE)
+      });
+    });
+
+    await this.sendArrivalNotices(schedule, booked.filter(({ point, minutes }) =>
+      minutes <= TRACKING_ARRIVAL_NOTICE_MINUTES && !point.arrivalNoticeSentAt), now);
+
+    return {
+      stored: true,
+      etas: etas.map(({ point, minutes }) => ({ pointId: point._id, etaMinutes: minutes }))
+    };
+  }
+
+  // Aviso único por punto: la marca en el punto evita repetirlo con las
+  // siguientes posiciones
+  async sendArrivalNotices(schedule, arrivals, now = new Date()) {
+    if (arrivals.length === 0) return 0;
+
+    const products = await Product.find({ _id: { $in: arrivals.flatMap(({ point }) => point.products) } }).select('title');
+    const titles = new Map(products.map(product => [product._id.toString(), product.title]));
+    let sent = 0;
+
+    for (const { point, minutes } of arrivals) {
+      const claimed = await CollectionSchedule.updateOne(
+        { _id: schedule._id, route: { $elemMatch: { _id: point._id, arrivalNoticeSentAt: null } } },
+        { $set: { 'route.$.arrivalNoticeSentAt': now } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      const title = titles.get(point.products[0]?.toString()) || 'tu material';
+      await notificationService.notify(point.bookedBy, {
+        type: 'collection',
+        event: 'arriving',
+        title: 'El recolector está llegando',
+        message: `Llegamos en ~${Math.max(minutes, 1)} minutos a retirar "${title}"`,
+        data: { schedule: schedule._id, point: point._id, etaMinutes: minutes }
+      });
+      sent++;
+    }
+
+    return sent;
+  }
+
+  // Rastro del vehículo en el recorrido
+  getTrail(scheduleId) {
+    return VehiclePosition.find({ schedule: scheduleId })
+      .select('coordinates speed heading accuracy recordedAt')
+      .sort({ recordedAt: 1 });
+  }
+}
+
+module.exports = new TrackingService();
+module.exports.TrackingService = TrackingService;
+module.exports.scheduleRoom = scheduleRoom;
+module.exports.userRoom = userRoom;
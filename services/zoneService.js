@@ -0,0 +1,161 @@
+// services/zoneService.js
+const Zone = require('../models/Zone');
+const Product = require('../models/Product');
+const User = require('../models/User');
+
+const GEOMETRY_TYPES = ['Polygon', 'MultiPolygon'];
+
+const zoneError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class ZoneService {
+  // Importa las zonas de una FeatureCollection (o un Feature) GeoJSON. Cada
+  // zona se identifica por su código, o por su nombre si no tiene, así volver a
+  // importar el archivo actualiza los límites en lugar de duplicarlas.
+  async importGeoJSON(geojson, { nameProperty = 'name', codeProperty = 'code' } = {}, now = new Date()) {
+    const features = geojson?.type === 'FeatureCollection' ? geojson.features
+      : geojson?.type === 'Feature' ? [geojson]
+        : null;
+    if (!Array.isArray(features)) {
+      throw zoneError('El archivo debe ser un Feature o una FeatureCollection GeoJSON', 400);
+    }
+
+    const result = { created: 0, updated: 0, skipped: [] };
+
+    for (const [index, feature] of features.entries()) {
+      const properties = feature?.properties || {};
+      const name = String(properties[nameProperty] ?? '').trim();
+      const code = String(properties[codeProperty] ?? feature?.id ?? '').trim() || undefined;
+
+      if (!name) {
+        result.skipped.push({ index, reason: `Falta la propiedad "${nameProperty}"` });
+        continue;
+      }
+      if (!GEOMETRY_TYPES.includes(feature.geometry?.type)) {
+        result.skipped.push({ index, name, reason: 'La geometría debe ser Polygon o MultiPolygon' });
+        continue;
+      }
+
+      try {
+        const zone = await Zone.findOne(code ? { code } : { name }) || new Zone();
+        const isNew = zone.isNew;
+
+        zone.set({
+          name,
+          code,
+          boundary: { type: feature.geometry.type, coordinates: feature.geometry.coordinates },
+          properties,
+          isActive: true,
+          importedAt: now
+        });
+        await zone.save();
+
+        result[isNew ? 'created' : 'updated']++;
+      } catch (error) {
+        // Polígonos inválidos (sin cerrar, con autointersecciones) o nombres repetidos
+        result.skipped.push({ index, name, reason: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  // Recalcula la zona de todos los productos y usuarios, por ejemplo después
+  // de importar límites nuevos
+  async assignAll() {
+    // La primera zona creada gana donde se superponen, igual que en Zone.locate:
+    // cada zona solo toma los productos que las anteriores no asignaron
+    const zones = await Zone.find({ isActive: true }).sort({ createdAt: 1 }).select('name boundary');
+
+    // El nombre asignado por una importación anterior se quita junto con el ID;
+    // los nombres cargados a mano (sin zoneId) se conservan
+    await Product.updateMany(
+      { 'location.zoneId': { $ne: null } },
+      { $unset: { 'location.zoneId': 1, 'location.zone': 1 } }
+    );
+
+    let products = 0;
+    for (const zone of zones) {
+      const { modifiedCount } = await Product.updateMany(
+        { 'location.zoneId': null, 'location.point': { $geoWithin: { $geometry: zone.boundary } } },
+        { $set: { 'location.zoneId': zone._id, 'location.zone': zone.name } }
+      );
+      products += modifiedCount;
+    }
+
+    // Los usuarios no tienen la ubicación en GeoJSON: se asignan de a uno
+    let users = 0;
+    const cursor = User.find({ 'location.coordinates.lat': { $ne: null }, 'location.coordinates.lng': { $ne: null } })
+      .select('location')
+      .cursor();
+
+    for await (const user of cursor) {
+      const located = await Zone.locate(user.location.coordinates);
+      if (String(located?.zoneId) === String(user.location.zoneId)) continue;
+
+      await User.updateOne({ _id: user._id }, located
+        ? { $set: { 'location.zoneId': located.zoneId, 'location.zone': located.zone } }
+        : { $unset: { 'location.zoneId': 1, 'location.zone': 1 } });
+      users++;
+    }
+
+    return { products, users };
+  }
+
+  // Zona indicada en un parámetro `zone`: el ID de una zona o, por
+  // compatibilidad con los datos cargados a mano, su nombre.
+  // Devuelve { id, name }; id es null si el nombre no corresponde a ninguna zona.
+  async resolve(value) {
+    if (/^[0-9a-f]{24}$/i.test(value)) {
+      const zone = await Zone.findById(value).select('name');
+      if (!zone) {
+        throw zoneError('Zona no encontrada', 404);
+      }
+      return { id: zone._id, name: zone.name };
+    }
+
+    const zone = await Zone.findOne({ name: value }).select('name');
+    return zone ? { id: zone._id, name: zone.name } : { id: null, name: value };
+  }
+
+  // Filtro de una zona resuelta: por ID, y por nombre para los documentos
+  // que todavía no tienen zona asignada
+  filterFor(zone, idField, nameField) {
+    if (!zone.id) {
+      return { [nameField]: zone.name };
+    }
+    return {
+      $or: [
+        { [idField]: zone.id },
+        { [idField]: null, [nameField]: zone.name }
+      ]
+    };
+  }
+
+  // Mismo criterio que filterFor() sobre un documento ya cargado
+  contains(zone, doc, idField, nameField) {
+    const id = doc?.[idField];
+    if (zone.id && id) {
+      return id.toString() === zone.id.toString();
+    }
+    return doc?.[nameField] === zone.name;
+  }
+
+  // Clave de agrupación por zona: el ID si está asignado (o si el nombre
+  // coincide con una zona) y si no, el nombre cargado a mano
+  groupKey(zones, idField, nameField) {
+    const byName = zones.length === 0 ? `$${nameField}` : {
+      $switch: {
+        branches: zones.map(zone => ({ case: { $eq: [`$${nameField}`, zone.name] }, then: zone._id })),
+        default: `$${nameField}`
+      }
+    };
+    return { $ifNull: [`$${idField}`, byName] };
+  }
+}
+
+module.exports = new ZoneService();
+module.exports.ZoneService = ZoneService;
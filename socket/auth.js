@@ -0,0 +1,34 @@
+// socket/auth.js
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const tokenService = require('../utils/tokenService');
+
+// Middleware de autenticación para Socket.IO: el cliente envía el token de
+// acceso en handshake.auth.token. Se usa en el namespace principal y en los demás.
+const socketAuth = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth.token;
+    if (!token) {
+      return next(new Error('Token no proporcionado'));
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default_secret');
+    if (await tokenService.isAccessTokenRevoked(token, decoded)) {
+      return next(new Error('Token inválido'));
+    }
+
+    const user = await User.findById(decoded.userId).select('-password');
+    
+    if (!user || !user.isActive) {
+      return next(new Error('Usuario no válido'));
+    }
+
+    socket.userId = user._id.toString();
+    socket.user = user;
+    next();
+  } catch (error) {
+    next(new Error('Autenticación fallida'));
+  }
+};
+
+module.exports = socketAuth;
@@ -1,35 +1,17 @@
 // socket/chatSocket.js
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
 const Chat = require('../models/Chat');
+const socketAuth = require('./auth');
 
 module.exports = (io) => {
   // Middleware de autenticación para Socket.IO
-  io.use(async (socket, next) => {
-    try {
-      const token = socket.handshake.auth.token;
-      if (!token) {
-        return next(new Error('Token no proporcionado'));
-      }
-
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default_secret');
-      const user = await User.findById(decoded.userId).select('-password');
-      
-      if (!user || !user.isActive) {
-        return next(new Error('Usuario no válido'));
-      }
-
-      socket.userId = user._id.toString();
-      socket.user = user;
-      next();
-    } catch (error) {
-      next(new Error('Autenticación fallida'));
-    }
-  });
+  io.use(socketAuth);
 
   io.on('connection', (socket) => {
     console.log(`Usuario conectado: ${socket.user.name} (${socket.userId})`);
 
+    // Sala personal: notificaciones y avisos de chat dirigidos al usuario
+    socket.join(socket.userId);
+
     // Unirse a salas de chats del usuario
     socket.on('join_chats', async () => {
       try {
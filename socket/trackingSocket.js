@@ -0,0 +1,76 @@
+// socket/trackingSocket.js
+const mongoose = require('mongoose');
+const CollectionSchedule = require('../models/CollectionSchedule');
+const socketAuth = require('./auth');
+const trackingService = require('../services/trackingService');
+const { scheduleRoom, userRoom } = require('../services/trackingService');
+
+const isCoordinate = (value, limit) => typeof value === 'number' && Math.abs(value) <= limit;
+
+// Los datos llegan del cliente tal cual: null o un valor suelto no deben
+// romper los handlers
+const isObject = (value) => value !== null && typeof value === 'object';
+
+// Namespace /tracking: los recolectores envían la posición del vehículo
+// durante el recorrido y los vecinos con un retiro reservado la siguen
+module.exports = (io) => {
+  const tracking = io.of('/tracking');
+  tracking.use(socketAuth);
+  trackingService.setNamespace(tracking);
+
+  tracking.on('connection', (socket) => {
+    // Sala personal: estimaciones de llegada de los retiros del usuario
+    socket.join(userRoom(socket.userId));
+
+    // Seguir el vehículo de un cronograma
+    socket.on('subscribe', async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        const scheduleId = isObject(data) ? data.scheduleId : undefined;
+        if (!mongoose.isValidObjectId(scheduleId) || !await trackingService.canSubscribe(scheduleId, socket.user)) {
+          return reply({ error: 'Cronograma no encontrado' });
+        }
+
+        socket.join(scheduleRoom(scheduleId));
+
+        const schedule = await CollectionSchedule.findById(scheduleId).select('status tracking');
+        reply({ ok: true, status: schedule.status, lastPosition: schedule.tracking?.lastPosition?.lat != null ? schedule.tracking : null });
+      } catch (error) {
+        console.error('Error suscribiendo al seguimiento:', error);
+        reply({ error: 'Error suscribiendo al seguimiento' });
+      }
+    });
+
+    socket.on('unsubscribe', (data) => {
+      if (!isObject(data) || !mongoose.isValidObjectId(data.scheduleId)) return;
+      socket.leave(scheduleRoom(data.scheduleId));
+    });
+
+    // Posición GPS del recolector: { scheduleId, lat, lng, speed, heading, accuracy }
+    socket.on('position', async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        const { scheduleId, lat, lng, speed, heading, accuracy } = isObject(data) ? data : {};
+        if (!mongoose.isValidObjectId(scheduleId) || !isCoordinate(lat, 90) || !isCoordinate(lng, 180)) {
+          return reply({ error: 'Posición inválida' });
+        }
+        if (!socket.user.hasPermission('collections:record')) {
+          return reply({ error: 'No tienes permisos para enviar posiciones' });
+        }
+
+        const result = await trackingService.recordPosition(scheduleId, socket.userId, { lat, lng, speed, heading, accuracy });
+        reply({ ok: true, ...result });
+      } catch (error) {
+        if (error.status) {
+          return reply({ error: error.message });
+        }
+        console.error('Error registrando posición:', error);
+        reply({ error: 'Error registrando posición' });
+      }
+    });
+
+    socket.on('error', (error) => {
+      console.error('Socket error:', error);
+    });
+  });
+};
@@ -0,0 +1,181 @@
+// templates/emails/digest.js
+const { html, formatDate, formatNumber, truncate } = require('./helpers');
+const { DIGEST_MAX_ITEMS } = require('../../config/notifications');
+
+const STRINGS = {
+  es: {
+    period: { daily: 'diario', weekly: 'semanal' },
+    subject: (period) => `Tu resumen ${period} de Circulapp`,
+    title: (period) => `Tu resumen ${period}`,
+    intro: (name) => `Hola ${name}, esto es lo que pasó en Circulapp:`,
+    newRequests: (count) => `Nuevas solicitudes (${count})`,
+    unreadMessages: (count) => `Mensajes sin leer (${count})`,
+    chat: (chat) => `${chat.count} en la conversación${chat.product ? ` sobre ${chat.product.title}` : ''}`,
+    goToChats: 'Ir a mis mensajes',
+    expiring: 'Publicaciones por vencer',
+    expiresOn: (title, date) => `${title}: vence el ${date}`,
+    nearby: 'Nuevos productos cerca tuyo',
+    distance: (km) => `a ${km} km`,
+    others: 'Otras novedades',
+    impact: 'Tu impacto ambiental',
+    impactSummary: ({ donated, co2, water, energy }) =>
+      `Con ${donated} producto(s) donado(s) evitaste ${co2} kg de CO2, ahorraste ${water} litros de agua y ${energy} kWh de energía.`,
+    more: (count) => `y ${count} más.`
+  },
+  en: {
+    period: { daily: 'daily', weekly: 'weekly' },
+    subject: (period) => `Your ${period} Circulapp digest`,
+    title: (period) => `Your ${period} digest`,
+    intro: (name) => `Hi ${name}, here is what happened on Circulapp:`,
+    newRequests: (count) => `New requests (${count})`,
+    unreadMessages: (count) => `Unread messages (${count})`,
+    chat: (chat) => `${chat.count} in the conversation${chat.product ? ` about ${chat.product.title}` : ''}`,
+    goToChats: 'Go to my messages',
+    expiring: 'Listings about to expire',
+    expiresOn: (title, date) => `${title}: expires on ${date}`,
+    nearby: 'New items near you',
+    distance: (km) => `${km} km away`,
+    others: 'Other updates',
+    impact: 'Your environmental impact',
+    impactSummary: ({ donated, co2, water, energy }) =>
+      `With ${donated} donated item(s) you avoided ${co2} kg of CO2 and saved ${water} litres of water and ${energy} kWh of energy.`,
+    more: (count) => `and ${count} more.`
+  }
+};
+
+// Secciones con contenido, en el orden en que se muestran: { title, items, footer }
+// Cada elemento es { text } o { text, url }
+const buildSections = (locale, { digest, frontendUrl }) => {
+  const t = STRINGS[locale];
+  const others = digest.notifications.filter(notification => !digest.newRequests.includes(notification));
+  const sections = [];
+
+  if (digest.newRequests.length > 0) {
+    sections.push({
+      title: t.newRequests(digest.newRequests.length),
+      items: digest.newRequests.map(notification => ({ text: notification.message }))
+    });
+  }
+
+  if (digest.unreadMessages.total > 0) {
+    sections.push({
+      title: t.unreadMessages(digest.unreadMessages.total),
+      items: digest.unreadMessages.chats.map(chat => ({ text: t.chat(chat) })),
+      footer: { text: t.goToChats, url: `${frontendUrl}/chats` }
+    });
+  }
+
+  if (digest.expiringListings.length > 0) {
+    sections.push({
+      title: t.expiring,
+      items: digest.expiringListings.map(product => ({
+        text: t.expiresOn(product.title, formatDate(product.availability.endDate, locale))
+      }))
+    });
+  }
+
+  if (digest.nearbyProducts.length > 0) {
+    sections.push({
+      title: t.nearby,
+      items: digest.nearbyProducts.map(product => ({
+        text: `${product.title} (${t.distance(formatNumber(product.distance, locale, 1))})`,
+        url: `${frontendUrl}/products/${product._id}`
+      }))
+    });
+  }
+
+  if (others.length > 0) {
+    sections.push({
+      title: t.others,
+      items: others.map(notification => ({ text: `${notification.title}: ${notification.message}` }))
+    });
+  }
+
+  if (digest.impact.donatedProducts > 0) {
+    sections.push({
+      title: t.impact,
+      items: [],
+      summary: t.impactSummary({
+        donated: digest.impact.donatedProducts,
+        co2: formatNumber(digest.impact.co2Reduction, locale, 1),
+        water: formatNumber(digest.impact.waterSaved, locale),
+        energy: formatNumber(digest.impact.energySaved, locale, 1)
+      })
+    });
+  }
+
+  return sections;
+};
+
+const renderHtml = (locale, context) => {
+  const t = STRINGS[locale];
+  const period = t.period[context.digest.frequency];
+
+  return html`
+    <h2>${t.title(period)}</h2>
+    <p>${t.intro(context.user.name)}</p>
+    ${buildSections(locale, context).map(section => {
+      const { items, rest } = truncate(section.items, DIGEST_MAX_ITEMS);
+      return html`
+        <h3>${section.title}</h3>
+        ${section.summary && html`<p>${section.summary}</p>`}
+        ${items.length > 0 && html`<ul>${items.map(item => html`<li>${item.url ? html`<a href="${item.url}">${item.text}</a>` : item.text}</li>`)}</ul>`}
+        ${rest > 0 && html`<p>${t.more(rest)}</p>`}
+        ${section.footer && html`<p><a href="${section.footer.url}">${section.footer.text}</a></p>`}
+      `;
+    })}
+  `;
+};
+
+const renderText = (locale, context) => {
+  const t = STRINGS[locale];
+  const period = t.period[context.digest.frequency];
+
+  const sections = buildSections(locale, context).map(section => {
+    const { items, rest } = truncate(section.items, DIGEST_MAX_ITEMS);
+    return [
+      section.title.toUpperCase(),
+      section.summary,
+      ...items.map(item => `- ${item.text}${item.url ? ` ${item.url}` : ''}`),
+      rest > 0 ? t.more(rest) : null,
+      section.footer ? `${section.footer.text}: ${section.footer.url}` : null
+    ].filter(Boolean).join('\n');
+  });
+
+  return [t.title(period), t.intro(context.user.name), ...sections].join('\n\n');
+};
+
+const localeVariant = (locale) => ({
+  subject: ({ digest }) => STRINGS[locale].subject(STRINGS[locale].period[digest.frequency]),
+  html: (context) => renderHtml(locale, context),
+  text: (context) => renderText(locale, context)
+});
+
+module.exports = {
+  sample: {
+    user: { name: 'Ana' },
+    frontendUrl: 'http://localhost:3000',
+    digest: (() => {
+      const request = {
+        type: 'transaction',
+        event: 'request',
+        title: 'Nueva solicitud para tu producto',
+        message: 'Alguien está interesado en tu producto. Revisa la solicitud para responder.'
+      };
+
+      return {
+        frequency: 'weekly',
+        notifications: [request],
+        newRequests: [request],
+        unreadMessages: { total: 2, chats: [{ count: 2, product: { title: 'Mesa de madera' } }] },
+        expiringListings: [{ title: 'Bicicleta', availability: { endDate: new Date('2026-01-15T12:00:00Z') } }],
+        nearbyProducts: [{ _id: '000000000000000000000000', title: 'Lámpara de pie', distance: 1.2 }],
+        impact: { donatedProducts: 3, co2Reduction: 24.5, waterSaved: 120, energySaved: 18 }
+      };
+    })()
+  },
+  locales: {
+    es: localeVariant('es'),
+    en: localeVariant('en')
+  }
+};
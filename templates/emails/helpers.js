@@ -0,0 +1,58 @@
+// templates/emails/helpers.js
+const { LOCALES } = require('../../config/locales');
+
+// HTML ya armado que no debe volver a escaparse
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const safe = (value) => new SafeHtml(String(value));
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const toHtml = (value) => {
+  if (value === null || value === undefined || value === false) return '';
+  if (Array.isArray(value)) return value.map(toHtml).join('');
+  if (value instanceof SafeHtml) return value.value;
+  return escapeHtml(value);
+};
+
+// Etiqueta para las plantillas: escapa todo lo interpolado salvo lo que ya es
+// SafeHtml (otros fragmentos html`...` o valores marcados con safe())
+const html = (strings, ...values) => safe(
+  strings.reduce((result, string, index) => result + string + (index < values.length ? toHtml(values[index]) : ''), '')
+);
+
+const formatDate = (date, locale) => new Date(date).toLocaleDateString(LOCALES[locale].intl);
+
+const formatNumber = (value, locale, decimals = 0) => Number(value).toLocaleString(LOCALES[locale].intl, {
+  minimumFractionDigits: decimals,
+  maximumFractionDigits: decimals
+});
+
+// Lista con un máximo de elementos y la cantidad restante: { items, rest }
+const truncate = (items, max) => ({
+  items: items.slice(0, max),
+  rest: Math.max(items.length - max, 0)
+});
+
+module.exports = {
+  SafeHtml,
+  safe,
+  escapeHtml,
+  html,
+  formatDate,
+  formatNumber,
+  truncate
+};
@@ -0,0 +1,47 @@
+// templates/emails/index.js
+const layout = require('./layout');
+const { resolveLocale } = require('../../config/locales');
+
+// Plantillas disponibles: { sample, locales: { es: { subject, html, text }, ... } }
+// sample es el contexto de ejemplo usado por la vista previa de administración
+const TEMPLATES = {
+  welcome: require('./welcome'),
+  verification: require('./verification'),
+  passwordReset: require('./passwordReset'),
+  notification: require('./notification'),
+  digest: require('./digest')
+};
+
+const listTemplates = () => Object.entries(TEMPLATES).map(([name, template]) => ({
+  name,
+  locales: Object.keys(template.locales)
+}));
+
+// Arma asunto, HTML (dentro del layout común) y texto plano de una plantilla.
+// Si la plantilla no tiene el idioma pedido se usa el idioma por defecto.
+// context.unsubscribe agrega el enlace de baja al pie.
+const render = (name, locale, context = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    const error = new Error(`Plantilla de email desconocida: ${name}`);
+    error.status = 404;
+    throw error;
+  }
+
+  const resolved = resolveLocale(locale, Object.keys(template.locales));
+  const variant = template.locales[resolved];
+  const subject = variant.subject(context);
+
+  return {
+    locale: resolved,
+    subject,
+    html: layout.renderHtml(resolved, { title: subject, body: variant.html(context), unsubscribe: context.unsubscribe }),
+    text: layout.renderText(resolved, { body: variant.text(context), unsubscribe: context.unsubscribe })
+  };
+};
+
+module.exports = {
+  TEMPLATES,
+  listTemplates,
+  render
+};
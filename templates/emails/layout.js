@@ -0,0 +1,44 @@
+// templates/emails/layout.js
+const { html } = require('./helpers');
+
+const STRINGS = {
+  es: {
+    tagline: 'Circulapp · Economía circular en tu comunidad',
+    unsubscribe: 'Dejar de recibir estos emails'
+  },
+  en: {
+    tagline: 'Circulapp · Circular economy in your community',
+    unsubscribe: 'Stop receiving these emails'
+  }
+};
+
+// Marco común a todos los emails: encabezado, cuerpo de la plantilla y pie
+// con el enlace de baja cuando corresponde
+const renderHtml = (locale, { title, body, unsubscribe }) => html`<!DOCTYPE html>
+<html lang="${locale}">
+  <head>
+    <meta charset="utf-8">
+    <title>${title}</title>
+  </head>
+  <body style="margin: 0; background: #f5f5f5; font-family: Arial, sans-serif; color: #333;">
+    <div style="max-width: 600px; margin: 0 auto; padding: 24px; background: #fff;">
+      <p style="font-size: 20px; font-weight: bold; color: #2e7d32;">Circulapp</p>
+      ${body}
+      <hr>
+      <p style="font-size: 12px; color: #666;">${STRINGS[locale].tagline}</p>
+      ${unsubscribe && html`<p style="font-size: 12px; color: #666;"><a href="${unsubscribe.pageUrl}">${STRINGS[locale].unsubscribe}</a></p>`}
+    </div>
+  </body>
+</html>`.toString();
+
+const renderText = (locale, { body, unsubscribe }) => [
+  body.trim(),
+  '--',
+  STRINGS[locale].tagline,
+  unsubscribe ? `${STRINGS[locale].unsubscribe}: ${unsubscribe.pageUrl}` : null
+].filter(Boolean).join('\n\n');
+
+module.exports = {
+  renderHtml,
+  renderText
+};
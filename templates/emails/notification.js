@@ -0,0 +1,41 @@
+// templates/emails/notification.js
+const { html } = require('./helpers');
+
+// El título y el mensaje los arma quien origina la notificación
+module.exports = {
+  sample: {
+    user: { name: 'Ana' },
+    notification: {
+      title: 'Nueva solicitud para tu producto',
+      message: 'Alguien está interesado en tu producto. Revisa la solicitud para responder.'
+    }
+  },
+  locales: {
+    es: {
+      subject: ({ notification }) => notification.title,
+      html: ({ user, notification }) => html`
+        <h2>${notification.title}</h2>
+        <p>Hola ${user.name},</p>
+        <p>${notification.message}</p>
+      `,
+      text: ({ user, notification }) => `Hola ${user.name},
+
+${notification.title}
+
+${notification.message}`
+    },
+    en: {
+      subject: ({ notification }) => notification.title,
+      html: ({ user, notification }) => html`
+        <h2>${notification.title}</h2>
+        <p>Hi ${user.name},</p>
+        <p>${notification.message}</p>
+      `,
+      text: ({ user, notification }) => `Hi ${user.name},
+
+${notification.title}
+
+${notification.message}`
+    }
+  }
+};
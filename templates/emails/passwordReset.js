@@ -0,0 +1,45 @@
+// templates/emails/passwordReset.js
+const { html } = require('./helpers');
+
+module.exports = {
+  sample: {
+    user: { name: 'Ana' },
+    link: 'http://localhost:3000/reset-password?token=ejemplo'
+  },
+  locales: {
+    es: {
+      subject: () => 'Restablece tu contraseña de Circulapp',
+      html: ({ user, link }) => html`
+        <h2>Restablecer contraseña</h2>
+        <p>Hola ${user.name},</p>
+        <p>Recibimos una solicitud para restablecer tu contraseña. El enlace vence en una hora y solo puede usarse una vez.</p>
+        <p><a href="${link}">Elegir una nueva contraseña</a></p>
+        <p>Si no lo solicitaste, ignora este mensaje: tu contraseña no cambiará.</p>
+      `,
+      text: ({ user, link }) => `Hola ${user.name},
+
+Recibimos una solicitud para restablecer tu contraseña. El enlace vence en una hora y solo puede usarse una vez.
+
+Elegir una nueva contraseña: ${link}
+
+Si no lo solicitaste, ignora este mensaje: tu contraseña no cambiará.`
+    },
+    en: {
+      subject: () => 'Reset your Circulapp password',
+      html: ({ user, link }) => html`
+        <h2>Reset your password</h2>
+        <p>Hi ${user.name},</p>
+        <p>We received a request to reset your password. The link expires in one hour and can only be used once.</p>
+        <p><a href="${link}">Choose a new password</a></p>
+        <p>If you did not request it, ignore this message: your password will not change.</p>
+      `,
+      text: ({ user, link }) => `Hi ${user.name},
+
+We received a request to reset your password. The link expires in one hour and can only be used once.
+
+Choose a new password: ${link}
+
+If you did not request it, ignore this message: your password will not change.`
+    }
+  }
+};
@@ -0,0 +1,45 @@
+// templates/emails/verification.js
+const { html } = require('./helpers');
+
+module.exports = {
+  sample: {
+    user: { name: 'Ana' },
+    link: 'http://localhost:3000/verify-email?token=ejemplo'
+  },
+  locales: {
+    es: {
+      subject: () => 'Confirma tu email en Circulapp',
+      html: ({ user, link }) => html`
+        <h2>Confirma tu dirección de email</h2>
+        <p>Hola ${user.name},</p>
+        <p>Para empezar a publicar productos necesitamos verificar tu email.</p>
+        <p><a href="${link}">Verificar mi email</a></p>
+        <p>Si no creaste una cuenta en Circulapp, ignora este mensaje.</p>
+      `,
+      text: ({ user, link }) => `Hola ${user.name},
+
+Para empezar a publicar productos necesitamos verificar tu email.
+
+Verificar mi email: ${link}
+
+Si no creaste una cuenta en Circulapp, ignora este mensaje.`
+    },
+    en: {
+      subject: () => 'Confirm your email on Circulapp',
+      html: ({ user, link }) => html`
+        <h2>Confirm your email address</h2>
+        <p>Hi ${user.name},</p>
+        <p>We need to verify your email before you can publish listings.</p>
+        <p><a href="${link}">Verify my email</a></p>
+        <p>If you did not create a Circulapp account, please ignore this message.</p>
+      `,
+      text: ({ user, link }) => `Hi ${user.name},
+
+We need to verify your email before you can publish listings.
+
+Verify my email: ${link}
+
+If you did not create a Circulapp account, please ignore this message.`
+    }
+  }
+};
@@ -0,0 +1,62 @@
+// templates/emails/welcome.js
+const { html } = require('./helpers');
+
+module.exports = {
+  sample: {
+    user: { name: 'Ana' }
+  },
+  locales: {
+    es: {
+      subject: () => '¡Bienvenido a Circulapp!',
+      html: ({ user }) => html`
+        <h1>¡Bienvenido a Circulapp, ${user.name}!</h1>
+        <p>Gracias por unirte a nuestra comunidad de economía circular.</p>
+        <p>Con Circulapp podrás:</p>
+        <ul>
+          <li>Donar productos que ya no uses</li>
+          <li>Encontrar objetos que necesitas</li>
+          <li>Contribuir al medio ambiente</li>
+          <li>Conectar con tu comunidad</li>
+        </ul>
+        <p>¡Comienza a explorar y haz tu primera publicación!</p>
+      `,
+      text: ({ user }) => `¡Bienvenido a Circulapp, ${user.name}!
+
+Gracias por unirte a nuestra comunidad de economía circular.
+
+Con Circulapp podrás:
+- Donar productos que ya no uses
+- Encontrar objetos que necesitas
+- Contribuir al medio ambiente
+- Conectar con tu comunidad
+
+¡Comienza a explorar y haz tu primera publicación!`
+    },
+    en: {
+      subject: () => 'Welcome to Circulapp!',
+      html: ({ user }) => html`
+        <h1>Welcome to Circulapp, ${user.name}!</h1>
+        <p>Thanks for joining our circular economy community.</p>
+        <p>With Circulapp you can:</p>
+        <ul>
+          <li>Donate items you no longer use</li>
+          <li>Find things you need</li>
+          <li>Help the environment</li>
+          <li>Connect with your community</li>
+        </ul>
+        <p>Start exploring and publish your first listing!</p>
+      `,
+      text: ({ user }) => `Welcome to Circulapp, ${user.name}!
+
+Thanks for joining our circular economy community.
+
+With Circulapp you can:
+- Donate items you no longer use
+- Find things you need
+- Help the environment
+- Connect with your community
+
+Start exploring and publish your first listing!`
+    }
+  }
+};
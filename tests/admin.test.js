@@ -0,0 +1,175 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const { loginAs } = require('./helpers');
+
+// Configuración de base de datos de prueba
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/circulapp_test';
+
+describe('Role-based access control', () => {
+  let adminToken;
+  let staffToken;
+  let admin;
+  let staff;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+
+    admin = await new User({
+      name: 'Administrador',
+      email: 'admin@example.com',
+      password: 'password123',
+      userType: 'comuna',
+      roles: ['municipal_admin']
+    }).save();
+    staff = await new User({ name: 'Personal', email: 'staff@example.com', password: 'password123' }).save();
+
+    adminToken = await loginAs('admin@example.com');
+    staffToken = await loginAs('staff@example.com');
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  it('should not treat a comuna user without roles as an administrator', async () => {
+    await new User({ name: 'Comuna', email: 'comuna@example.com', password: 'password123', userType: 'comuna' }).save();
+    const comunaToken = await loginAs('comuna@example.com');
+
+    const response = await request(app)
+      .get('/api/admin/dashboard')
+      .set('Authorization', `Bearer ${comunaToken}`)
+      .expect(403);
+
+    expect(response.body.code).toBe('PERMISSION_DENIED');
+  });
+
+  it('should ignore roles sent through the profile', async () => {
+    await request(app)
+      .put('/api/users/profile')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ name: 'Personal municipal', roles: ['municipal_admin'], userType: 'comuna' })
+      .expect(200);
+
+    const saved = await User.findById(staff._id);
+    expect(saved.name).toBe('Personal municipal');
+    expect(saved.roles).toHaveLength(0);
+    expect(saved.userType).not.toBe('comuna');
+
+    await request(app)
+      .get('/api/admin/dashboard')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .expect(403);
+  });
+
+  it('should grant and revoke roles', async () => {
+    await request(app)
+      .get('/api/admin/users')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .expect(403);
+
+    const granted = await request(app)
+      .post(`/api/admin/users/${staff._id}/roles`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'support' })
+      .expect(200);
+    expect(granted.body.user.roles).toEqual(['support']);
+    expect(granted.body.user.permissions).toContain('users:read');
+
+    await request(app)
+      .get('/api/admin/users')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .expect(200);
+
+    await request(app)
+      .delete(`/api/admin/users/${staff._id}/roles/support`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    await request(app)
+      .get('/api/admin/users')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .expect(403);
+  });
+
+  it('should only allow role management to administrators', async () => {
+    await User.findByIdAndUpdate(staff._id, { roles: ['support'] });
+
+    await request(app)
+      .post(`/api/admin/users/${staff._id}/roles`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ role: 'municipal_admin' })
+      .expect(403);
+  });
+
+  it('should reject unknown roles', async () => {
+    await request(app)
+      .post(`/api/admin/users/${staff._id}/roles`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'superuser' })
+      .expect(400);
+  });
+
+  it('should not let an administrator revoke their own admin role', async () => {
+    await request(app)
+      .delete(`/api/admin/users/${admin._id}/roles/municipal_admin`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+  });
+
+  it('should preview email templates in each locale', async () => {
+    const list = await request(app)
+      .get('/api/admin/emails/templates')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(list.body.templates.map(template => template.name)).toContain('digest');
+
+    const preview = await request(app)
+      .get('/api/admin/emails/templates/welcome/preview?locale=en')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(preview.body.subject).toBe('Welcome to Circulapp!');
+    expect(preview.body.text).toContain('Welcome to Circulapp, Ana!');
+
+    const html = await request(app)
+      .get('/api/admin/emails/templates/digest/preview?format=html')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect('Content-Type', /html/)
+      .expect(200);
+    expect(html.text).toContain('Tu resumen semanal');
+
+    await request(app)
+      .get('/api/admin/emails/templates/unknown/preview')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(404);
+
+    await request(app)
+      .get('/api/admin/emails/templates')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .expect(403);
+  });
+
+  it('should show the job queue health to administrators', async () => {
+    const response = await request(app)
+      .get('/api/admin/jobs')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.queues).toEqual(expect.objectContaining({ ready: expect.any(Number), dead: expect.any(Number) }));
+    expect(response.body.status).toBe('no_workers');
+
+    await request(app)
+      .get('/api/admin/jobs')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .expect(403);
+  });
+});
@@ -2,6 +2,16 @@ const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../server');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const emailService = require('../utils/emailService');
+const { redisClient } = require('../config/redis');
+
+// Extraer el token del enlace incluido en el último email enviado a una dirección
+const tokenFromLastEmail = (email) => {
+  const mail = [...emailService.outbox].reverse().find(m => m.to.some(to => to.address === email));
+  const match = mail && mail.html.match(/token=([^"&\s]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+};
 
 // Configuración de base de datos de prueba
 const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/circulapp_test';
@@ -18,6 +28,8 @@ describe('Auth Routes', () => {
   beforeEach(async () => {
     // Limpiar la base de datos antes de cada test
     await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    emailService.clearOutbox();
   });
 
   afterAll(async () => {
@@ -381,4 +393,271 @@ describe('Auth Routes', () => {
       expect(response.body.user.userType).toBe('producer');
     });
   });
+
+  describe('Refresh tokens and sessions', () => {
+    let loginBody;
+
+    beforeEach(async () => {
+      await new User({
+        name: 'Test User',
+        email: 'test@example.com',
+        password: 'password123'
+      }).save();
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123', deviceName: 'Test phone' })
+        .expect(200);
+
+      loginBody = response.body;
+    });
+
+    it('should return a refresh token on login', () => {
+      expect(loginBody.refreshToken).toBeDefined();
+      expect(loginBody.expiresIn).toBeGreaterThan(0);
+    });
+
+    it('should rotate the refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: loginBody.refreshToken })
+        .expect(200);
+
+      expect(response.body.token).toBeDefined();
+      expect(response.body.refreshToken).toBeDefined();
+      expect(response.body.refreshToken).not.toBe(loginBody.refreshToken);
+    });
+
+    it('should revoke the whole family when a rotated token is reused', async () => {
+      const rotated = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: loginBody.refreshToken })
+        .expect(200);
+
+      const reuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: loginBody.refreshToken })
+        .expect(401);
+      expect(reuse.body.code).toBe('REFRESH_TOKEN_REUSED');
+
+      // El token emitido en la rotación también queda revocado
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: rotated.body.refreshToken })
+        .expect(401);
+    });
+
+    it('should not refresh after logout', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${loginBody.token}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: loginBody.refreshToken })
+        .expect(401);
+    });
+
+    describe('without Redis', () => {
+      // Redis caído: set y exists devuelven false sin lanzar errores
+      beforeEach(() => {
+        jest.spyOn(redisClient, 'set').mockResolvedValue(false);
+        jest.spyOn(redisClient, 'exists').mockResolvedValue(false);
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      it('should reject the access token after logout', async () => {
+        await request(app)
+          .post('/api/auth/logout')
+          .set('Authorization', `Bearer ${loginBody.token}`)
+          .expect(200);
+
+        await request(app)
+          .get('/api/auth/profile')
+          .set('Authorization', `Bearer ${loginBody.token}`)
+          .expect(401);
+      });
+
+      it('should reject the access tokens of every session after logout-all', async () => {
+        const other = await request(app)
+          .post('/api/auth/login')
+          .send({ email: 'test@example.com', password: 'password123' })
+          .expect(200);
+
+        await request(app)
+          .post('/api/auth/logout-all')
+          .set('Authorization', `Bearer ${loginBody.token}`)
+          .expect(200);
+
+        await request(app)
+          .get('/api/auth/profile')
+          .set('Authorization', `Bearer ${other.body.token}`)
+          .expect(401);
+      });
+
+      it('should keep the access token valid after a refresh', async () => {
+        await request(app)
+          .post('/api/auth/refresh')
+          .send({ refreshToken: loginBody.refreshToken })
+          .expect(200);
+
+        await request(app)
+          .get('/api/auth/profile')
+          .set('Authorization', `Bearer ${loginBody.token}`)
+          .expect(200);
+      });
+    });
+
+    it('should list and revoke sessions', async () => {
+      const sessions = await request(app)
+        .get('/api/users/sessions')
+        .set('Authorization', `Bearer ${loginBody.token}`)
+        .expect(200);
+
+      expect(sessions.body.sessions).toHaveLength(1);
+      expect(sessions.body.sessions[0].current).toBe(true);
+      expect(sessions.body.sessions[0].device.name).toBe('Test phone');
+
+      await request(app)
+        .delete(`/api/users/sessions/${sessions.body.sessions[0].id}`)
+        .set('Authorization', `Bearer ${loginBody.token}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: loginBody.refreshToken })
+        .expect(401);
+    });
+
+    it('should close every session with logout-all', async () => {
+      const second = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${loginBody.token}`)
+        .expect(200);
+
+      expect(response.body.sessionsClosed).toBe(2);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: second.body.refreshToken })
+        .expect(401);
+    });
+  });
+
+  describe('Email verification and password reset', () => {
+    const userData = {
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'password123'
+    };
+
+    it('should send a verification email on registration and verify once', async () => {
+      await request(app).post('/api/auth/register').send(userData).expect(201);
+
+      const token = tokenFromLastEmail(userData.email);
+      expect(token).toBeTruthy();
+
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token })
+        .expect(200);
+      expect(response.body.user.isVerified).toBe(true);
+
+      // Los tokens son de un solo uso
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token })
+        .expect(400);
+    });
+
+    it('should not let unverified users publish products', async () => {
+      const registered = await request(app).post('/api/auth/register').send(userData).expect(201);
+
+      const response = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${registered.body.token}`)
+        .send({ title: 'Producto de prueba' })
+        .expect(403);
+
+      expect(response.body.code).toBe('EMAIL_NOT_VERIFIED');
+    });
+
+    it('should not let users mark themselves as verified through the profile', async () => {
+      const registered = await request(app).post('/api/auth/register').send(userData).expect(201);
+
+      await request(app)
+        .put('/api/users/profile')
+        .set('Authorization', `Bearer ${registered.body.token}`)
+        .send({ isVerified: true, verifiedAt: new Date(), emailVerification: {}, passwordReset: { tokenId: 'x' } })
+        .expect(200);
+
+      const user = await User.findOne({ email: userData.email });
+      expect(user.isVerified).toBe(false);
+      expect(user.emailVerification.tokenId).toBeTruthy();
+      expect(user.passwordReset?.tokenId).toBeUndefined();
+
+      await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${registered.body.token}`)
+        .send({ title: 'Producto de prueba' })
+        .expect(403);
+    });
+
+    it('should reset the password with a single-use token', async () => {
+      await new User(userData).save();
+
+      const forgot = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: userData.email })
+        .expect(200);
+      expect(forgot.body.message).toMatch(/Si el email está registrado/);
+
+      const token = tokenFromLastEmail(userData.email);
+      expect(token).toBeTruthy();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'newpassword123' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: 'newpassword123' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'anotherpassword' })
+        .expect(400);
+    });
+
+    it('should not reveal whether an email is registered', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(response.body.message).toMatch(/Si el email está registrado/);
+      expect(emailService.outbox).toHaveLength(0);
+    });
+
+    it('should not accept a verification token as an access token', async () => {
+      await request(app).post('/api/auth/register').send(userData).expect(201);
+      const token = tokenFromLastEmail(userData.email);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,54 @@
+// tests/helpers.js
+// Datos y utilidades compartidos por los tests que usan la base de prueba
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const CollectionSchedule = require('../models/CollectionSchedule');
+const Notification = require('../models/Notification');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const loginAs = async (email, password = 'password123') => {
+  const response = await request(app)
+    .post('/api/auth/login')
+    .send({ email, password });
+  return response.body.token;
+};
+
+// Personal municipal con los roles indicados
+const createStaff = (name, email, roles) =>
+  new User({ name, email, password: 'password123', userType: 'comuna', roles }).save();
+
+// Los avisos se envían sin bloquear la respuesta: se espera hasta que haya
+// al menos count notificaciones que cumplan los filtros
+const waitForNotifications = async (filters, count = 1) => {
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const notifications = await Notification.find(filters);
+    if (notifications.length >= count) return notifications;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return Notification.find(filters);
+};
+
+const waitForNotification = async (filters) => (await waitForNotifications(filters))[0] || null;
+
+// Cronograma de plásticos de la zona centro dentro de dos días
+const createSchedule = (createdBy, overrides = {}) => CollectionSchedule.create({
+  title: 'Recolección de plásticos',
+  zone: 'centro',
+  dayOfWeek: 'tuesday',
+  timeSlot: { start: '09:00', end: '12:00' },
+  materialTypes: ['plastic'],
+  capacity: { maximum: 100, unit: 'kg' },
+  scheduledDate: new Date(Date.now() + 2 * DAY),
+  createdBy,
+  ...overrides
+});
+
+module.exports = {
+  loginAs,
+  createStaff,
+  waitForNotification,
+  waitForNotifications,
+  createSchedule
+};
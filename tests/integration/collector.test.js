@@ -0,0 +1,197 @@
+// tests/integration/collector.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../../models/User');
+const Product = require('../../models/Product');
+const CollectionSchedule = require('../../models/CollectionSchedule');
+const Transaction = require('../../models/Transaction');
+const { loginAs, createStaff } = require('../helpers');
+
+// Configuración de base de datos de prueba
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/circulapp_test';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Collector workflow', () => {
+  let collector;
+  let collectorToken;
+  let otherCollectorToken;
+  let bottles;
+  let cans;
+  let schedule;
+
+  const createProduct = (title, declared) => new Product({
+    title,
+    description: 'Material compactado listo para retirar',
+    category: 'other',
+    condition: 'good',
+    owner: collector._id,
+    weight: { declared, unit: 'kg' },
+    materialAnalysis: { materialType: 'plastic', compactionStatus: 'validated' },
+    location: { address: `${title} 123`, zone: 'centro', coordinates: { lat: -31.41, lng: -64.19 } }
+  }).save();
+
+  const markPoint = (point, body, token = collectorToken) => request(app)
+    .patch(`/api/collector/schedules/${schedule._id}/points/${point._id}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({}),
+      CollectionSchedule.deleteMany({}),
+      Transaction.deleteMany({})
+    ]);
+
+    collector = await createStaff('Recolector', 'collector@example.com', ['collector']);
+    await createStaff('Otro recolector', 'other@example.com', ['collector']);
+    collectorToken = await loginAs('collector@example.com');
+    otherCollectorToken = await loginAs('other@example.com');
+
+    bottles = await createProduct('Botellas', 10);
+    cans = await createProduct('Latas', 5);
+
+    schedule = await CollectionSchedule.create({
+      title: 'Recolección de plásticos',
+      zone: 'centro',
+      dayOfWeek: 'tuesday',
+      timeSlot: { start: '09:00', end: '12:00' },
+      materialTypes: ['plastic'],
+      capacity: { maximum: 500 },
+      scheduledDate: new Date(Date.now() + DAY),
+      collector: collector._id,
+      createdBy: collector._id,
+      route: [
+        { address: 'Botellas 123', coordinates: { lat: -31.41, lng: -64.19 }, products: [bottles._id] },
+        { address: 'Latas 123', coordinates: { lat: -31.42, lng: -64.19 }, products: [cans._id] }
+      ]
+    });
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({}),
+      CollectionSchedule.deleteMany({}),
+      Transaction.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  it('should run a route from start to close', async () => {
+    const assigned = await request(app)
+      .get('/api/collector/schedules')
+      .set('Authorization', `Bearer ${collectorToken}`)
+      .expect(200);
+    expect(assigned.body.schedules).toHaveLength(1);
+
+    await request(app)
+      .post(`/api/collector/schedules/${schedule._id}/start`)
+      .set('Authorization', `Bearer ${collectorToken}`)
+      .expect(200);
+
+    const { body: routeBody } = await request(app)
+      .get(`/api/collector/schedules/${schedule._id}/route`)
+      .set('Authorization', `Bearer ${collectorToken}`)
+      .expect(200);
+
+    expect(routeBody.route.map(point => point.order)).toEqual([1, 2]);
+    expect(routeBody.route[0].products[0].title).toBe('Botellas');
+    expect(routeBody.nextPoint).toBe(routeBody.route[0]._id);
+
+    const [first, second] = routeBody.route;
+    await markPoint(first, { status: 'completed', collectedWeight: 12.5, notes: 'Todo en orden' }).expect(200);
+    await markPoint(second, { status: 'skipped', skipReason: 'not_home' }).expect(200);
+
+    const closed = await request(app)
+      .post(`/api/collector/schedules/${schedule._id}/close`)
+      .set('Authorization', `Bearer ${collectorToken}`)
+      .send({ distance: 8 })
+      .expect(200);
+
+    expect(closed.body.results.totalWeight).toBe(12.5);
+    expect(closed.body.results.pointsCompleted).toBe(1);
+    expect(closed.body.results.pointsSkipped).toBe(1);
+    expect(closed.body.results.duration).toBeGreaterThanOrEqual(0);
+
+    const [savedBottles, savedCans, saved] = await Promise.all([
+      Product.findById(bottles._id),
+      Product.findById(cans._id),
+      CollectionSchedule.findById(schedule._id)
+    ]);
+    expect(savedBottles.weight.actual).toBe(12.5);
+    expect(savedBottles.status).toBe('donated');
+    expect(savedCans.status).toBe('available');
+    expect(saved.status).toBe('completed');
+    expect(saved.route[1].skipReason).toBe('not_home');
+  });
+
+  it('should only mark available products as collected and cancel their open requests', async () => {
+    const requester = await new User({ name: 'Vecina', email: 'requester@example.com', password: 'password123' }).save();
+    const pendingRequest = await Transaction.create({ product: bottles._id, donor: collector._id, recipient: requester._id });
+    await Product.updateOne({ _id: cans._id }, { status: 'reserved' });
+
+    await request(app)
+      .post(`/api/collector/schedules/${schedule._id}/start`)
+      .set('Authorization', `Bearer ${collectorToken}`)
+      .expect(200);
+    await markPoint(schedule.route[0], { status: 'completed', collectedWeight: 10 }).expect(200);
+    await markPoint(schedule.route[1], { status: 'completed', collectedWeight: 5 }).expect(200);
+
+    await request(app)
+      .post(`/api/collector/schedules/${schedule._id}/close`)
+      .set('Authorization', `Bearer ${collectorToken}`)
+      .expect(200);
+
+    const [savedBottles, savedCans, savedRequest] = await Promise.all([
+      Product.findById(bottles._id),
+      Product.findById(cans._id),
+      Transaction.findById(pendingRequest._id)
+    ]);
+    expect(savedBottles.status).toBe('donated');
+    expect(savedCans.status).toBe('reserved');
+    expect(savedRequest.status).toBe('cancelled');
+  });
+
+  it('should only let the assigned collector work on the schedule', async () => {
+    await request(app)
+      .post(`/api/collector/schedules/${schedule._id}/start`)
+      .set('Authorization', `Bearer ${otherCollectorToken}`)
+      .expect(403);
+  });
+
+  it('should require the route to be started before marking points', async () => {
+    await markPoint(schedule.route[0], { status: 'completed', collectedWeight: 10 }).expect(409);
+  });
+
+  it('should not start a schedule twice', async () => {
+    await request(app)
+      .post(`/api/collector/schedules/${schedule._id}/start`)
+      .set('Authorization', `Bearer ${collectorToken}`)
+      .expect(200);
+
+    await request(app)
+      .post(`/api/collector/schedules/${schedule._id}/start`)
+      .set('Authorization', `Bearer ${collectorToken}`)
+      .expect(409);
+  });
+
+  it('should require the weight for completed points and a reason for skipped ones', async () => {
+    await request(app)
+      .post(`/api/collector/schedules/${schedule._id}/start`)
+      .set('Authorization', `Bearer ${collectorToken}`)
+      .expect(200);
+
+    await markPoint(schedule.route[0], { status: 'completed' }).expect(400);
+    await markPoint(schedule.route[1], { status: 'skipped' }).expect(400);
+  });
+});
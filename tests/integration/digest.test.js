@@ -0,0 +1,173 @@
+// tests/integration/digest.test.js
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const Product = require('../../models/Product');
+const Chat = require('../../models/Chat');
+const Notification = require('../../models/Notification');
+const Digest = require('../../models/Digest');
+const notificationService = require('../../services/notificationService');
+const digestService = require('../../services/digestService');
+const emailService = require('../../utils/emailService');
+
+// Configuración de base de datos de prueba
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/circulapp_test';
+
+const CORDOBA = { lat: -31.4201, lng: -64.1888 };
+
+const createProduct = (owner, overrides = {}) => new Product({
+  title: 'Mesa de madera',
+  description: 'Mesa de comedor en buen estado',
+  category: 'furniture',
+  condition: 'good',
+  owner,
+  location: { address: 'Calle Principal 123', coordinates: CORDOBA },
+  ...overrides
+}).save();
+
+describe('Email digests', () => {
+  let donor;
+  let neighbor;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    await Digest.init();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({}),
+      Chat.deleteMany({}),
+      Notification.deleteMany({}),
+      Digest.deleteMany({})
+    ]);
+    emailService.clearOutbox();
+
+    donor = await new User({
+      name: 'Donante',
+      email: 'donor@example.com',
+      password: 'password123',
+      location: { address: 'Centro', coordinates: CORDOBA },
+      notificationPreferences: { digest: { frequency: 'daily' } }
+    }).save();
+    neighbor = await new User({ name: 'Vecino', email: 'neighbor@example.com', password: 'password123' }).save();
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({}),
+      Chat.deleteMany({}),
+      Notification.deleteMany({}),
+      Digest.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  it('should defer notification emails until the digest', async () => {
+    await notificationService.notify(donor._id, {
+      type: 'transaction',
+      event: 'request',
+      title: 'Nueva solicitud para tu producto',
+      message: 'Alguien está interesado en tu producto.'
+    });
+
+    expect(emailService.outbox).toHaveLength(0);
+
+    const stats = await digestService.run('daily');
+    expect(stats.sent).toBe(1);
+
+    const [mail] = emailService.outbox;
+    expect(mail.to).toBe('donor@example.com');
+    expect(mail.html).toContain('Nuevas solicitudes (1)');
+
+    const notification = await Notification.findOne({ recipient: donor._id });
+    const email = notification.deliveries.find(delivery => delivery.channel === 'email');
+    expect(email.status).toBe('sent');
+  });
+
+  it('should include unread messages, expiring listings and products nearby', async () => {
+    const own = await createProduct(donor._id, {
+      title: 'Bicicleta',
+      availability: { endDate: new Date(Date.now() + 24 * 60 * 60 * 1000) }
+    });
+    await createProduct(neighbor._id, { title: 'Lámpara cercana' });
+    await createProduct(neighbor._id, {
+      title: 'Lámpara lejana',
+      location: { address: 'Buenos Aires', coordinates: { lat: -34.6037, lng: -58.3816 } }
+    });
+    await new Chat({
+      participants: [donor._id, neighbor._id],
+      product: own._id,
+      messages: [
+        { sender: neighbor._id, content: '¿Sigue disponible?' },
+        { sender: donor._id, content: 'Sí' },
+        { sender: neighbor._id, content: '¿Cuándo paso?' }
+      ]
+    }).save();
+
+    const result = await digestService.sendDigest(donor, 'daily');
+    expect(result.status).toBe('sent');
+    expect(result.digest.summary).toEqual(expect.objectContaining({
+      unreadMessages: 2,
+      expiringListings: 1,
+      nearbyProducts: 1
+    }));
+
+    const [mail] = emailService.outbox;
+    expect(mail.html).toContain('Mensajes sin leer (2)');
+    expect(mail.html).toContain('Bicicleta');
+    expect(mail.html).toContain('Lámpara cercana');
+    expect(mail.html).not.toContain('Lámpara lejana');
+  });
+
+  it('should not send the same digest twice', async () => {
+    await createProduct(neighbor._id, { title: 'Lámpara cercana' });
+
+    await digestService.run('daily');
+    const stats = await digestService.run('daily');
+
+    expect(emailService.outbox).toHaveLength(1);
+    expect(stats.sent).toBe(0);
+    expect(await Digest.countDocuments({ user: donor._id })).toBe(1);
+  });
+
+  it('should not repeat nearby products in the next digest', async () => {
+    await createProduct(neighbor._id, { title: 'Lámpara cercana' });
+
+    await digestService.sendDigest(donor, 'daily');
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const next = await digestService.sendDigest(donor, 'daily', tomorrow);
+
+    expect(next.status).toBe('empty');
+    expect(emailService.outbox).toHaveLength(1);
+  });
+
+  it('should not send a digest only for messages announced in a previous one', async () => {
+    const own = await createProduct(donor._id, { title: 'Bicicleta' });
+    await new Chat({
+      participants: [donor._id, neighbor._id],
+      product: own._id,
+      messages: [{ sender: neighbor._id, content: '¿Sigue disponible?' }]
+    }).save();
+
+    const first = await digestService.sendDigest(donor, 'daily');
+    expect(first.digest.summary.unreadMessages).toBe(1);
+
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const next = await digestService.sendDigest(donor, 'daily', tomorrow);
+
+    expect(next.status).toBe('empty');
+    expect(emailService.outbox).toHaveLength(1);
+  });
+
+  it('should skip users without news', async () => {
+    const stats = await digestService.run('daily');
+
+    expect(stats).toEqual({ sent: 0, empty: 1, skipped: 0, failed: 0 });
+    expect(emailService.outbox).toHaveLength(0);
+  });
+});
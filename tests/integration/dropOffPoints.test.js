@@ -0,0 +1,236 @@
+// tests/integration/dropOffPoints.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../../models/User');
+const DropOffPoint = require('../../models/DropOffPoint');
+const { localTime } = require('../../models/DropOffPoint');
+const { loginAs, createStaff } = require('../helpers');
+
+// Configuración de base de datos de prueba
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/circulapp_test';
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const ALL_DAY = DAYS.map(day => ({ day, open: '00:00', close: '23:59' }));
+
+describe('Drop-off points', () => {
+  let adminToken;
+  let collectorToken;
+  let citizenToken;
+
+  const createPoint = (name, lat, overrides = {}) => new DropOffPoint({
+    name,
+    location: { address: `${name} 100`, coordinates: { lat, lng: -64.19 } },
+    acceptedCategories: ['glass', 'plastic'],
+    capacity: { maximum: 2 },
+    ...overrides
+  }).save();
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    await DropOffPoint.syncIndexes();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      DropOffPoint.deleteMany({})
+    ]);
+
+    await createStaff('Administrador', 'admin@example.com', ['municipal_admin']);
+    await createStaff('Recolector', 'collector@example.com', ['collector']);
+    await new User({ name: 'Vecino', email: 'citizen@example.com', password: 'password123' }).save();
+
+    adminToken = await loginAs('admin@example.com');
+    collectorToken = await loginAs('collector@example.com');
+    citizenToken = await loginAs('citizen@example.com');
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      DropOffPoint.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  describe('GET /api/drop-off-points', () => {
+    it('should return the nearest open points accepting a category', async () => {
+      const { day } = localTime(new Date());
+      const otherDay = DAYS.find(candidate => candidate !== day);
+
+      await createPoint('Lejano', -31.45, { openingHours: ALL_DAY });
+      await createPoint('Cercano', -31.411, { openingHours: ALL_DAY });
+      await createPoint('Cerrado', -31.41, { openingHours: [{ day: otherDay, open: '08:00', close: '12:00' }] });
+      await createPoint('Solo papel', -31.41, { acceptedCategories: ['paper'] });
+
+      const response = await request(app)
+        .get('/api/drop-off-points')
+        .query({ lat: -31.41, lng: -64.19, category: 'glass', openNow: true })
+        .expect(200);
+
+      expect(response.body.points.map(point => point.name)).toEqual(['Cercano', 'Lejano']);
+      expect(response.body.points[0].isOpen).toBe(true);
+      expect(response.body.points[0].distanceKm).toBeLessThan(1);
+      expect(response.body.points[0].fillReadings).toBeUndefined();
+    });
+
+    it('should respect the search radius', async () => {
+      await createPoint('Cercano', -31.411);
+      await createPoint('Lejano', -31.6);
+
+      const response = await request(app)
+        .get('/api/drop-off-points')
+        .query({ lat: -31.41, lng: -64.19, radius: 5 })
+        .expect(200);
+
+      expect(response.body.points.map(point => point.name)).toEqual(['Cercano']);
+    });
+
+    it('should require both latitude and longitude', async () => {
+      await request(app)
+        .get('/api/drop-off-points')
+        .query({ lat: -31.41 })
+        .expect(400);
+    });
+
+    it('should hide inactive points', async () => {
+      const point = await createPoint('Cerrado definitivamente', -31.41, { isActive: false });
+
+      await request(app)
+        .get(`/api/drop-off-points/${point._id}`)
+        .expect(404);
+    });
+  });
+
+  describe('Municipal management', () => {
+    it('should let admins create, edit and deactivate points', async () => {
+      const created = await request(app)
+        .post('/api/municipal/drop-off-points')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'Punto verde Plaza',
+          location: { address: 'Plaza 1', coordinates: { lat: -31.41, lng: -64.19 } },
+          acceptedCategories: ['glass'],
+          capacity: { maximum: 3, unit: 'm3' },
+          openingHours: [{ day: 'monday', open: '08:00', close: '18:00' }]
+        })
+        .expect(201);
+
+      const id = created.body.point._id;
+      expect(created.body.point.location.point.coordinates).toEqual([-64.19, -31.41]);
+
+      const updated = await request(app)
+        .put(`/api/municipal/drop-off-points/${id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ acceptedCategories: ['glass', 'metal'] })
+        .expect(200);
+      expect(updated.body.point.acceptedCategories).toEqual(['glass', 'metal']);
+
+      await request(app)
+        .delete(`/api/municipal/drop-off-points/${id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect((await DropOffPoint.findById(id)).isActive).toBe(false);
+    });
+
+    it('should keep the other coordinate when editing only the latitude', async () => {
+      const point = await createPoint('Punto verde Plaza', -31.41);
+
+      const response = await request(app)
+        .put(`/api/municipal/drop-off-points/${point._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ location: { coordinates: { lat: -31.42 } } })
+        .expect(200);
+
+      expect(response.body.point.location.coordinates).toEqual({ lat: -31.42, lng: -64.19 });
+      expect(response.body.point.location.point.coordinates).toEqual([-64.19, -31.42]);
+      expect(response.body.point.location.address).toBe('Punto verde Plaza 100');
+    });
+
+    it('should answer 400 when the schema rejects an edit', async () => {
+      const point = await createPoint('Punto verde Plaza', -31.41);
+
+      const response = await request(app)
+        .put(`/api/municipal/drop-off-points/${point._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ description: 'x'.repeat(501) })
+        .expect(400);
+
+      expect(response.body.errors.map(error => error.path)).toEqual(['description']);
+    });
+
+    it('should reject opening hours that close before they open', async () => {
+      await request(app)
+        .post('/api/municipal/drop-off-points')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'Punto verde',
+          location: { address: 'Plaza 1', coordinates: { lat: -31.41, lng: -64.19 } },
+          acceptedCategories: ['glass'],
+          capacity: { maximum: 3 },
+          openingHours: [{ day: 'monday', open: '18:00', close: '08:00' }]
+        })
+        .expect(400);
+    });
+
+    it('should not let collectors or citizens create points', async () => {
+      await request(app)
+        .post('/api/municipal/drop-off-points')
+        .set('Authorization', `Bearer ${collectorToken}`)
+        .send({ name: 'Punto verde' })
+        .expect(403);
+
+      await request(app)
+        .post('/api/municipal/drop-off-points')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ name: 'Punto verde' })
+        .expect(403);
+    });
+  });
+
+  describe('PATCH /api/municipal/drop-off-points/:id/fill-level', () => {
+    it('should flag full points for emptying and clear the flag when emptied', async () => {
+      const point = await createPoint('Plaza', -31.41);
+
+      const full = await request(app)
+        .patch(`/api/municipal/drop-off-points/${point._id}/fill-level`)
+        .set('Authorization', `Bearer ${collectorToken}`)
+        .send({ level: 90 })
+        .expect(200);
+      expect(full.body.needsEmptying).toBe(true);
+
+      const flagged = await request(app)
+        .get('/api/municipal/drop-off-points')
+        .query({ needsEmptying: true })
+        .set('Authorization', `Bearer ${collectorToken}`)
+        .expect(200);
+      expect(flagged.body.points.map(p => p.name)).toEqual(['Plaza']);
+
+      const emptied = await request(app)
+        .patch(`/api/municipal/drop-off-points/${point._id}/fill-level`)
+        .set('Authorization', `Bearer ${collectorToken}`)
+        .send({ emptied: true })
+        .expect(200);
+      expect(emptied.body.fillLevel).toBe(0);
+      expect(emptied.body.needsEmptying).toBe(false);
+
+      const saved = await DropOffPoint.findById(point._id);
+      expect(saved.fillReadings).toHaveLength(2);
+      expect(saved.lastEmptiedAt).toBeDefined();
+    });
+
+    it('should validate the fill level', async () => {
+      const point = await createPoint('Plaza', -31.41);
+
+      await request(app)
+        .patch(`/api/municipal/drop-off-points/${point._id}/fill-level`)
+        .set('Authorization', `Bearer ${collectorToken}`)
+        .send({ level: 150 })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+// tests/integration/favorites.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../../models/User');
+const Product = require('../../models/Product');
+const Favorite = require('../../models/Favorite');
+const Transaction = require('../../models/Transaction');
+const Notification = require('../../models/Notification');
+const requestQueue = require('../../services/requestQueue');
+const { expireListings } = require('../../jobs/products');
+const { loginAs, waitForNotification } = require('../helpers');
+
+// Configuración de base de datos de prueba
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/circulapp_test';
+
+describe('Favorites', () => {
+  let donor;
+  let watcher;
+  let requester;
+  let donorToken;
+  let watcherToken;
+  let requesterToken;
+  let product;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({}),
+      Favorite.deleteMany({}),
+      Transaction.deleteMany({}),
+      Notification.deleteMany({})
+    ]);
+
+    donor = await new User({ name: 'Donante', email: 'donor@example.com', password: 'password123' }).save();
+    watcher = await new User({ name: 'Interesada', email: 'watcher@example.com', password: 'password123' }).save();
+    requester = await new User({ name: 'Receptor', email: 'requester@example.com', password: 'password123' }).save();
+
+    product = await new Product({
+      title: 'Mesa de madera',
+      description: 'Mesa de comedor en buen estado',
+      category: 'furniture',
+      condition: 'good',
+      owner: donor._id,
+      location: { address: 'Calle Principal 123', coordinates: { lat: -31.4205, lng: -64.1890 } }
+    }).save();
+
+    donorToken = await loginAs('donor@example.com');
+    watcherToken = await loginAs('watcher@example.com');
+    requesterToken = await loginAs('requester@example.com');
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({}),
+      Favorite.deleteMany({}),
+      Transaction.deleteMany({}),
+      Notification.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  const favorite = (token, productId = product._id) => request(app)
+    .post(`/api/products/${productId}/favorite`)
+    .set('Authorization', `Bearer ${token}`);
+
+  it('should add, list and remove favorites keeping the count', async () => {
+    const added = await favorite(watcherToken);
+    expect(added.status).toBe(201);
+    expect(added.body.favorites).toBe(1);
+
+    // Guardarlo otra vez no suma
+    const again = await favorite(watcherToken);
+    expect(again.status).toBe(200);
+    expect(again.body.favorites).toBe(1);
+
+    await favorite(requesterToken).expect(201);
+    expect((await Product.findById(product._id)).analytics.favorites).toBe(2);
+
+    const list = await request(app)
+      .get('/api/users/favorites')
+      .set('Authorization', `Bearer ${watcherToken}`);
+    expect(list.status).toBe(200);
+    expect(list.body.pagination.totalItems).toBe(1);
+    expect(list.body.favorites[0].product.title).toBe('Mesa de madera');
+    expect(list.body.favorites[0].product.owner.name).toBe('Donante');
+
+    const removed = await request(app)
+      .delete(`/api/products/${product._id}/favorite`)
+      .set('Authorization', `Bearer ${watcherToken}`);
+    expect(removed.status).toBe(200);
+    expect(removed.body.favorites).toBe(1);
+
+    await request(app)
+      .delete(`/api/products/${product._id}/favorite`)
+      .set('Authorization', `Bearer ${watcherToken}`)
+      .expect(404);
+  });
+
+  it('should not let owners favorite their own products', async () => {
+    expect((await favorite(donorToken)).status).toBe(400);
+    expect((await favorite(watcherToken, new mongoose.Types.ObjectId())).status).toBe(404);
+  });
+
+  it('should not let the owner write the favorites count', async () => {
+    await favorite(watcherToken).expect(201);
+
+    await request(app)
+      .put(`/api/products/${product._id}`)
+      .set('Authorization', `Bearer ${donorToken}`)
+      .send({ analytics: { favorites: 9999 } })
+      .expect(200);
+
+    expect((await Product.findById(product._id)).analytics.favorites).toBe(1);
+  });
+
+  it('should feed favorites into the popularity score', () => {
+    const score = (favorites) => new Product({ createdAt: new Date(), analytics: { favorites } }).updatePopularity();
+    expect(score(5)).toBeGreaterThan(score(0));
+  });
+
+  it('should notify watchers when the product is reserved and released', async () => {
+    await favorite(watcherToken).expect(201);
+
+    const created = await request(app)
+      .post('/api/transactions')
+      .set('Authorization', `Bearer ${requesterToken}`)
+      .send({ productId: product._id.toString(), message: 'Me interesa la mesa' })
+      .expect(201);
+
+    await request(app)
+      .patch(`/api/transactions/${created.body.transaction._id}/accept`)
+      .set('Authorization', `Bearer ${donorToken}`)
+      .expect(200);
+
+    const reserved = await waitForNotification({ recipient: watcher._id, type: 'favorite', event: 'reserved' });
+    expect(reserved.data.product.toString()).toBe(product._id.toString());
+
+    // Sin nadie en la fila, el producto vuelve a estar disponible
+    await requestQueue.offerNext(product._id);
+    expect(await Notification.exists({ recipient: watcher._id, type: 'favorite', event: 'available' })).toBeTruthy();
+    expect(await Notification.exists({ recipient: requester._id, type: 'favorite' })).toBeNull();
+  });
+
+  it('should notify watchers when the product expires', async () => {
+    await favorite(watcherToken).expect(201);
+    await Product.updateOne({ _id: product._id }, { 'availability.endDate': new Date(Date.now() - 1000) });
+
+    await expireListings();
+
+    expect(await Notification.exists({ recipient: watcher._id, type: 'favorite', event: 'expired' })).toBeTruthy();
+  });
+});
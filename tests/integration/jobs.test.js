@@ -0,0 +1,151 @@
+// tests/integration/jobs.test.js
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const Product = require('../../models/Product');
+const Report = require('../../models/Report');
+const Notification = require('../../models/Notification');
+const CollectionSchedule = require('../../models/CollectionSchedule');
+const recurringSchedules = require('../../services/recurringSchedules');
+const { expireListings, warnExpiringListings } = require('../../jobs/products');
+const { checkReportSla } = require('../../jobs/reports');
+
+// Configuración de base de datos de prueba
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/circulapp_test';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Background jobs', () => {
+  let owner;
+  let moderator;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({}),
+      Report.deleteMany({}),
+      Notification.deleteMany({}),
+      CollectionSchedule.deleteMany({})
+    ]);
+
+    owner = await new User({ name: 'Donante', email: 'donor@example.com', password: 'password123' }).save();
+    moderator = await new User({
+      name: 'Moderadora',
+      email: 'moderator@example.com',
+      password: 'password123',
+      roles: ['moderator']
+    }).save();
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({}),
+      Report.deleteMany({}),
+      Notification.deleteMany({}),
+      CollectionSchedule.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  describe('products:expire-listings', () => {
+    const listing = (title, fields = {}) => new Product({
+      title,
+      description: 'Publicación de prueba',
+      category: 'furniture',
+      condition: 'good',
+      owner: owner._id,
+      location: { address: 'Calle Principal 123', coordinates: { lat: -31.4205, lng: -64.1890 } },
+      ...fields
+    }).save();
+
+    it('should expire listings past their end date and notify the owner', async () => {
+      const past = await listing('Mesa vencida', { availability: { endDate: new Date(Date.now() - DAY) } });
+      const future = await listing('Silla vigente', { availability: { endDate: new Date(Date.now() + 10 * DAY) } });
+
+      expect(await expireListings()).toEqual({ expired: 1 });
+      expect((await Product.findById(past._id)).status).toBe('expired');
+      expect((await Product.findById(future._id)).status).toBe('available');
+
+      const notification = await Notification.findOne({ recipient: owner._id, event: 'listing_expired' });
+      expect(notification.data.product.toString()).toBe(past._id.toString());
+    });
+
+    it('should expire listings idle for too long', async () => {
+      const idle = await listing('Lámpara olvidada', { listing: { lastActivityAt: new Date(Date.now() - 61 * DAY) } });
+      const recent = await listing('Lámpara reciente', { listing: { lastActivityAt: new Date(Date.now() - 10 * DAY) } });
+
+      expect(await expireListings()).toEqual({ expired: 1 });
+      expect((await Product.findById(idle._id)).status).toBe('expired');
+      expect((await Product.findById(recent._id)).status).toBe('available');
+    });
+
+    it('should warn the owner once before the listing expires', async () => {
+      const soon = await listing('Mesa por vencer', { availability: { endDate: new Date(Date.now() + DAY) } });
+      await listing('Mesa vigente', { availability: { endDate: new Date(Date.now() + 10 * DAY) } });
+
+      expect(await warnExpiringListings()).toEqual({ warned: 1 });
+      expect(await warnExpiringListings()).toEqual({ warned: 0 });
+
+      const notification = await Notification.findOne({ recipient: owner._id, event: 'listing_expiring' });
+      expect(notification.data.product.toString()).toBe(soon._id.toString());
+    });
+  });
+
+  describe('reports:check-sla', () => {
+    const createReport = (priority, createdAt) => Report.create({
+      reporter: owner._id,
+      reportType: 'spam',
+      target: { targetType: 'user', targetId: owner._id, targetTitle: 'Usuario reportado' },
+      description: 'Publicaciones repetidas',
+      category: 'content',
+      priority,
+      createdAt
+    });
+
+    it('should flag overdue reports once and notify who can assign them', async () => {
+      const overdue = await createReport('high', new Date(Date.now() - 25 * 60 * 60 * 1000));
+      await createReport('normal', new Date(Date.now() - 25 * 60 * 60 * 1000));
+
+      expect(await checkReportSla()).toEqual({ breached: 1 });
+      expect(await checkReportSla()).toEqual({ breached: 0 });
+
+      const report = await Report.findById(overdue._id);
+      expect(report.priority).toBe('urgent');
+      expect(report.metrics.escalations).toBe(1);
+
+      const notification = await Notification.findOne({ recipient: moderator._id, event: 'sla_breach' });
+      expect(notification).not.toBeNull();
+    });
+  });
+
+  describe('collections:extend-recurring', () => {
+    it('should create the occurrences missing up to the end of the series', async () => {
+      const start = new Date(Date.now() + DAY);
+      const base = await CollectionSchedule.create({
+        title: 'Recolección de plásticos',
+        zone: 'centro',
+        dayOfWeek: 'tuesday',
+        timeSlot: { start: '09:00', end: '12:00' },
+        materialTypes: ['plastic'],
+        capacity: { maximum: 500 },
+        scheduledDate: start,
+        createdBy: owner._id,
+        recurring: { enabled: true, endDate: new Date(start.getTime() + 35 * DAY) }
+      });
+
+      expect(await recurringSchedules.createOccurrences(base, { limit: 2 })).toBe(2);
+      expect(await recurringSchedules.extendAll()).toBe(3);
+      expect(await recurringSchedules.extendAll()).toBe(0);
+
+      const occurrences = await CollectionSchedule.find({ 'recurring.parentSchedule': base._id }).sort({ scheduledDate: 1 });
+      expect(occurrences.map(schedule => Math.round((schedule.scheduledDate - start) / DAY))).toEqual([7, 14, 21, 28, 35]);
+    });
+  });
+});
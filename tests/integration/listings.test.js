@@ -0,0 +1,167 @@
+// tests/integration/listings.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../../models/User');
+const Product = require('../../models/Product');
+const { loginAs } = require('../helpers');
+
+// Configuración de base de datos de prueba
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/circulapp_test';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Listing expiry and renewal', () => {
+  let owner;
+  let ownerToken;
+  let otherToken;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({})
+    ]);
+
+    owner = await new User({ name: 'Donante', email: 'donor@example.com', password: 'password123' }).save();
+    await new User({ name: 'Vecina', email: 'neighbor@example.com', password: 'password123' }).save();
+
+    ownerToken = await loginAs('donor@example.com');
+    otherToken = await loginAs('neighbor@example.com');
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  const createProduct = (title, fields = {}) => new Product({
+    title,
+    description: 'Publicación de prueba',
+    category: 'furniture',
+    condition: 'good',
+    owner: owner._id,
+    location: { address: 'Calle Principal 123', coordinates: { lat: -31.4205, lng: -64.1890 } },
+    ...fields
+  }).save();
+
+  it('should hide expired listings from the catalog but keep them in my-products', async () => {
+    await createProduct('Mesa vigente');
+    await createProduct('Mesa vencida', { status: 'expired' });
+    await createProduct('Silla sin marcar', { availability: { endDate: new Date(Date.now() - DAY) } });
+
+    const catalog = await request(app).get('/api/products');
+    expect(catalog.status).toBe(200);
+    expect(catalog.body.products.map(product => product.title)).toEqual(['Mesa vigente']);
+
+    const mine = await request(app)
+      .get('/api/users/my-products')
+      .set('Authorization', `Bearer ${ownerToken}`);
+    expect(mine.status).toBe(200);
+    expect(mine.body.pagination.totalItems).toBe(3);
+
+    const active = mine.body.products.find(product => product.title === 'Mesa vigente');
+    expect(new Date(active.listing.expiresAt).getTime()).toBeGreaterThan(Date.now() + 59 * DAY);
+  });
+
+  it('should renew an expired listing and extend its end date', async () => {
+    const product = await createProduct('Mesa vencida', {
+      status: 'expired',
+      availability: { endDate: new Date(Date.now() - DAY) },
+      listing: { expiryWarningSentAt: new Date(Date.now() - 2 * DAY), expiredAt: new Date(Date.now() - DAY) }
+    });
+
+    const response = await request(app)
+      .post(`/api/products/${product._id}/renew`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ days: 15 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.product.status).toBe('available');
+    expect(response.body.product.listing.renewals).toBe(1);
+    expect(response.body.product.listing.expiryWarningSentAt).toBeUndefined();
+
+    const endDate = new Date(response.body.product.availability.endDate).getTime();
+    expect(Math.round((endDate - Date.now()) / DAY)).toBe(15);
+    expect(response.body.expiresAt).toBe(response.body.product.availability.endDate);
+  });
+
+  it('should only let the owner renew available or expired listings', async () => {
+    const product = await createProduct('Mesa donada', { status: 'donated' });
+
+    const other = await request(app)
+      .post(`/api/products/${product._id}/renew`)
+      .set('Authorization', `Bearer ${otherToken}`);
+    expect(other.status).toBe(404);
+
+    const donated = await request(app)
+      .post(`/api/products/${product._id}/renew`)
+      .set('Authorization', `Bearer ${ownerToken}`);
+    expect(donated.status).toBe(409);
+
+    const invalid = await request(app)
+      .post(`/api/products/${product._id}/renew`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ days: 365 });
+    expect(invalid.status).toBe(400);
+  });
+
+  it('should send a validated material back to review when its weight changes', async () => {
+    const product = await createProduct('Botellas compactadas', {
+      weight: { declared: 5, unit: 'kg' },
+      materialAnalysis: { materialType: 'plastic', compactionStatus: 'validated' }
+    });
+
+    const response = await request(app)
+      .put(`/api/products/${product._id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ weight: { declared: 50, unit: 'kg' } });
+
+    expect(response.status).toBe(200);
+    expect(response.body.product.materialAnalysis.compactionStatus).toBe('pending');
+  });
+
+  it('should not let the owner change the status through an edit', async () => {
+    const product = await createProduct('Mesa vencida', { status: 'expired' });
+
+    const response = await request(app)
+      .put(`/api/products/${product._id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ title: 'Mesa de roble', status: 'available', listing: { renewals: 10 } });
+
+    expect(response.status).toBe(200);
+
+    const saved = await Product.findById(product._id);
+    expect(saved.title).toBe('Mesa de roble');
+    expect(saved.status).toBe('expired');
+    expect(saved.listing.renewals).toBe(0);
+  });
+
+  it('should reject malformed edits with 400 instead of failing on save', async () => {
+    const product = await createProduct('Botellas compactadas', { weight: { declared: 5, unit: 'kg' } });
+
+    for (const body of [
+      { weight: { declared: 'mucho' } },
+      { materialAnalysis: { material: 'no-es-un-id' } },
+      { location: { address: 'Calle Nueva 1', coordinates: { lat: -31.4 } } }
+    ]) {
+      const response = await request(app)
+        .put(`/api/products/${product._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send(body);
+      expect(response.status).toBe(400);
+    }
+
+    const saved = await Product.findById(product._id);
+    expect(saved.weight.declared).toBe(5);
+  });
+});
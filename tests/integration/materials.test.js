@@ -0,0 +1,123 @@
+// tests/integration/materials.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../../models/User');
+const Material = require('../../models/Material');
+const Report = require('../../models/Report');
+const { loginAs } = require('../helpers');
+
+// Configuración de base de datos de prueba
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/circulapp_test';
+
+const materialData = {
+  name: 'Botellas PET',
+  category: 'plastic',
+  compactionInstructions: 'Enjuagar, quitar la tapa y aplastar',
+  standardWeight: 0.03,
+  validationCriteria: { minWeight: 1, maxWeight: 20 }
+};
+
+describe('Materials Catalog', () => {
+  let adminToken;
+  let validatorToken;
+  let citizenToken;
+  let admin;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Material.deleteMany({}),
+      Report.deleteMany({})
+    ]);
+
+    admin = await new User({
+      name: 'Administrador',
+      email: 'admin@example.com',
+      password: 'password123',
+      userType: 'comuna',
+      roles: ['municipal_admin']
+    }).save();
+    await new User({ name: 'Validador', email: 'validator@example.com', password: 'password123', roles: ['validator'] }).save();
+    await new User({ name: 'Vecino', email: 'citizen@example.com', password: 'password123' }).save();
+
+    adminToken = await loginAs('admin@example.com');
+    validatorToken = await loginAs('validator@example.com');
+    citizenToken = await loginAs('citizen@example.com');
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Material.deleteMany({}),
+      Report.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  it('should expose the catalog without authentication', async () => {
+    await new Material({ ...materialData, createdBy: admin._id }).save();
+
+    const response = await request(app)
+      .get('/api/materials')
+      .expect(200);
+
+    expect(response.body.materials).toHaveLength(1);
+    expect(response.body.pagination.totalItems).toBe(1);
+  });
+
+  it('should only let staff with materials:edit create materials', async () => {
+    await request(app)
+      .post('/api/materials')
+      .send(materialData)
+      .expect(401);
+
+    await request(app)
+      .post('/api/materials')
+      .set('Authorization', `Bearer ${validatorToken}`)
+      .send(materialData)
+      .expect(403);
+
+    const response = await request(app)
+      .post('/api/materials')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(materialData)
+      .expect(201);
+
+    expect(response.body.material.name).toBe('Botellas PET');
+  });
+
+  it('should let users report a problem with a material', async () => {
+    const material = await new Material({ ...materialData, createdBy: admin._id }).save();
+
+    const response = await request(app)
+      .post(`/api/materials/${material._id}/report`)
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .send({ issueType: 'outdated_info', description: 'Las instrucciones cambiaron' })
+      .expect(201);
+
+    const report = await Report.findById(response.body.reportId);
+    expect(report.target.targetType).toBe('material');
+  });
+
+  it('should serve statistics to staff instead of treating the path as an id', async () => {
+    await request(app)
+      .get('/api/materials/admin/statistics')
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .expect(403);
+
+    const response = await request(app)
+      .get('/api/materials/admin/statistics')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.categoryDistribution).toBeDefined();
+  });
+});
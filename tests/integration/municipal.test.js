@@ -1,10 +1,474 @@
 // tests/integration/municipal.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../../models/User');
+const Product = require('../../models/Product');
+const Report = require('../../models/Report');
+const CollectionSchedule = require('../../models/CollectionSchedule');
+const { loginAs, createStaff } = require('../helpers');
+
+// Configuración de base de datos de prueba
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/circulapp_test';
+
+const DAY = 24 * 60 * 60 * 1000;
+
 describe('Municipal Collection System', () => {
-  test('should schedule collection route', async () => {
-    // Test de programación de rutas
+  let adminToken;
+  let validatorToken;
+  let collectorToken;
+  let citizenToken;
+  let citizen;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
   });
-  
-  test('should validate material compaction', async () => {
-    // Test de validación de materiales
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({}),
+      Report.deleteMany({}),
+      CollectionSchedule.deleteMany({})
+    ]);
+
+    await createStaff('Administrador', 'admin@example.com', ['municipal_admin']);
+    await createStaff('Validador', 'validator@example.com', ['validator']);
+    await createStaff('Recolector', 'collector@example.com', ['collector']);
+    citizen = await new User({ name: 'Vecino', email: 'citizen@example.com', password: 'password123' }).save();
+
+    adminToken = await loginAs('admin@example.com');
+    validatorToken = await loginAs('validator@example.com');
+    collectorToken = await loginAs('collector@example.com');
+    citizenToken = await loginAs('citizen@example.com');
   });
-});
\ No newline at end of file
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({}),
+      Report.deleteMany({}),
+      CollectionSchedule.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  const scheduleData = (overrides = {}) => ({
+    title: 'Recolección de plásticos',
+    zone: 'centro',
+    dayOfWeek: 'tuesday',
+    timeSlot: { start: '09:00', end: '12:00' },
+    materialTypes: ['plastic'],
+    capacity: { maximum: 500 },
+    scheduledDate: new Date(Date.now() + DAY).toISOString(),
+    ...overrides
+  });
+
+  describe('Authorization', () => {
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/municipal/collection-schedule')
+        .expect(401);
+    });
+
+    it('should reject users without the required permission', async () => {
+      await request(app)
+        .get('/api/municipal/collection-schedule')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(403);
+
+      await request(app)
+        .post('/api/municipal/collection-schedule')
+        .set('Authorization', `Bearer ${collectorToken}`)
+        .send(scheduleData())
+        .expect(403);
+    });
+
+    it('should let collectors read the schedule', async () => {
+      const response = await request(app)
+        .get('/api/municipal/collection-schedule')
+        .set('Authorization', `Bearer ${collectorToken}`)
+        .expect(200);
+
+      expect(response.body.schedules).toEqual([]);
+    });
+  });
+
+  describe('POST /api/municipal/collection-schedule', () => {
+    it('should create weekly occurrences until the end date', async () => {
+      const start = new Date(Date.now() + DAY);
+      const response = await request(app)
+        .post('/api/municipal/collection-schedule')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(scheduleData({
+          scheduledDate: start.toISOString(),
+          recurring: { enabled: true, endDate: new Date(start.getTime() + 28 * DAY).toISOString() }
+        }))
+        .expect(201);
+
+      expect(response.body.recurringCreated).toBe(4);
+
+      const occurrences = await CollectionSchedule.find({ 'recurring.parentSchedule': response.body.schedule._id })
+        .sort({ scheduledDate: 1 });
+      expect(occurrences).toHaveLength(4);
+      expect(occurrences[0].scheduledDate.getTime() - start.getTime()).toBe(7 * DAY);
+      expect(occurrences.every(schedule => schedule.status === 'scheduled')).toBe(true);
+    });
+
+    it('should honour biweekly frequency', async () => {
+      const start = new Date(Date.now() + DAY);
+      const response = await request(app)
+        .post('/api/municipal/collection-schedule')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(scheduleData({
+          scheduledDate: start.toISOString(),
+          frequency: 'biweekly',
+          recurring: { enabled: true, endDate: new Date(start.getTime() + 42 * DAY).toISOString() }
+        }))
+        .expect(201);
+
+      expect(response.body.recurringCreated).toBe(3);
+    });
+
+    it('should keep the weekday and its ordinal for monthly schedules', async () => {
+      // Segundo martes de enero de 2030
+      const response = await request(app)
+        .post('/api/municipal/collection-schedule')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(scheduleData({
+          scheduledDate: '2030-01-08T12:00:00.000Z',
+          frequency: 'monthly',
+          recurring: { enabled: true, endDate: '2030-04-30T00:00:00.000Z' }
+        }))
+        .expect(201);
+
+      expect(response.body.recurringCreated).toBe(3);
+
+      const occurrences = await CollectionSchedule.find({ 'recurring.parentSchedule': response.body.schedule._id })
+        .sort({ scheduledDate: 1 });
+      expect(occurrences.map(schedule => schedule.scheduledDate.toISOString().slice(0, 10)))
+        .toEqual(['2030-02-12', '2030-03-12', '2030-04-09']);
+    });
+
+    it('should require an end date for recurring schedules', async () => {
+      await request(app)
+        .post('/api/municipal/collection-schedule')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(scheduleData({ recurring: { enabled: true } }))
+        .expect(400);
+    });
+  });
+
+  describe('PATCH /api/municipal/collection-schedule/:id/optimize-route', () => {
+    const routePoint = (lat, lng, extra = {}) => ({
+      address: `Parada ${lat},${lng}`,
+      coordinates: { lat, lng },
+      ...extra
+    });
+
+    const createSchedule = async (route) => {
+      const admin = await User.findOne({ email: 'admin@example.com' });
+      return new CollectionSchedule({
+        ...scheduleData(),
+        route,
+        depot: { start: { address: 'Corralón municipal', coordinates: { lat: -31.42, lng: -64.19 } } },
+        createdBy: admin._id
+      }).save();
+    };
+
+    it('should report the real distance and duration saved', async () => {
+      const schedule = await createSchedule([
+        routePoint(-31.411, -64.19),
+        routePoint(-31.42, -64.1795),
+        routePoint(-31.411, -64.1795),
+        routePoint(-31.402, -64.19)
+      ]);
+
+      const response = await request(app)
+        .patch(`/api/municipal/collection-schedule/${schedule._id}/optimize-route`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.after.distance).toBeLessThanOrEqual(response.body.before.distance);
+      expect(response.body.savings.distanceKm).toBeGreaterThanOrEqual(0);
+
+      const updated = await CollectionSchedule.findById(schedule._id);
+      expect(updated.routeMetrics.distance).toBe(response.body.after.distance);
+      expect(updated.route.every(point => point.estimatedTime)).toBe(true);
+    });
+
+    it('should not save a route that leaves points unvisited', async () => {
+      const schedule = await createSchedule([
+        routePoint(-31.411, -64.19, { load: 400 }),
+        routePoint(-31.402, -64.19, { load: 400 })
+      ]);
+
+      const response = await request(app)
+        .patch(`/api/municipal/collection-schedule/${schedule._id}/optimize-route`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(422);
+
+      expect(response.body.unassignedPoints).toHaveLength(1);
+    });
+  });
+
+  describe('POST /api/municipal/collection-plan', () => {
+    const date = new Date(Date.now() + 2 * DAY);
+    const day = date.toISOString().slice(0, 10);
+
+    const createVehicleSchedule = async (title, vehicleType, materialTypes, maximum) => {
+      const admin = await User.findOne({ email: 'admin@example.com' });
+      return new CollectionSchedule({
+        ...scheduleData({ title, materialTypes, capacity: { maximum }, scheduledDate: new Date(`${day}T00:00:00.000Z`) }),
+        vehicle: { type: vehicleType },
+        createdBy: admin._id
+      }).save();
+    };
+
+    const createPickup = (title, materialType, weight, lat) => new Product({
+      title,
+      description: 'Material compactado listo para retirar',
+      category: 'other',
+      condition: 'good',
+      owner: citizen._id,
+      weight: { declared: weight },
+      materialAnalysis: { materialType, compactionStatus: 'validated' },
+      location: { address: `${title} 123`, zone: 'centro', coordinates: { lat, lng: -64.19 } }
+    }).save();
+
+    it('should propose routes per vehicle and commit them', async () => {
+      const truck = await createVehicleSchedule('Camión', 'truck', ['plastic', 'paper'], 100);
+      const bicycle = await createVehicleSchedule('Bicicleta', 'bicycle', ['paper'], 20);
+      await createPickup('Botellas', 'plastic', 60, -31.411);
+      await createPickup('Cartones', 'paper', 15, -31.415);
+      await createPickup('Vidrios', 'glass', 10, -31.418);
+
+      const response = await request(app)
+        .post('/api/municipal/collection-plan')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ zone: 'centro', date: day })
+        .expect(200);
+
+      const { plan } = response.body;
+      expect(plan.routes).toHaveLength(2);
+      expect(plan.unassigned).toEqual([expect.objectContaining({ reason: 'incompatible_material' })]);
+      plan.routes.forEach(route => {
+        expect(route.metrics.load).toBeLessThanOrEqual(route.metrics.capacity);
+      });
+
+      await request(app)
+        .post('/api/municipal/collection-plan/commit')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ routes: plan.routes.map(({ scheduleId, route }) => ({ scheduleId, route })) })
+        .expect(200);
+
+      const [savedTruck, savedBicycle] = await Promise.all([
+        CollectionSchedule.findById(truck._id),
+        CollectionSchedule.findById(bicycle._id)
+      ]);
+      expect(savedTruck.route.length + savedBicycle.route.length).toBe(2);
+      expect(savedTruck.capacity.current).toBeLessThanOrEqual(100);
+    });
+
+    it('should reject a committed route that exceeds the vehicle capacity', async () => {
+      const bicycle = await createVehicleSchedule('Bicicleta', 'bicycle', ['paper'], 20);
+      const heavy = await createPickup('Cartones', 'paper', 50, -31.415);
+
+      await request(app)
+        .post('/api/municipal/collection-plan/commit')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ routes: [{ scheduleId: bicycle._id.toString(), route: [{ products: [heavy._id.toString()] }] }] })
+        .expect(422);
+    });
+
+    it('should reject committed routes with products the planner would not propose', async () => {
+      const truck = await createVehicleSchedule('Camión', 'truck', ['plastic'], 100);
+      const pending = await createPickup('Botellas', 'plastic', 10, -31.411);
+      pending.materialAnalysis.compactionStatus = 'pending';
+      await pending.save();
+      const noPickup = await createPickup('Bidones', 'plastic', 10, -31.412);
+      noPickup.pickupOptions.allowsPickup = false;
+      await noPickup.save();
+      const otherZone = await createPickup('Tapitas', 'plastic', 10, -31.413);
+      otherZone.location.zone = 'norte';
+      await otherZone.save();
+
+      const commit = (product) => request(app)
+        .post('/api/municipal/collection-plan/commit')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ routes: [{ scheduleId: truck._id.toString(), route: [{ products: [product._id.toString()] }] }] });
+
+      expect((await commit(pending)).status).toBe(409);
+      expect((await commit(noPickup)).status).toBe(409);
+
+      const response = await commit(otherZone);
+      expect(response.status).toBe(422);
+      expect(response.body.products).toEqual([otherZone._id.toString()]);
+    });
+  });
+
+  describe('PATCH /api/municipal/collection-schedule/:id/complete', () => {
+    let schedule;
+    let bottles;
+    let cans;
+
+    const createProduct = (title, materialType, weight) => new Product({
+      title,
+      description: 'Material compactado listo para retirar',
+      category: 'other',
+      condition: 'good',
+      owner: citizen._id,
+      weight: { declared: weight },
+      materialAnalysis: { materialType, compactionStatus: 'validated' },
+      location: { address: `${title} 123`, zone: 'centro', coordinates: { lat: -31.411, lng: -64.19 } }
+    }).save();
+
+    beforeEach(async () => {
+      const admin = await User.findOne({ email: 'admin@example.com' });
+      bottles = await createProduct('Botellas', 'plastic', 20);
+      cans = await createProduct('Latas', 'metal', 10);
+
+      schedule = await new CollectionSchedule({
+        ...scheduleData({ materialTypes: ['plastic', 'metal'] }),
+        vehicle: { type: 'truck', fuelType: 'diesel' },
+        route: [
+          { address: 'Botellas 123', coordinates: { lat: -31.411, lng: -64.19 }, products: [bottles._id] },
+          { address: 'Latas 123', coordinates: { lat: -31.402, lng: -64.19 }, products: [cans._id] }
+        ],
+        createdBy: admin._id
+      }).save();
+    });
+
+    it('should record the collection and its net carbon benefit', async () => {
+      const response = await request(app)
+        .patch(`/api/municipal/collection-schedule/${schedule._id}/complete`)
+        .set('Authorization', `Bearer ${collectorToken}`)
+        .send({
+          distance: 10,
+          points: [
+            { pointId: schedule.route[0]._id.toString(), status: 'completed', collectedWeight: 25 },
+            { pointId: schedule.route[1]._id.toString(), status: 'skipped', notes: 'Nadie en el domicilio' }
+          ]
+        })
+        .expect(200);
+
+      const { results } = response.body.schedule;
+      expect(response.body.schedule.status).toBe('completed');
+      expect(results.pointsCompleted).toBe(1);
+      expect(results.pointsSkipped).toBe(1);
+      expect(results.carbonFootprint).toBe(9);
+      expect(results.co2Saved).toBe(52.5);
+      expect(results.netBenefit).toBe(43.5);
+
+      const [collected, skipped] = await Promise.all([Product.findById(bottles._id), Product.findById(cans._id)]);
+      expect(collected.status).toBe('donated');
+      expect(collected.weight.actual).toBe(25);
+      expect(skipped.status).toBe('available');
+
+      const analytics = await request(app)
+        .get('/api/municipal/analytics')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(analytics.body.collectionImpact.netBenefit).toBe(43.5);
+      expect(analytics.body.collectionImpact.routes).toHaveLength(1);
+    });
+
+    it('should not complete a schedule twice', async () => {
+      const complete = () => request(app)
+        .patch(`/api/municipal/collection-schedule/${schedule._id}/complete`)
+        .set('Authorization', `Bearer ${collectorToken}`)
+        .send({ distance: 10 });
+
+      await complete().expect(200);
+      await complete().expect(409);
+    });
+
+    it('should not let validators record collections', async () => {
+      await request(app)
+        .patch(`/api/municipal/collection-schedule/${schedule._id}/complete`)
+        .set('Authorization', `Bearer ${validatorToken}`)
+        .send({ distance: 10 })
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/municipal/validate-material', () => {
+    let product;
+
+    beforeEach(async () => {
+      product = await new Product({
+        title: 'Botellas compactadas',
+        description: 'Bolsa con botellas PET compactadas',
+        category: 'other',
+        condition: 'good',
+        owner: citizen._id,
+        weight: { declared: 5 },
+        materialAnalysis: { materialType: 'plastic' },
+        location: {
+          address: 'Calle Principal 123',
+          coordinates: { lat: -31.4205, lng: -64.1890 }
+        }
+      }).save();
+    });
+
+    it('should let validators validate a material', async () => {
+      const response = await request(app)
+        .post('/api/municipal/validate-material')
+        .set('Authorization', `Bearer ${validatorToken}`)
+        .send({ productId: product._id.toString(), validationResult: 'validated', notes: 'Bien compactado' })
+        .expect(200);
+
+      expect(response.body.validationResult).toBe('validated');
+
+      const updated = await Product.findById(product._id);
+      expect(updated.materialAnalysis.compactionStatus).toBe('validated');
+    });
+
+    it('should not let collectors validate materials', async () => {
+      await request(app)
+        .post('/api/municipal/validate-material')
+        .set('Authorization', `Bearer ${collectorToken}`)
+        .send({ productId: product._id.toString(), validationResult: 'validated' })
+        .expect(403);
+    });
+  });
+
+  describe('PATCH /api/municipal/reports/:id/assign', () => {
+    let report;
+
+    beforeEach(async () => {
+      report = await new Report({
+        reporter: citizen._id,
+        reportType: 'spam',
+        target: { targetType: 'user', targetId: citizen._id },
+        description: 'Publicaciones repetidas',
+        category: 'content'
+      }).save();
+    });
+
+    it('should only assign reports to staff who can resolve them', async () => {
+      const collector = await User.findOne({ email: 'collector@example.com' });
+      const moderator = await createStaff('Moderador', 'moderator@example.com', ['moderator']);
+
+      await request(app)
+        .patch(`/api/municipal/reports/${report._id}/assign`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ assignedTo: collector._id.toString() })
+        .expect(400);
+
+      await request(app)
+        .patch(`/api/municipal/reports/${report._id}/assign`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ assignedTo: moderator._id.toString() })
+        .expect(200);
+
+      const updated = await Report.findById(report._id);
+      expect(updated.assignedTo.toString()).toBe(moderator._id.toString());
+      expect(updated.status).toBe('reviewing');
+    });
+  });
+});
@@ -0,0 +1,195 @@
+// tests/integration/notifications.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../../models/User');
+const Product = require('../../models/Product');
+const Transaction = require('../../models/Transaction');
+const Notification = require('../../models/Notification');
+const notificationService = require('../../services/notificationService');
+const emailService = require('../../utils/emailService');
+const { loginAs, waitForNotification } = require('../helpers');
+
+// Configuración de base de datos de prueba
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/circulapp_test';
+
+describe('Notification Center', () => {
+  let donor;
+  let recipient;
+  let donorToken;
+  let recipientToken;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({}),
+      Transaction.deleteMany({}),
+      Notification.deleteMany({})
+    ]);
+
+    donor = await new User({ name: 'Donante', email: 'donor@example.com', password: 'password123', isVerified: true }).save();
+    recipient = await new User({ name: 'Receptor', email: 'recipient@example.com', password: 'password123' }).save();
+
+    donorToken = await loginAs('donor@example.com');
+    recipientToken = await loginAs('recipient@example.com');
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({}),
+      Transaction.deleteMany({}),
+      Notification.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  const createNotifications = (count) => Promise.all([...Array(count).keys()].map(index =>
+    notificationService.notify(recipient._id, {
+      type: 'system',
+      title: `Aviso ${index}`,
+      message: 'Mensaje de prueba'
+    })
+  ));
+
+  it('should list notifications with the unread count', async () => {
+    await createNotifications(3);
+
+    const response = await request(app)
+      .get('/api/notifications')
+      .set('Authorization', `Bearer ${recipientToken}`)
+      .expect(200);
+
+    expect(response.body.notifications).toHaveLength(3);
+    expect(response.body.unreadCount).toBe(3);
+
+    const others = await request(app)
+      .get('/api/notifications')
+      .set('Authorization', `Bearer ${donorToken}`)
+      .expect(200);
+
+    expect(others.body.notifications).toHaveLength(0);
+  });
+
+  it('should mark one or all notifications as read', async () => {
+    const [first] = await createNotifications(3);
+
+    await request(app)
+      .patch(`/api/notifications/${first._id}/read`)
+      .set('Authorization', `Bearer ${recipientToken}`)
+      .expect(200);
+
+    let count = await request(app)
+      .get('/api/notifications/unread-count')
+      .set('Authorization', `Bearer ${recipientToken}`)
+      .expect(200);
+    expect(count.body.unreadCount).toBe(2);
+
+    await request(app)
+      .patch('/api/notifications/read-all')
+      .set('Authorization', `Bearer ${recipientToken}`)
+      .expect(200);
+
+    count = await request(app)
+      .get('/api/notifications/unread-count')
+      .set('Authorization', `Bearer ${recipientToken}`)
+      .expect(200);
+    expect(count.body.unreadCount).toBe(0);
+  });
+
+  it('should not let users read notifications of others', async () => {
+    const [notification] = await createNotifications(1);
+
+    await request(app)
+      .patch(`/api/notifications/${notification._id}/read`)
+      .set('Authorization', `Bearer ${donorToken}`)
+      .expect(404);
+  });
+
+  it('should update only the preferences sent', async () => {
+    const response = await request(app)
+      .put('/api/notifications/preferences')
+      .set('Authorization', `Bearer ${recipientToken}`)
+      .send({
+        channels: { review: { email: true } },
+        quietHours: { enabled: true, start: '23:00' },
+        digest: { frequency: 'weekly' }
+      })
+      .expect(200);
+
+    const { preferences } = response.body;
+    expect(preferences.channels.review).toEqual({ in_app: true, email: true, push: true, sms: false });
+    expect(preferences.quietHours).toEqual(expect.objectContaining({ enabled: true, start: '23:00', end: '08:00' }));
+    expect(preferences.digest.frequency).toBe('weekly');
+  });
+
+  it('should reject unknown notification types or channels', async () => {
+    await request(app)
+      .put('/api/notifications/preferences')
+      .set('Authorization', `Bearer ${recipientToken}`)
+      .send({ channels: { review: { fax: true } } })
+      .expect(400);
+  });
+
+  it('should keep notifications out of the app when the user disabled that channel', async () => {
+    await User.findByIdAndUpdate(recipient._id, { 'notificationPreferences.channels.system.in_app': false });
+    await createNotifications(1);
+
+    const response = await request(app)
+      .get('/api/notifications')
+      .set('Authorization', `Bearer ${recipientToken}`)
+      .expect(200);
+
+    expect(response.body.notifications).toHaveLength(0);
+  });
+
+  it('should unsubscribe from emails with the link sent in them', async () => {
+    emailService.clearOutbox();
+    await createNotifications(1);
+
+    const [mail] = emailService.outbox;
+    expect(mail.headers['List-Unsubscribe-Post']).toBe('List-Unsubscribe=One-Click');
+    const url = new URL(mail.list.unsubscribe.url);
+
+    await request(app)
+      .post(`${url.pathname}${url.search}`)
+      .expect(200);
+
+    emailService.clearOutbox();
+    await createNotifications(1);
+    expect(emailService.outbox).toHaveLength(0);
+
+    const user = await User.findById(recipient._id);
+    expect(user.notificationPreferences.channels.system.email).toBe(false);
+    expect(user.notificationPreferences.channels.transaction.email).toBe(true);
+  });
+
+  it('should notify the donor when a product is requested', async () => {
+    const product = await new Product({
+      title: 'Mesa de madera',
+      description: 'Mesa de comedor en buen estado',
+      category: 'furniture',
+      condition: 'good',
+      owner: donor._id,
+      location: { address: 'Calle Principal 123', coordinates: { lat: -31.4205, lng: -64.1890 } }
+    }).save();
+
+    await request(app)
+      .post('/api/transactions')
+      .set('Authorization', `Bearer ${recipientToken}`)
+      .send({ productId: product._id.toString() })
+      .expect(201);
+
+    const notification = await waitForNotification({ recipient: donor._id, type: 'transaction' });
+    expect(notification).not.toBeNull();
+    expect(notification.event).toBe('request');
+    expect(notification.data.product.toString()).toBe(product._id.toString());
+  });
+});
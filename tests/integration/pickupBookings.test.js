@@ -0,0 +1,264 @@
+// tests/integration/pickupBookings.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../../models/User');
+const Product = require('../../models/Product');
+const CollectionSchedule = require('../../models/CollectionSchedule');
+const Notification = require('../../models/Notification');
+const pickupBookings = require('../../services/pickupBookings');
+const { loginAs, waitForNotification, createSchedule } = require('../helpers');
+
+// Configuración de base de datos de prueba
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/circulapp_test';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Pickup bookings', () => {
+  let admin;
+  let owner;
+  let ownerToken;
+  let otherToken;
+  let product;
+  let schedule;
+
+  const book = (token, body) => request(app)
+    .post('/api/pickup-bookings')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({}),
+      CollectionSchedule.deleteMany({}),
+      Notification.deleteMany({})
+    ]);
+
+    admin = await new User({ name: 'Administrador', email: 'admin@example.com', password: 'password123', userType: 'comuna', roles: ['municipal_admin'] }).save();
+    owner = await new User({ name: 'Vecino', email: 'owner@example.com', password: 'password123' }).save();
+    await new User({ name: 'Otro vecino', email: 'other@example.com', password: 'password123' }).save();
+    ownerToken = await loginAs('owner@example.com');
+    otherToken = await loginAs('other@example.com');
+
+    product = await new Product({
+      title: 'Botellas compactadas',
+      description: 'Botellas de plástico compactadas',
+      category: 'other',
+      condition: 'good',
+      owner: owner._id,
+      weight: { declared: 30, unit: 'kg' },
+      materialAnalysis: { materialType: 'plastic', compactionStatus: 'validated' },
+      location: { address: 'San Martín 100', zone: 'centro', coordinates: { lat: -31.41, lng: -64.19 } }
+    }).save();
+
+    schedule = await createSchedule(admin._id);
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({}),
+      CollectionSchedule.deleteMany({}),
+      Notification.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  describe('POST /api/pickup-bookings', () => {
+    it('should append a route point, reserve capacity and confirm the booking', async () => {
+      const response = await book(ownerToken, { product: product._id, schedule: schedule._id }).expect(201);
+
+      expect(response.body.booking.point.products).toEqual([product._id.toString()]);
+
+      const saved = await CollectionSchedule.findById(schedule._id);
+      expect(saved.route).toHaveLength(1);
+      expect(saved.route[0].bookedBy).toEqual(owner._id);
+      expect(saved.capacity.current).toBe(30);
+
+      const confirmation = await waitForNotification({ recipient: owner._id, event: 'booked' });
+      expect(confirmation).not.toBeNull();
+    });
+
+    it('should list the schedules available for the product', async () => {
+      await createSchedule(admin._id, { title: 'Vidrios', materialTypes: ['glass'] });
+      await createSchedule(admin._id, { title: 'Otra zona', zone: 'norte' });
+      await createSchedule(admin._id, { title: 'Completo', capacity: { maximum: 100, current: 90 } });
+
+      const response = await request(app)
+        .get('/api/pickup-bookings/slots')
+        .query({ product: product._id.toString() })
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(response.body.slots.map(slot => slot.title)).toEqual(['Recolección de plásticos']);
+    });
+
+    it('should reject materials the schedule does not collect', async () => {
+      const glass = await createSchedule(admin._id, { materialTypes: ['glass'] });
+      await book(ownerToken, { product: product._id, schedule: glass._id }).expect(400);
+    });
+
+    it('should reject schedules without capacity for the product weight', async () => {
+      const small = await createSchedule(admin._id, { capacity: { maximum: 20, unit: 'kg' } });
+      await book(ownerToken, { product: product._id, schedule: small._id }).expect(409);
+    });
+
+    it('should reject schedules from another zone', async () => {
+      const north = await createSchedule(admin._id, { zone: 'norte' });
+      await book(ownerToken, { product: product._id, schedule: north._id }).expect(400);
+    });
+
+    it('should require a validated material owned by the user', async () => {
+      await book(otherToken, { product: product._id, schedule: schedule._id }).expect(404);
+
+      product.materialAnalysis.compactionStatus = 'pending';
+      await product.save();
+      await book(ownerToken, { product: product._id, schedule: schedule._id }).expect(400);
+    });
+
+    it('should reject products the planner would not pick up', async () => {
+      product.pickupOptions.allowsPickup = false;
+      await product.save();
+      await book(ownerToken, { product: product._id, schedule: schedule._id }).expect(400);
+
+      product.pickupOptions.allowsPickup = true;
+      product.processing.isProcessed = true;
+      await product.save();
+      await book(ownerToken, { product: product._id, schedule: schedule._id }).expect(409);
+    });
+
+    it('should not book the same product twice', async () => {
+      const other = await createSchedule(admin._id);
+      await book(ownerToken, { product: product._id, schedule: schedule._id }).expect(201);
+      await book(ownerToken, { product: product._id, schedule: other._id }).expect(409);
+    });
+  });
+
+  describe('DELETE /api/pickup-bookings/:productId', () => {
+    it('should remove the route point and release the capacity', async () => {
+      await book(ownerToken, { product: product._id, schedule: schedule._id }).expect(201);
+
+      await request(app)
+        .delete(`/api/pickup-bookings/${product._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      const saved = await CollectionSchedule.findById(schedule._id);
+      expect(saved.route).toHaveLength(0);
+      expect(saved.capacity.current).toBe(0);
+    });
+  });
+
+  describe('POST /api/municipal/collection-plan/commit', () => {
+    const commit = async (routes) => request(app)
+      .post('/api/municipal/collection-plan/commit')
+      .set('Authorization', `Bearer ${await loginAs('admin@example.com')}`)
+      .send({ routes });
+
+    it('should not drop booked pickups from an edited plan', async () => {
+      await book(ownerToken, { product: product._id, schedule: schedule._id }).expect(201);
+
+      const response = await commit([{ scheduleId: schedule._id.toString(), route: [] }]);
+
+      expect(response.status).toBe(409);
+      expect(response.body.products).toEqual([product._id.toString()]);
+      expect((await CollectionSchedule.findById(schedule._id)).route).toHaveLength(1);
+    });
+
+    it('should keep the booking when the pickup moves to another vehicle', async () => {
+      const other = await createSchedule(admin._id, { title: 'Segundo camión', scheduledDate: schedule.scheduledDate });
+      await book(ownerToken, { product: product._id, schedule: schedule._id }).expect(201);
+
+      await commit([
+        { scheduleId: schedule._id.toString(), route: [] },
+        { scheduleId: other._id.toString(), route: [{ products: [product._id.toString()] }] }
+      ]).then(response => expect(response.status).toBe(200));
+
+      const saved = await CollectionSchedule.findById(other._id);
+      expect(saved.route[0].bookedBy).toEqual(owner._id);
+    });
+
+    it('should not group a booked pickup with other products in one stop', async () => {
+      await book(ownerToken, { product: product._id, schedule: schedule._id }).expect(201);
+      const neighbor = await new Product({
+        title: 'Bidones compactados',
+        description: 'Bidones de plástico compactados',
+        category: 'other',
+        condition: 'good',
+        owner: owner._id,
+        weight: { declared: 10, unit: 'kg' },
+        materialAnalysis: { materialType: 'plastic', compactionStatus: 'validated' },
+        location: { address: 'San Martín 102', zone: 'centro', coordinates: { lat: -31.41, lng: -64.19 } }
+      }).save();
+
+      const response = await commit([
+        { scheduleId: schedule._id.toString(), route: [{ products: [neighbor._id.toString(), product._id.toString()] }] }
+      ]);
+
+      expect(response.status).toBe(422);
+      expect(response.body.products).toEqual([product._id.toString()]);
+      expect((await CollectionSchedule.findById(schedule._id)).route[0].bookedBy).toEqual(owner._id);
+    });
+
+    it('should release bookings whose material can no longer be picked up and notify the citizen', async () => {
+      await book(ownerToken, { product: product._id, schedule: schedule._id }).expect(201);
+      product.processing.isProcessed = true;
+      await product.save();
+
+      const response = await commit([{ scheduleId: schedule._id.toString(), route: [] }]);
+
+      expect(response.status).toBe(200);
+      expect((await CollectionSchedule.findById(schedule._id)).route).toHaveLength(0);
+      expect(await waitForNotification({ recipient: owner._id, event: 'booking_cancelled' })).not.toBeNull();
+    });
+  });
+
+  describe('Reminders', () => {
+    it('should remind booked citizens once before the schedule', async () => {
+      await book(ownerToken, { product: product._id, schedule: schedule._id }).expect(201);
+
+      // Todavía falta más que la anticipación del recordatorio
+      expect(await pickupBookings.sendReminders()).toBe(0);
+
+      const dayBefore = new Date(schedule.scheduledDate.getTime() - 12 * HOUR);
+      expect(await pickupBookings.sendReminders(dayBefore)).toBe(1);
+      expect(await pickupBookings.sendReminders(dayBefore)).toBe(0);
+
+      const saved = await CollectionSchedule.findById(schedule._id);
+      expect(saved.route[0].reminderSentAt).toEqual(dayBefore);
+      expect(saved.notifications.reminder).toBe(true);
+      expect(saved.notifications.reminderSentAt).toEqual(dayBefore);
+      expect(await Notification.countDocuments({ recipient: owner._id, event: 'reminder' })).toBe(1);
+    });
+
+    it('should remind bookings made after the schedule was already reminded', async () => {
+      await book(ownerToken, { product: product._id, schedule: schedule._id }).expect(201);
+      const dayBefore = new Date(schedule.scheduledDate.getTime() - 12 * HOUR);
+      expect(await pickupBookings.sendReminders(dayBefore)).toBe(1);
+
+      const late = await new Product({
+        title: 'Más botellas',
+        description: 'Botellas de plástico compactadas',
+        category: 'other',
+        condition: 'good',
+        owner: owner._id,
+        weight: { declared: 10, unit: 'kg' },
+        materialAnalysis: { materialType: 'plastic', compactionStatus: 'validated' },
+        location: { address: 'San Martín 200', zone: 'centro', coordinates: { lat: -31.41, lng: -64.19 } }
+      }).save();
+      await book(ownerToken, { product: late._id, schedule: schedule._id }).expect(201);
+
+      const hourLater = new Date(dayBefore.getTime() + HOUR);
+      expect(await pickupBookings.sendReminders(hourLater)).toBe(1);
+      expect(await Notification.countDocuments({ recipient: owner._id, event: 'reminder' })).toBe(2);
+    });
+  });
+});
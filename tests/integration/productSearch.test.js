@@ -0,0 +1,138 @@
+// tests/integration/productSearch.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../../models/User');
+const Product = require('../../models/Product');
+
+// Configuración de base de datos de prueba
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/circulapp_test';
+
+// Córdoba centro y puntos a ~0,5 km, ~3 km y ~40 km
+const CENTER = { lat: -31.4201, lng: -64.1888 };
+const POINTS = {
+  near: { lat: -31.4160, lng: -64.1850 },
+  mid: { lat: -31.4000, lng: -64.1700 },
+  far: { lat: -31.6500, lng: -64.4300 }
+};
+
+describe('Product search', () => {
+  let owner;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    await Product.init();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({})
+    ]);
+
+    owner = await new User({ name: 'Donante', email: 'donor@example.com', password: 'password123' }).save();
+
+    const create = (title, point, fields = {}) => new Product({
+      title,
+      description: 'Publicación de prueba',
+      category: 'furniture',
+      condition: 'good',
+      owner: owner._id,
+      location: { address: 'Calle Principal 123', coordinates: POINTS[point] },
+      ...fields
+    }).save();
+
+    await create('Mesa de madera', 'near', { analytics: { popularityScore: 10 } });
+    await create('Mesa de vidrio', 'mid', { condition: 'fair', analytics: { popularityScore: 80 }, availability: { isUrgent: true } });
+    await create('Silla de madera', 'mid', { materialAnalysis: { materialType: 'wood' }, analytics: { popularityScore: 50 } });
+    await create('Libro de cocina', 'near', { category: 'books' });
+    await create('Mesa ratona', 'far');
+    await create('Mesa retirada', 'near', { status: 'removed' });
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  const search = (params) => request(app).get('/api/products/search').query(params);
+
+  it('should count only the products inside the radius', async () => {
+    const response = await search({ lat: CENTER.lat, lng: CENTER.lng, radius: 5 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.sort).toBe('distance');
+    expect(response.body.total).toBe(4);
+    expect(response.body.products.map(product => product.title)).not.toContain('Mesa ratona');
+
+    const distances = response.body.products.map(product => product.distance);
+    expect(distances).toEqual([...distances].sort((a, b) => a - b));
+    expect(response.body.facets.distance).toEqual([
+      { fromKm: 0, toKm: 1, count: 2 },
+      { fromKm: 1, toKm: 2, count: 0 },
+      { fromKm: 2, toKm: 5, count: 2 }
+    ]);
+  });
+
+  it('should keep the legacy listing total in line with the geo filter', async () => {
+    const response = await request(app)
+      .get('/api/products')
+      .query({ lat: CENTER.lat, lng: CENTER.lng, radius: 5 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.pagination.totalItems).toBe(4);
+  });
+
+  it('should rank text matches by relevance and return facet counts', async () => {
+    const response = await search({ q: 'mesa', category: 'furniture' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.sort).toBe('relevance');
+    expect(response.body.total).toBe(3);
+    expect(response.body.products.every(product => product.score > 0)).toBe(true);
+
+    // La faceta de categoría ignora su propio filtro
+    expect(response.body.facets.category).toEqual([{ value: 'furniture', count: 3 }]);
+    expect(response.body.facets.condition).toEqual([{ value: 'good', count: 2 }, { value: 'fair', count: 1 }]);
+    expect(response.body.facets.urgent).toEqual([{ value: false, count: 2 }, { value: true, count: 1 }]);
+  });
+
+  it('should combine facet filters', async () => {
+    const response = await search({ category: 'furniture', materialType: 'wood' });
+    expect(response.body.products.map(product => product.title)).toEqual(['Silla de madera']);
+    expect(response.body.facets.category).toEqual([{ value: 'furniture', count: 1 }]);
+
+    const urgent = await search({ urgent: true });
+    expect(urgent.body.products.map(product => product.title)).toEqual(['Mesa de vidrio']);
+  });
+
+  it('should page through results with the cursor', async () => {
+    const first = await search({ sort: 'popularity', limit: 2 });
+    expect(first.body.products.map(product => product.title)).toEqual(['Mesa de vidrio', 'Silla de madera']);
+    expect(first.body.hasMore).toBe(true);
+    expect(first.body.products[0].owner.name).toBe('Donante');
+
+    const second = await search({ sort: 'popularity', limit: 2, cursor: first.body.nextCursor });
+    expect(second.body.products.map(product => product.title)[0]).toBe('Mesa de madera');
+
+    const third = await search({ sort: 'popularity', limit: 2, cursor: second.body.nextCursor });
+    expect(third.body.products).toHaveLength(1);
+    expect(third.body.hasMore).toBe(false);
+    expect(third.body.nextCursor).toBeNull();
+  });
+
+  it('should reject sorts without their inputs and foreign cursors', async () => {
+    expect((await search({ sort: 'distance' })).status).toBe(400);
+    expect((await search({ sort: 'relevance' })).status).toBe(400);
+    expect((await search({ lat: CENTER.lat })).status).toBe(400);
+
+    const first = await search({ sort: 'newest', limit: 1 });
+    expect((await search({ sort: 'popularity', cursor: first.body.nextCursor })).status).toBe(400);
+  });
+});
@@ -0,0 +1,165 @@
+// tests/integration/savedSearches.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../../models/User');
+const Product = require('../../models/Product');
+const SavedSearch = require('../../models/SavedSearch');
+const Notification = require('../../models/Notification');
+const savedSearchService = require('../../services/savedSearchService');
+const { loginAs } = require('../helpers');
+
+// Configuración de base de datos de prueba
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/circulapp_test';
+
+const HOUR = 60 * 60 * 1000;
+
+// Córdoba centro y un punto a ~3 km
+const CENTER = { lat: -31.4201, lng: -64.1888 };
+const NEARBY = { lat: -31.4000, lng: -64.1700 };
+const FAR = { lat: -31.6500, lng: -64.4300 };
+
+describe('Saved searches', () => {
+  let donor;
+  let recipient;
+  let recipientToken;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    // El índice de texto tiene que existir antes de usar $text
+    await Product.init();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({}),
+      SavedSearch.deleteMany({}),
+      Notification.deleteMany({})
+    ]);
+
+    donor = await new User({ name: 'Donante', email: 'donor@example.com', password: 'password123' }).save();
+    recipient = await new User({ name: 'Receptor', email: 'recipient@example.com', password: 'password123' }).save();
+
+    recipientToken = await loginAs('recipient@example.com');
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({}),
+      SavedSearch.deleteMany({}),
+      Notification.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  const publish = (title, fields = {}) => new Product({
+    title,
+    description: 'Publicación de prueba en buen estado',
+    category: 'furniture',
+    condition: 'good',
+    owner: donor._id,
+    location: { address: 'Calle Principal 123', coordinates: CENTER },
+    ...fields
+  }).save();
+
+  const saveSearch = (body) => request(app)
+    .post('/api/saved-searches')
+    .set('Authorization', `Bearer ${recipientToken}`)
+    .send(body);
+
+  it('should save, list, update and delete searches', async () => {
+    const created = await saveSearch({
+      name: 'Mesas cerca',
+      filters: { category: 'furniture', search: 'mesa', location: CENTER, radius: 5 },
+      alerts: { channels: ['in_app'], frequency: 'daily' }
+    });
+
+    expect(created.status).toBe(201);
+    expect(created.body.savedSearch.filters.radius).toBe(5);
+    expect(created.body.savedSearch.alerts.channels).toEqual(['in_app']);
+
+    const updated = await request(app)
+      .put(`/api/saved-searches/${created.body.savedSearch._id}`)
+      .set('Authorization', `Bearer ${recipientToken}`)
+      .send({ filters: { category: null }, alerts: { enabled: false } });
+
+    expect(updated.status).toBe(200);
+    expect(updated.body.savedSearch.filters.category).toBeUndefined();
+    expect(updated.body.savedSearch.filters.search).toBe('mesa');
+    expect(updated.body.savedSearch.alerts.enabled).toBe(false);
+
+    const list = await request(app)
+      .get('/api/saved-searches')
+      .set('Authorization', `Bearer ${recipientToken}`);
+    expect(list.body.total).toBe(1);
+
+    const removed = await request(app)
+      .delete(`/api/saved-searches/${created.body.savedSearch._id}`)
+      .set('Authorization', `Bearer ${recipientToken}`);
+    expect(removed.status).toBe(200);
+    expect(await SavedSearch.countDocuments()).toBe(0);
+  });
+
+  it('should validate filters and alert settings', async () => {
+    const response = await saveSearch({
+      name: 'Inválida',
+      filters: { category: 'cars', location: { lat: CENTER.lat } },
+      alerts: { channels: ['sms'], frequency: 'weekly' }
+    });
+
+    expect(response.status).toBe(400);
+    const fields = response.body.errors.map(error => error.path);
+    expect(fields).toEqual(expect.arrayContaining(['filters.category', 'filters.location', 'alerts.channels[0]', 'alerts.frequency']));
+  });
+
+  it('should notify only the searches matching text, filters and radius', async () => {
+    await saveSearch({ name: 'Mesas cerca', filters: { category: 'furniture', search: 'mesa', location: CENTER, radius: 5 } });
+    await saveSearch({ name: 'Sillas', filters: { search: 'silla' } });
+    await saveSearch({ name: 'Libros', filters: { category: 'books' } });
+
+    const nearby = await publish('Mesa de madera maciza', { location: { address: 'Cerca', coordinates: NEARBY } });
+    expect(await savedSearchService.notifyMatches(nearby)).toBe(1);
+
+    const far = await publish('Mesa plegable', { location: { address: 'Lejos', coordinates: FAR } });
+    expect(await savedSearchService.notifyMatches(far)).toBe(0);
+
+    const notifications = await Notification.find({ recipient: recipient._id, type: 'saved_search' });
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0].title).toBe('Nuevo producto para "Mesas cerca"');
+    expect(notifications[0].data.products.map(String)).toEqual([nearby._id.toString()]);
+  });
+
+  it('should not alert the owner of the product', async () => {
+    await new SavedSearch({ user: donor._id, name: 'Mis muebles', filters: { category: 'furniture' } }).save();
+
+    const product = await publish('Mesa de madera maciza');
+    expect(await savedSearchService.notifyMatches(product)).toBe(0);
+  });
+
+  it('should group matches until the alert interval passes', async () => {
+    await saveSearch({ name: 'Muebles', filters: { category: 'furniture' }, alerts: { frequency: 'hourly' } });
+    const now = new Date();
+
+    await savedSearchService.notifyMatches(await publish('Mesa de madera maciza'), now);
+    await savedSearchService.notifyMatches(await publish('Silla de madera'), now);
+    await savedSearchService.notifyMatches(await publish('Estante de pino'), now);
+
+    expect(await Notification.countDocuments({ recipient: recipient._id })).toBe(1);
+
+    expect(await savedSearchService.flushPending(new Date(now.getTime() + HOUR / 2))).toBe(0);
+    expect(await savedSearchService.flushPending(new Date(now.getTime() + HOUR))).toBe(1);
+
+    const grouped = await Notification.findOne({ recipient: recipient._id }).sort({ createdAt: -1 });
+    expect(grouped.title).toBe('2 productos nuevos para "Muebles"');
+    expect(grouped.data.products).toHaveLength(2);
+
+    const search = await SavedSearch.findOne({ user: recipient._id });
+    expect(search.alerts.pending).toHaveLength(0);
+    expect(search.matchCount).toBe(3);
+  });
+});
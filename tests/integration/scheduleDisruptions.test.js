@@ -0,0 +1,160 @@
+// tests/integration/scheduleDisruptions.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../../models/User');
+const Product = require('../../models/Product');
+const CollectionSchedule = require('../../models/CollectionSchedule');
+const Notification = require('../../models/Notification');
+const { loginAs, waitForNotifications, createSchedule } = require('../helpers');
+
+// Configuración de base de datos de prueba
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/circulapp_test';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Schedule disruptions', () => {
+  let admin;
+  let adminToken;
+  let owners;
+  let products;
+  let schedule;
+
+  const disrupt = (id, body) => request(app)
+    .patch(`/api/municipal/collection-schedule/${id}/disruption`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(body);
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({}),
+      CollectionSchedule.deleteMany({}),
+      Notification.deleteMany({})
+    ]);
+
+    admin = await new User({ name: 'Administrador', email: 'admin@example.com', password: 'password123', userType: 'comuna', roles: ['municipal_admin'] }).save();
+    adminToken = await loginAs('admin@example.com');
+
+    owners = await Promise.all([1, 2].map(index => new User({
+      name: `Vecino ${index}`,
+      email: `owner${index}@example.com`,
+      password: 'password123'
+    }).save()));
+
+    products = await Promise.all(owners.map((owner, index) => new Product({
+      title: `Botellas ${index + 1}`,
+      description: 'Botellas de plástico compactadas',
+      category: 'other',
+      condition: 'good',
+      owner: owner._id,
+      weight: { declared: 40, unit: 'kg' },
+      materialAnalysis: { materialType: 'plastic', compactionStatus: 'validated' },
+      location: { address: `San Martín ${index + 1}00`, zone: 'centro', coordinates: { lat: -31.41, lng: -64.19 - index / 100 } }
+    }).save()));
+
+    schedule = await createSchedule(admin._id, {
+      capacity: { maximum: 100, current: 80, unit: 'kg' },
+      route: products.map(product => ({
+        coordinates: product.location.coordinates,
+        address: product.location.address,
+        products: [product._id],
+        load: 40
+      }))
+    });
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({}),
+      CollectionSchedule.deleteMany({}),
+      Notification.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  describe('PATCH /api/municipal/collection-schedule/:id/disruption', () => {
+    it('should cancel the schedule, move what fits and return the rest to the pool', async () => {
+      const next = await createSchedule(admin._id, { scheduledDate: new Date(Date.now() + 5 * DAY), capacity: { maximum: 50, unit: 'kg' } });
+
+      const response = await disrupt(schedule._id, { action: 'cancel', reason: 'weather', weather: { condition: 'tormenta' } }).expect(200);
+
+      expect(response.body.moved).toHaveLength(1);
+      expect(response.body.returned).toHaveLength(1);
+      expect(response.body.schedule.status).toBe('cancelled');
+      expect(response.body.schedule.weather.affecting).toBe(true);
+      expect(response.body.schedule.disruption).toMatchObject({ action: 'cancel', reason: 'weather', pointsMoved: 1, pointsReturned: 1 });
+
+      const saved = await CollectionSchedule.findById(next._id);
+      expect(saved.route).toHaveLength(1);
+      expect(saved.capacity.current).toBe(40);
+
+      const notifications = await waitForNotifications({ type: 'collection' }, 2);
+      expect(notifications.map(notification => notification.event).sort()).toEqual(['cancelled', 'rescheduled']);
+    });
+
+    it('should postpone to a new date and move the points there', async () => {
+      const newDate = new Date(Date.now() + 3 * DAY);
+
+      const response = await disrupt(schedule._id, { action: 'postpone', reason: 'vehicle_breakdown', newDate: newDate.toISOString() }).expect(200);
+
+      expect(response.body.schedule.status).toBe('rescheduled');
+      expect(response.body.replacement).toBeTruthy();
+      expect(response.body.moved).toHaveLength(2);
+
+      const replacement = await CollectionSchedule.findById(response.body.replacement._id);
+      expect(replacement.status).toBe('scheduled');
+      expect(replacement.scheduledDate).toEqual(newDate);
+      expect(replacement.route).toHaveLength(2);
+      expect(replacement.capacity.current).toBe(80);
+
+      const original = await CollectionSchedule.findById(schedule._id);
+      expect(original.route.every(point => point.rescheduledTo.equals(replacement._id))).toBe(true);
+    });
+
+    it('should not move points to schedules that do not collect their material', async () => {
+      await createSchedule(admin._id, { materialTypes: ['glass'], scheduledDate: new Date(Date.now() + 5 * DAY) });
+
+      const response = await disrupt(schedule._id, { action: 'cancel', reason: 'staff_shortage' }).expect(200);
+
+      expect(response.body.moved).toHaveLength(0);
+      expect(response.body.returned).toHaveLength(2);
+    });
+
+    it('should require a future date to postpone', async () => {
+      await disrupt(schedule._id, { action: 'postpone', reason: 'holiday' }).expect(400);
+      await disrupt(schedule._id, { action: 'postpone', reason: 'holiday', newDate: new Date(Date.now() - DAY).toISOString() }).expect(400);
+    });
+
+    it('should reject schedules that were already cancelled', async () => {
+      await disrupt(schedule._id, { action: 'cancel', reason: 'other' }).expect(200);
+      await disrupt(schedule._id, { action: 'cancel', reason: 'other' }).expect(409);
+    });
+
+    it('should not cancel a run with points already collected', async () => {
+      await CollectionSchedule.updateOne(
+        { _id: schedule._id, 'route._id': schedule.route[0]._id },
+        { $set: { status: 'in_progress', 'route.$.status': 'completed' } }
+      );
+
+      await disrupt(schedule._id, { action: 'cancel', reason: 'vehicle_breakdown' }).expect(409);
+
+      const saved = await CollectionSchedule.findById(schedule._id);
+      expect(saved.status).toBe('in_progress');
+    });
+
+    it('should not postpone a schedule in progress', async () => {
+      await CollectionSchedule.updateOne({ _id: schedule._id }, { status: 'in_progress' });
+
+      await disrupt(schedule._id, { action: 'postpone', reason: 'other', newDate: new Date(Date.now() + 3 * DAY).toISOString() }).expect(409);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+// tests/integration/tracking.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../../models/User');
+const Product = require('../../models/Product');
+const CollectionSchedule = require('../../models/CollectionSchedule');
+const VehiclePosition = require('../../models/VehiclePosition');
+const Notification = require('../../models/Notification');
+const trackingService = require('../../services/trackingService');
+const { loginAs, createStaff } = require('../helpers');
+
+// Configuración de base de datos de prueba
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/circulapp_test';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Namespace de Socket.IO que registra lo emitido en cada sala
+const fakeNamespace = () => {
+  const emitted = [];
+  return {
+    emitted,
+    to: room => ({ emit: (event, data) => emitted.push({ room, event, data }) })
+  };
+};
+
+describe('Vehicle tracking', () => {
+  let collector;
+  let citizen;
+  let schedule;
+  let namespace;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({}),
+      CollectionSchedule.deleteMany({}),
+      VehiclePosition.deleteMany({}),
+      Notification.deleteMany({})
+    ]);
+
+    collector = await createStaff('Recolector', 'collector@example.com', ['collector']);
+    citizen = await new User({ name: 'Vecino', email: 'citizen@example.com', password: 'password123' }).save();
+
+    const product = await new Product({
+      title: 'Botellas compactadas',
+      description: 'Botellas de plástico compactadas',
+      category: 'other',
+      condition: 'good',
+      owner: citizen._id,
+      location: { address: 'San Martín 100', coordinates: { lat: -31.42, lng: -64.19 } }
+    }).save();
+
+    schedule = await CollectionSchedule.create({
+      title: 'Recolección de plásticos',
+      zone: 'centro',
+      dayOfWeek: 'tuesday',
+      timeSlot: { start: '09:00', end: '12:00' },
+      materialTypes: ['plastic'],
+      capacity: { maximum: 500 },
+      scheduledDate: new Date(Date.now() + DAY),
+      status: 'in_progress',
+      collector: collector._id,
+      createdBy: collector._id,
+      route: [
+        { address: 'Belgrano 50', coordinates: { lat: -31.60, lng: -64.19 }, serviceTime: 5 },
+        { address: 'San Martín 100', coordinates: { lat: -31.62, lng: -64.19 }, products: [product._id], bookedBy: citizen._id, serviceTime: 5 }
+      ]
+    });
+
+    namespace = fakeNamespace();
+    trackingService.setNamespace(namespace);
+  });
+
+  afterAll(async () => {
+    trackingService.setNamespace(null);
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({}),
+      CollectionSchedule.deleteMany({}),
+      VehiclePosition.deleteMany({}),
+      Notification.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  it('should store the breadcrumb trail and broadcast the position', async () => {
+    const now = new Date();
+    const result = await trackingService.recordPosition(schedule._id, collector._id, { lat: -31.40, lng: -64.19 }, now);
+
+    expect(result.stored).toBe(true);
+    expect(await VehiclePosition.countDocuments({ schedule: schedule._id })).toBe(1);
+
+    const saved = await CollectionSchedule.findById(schedule._id);
+    expect(saved.tracking.lastPositionAt).toEqual(now);
+
+    expect(namespace.emitted).toEqual(expect.arrayContaining([
+      expect.objectContaining({ room: `schedule:${schedule._id}`, event: 'vehicle_position' }),
+      expect.objectContaining({ room: `user:${citizen._id}`, event: 'eta_update' })
+    ]));
+  });
+
+  it('should discard positions sent faster than the minimum interval', async () => {
+    const now = new Date();
+    await trackingService.recordPosition(schedule._id, collector._id, { lat: -31.40, lng: -64.19 }, now);
+    const result = await trackingService.recordPosition(schedule._id, collector._id, { lat: -31.40, lng: -64.19 }, new Date(now.getTime() + 1000));
+
+    expect(result.stored).toBe(false);
+    expect(await VehiclePosition.countDocuments({ schedule: schedule._id })).toBe(1);
+  });
+
+  it('should notify the citizen once when the vehicle is about to arrive', async () => {
+    const now = new Date();
+    // Ya en el primer punto: el segundo está a ~2 km más 5 minutos de servicio
+    await trackingService.recordPosition(schedule._id, collector._id, { lat: -31.60, lng: -64.19 }, now);
+    await trackingService.recordPosition(schedule._id, collector._id, { lat: -31.61, lng: -64.19 }, new Date(now.getTime() + 60 * 1000));
+
+    const notices = await Notification.find({ recipient: citizen._id, event: 'arriving' });
+    expect(notices).toHaveLength(1);
+
+    const saved = await CollectionSchedule.findById(schedule._id);
+    expect(saved.route[1].arrivalNoticeSentAt).toBeDefined();
+  });
+
+  it('should only accept positions from the assigned collector during the run', async () => {
+    const other = await createStaff('Otro recolector', 'other@example.com', ['collector']);
+
+    await expect(trackingService.recordPosition(schedule._id, other._id, { lat: -31.4, lng: -64.19 }))
+      .rejects.toMatchObject({ status: 403 });
+
+    await CollectionSchedule.updateOne({ _id: schedule._id }, { status: 'scheduled' });
+    await expect(trackingService.recordPosition(schedule._id, collector._id, { lat: -31.4, lng: -64.19 }))
+      .rejects.toMatchObject({ status: 409 });
+  });
+
+  it('should let booked citizens and staff subscribe', async () => {
+    const stranger = await new User({ name: 'Otro vecino', email: 'stranger@example.com', password: 'password123' }).save();
+
+    expect(await trackingService.canSubscribe(schedule._id, citizen)).toBeTruthy();
+    expect(await trackingService.canSubscribe(schedule._id, collector)).toBeTruthy();
+    expect(await trackingService.canSubscribe(schedule._id, stranger)).toBeFalsy();
+  });
+
+  it('should expose the trail to municipal staff', async () => {
+    await trackingService.recordPosition(schedule._id, collector._id, { lat: -31.40, lng: -64.19 });
+    const token = await loginAs('collector@example.com');
+
+    const response = await request(app)
+      .get(`/api/municipal/collection-schedule/${schedule._id}/tracking`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.trail).toHaveLength(1);
+  });
+});
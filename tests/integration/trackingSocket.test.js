@@ -0,0 +1,106 @@
+// tests/integration/trackingSocket.test.js
+const http = require('http');
+const mongoose = require('mongoose');
+const WebSocket = require('ws');
+const { Server } = require('socket.io');
+const User = require('../../models/User');
+const CollectionSchedule = require('../../models/CollectionSchedule');
+const trackingSocket = require('../../socket/trackingSocket');
+const trackingService = require('../../services/trackingService');
+const { loginAs, createStaff } = require('../helpers');
+
+// Configuración de base de datos de prueba
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/circulapp_test';
+
+// Cliente mínimo del protocolo de Socket.IO sobre WebSocket: permite enviar
+// paquetes que un cliente oficial no armaría (null, ack que no es función)
+const connectRaw = (port, token) => new Promise((resolve, reject) => {
+  const ws = new WebSocket(`ws://localhost:${port}/socket.io/?EIO=4&transport=websocket`);
+  const acks = new Map();
+
+  ws.on('message', (raw) => {
+    const packet = raw.toString();
+    if (packet === '2') return ws.send('3');
+    if (packet.startsWith('0')) return ws.send(`40/tracking,${JSON.stringify({ token })}`);
+    if (packet.startsWith('40/tracking,')) return resolve({ ws, acks });
+    if (packet.startsWith('44/tracking,')) return reject(new Error(packet));
+
+    const ack = packet.match(/^43\/tracking,(\d+)(.*)$/);
+    if (ack) acks.get(Number(ack[1]))?.(JSON.parse(ack[2])[0]);
+  });
+  ws.on('error', reject);
+});
+
+const emitRaw = ({ ws, acks }, id, payload) => new Promise((resolve) => {
+  acks.set(id, resolve);
+  ws.send(`42/tracking,${id}${payload}`);
+});
+
+describe('Tracking socket', () => {
+  let server;
+  let io;
+  let port;
+  let client;
+  let schedule;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    server = http.createServer();
+    io = new Server(server);
+    trackingSocket(io);
+    await new Promise(resolve => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  beforeEach(async () => {
+    await Promise.all([User.deleteMany({}), CollectionSchedule.deleteMany({})]);
+
+    const collector = await createStaff('Recolector', 'collector@example.com', ['collector']);
+    schedule = await CollectionSchedule.create({
+      title: 'Recolección de plásticos',
+      zone: 'centro',
+      dayOfWeek: 'tuesday',
+      timeSlot: { start: '09:00', end: '12:00' },
+      materialTypes: ['plastic'],
+      capacity: { maximum: 500 },
+      scheduledDate: new Date(),
+      collector: collector._id,
+      createdBy: collector._id
+    });
+
+    const token = await loginAs('collector@example.com');
+    client = await connectRaw(port, token);
+  });
+
+  afterEach(() => {
+    client.ws.close();
+  });
+
+  afterAll(async () => {
+    trackingService.setNamespace(null);
+    io.close();
+    await Promise.all([User.deleteMany({}), CollectionSchedule.deleteMany({})]);
+    await mongoose.connection.close();
+  });
+
+  it('should answer malformed subscriptions with an error', async () => {
+    expect(await emitRaw(client, 1, '["subscribe",null]')).toEqual({ error: 'Cronograma no encontrado' });
+    expect(await emitRaw(client, 2, '["subscribe","texto"]')).toEqual({ error: 'Cronograma no encontrado' });
+    expect(await emitRaw(client, 3, '["position",null]')).toEqual({ error: 'Posición inválida' });
+  });
+
+  it('should survive payloads without a callable ack', async () => {
+    client.ws.send('42/tracking,["subscribe",null,"no es una función"]');
+    client.ws.send('42/tracking,["position",{"scheduleId":"x"},42]');
+    client.ws.send('42/tracking,["unsubscribe",null]');
+    client.ws.send('42/tracking,["unsubscribe"]');
+
+    // La conexión sigue respondiendo después de los paquetes inválidos
+    const reply = await emitRaw(client, 1, JSON.stringify(['subscribe', { scheduleId: schedule._id }]));
+    expect(reply).toMatchObject({ ok: true, status: 'scheduled' });
+  });
+});
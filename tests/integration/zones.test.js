@@ -0,0 +1,279 @@
+// tests/integration/zones.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../../models/User');
+const Product = require('../../models/Product');
+const Zone = require('../../models/Zone');
+const CollectionSchedule = require('../../models/CollectionSchedule');
+const { loginAs } = require('../helpers');
+
+// Configuración de base de datos de prueba
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/circulapp_test';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const square = (lng, lat, size = 0.02) => ({
+  type: 'Polygon',
+  coordinates: [[[lng, lat], [lng + size, lat], [lng + size, lat + size], [lng, lat + size], [lng, lat]]]
+});
+
+const ZONES_GEOJSON = {
+  type: 'FeatureCollection',
+  features: [
+    { type: 'Feature', properties: { nombre: 'Centro', codigo: 'Z1' }, geometry: square(-64.2, -31.42) },
+    { type: 'Feature', properties: { nombre: 'Norte', codigo: 'Z2' }, geometry: square(-64.2, -31.38) },
+    { type: 'Feature', properties: { codigo: 'Z3' }, geometry: square(-64.1, -31.42) },
+    { type: 'Feature', properties: { nombre: 'Punto', codigo: 'Z4' }, geometry: { type: 'Point', coordinates: [-64.1, -31.4] } }
+  ]
+};
+
+describe('Zones', () => {
+  let adminToken;
+  let validatorToken;
+  let citizen;
+
+  const createProduct = (title, lat, lng, overrides = {}) => new Product({
+    title,
+    description: 'Material compactado listo para retirar',
+    category: 'other',
+    condition: 'good',
+    owner: citizen._id,
+    location: { address: `${title} 123`, coordinates: { lat, lng } },
+    ...overrides
+  }).save();
+
+  const importZones = () => request(app)
+    .post('/api/municipal/zones/import')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ geojson: ZONES_GEOJSON, nameProperty: 'nombre', codeProperty: 'codigo' });
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    await Zone.syncIndexes();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({}),
+      Zone.deleteMany({}),
+      CollectionSchedule.deleteMany({})
+    ]);
+
+    await new User({ name: 'Administrador', email: 'admin@example.com', password: 'password123', userType: 'comuna', roles: ['municipal_admin'] }).save();
+    await new User({ name: 'Validador', email: 'validator@example.com', password: 'password123', userType: 'comuna', roles: ['validator'] }).save();
+    citizen = await new User({
+      name: 'Vecino',
+      email: 'citizen@example.com',
+      password: 'password123',
+      location: { address: 'San Martín 100', coordinates: { lat: -31.41, lng: -64.19 } }
+    }).save();
+
+    adminToken = await loginAs('admin@example.com');
+    validatorToken = await loginAs('validator@example.com');
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({}),
+      Zone.deleteMany({}),
+      CollectionSchedule.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  describe('POST /api/municipal/zones/import', () => {
+    it('should import polygons and assign existing products and users', async () => {
+      const product = await createProduct('Botellas', -31.41, -64.19);
+      expect(product.location.zoneId).toBeUndefined();
+
+      const response = await importZones().expect(200);
+
+      expect(response.body.created).toBe(2);
+      expect(response.body.skipped).toHaveLength(2);
+      expect(response.body.assigned).toEqual({ products: 1, users: 1 });
+
+      const centro = await Zone.findOne({ code: 'Z1' });
+      const [savedProduct, savedCitizen] = await Promise.all([
+        Product.findById(product._id),
+        User.findById(citizen._id)
+      ]);
+      expect(savedProduct.location.zoneId).toEqual(centro._id);
+      expect(savedProduct.location.zone).toBe('Centro');
+      expect(savedCitizen.location.zoneId).toEqual(centro._id);
+    });
+
+    it('should update zones by code when importing again', async () => {
+      await importZones().expect(200);
+      const response = await importZones().expect(200);
+
+      expect(response.body.created).toBe(0);
+      expect(response.body.updated).toBe(2);
+      expect(await Zone.countDocuments()).toBe(2);
+    });
+
+    it('should count products in overlapping zones once and keep the first zone', async () => {
+      const product = await createProduct('Botellas', -31.41, -64.19);
+      const overlapping = {
+        type: 'FeatureCollection',
+        features: [
+          ...ZONES_GEOJSON.features,
+          { type: 'Feature', properties: { nombre: 'Ampliación', codigo: 'Z5' }, geometry: square(-64.21, -31.43, 0.04) }
+        ]
+      };
+      await importZones().expect(200);
+
+      const response = await request(app)
+        .post('/api/municipal/zones/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ geojson: overlapping, nameProperty: 'nombre', codeProperty: 'codigo' })
+        .expect(200);
+
+      expect(response.body.assigned.products).toBe(1);
+      const saved = await Product.findById(product._id);
+      expect(saved.location.zone).toBe('Centro');
+    });
+
+    it('should clear the zone name of products left outside the new boundaries', async () => {
+      const product = await createProduct('Botellas', -31.41, -64.19);
+      await importZones().expect(200);
+
+      const moved = {
+        type: 'FeatureCollection',
+        features: [{ type: 'Feature', properties: { nombre: 'Centro', codigo: 'Z1' }, geometry: square(-64.0, -31.0) }]
+      };
+      await request(app)
+        .post('/api/municipal/zones/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ geojson: moved, nameProperty: 'nombre', codeProperty: 'codigo' })
+        .expect(200);
+
+      const saved = await Product.findById(product._id);
+      expect(saved.location.zoneId).toBeUndefined();
+      expect(saved.location.zone).toBeUndefined();
+    });
+
+    it('should require the zones:manage permission', async () => {
+      await request(app)
+        .post('/api/municipal/zones/import')
+        .set('Authorization', `Bearer ${validatorToken}`)
+        .send({ geojson: ZONES_GEOJSON })
+        .expect(403);
+    });
+
+    it('should reject a document that is not a FeatureCollection', async () => {
+      await request(app)
+        .post('/api/municipal/zones/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ geojson: square(-64.2, -31.42) })
+        .expect(400);
+    });
+  });
+
+  describe('Automatic assignment', () => {
+    beforeEach(async () => {
+      await importZones().expect(200);
+    });
+
+    it('should assign a zone when a product is saved or moved', async () => {
+      const product = await createProduct('Cartones', -31.41, -64.19, { location: { address: 'Centro 1', zone: 'texto libre', coordinates: { lat: -31.41, lng: -64.19 } } });
+      expect(product.location.zone).toBe('Centro');
+
+      product.location.coordinates = { lat: -31.37, lng: -64.19 };
+      await product.save();
+      expect(product.location.zone).toBe('Norte');
+
+      product.location.coordinates = { lat: -31.0, lng: -64.0 };
+      await product.save();
+      expect(product.location.zoneId).toBeUndefined();
+    });
+
+    it('should assign a zone when the user updates their location', async () => {
+      const token = await loginAs('citizen@example.com');
+
+      const response = await request(app)
+        .put('/api/users/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ location: { address: 'Norte 1', coordinates: { lat: -31.37, lng: -64.19 } } })
+        .expect(200);
+
+      expect(response.body.user.location.zone).toBe('Norte');
+    });
+  });
+
+  describe('Zone parameters', () => {
+    let centro;
+
+    beforeEach(async () => {
+      await importZones().expect(200);
+      centro = await Zone.findOne({ code: 'Z1' });
+    });
+
+    it('should filter pending materials by zone ID, including legacy zone names', async () => {
+      const validated = { materialAnalysis: { materialType: 'plastic', compactionStatus: 'pending' } };
+      await createProduct('En el polígono', -31.41, -64.19, validated);
+      await createProduct('Otra zona', -31.37, -64.19, validated);
+      await Product.collection.insertOne({
+        title: 'Cargado a mano',
+        status: 'available',
+        owner: citizen._id,
+        location: { address: 'Centro 2', zone: 'Centro', coordinates: { lat: -31.0, lng: -64.0 } },
+        materialAnalysis: { materialType: 'plastic', compactionStatus: 'pending' }
+      });
+
+      const response = await request(app)
+        .get('/api/municipal/materials/pending-validation')
+        .query({ zone: centro._id.toString() })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.products.map(product => product.title).sort()).toEqual(['Cargado a mano', 'En el polígono']);
+    });
+
+    it('should store the zone ID when creating a schedule', async () => {
+      const response = await request(app)
+        .post('/api/municipal/collection-schedule')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          title: 'Recolección de plásticos',
+          zone: centro._id.toString(),
+          dayOfWeek: 'tuesday',
+          timeSlot: { start: '09:00', end: '12:00' },
+          materialTypes: ['plastic'],
+          capacity: { maximum: 500 },
+          scheduledDate: new Date(Date.now() + DAY).toISOString()
+        })
+        .expect(201);
+
+      expect(response.body.schedule.zone).toBe('Centro');
+      expect(response.body.schedule.zoneId).toBe(centro._id.toString());
+    });
+
+    it('should return 404 for an unknown zone ID', async () => {
+      await request(app)
+        .get('/api/municipal/analytics')
+        .query({ zone: new mongoose.Types.ObjectId().toString() })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    it('should group zone stats by zone', async () => {
+      await createProduct('Botellas', -31.41, -64.19);
+      await createProduct('Latas', -31.37, -64.19);
+
+      const response = await request(app)
+        .get('/api/municipal/zones/stats')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const stats = response.body.zones.find(zone => zone.zone === 'Centro');
+      expect(stats.zoneId).toBe(centro._id.toString());
+      expect(stats.totalProducts).toBe(1);
+    });
+  });
+});
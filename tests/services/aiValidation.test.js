@@ -0,0 +1,110 @@
+// tests/services/aiValidation.test.js
+const aiValidation = require('../../services/aiValidation');
+const { MaterialValidationAI } = require('../../services/aiValidation');
+
+const material = {
+  category: 'plastic',
+  recyclingValue: 0.5,
+  validationCriteria: {
+    minWeight: 2,
+    maxWeight: 50,
+    requiredImages: [
+      { type: 'compacted', required: true },
+      { type: 'label', required: false }
+    ]
+  }
+};
+
+// 10 kg en 0,05 m3: 200 kg/m3, plausible para plástico compactado
+const submission = (overrides = {}) => ({
+  images: [{ type: 'general' }, { type: 'compacted' }],
+  weight: { declared: 10, unit: 'kg' },
+  dimensions: { length: 50, width: 40, height: 25, unit: 'cm' },
+  ...overrides
+});
+
+describe('MaterialValidationAI', () => {
+  it('should validate clear cases automatically', async () => {
+    const result = await aiValidation.validateCompaction(submission(), material);
+
+    expect(result.status).toBe('validated');
+    expect(result.issues).toHaveLength(0);
+    expect(result.estimatedWeight).toBe(7.5);
+    expect(result.images).toHaveLength(2);
+    expect(result.images[1]).toEqual(expect.objectContaining({ materialType: 'plastic', detectedIssues: [] }));
+  });
+
+  it('should reject weights outside the material range', async () => {
+    const result = await aiValidation.validateCompaction(
+      submission({ weight: { declared: 60, unit: 'kg' }, dimensions: { length: 1, width: 0.5, height: 0.5, unit: 'm' } }),
+      material
+    );
+
+    expect(result.status).toBe('rejected');
+    expect(result.issues.map(found => found.code)).toContain('weight_above_maximum');
+    expect(result.qualityAssessment.recommendations.length).toBeGreaterThan(0);
+  });
+
+  it('should convert the declared unit before checking the range', async () => {
+    const result = await aiValidation.validateCompaction(submission({ weight: { declared: 800, unit: 'g' } }), material);
+
+    expect(result.issues.map(found => found.code)).toContain('weight_below_minimum');
+  });
+
+  it('should reject submissions without the required images', async () => {
+    const result = await aiValidation.validateCompaction(submission({ images: [{ type: 'general' }] }), material);
+
+    expect(result.status).toBe('rejected');
+    expect(result.issues).toEqual([expect.objectContaining({ code: 'missing_images', imageTypes: ['compacted'] })]);
+  });
+
+  it('should leave implausible densities for human review', async () => {
+    const result = await aiValidation.validateCompaction(
+      submission({ dimensions: { length: 1, width: 1, height: 1, unit: 'm' } }),
+      material
+    );
+
+    expect(result.status).toBe('pending');
+    expect(result.issues.map(found => found.code)).toEqual(['density_too_low']);
+    expect(result.images[1].detectedIssues).toEqual(['density_too_low']);
+  });
+
+  it('should leave submissions without measurements for human review', async () => {
+    const result = await aiValidation.validateCompaction(submission({ dimensions: {} }), material);
+
+    expect(result.status).toBe('pending');
+    expect(result.estimatedWeight).toBe(10);
+  });
+
+  it('should accept a pluggable analyzer', async () => {
+    const validator = new MaterialValidationAI({
+      analyzer: {
+        analyze: async ({ images }) => ({
+          materialType: 'glass',
+          confidence: 95,
+          images: images.map(() => ({ materialType: 'glass', detectedIssues: [] }))
+        })
+      }
+    });
+
+    const result = await validator.validateCompaction(submission(), material);
+
+    expect(result.status).toBe('pending');
+    expect(result.issues.map(found => found.code)).toEqual(['material_mismatch']);
+  });
+
+  it('should suggest fixes for issues repeated in the user history', async () => {
+    const rejected = {
+      materialAnalysis: { compactionStatus: 'rejected' },
+      images: [{ aiAnalysis: { detectedIssues: ['missing_images'] } }]
+    };
+
+    const { rejectionRate, suggestions } = await aiValidation.suggestOptimizations([rejected, rejected, {
+      materialAnalysis: { compactionStatus: 'validated' },
+      images: [{ aiAnalysis: { detectedIssues: [] } }]
+    }]);
+
+    expect(rejectionRate).toBe(67);
+    expect(suggestions).toEqual([expect.objectContaining({ code: 'missing_images', occurrences: 2 })]);
+  });
+});
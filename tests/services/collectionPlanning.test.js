@@ -0,0 +1,18 @@
+// tests/services/collectionPlanning.test.js
+const collectionPlanning = require('../../services/collectionPlanning');
+
+describe('CollectionPlanningService', () => {
+  describe('toEstimatedTime', () => {
+    // Los minutos se cuentan desde la medianoche del municipio (Córdoba, UTC-3)
+    it('should count minutes from the local start of the scheduled day', () => {
+      const schedule = { scheduledDate: new Date('2026-10-21T12:00:00Z') };
+      expect(collectionPlanning.toEstimatedTime(schedule, 9 * 60).toISOString()).toBe('2026-10-21T12:00:00.000Z');
+    });
+
+    it('should use the local day when it differs from the UTC one', () => {
+      // 2026-10-22 01:00 UTC es todavía el 21 en Córdoba
+      const schedule = { scheduledDate: new Date('2026-10-22T01:00:00Z') };
+      expect(collectionPlanning.toEstimatedTime(schedule, 9 * 60 + 30).toISOString()).toBe('2026-10-21T12:30:00.000Z');
+    });
+  });
+});
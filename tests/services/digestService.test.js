@@ -0,0 +1,75 @@
+// tests/services/digestService.test.js
+const digestService = require('../../services/digestService');
+const emailService = require('../../utils/emailService');
+
+const buildDigest = (overrides = {}) => ({
+  frequency: 'daily',
+  notifications: [],
+  newRequests: [],
+  unreadMessages: { total: 0, chats: [] },
+  expiringListings: [],
+  impact: { donatedProducts: 0, co2Reduction: 0, waterSaved: 0, energySaved: 0 },
+  nearbyProducts: [],
+  ...overrides
+});
+
+const unsubscribe = { url: 'http://api/unsubscribe?token=t', pageUrl: 'http://front/unsubscribe?token=t' };
+
+describe('DigestService', () => {
+  describe('getPeriodKey', () => {
+    // 2026-10-21 01:30 UTC es todavía el 20 (martes) en Córdoba (UTC-3)
+    const now = new Date('2026-10-21T01:30:00Z');
+
+    it('should use the local day of the user for daily digests', () => {
+      expect(digestService.getPeriodKey('daily', now, 'America/Argentina/Cordoba')).toBe('2026-10-20');
+      expect(digestService.getPeriodKey('daily', now, 'UTC')).toBe('2026-10-21');
+    });
+
+    it('should use the monday of the week for weekly digests', () => {
+      expect(digestService.getPeriodKey('weekly', now, 'America/Argentina/Cordoba')).toBe('2026-10-19');
+      expect(digestService.getPeriodKey('weekly', new Date('2026-10-25T12:00:00Z'), 'UTC')).toBe('2026-10-19');
+    });
+  });
+
+  describe('isEmpty', () => {
+    it('should not send a digest with only the environmental impact', () => {
+      const digest = buildDigest({ impact: { donatedProducts: 2, co2Reduction: 10, waterSaved: 5, energySaved: 3 } });
+      expect(digestService.isEmpty(digest)).toBe(true);
+    });
+
+    it('should send a digest with unread messages', () => {
+      const digest = buildDigest({ unreadMessages: { total: 1, chats: [{ count: 1 }] } });
+      expect(digestService.isEmpty(digest)).toBe(false);
+    });
+  });
+
+  describe('sendDigestEmail', () => {
+    beforeEach(() => emailService.clearOutbox());
+
+    it('should render only the sections with content', async () => {
+      const request = { type: 'transaction', event: 'request', title: 'Nueva solicitud', message: 'Alguien quiere tu mesa' };
+
+      await emailService.sendDigestEmail(
+        { name: 'Vecina', email: 'vecina@example.com' },
+        buildDigest({
+          frequency: 'weekly',
+          notifications: [request],
+          newRequests: [request],
+          nearbyProducts: [{ _id: 'abc', title: 'Silla <antigua>', distance: 1.2 }],
+          impact: { donatedProducts: 1, co2Reduction: 10.5, waterSaved: 40, energySaved: 2 }
+        }),
+        unsubscribe
+      );
+
+      const [mail] = emailService.outbox;
+      expect(mail.subject).toBe('Tu resumen semanal de Circulapp');
+      expect(mail.html).toContain('Nuevas solicitudes (1)');
+      expect(mail.html).toContain('Silla &lt;antigua&gt;');
+      expect(mail.html).toContain('10,5 kg de CO2');
+      expect(mail.text).toContain('NUEVAS SOLICITUDES (1)');
+      expect(mail.html).not.toContain('Mensajes sin leer');
+      expect(mail.html).not.toContain('Otras novedades');
+      expect(mail.list.unsubscribe.url).toBe(unsubscribe.url);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+// tests/services/emailTemplates.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const emailTemplates = require('../../templates/emails');
+const { EmailService } = require('../../utils/emailService');
+
+describe('Email templates', () => {
+  it('should render every template in every locale with its sample data', () => {
+    emailTemplates.listTemplates().forEach(({ name, locales }) => {
+      locales.forEach(locale => {
+        const email = emailTemplates.render(name, locale, emailTemplates.TEMPLATES[name].sample);
+
+        expect(email.locale).toBe(locale);
+        expect(email.subject).toBeTruthy();
+        expect(email.html).toContain(`<html lang="${locale}">`);
+        expect(email.text).not.toContain('<');
+      });
+    });
+  });
+
+  it('should fall back to the default locale', () => {
+    const sample = emailTemplates.TEMPLATES.welcome.sample;
+
+    expect(emailTemplates.render('welcome', 'en-GB', sample).subject).toBe('Welcome to Circulapp!');
+    expect(emailTemplates.render('welcome', 'fr', sample).locale).toBe('es');
+    expect(emailTemplates.render('welcome', undefined, sample).locale).toBe('es');
+  });
+
+  it('should escape values interpolated in the HTML', () => {
+    const email = emailTemplates.render('notification', 'es', {
+      user: { name: 'Ana' },
+      notification: { title: 'Aviso', message: '<script>alert(1)</script>' }
+    });
+
+    expect(email.html).toContain('&lt;script&gt;');
+    expect(email.html).not.toContain('<script>');
+    expect(email.text).toContain('<script>alert(1)</script>');
+  });
+
+  it('should add the unsubscribe link to the footer only when given', () => {
+    const sample = emailTemplates.TEMPLATES.notification.sample;
+    const unsubscribe = { url: 'http://api/unsubscribe', pageUrl: 'http://front/unsubscribe' };
+
+    expect(emailTemplates.render('notification', 'es', { ...sample, unsubscribe }).text).toContain(unsubscribe.pageUrl);
+    expect(emailTemplates.render('notification', 'es', sample).html).not.toContain('Dejar de recibir');
+  });
+
+  it('should reject unknown templates', () => {
+    expect(() => emailTemplates.render('unknown', 'es')).toThrow(expect.objectContaining({ status: 404 }));
+  });
+});
+
+describe('EmailService file transport', () => {
+  const outputDir = path.join(os.tmpdir(), `circulapp-emails-test-${process.pid}`);
+  let previous;
+
+  beforeAll(() => {
+    previous = { transport: process.env.EMAIL_TRANSPORT, dir: process.env.EMAIL_OUTPUT_DIR };
+    process.env.EMAIL_TRANSPORT = 'file';
+    process.env.EMAIL_OUTPUT_DIR = outputDir;
+  });
+
+  afterAll(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    if (previous.transport === undefined) delete process.env.EMAIL_TRANSPORT;
+    else process.env.EMAIL_TRANSPORT = previous.transport;
+    if (previous.dir === undefined) delete process.env.EMAIL_OUTPUT_DIR;
+    else process.env.EMAIL_OUTPUT_DIR = previous.dir;
+  });
+
+  it('should write each message to disk with both alternatives', async () => {
+    const emailService = new EmailService();
+    const info = await emailService.sendTemplate('welcome', { name: 'Ana', email: 'ana@example.com', locale: 'en' });
+
+    expect(path.dirname(info.file)).toBe(outputDir);
+    const message = fs.readFileSync(info.file, 'utf8');
+    expect(message).toContain('To: ana@example.com');
+    expect(message).toContain('Content-Type: text/plain');
+    expect(message).toContain('Content-Type: text/html');
+  });
+});
@@ -0,0 +1,104 @@
+// tests/services/jobQueue.test.js
+const { JobQueue, getBackoffDelay } = require('../../services/jobQueue');
+const { nextCronDate, parseCron } = require('../../utils/cron');
+
+// Redis caído: la cola usa el almacenamiento en memoria
+const offlineRedis = { isConnected: false };
+
+const buildQueue = () => new JobQueue({ redis: offlineRedis, timezone: 'UTC' });
+
+describe('cron expressions', () => {
+  it('should find the next matching minute', () => {
+    const from = new Date('2026-10-19T10:07:30Z');
+
+    expect(nextCronDate('*/15 * * * *', from).toISOString()).toBe('2026-10-19T10:15:00.000Z');
+    expect(nextCronDate('0 8 * * *', from).toISOString()).toBe('2026-10-20T08:00:00.000Z');
+    expect(nextCronDate('0 8 * * 1', from).toISOString()).toBe('2026-10-26T08:00:00.000Z');
+    expect(nextCronDate('30 2 1 1 *', from).toISOString()).toBe('2027-01-01T02:30:00.000Z');
+  });
+
+  it('should evaluate the expression in the given timezone', () => {
+    // 08:00 en Córdoba (UTC-3)
+    expect(nextCronDate('0 8 * * *', new Date('2026-10-19T10:00:00Z'), 'America/Argentina/Cordoba').toISOString())
+      .toBe('2026-10-19T11:00:00.000Z');
+  });
+
+  it('should reject invalid expressions', () => {
+    expect(() => parseCron('* * * *')).toThrow();
+    expect(() => parseCron('61 * * * *')).toThrow();
+    expect(() => parseCron('*/0 * * * *')).toThrow();
+  });
+});
+
+describe('JobQueue', () => {
+  it('should run ready jobs in order', async () => {
+    const queue = buildQueue();
+    const processed = [];
+    queue.register('echo', data => processed.push(data.value));
+
+    await queue.add('echo', { value: 1 });
+    await queue.add('echo', { value: 2 });
+    await queue.runOnce();
+
+    expect(processed).toEqual([1, 2]);
+    expect((await queue.getHealth()).stats.completed).toBe(2);
+  });
+
+  it('should keep delayed jobs until their time', async () => {
+    const queue = buildQueue();
+    const handler = jest.fn();
+    queue.register('later', handler);
+
+    const job = await queue.add('later', {}, { delay: 60 * 1000 });
+    await queue.runOnce();
+    expect(handler).not.toHaveBeenCalled();
+
+    await queue.runOnce(new Date(new Date(job.runAt).getTime() + 1));
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('should retry failed jobs with backoff and then dead-letter them', async () => {
+    const queue = buildQueue();
+    queue.register('flaky', () => { throw new Error('Servicio no disponible'); }, { maxAttempts: 2, backoff: 1000 });
+
+    const now = new Date();
+    await queue.add('flaky');
+    const [first] = await queue.runOnce(now);
+    expect(first.status).toBe('retried');
+    expect(new Date(first.job.runAt).getTime() - now.getTime()).toBe(1000);
+
+    const [second] = await queue.runOnce(new Date(now.getTime() + 1000));
+    expect(second.status).toBe('failed');
+
+    const health = await queue.getHealth();
+    expect(health.queues).toEqual({ ready: 0, delayed: 0, dead: 1 });
+    expect(health.deadLetters[0]).toEqual(expect.objectContaining({ name: 'flaky', attempts: 2, lastError: 'Servicio no disponible' }));
+    expect(health.lastRuns.flaky.status).toBe('failed');
+  });
+
+  it('should double the retry delay up to the maximum', () => {
+    expect(getBackoffDelay(1, 1000)).toBe(1000);
+    expect(getBackoffDelay(3, 1000)).toBe(4000);
+    expect(getBackoffDelay(30, 1000)).toBe(60 * 60 * 1000);
+  });
+
+  it('should enqueue cron jobs once per run', async () => {
+    const queue = buildQueue();
+    const handler = jest.fn();
+    const start = new Date('2026-10-19T10:00:30Z');
+    queue.register('hourly', handler).schedule('hourly', '0 * * * *', {}, start);
+
+    await queue.runOnce(start);
+    expect(handler).not.toHaveBeenCalled();
+
+    const due = new Date('2026-10-19T11:00:10Z');
+    await queue.runOnce(due);
+    await queue.runOnce(due);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(queue.schedules.get('hourly').nextRunAt.toISOString()).toBe('2026-10-19T12:00:00.000Z');
+  });
+
+  it('should not accept unregistered jobs', async () => {
+    await expect(buildQueue().add('unknown')).rejects.toThrow('Trabajo no registrado');
+  });
+});
@@ -0,0 +1,95 @@
+// tests/services/notificationService.test.js
+const User = require('../../models/User');
+const notificationService = require('../../services/notificationService');
+const tokenService = require('../../utils/tokenService');
+
+const quietHours = { enabled: true, start: '22:00', end: '08:00', timezone: 'America/Argentina/Cordoba' };
+
+const buildUser = (preferences = {}) => {
+  const user = new User({ name: 'Vecina', email: 'vecina@example.com', password: 'password123' });
+  user.set('notificationPreferences', { ...user.notificationPreferences.toObject(), ...preferences });
+  return user;
+};
+
+describe('NotificationService', () => {
+  describe('getEnabledChannels', () => {
+    it('should use the defaults for each notification type', () => {
+      const user = buildUser();
+
+      expect(notificationService.getEnabledChannels(user, 'transaction')).toEqual(['in_app', 'email', 'push']);
+      expect(notificationService.getEnabledChannels(user, 'review')).toEqual(['in_app', 'push']);
+    });
+
+    it('should honour the channels chosen by the user', () => {
+      const user = buildUser();
+      user.notificationPreferences.channels.transaction.email = false;
+      user.notificationPreferences.channels.transaction.sms = true;
+
+      expect(notificationService.getEnabledChannels(user, 'transaction')).toEqual(['in_app', 'push', 'sms']);
+    });
+  });
+
+  describe('quiet hours', () => {
+    it('should detect quiet hours that cross midnight in the user timezone', () => {
+      // 00:30 y 15:00 en Córdoba (UTC-3)
+      expect(notificationService.isQuietTime(quietHours, new Date('2026-10-19T03:30:00Z'))).toBe(true);
+      expect(notificationService.isQuietTime(quietHours, new Date('2026-10-19T18:00:00Z'))).toBe(false);
+      expect(notificationService.isQuietTime({ ...quietHours, enabled: false }, new Date('2026-10-19T03:30:00Z'))).toBe(false);
+    });
+
+    it('should postpone push until the quiet hours end', async () => {
+      const user = buildUser({ quietHours });
+      const delivery = await notificationService.deliver(user, {}, 'push', new Date('2026-10-19T03:30:00Z'));
+
+      expect(delivery).toEqual({
+        channel: 'push',
+        status: 'deferred',
+        reason: 'quiet_hours',
+        deliverAfter: new Date('2026-10-19T11:00:00Z')
+      });
+    });
+  });
+
+  describe('deliver', () => {
+    afterEach(() => {
+      notificationService.setProvider('sms', undefined);
+    });
+
+    it('should leave emails for the digest when the user chose one', async () => {
+      const user = buildUser({ digest: { frequency: 'daily' } });
+      const delivery = await notificationService.deliver(user, {}, 'email');
+
+      expect(delivery).toEqual({ channel: 'email', status: 'deferred', reason: 'digest' });
+    });
+
+    it('should send through the pluggable provider', async () => {
+      const sent = [];
+      notificationService.setProvider('sms', { send: async (user, notification) => sent.push(notification) });
+
+      const user = buildUser();
+      user.phone = '+5493510000000';
+      const delivery = await notificationService.deliver(user, { title: 'Aviso' }, 'sms');
+
+      expect(delivery.status).toBe('sent');
+      expect(sent).toEqual([{ title: 'Aviso' }]);
+    });
+
+    it('should skip channels without a provider', async () => {
+      const delivery = await notificationService.deliver(buildUser(), {}, 'sms');
+
+      expect(delivery).toEqual({ channel: 'sms', status: 'skipped', reason: 'no_provider' });
+    });
+  });
+
+  it('should sign unsubscribe links for a notification type', () => {
+    const user = buildUser();
+    const { url } = notificationService.getUnsubscribeLinks(user._id, 'review');
+    const token = decodeURIComponent(new URL(url).searchParams.get('token'));
+
+    expect(tokenService.verifyUnsubscribeToken(token)).toEqual(expect.objectContaining({
+      userId: user._id.toString(),
+      type: 'review'
+    }));
+    expect(tokenService.verifyUnsubscribeToken(`${token}x`)).toBeNull();
+  });
+});
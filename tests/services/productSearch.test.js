@@ -0,0 +1,50 @@
+// tests/services/productSearch.test.js
+const mongoose = require('mongoose');
+const productSearch = require('../../services/productSearch');
+
+describe('productSearch', () => {
+  describe('resolveSort', () => {
+    it('should default to relevance, then distance, then newest', () => {
+      expect(productSearch.resolveSort({ search: 'mesa', location: { lat: 0, lng: 0 } })).toBe('relevance');
+      expect(productSearch.resolveSort({ location: { lat: 0, lng: 0 } })).toBe('distance');
+      expect(productSearch.resolveSort({})).toBe('newest');
+    });
+
+    it('should reject sorts that lack their input', () => {
+      expect(() => productSearch.resolveSort({ sort: 'relevance' })).toThrow('texto de búsqueda');
+      expect(() => productSearch.resolveSort({ sort: 'distance', search: 'mesa' })).toThrow('ubicación');
+    });
+  });
+
+  describe('cursor', () => {
+    const id = new mongoose.Types.ObjectId();
+
+    it('should round-trip the sort value and id', () => {
+      const createdAt = new Date('2026-10-19T10:00:00Z');
+      const cursor = productSearch.encodeCursor('newest', { sortValue: createdAt, _id: id });
+
+      expect(productSearch.decodeCursor(cursor, 'newest')).toEqual({ value: createdAt, id });
+
+      const distance = productSearch.encodeCursor('distance', { sortValue: 1.2345678901234, _id: id });
+      expect(productSearch.decodeCursor(distance, 'distance').value).toBe(1.2345678901234);
+    });
+
+    it('should reject cursors from another sort or tampered ones', () => {
+      const cursor = productSearch.encodeCursor('popularity', { sortValue: 10, _id: id });
+
+      expect(() => productSearch.decodeCursor(cursor, 'newest')).toThrow('Cursor inválido');
+      expect(() => productSearch.decodeCursor('no-es-un-cursor', 'newest')).toThrow('Cursor inválido');
+
+      try {
+        productSearch.decodeCursor('no-es-un-cursor', 'newest');
+      } catch (error) {
+        expect(error.status).toBe(400);
+      }
+    });
+  });
+
+  it('should split the radius into distance buckets', () => {
+    expect(productSearch.distanceBuckets(10)).toEqual([1, 2, 5, 10]);
+    expect(productSearch.distanceBuckets(3)).toEqual([1, 2, 3]);
+  });
+});
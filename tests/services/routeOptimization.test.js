@@ -0,0 +1,188 @@
+// tests/services/routeOptimization.test.js
+const routeService = require('../../services/routeOptimization');
+const { haversineDistance } = require('../../utils/geo');
+
+// Puntos sobre una grilla de ~1 km alrededor de Charbonier
+const point = (x, y, extra = {}) => ({
+  address: `Punto ${x},${y}`,
+  coordinates: { lat: -31.42 + y * 0.009, lng: -64.19 + x * 0.0105 },
+  ...extra
+});
+
+const depot = { lat: -31.42, lng: -64.19 };
+
+// Recorrido cerrado más corto probando todas las permutaciones
+const bruteForceDistance = (points, start) => {
+  const permutations = (items) => items.length <= 1
+    ? [items]
+    : items.flatMap((item, i) => permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest]));
+
+  return Math.min(...permutations(points).map(order => {
+    const stops = [start, ...order.map(p => p.coordinates), start];
+    return stops.slice(1).reduce((total, stop, i) => total + haversineDistance(stops[i], stop), 0);
+  }));
+};
+
+describe('RouteService', () => {
+  describe('haversineDistance', () => {
+    it('should measure distances on the earth surface', () => {
+      // Córdoba capital - Villa Carlos Paz: ~30 km en línea recta
+      const distance = haversineDistance(
+        { lat: -31.4201, lng: -64.1888 },
+        { lat: -31.4241, lng: -64.4978 }
+      );
+
+      expect(distance).toBeGreaterThan(29);
+      expect(distance).toBeLessThan(30);
+    });
+  });
+
+  describe('optimizeCollectionRoute', () => {
+    it('should untangle a crossing route', async () => {
+      const points = [point(0, 1), point(1, 0), point(1, 1), point(0, 2), point(2, 2), point(2, 0)];
+
+      const result = await routeService.optimizeCollectionRoute(points, { depot: { start: depot } });
+
+      expect(result.unassigned).toHaveLength(0);
+      expect(result.route).toHaveLength(points.length);
+      expect(result.after.distance).toBeLessThan(result.before.distance);
+      expect(result.savings.distance).toBeCloseTo(result.before.distance - result.after.distance, 1);
+      expect(result.after.distance).toBeCloseTo(bruteForceDistance(points, depot), 1);
+    });
+
+    it('should return to a different end depot when configured', async () => {
+      const points = [point(1, 0), point(2, 0), point(3, 0)];
+      const end = point(4, 0).coordinates;
+
+      const result = await routeService.optimizeCollectionRoute(points, { depot: { start: depot, end } });
+
+      expect(result.route.map(p => p.address)).toEqual(['Punto 1,0', 'Punto 2,0', 'Punto 3,0']);
+      expect(result.after.distance).toBeCloseTo(haversineDistance(depot, end), 1);
+    });
+
+    it('should respect time windows', async () => {
+      const points = [
+        point(1, 0),
+        point(5, 0, { timeWindow: { start: '08:00', end: '08:30' } }),
+        point(2, 0)
+      ];
+
+      const result = await routeService.optimizeCollectionRoute(points, {
+        depot: { start: depot },
+        startTime: '08:00',
+        endTime: '12:00'
+      });
+
+      expect(result.unassigned).toHaveLength(0);
+      expect(result.route[0].address).toBe('Punto 5,0');
+      expect(result.arrivals[0]).toBeLessThanOrEqual(8 * 60 + 30);
+    });
+
+    it('should leave out points that exceed the vehicle capacity', async () => {
+      const points = [
+        point(1, 0, { load: 300 }),
+        point(2, 0, { load: 300 }),
+        point(3, 0, { load: 300 })
+      ];
+
+      const result = await routeService.optimizeCollectionRoute(points, {
+        depot: { start: depot },
+        capacity: 700
+      });
+
+      expect(result.route).toHaveLength(2);
+      expect(result.unassigned).toHaveLength(1);
+    });
+
+    it('should flag the original order as infeasible when it breaks a window', () => {
+      const points = [
+        point(3, 0),
+        point(1, 0, { timeWindow: { start: '08:00', end: '08:10' } })
+      ];
+
+      const evaluation = routeService.evaluateRoute(points, { depot: { start: depot }, startTime: '08:00' });
+
+      expect(evaluation.feasible).toBe(false);
+    });
+  });
+
+  describe('planVehicleRoutes', () => {
+    const vehicle = (extra = {}) => ({
+      depot: { start: depot },
+      startTime: '08:00',
+      endTime: '14:00',
+      capacity: 500,
+      materialTypes: ['plastic', 'paper'],
+      ...extra
+    });
+
+    it('should split pickups between vehicles by capacity', async () => {
+      const pickups = [1, 2, 3, 4].map(x => point(x, 0, { load: 200, materialType: 'plastic' }));
+
+      const plan = await routeService.planVehicleRoutes([vehicle(), vehicle()], pickups);
+
+      expect(plan.unassigned).toHaveLength(0);
+      plan.routes.forEach(route => {
+        expect(route.load).toBeLessThanOrEqual(500);
+        expect(route.feasible).toBe(true);
+      });
+      expect(plan.routes.reduce((total, route) => total + route.stops.length, 0)).toBe(4);
+    });
+
+    it('should only assign pickups to vehicles that accept the material', async () => {
+      const pickups = [
+        point(1, 0, { materialType: 'glass' }),
+        point(2, 0, { materialType: 'plastic' }),
+        point(3, 0, { materialType: 'metal' })
+      ];
+
+      const plan = await routeService.planVehicleRoutes([
+        vehicle({ materialTypes: ['plastic'] }),
+        vehicle({ materialTypes: ['glass'], vehicleType: 'van' })
+      ], pickups);
+
+      expect(plan.routes[0].stops.map(stop => stop.materialType)).toEqual(['plastic']);
+      expect(plan.routes[1].stops.map(stop => stop.materialType)).toEqual(['glass']);
+      expect(plan.unassigned.map(pickup => pickup.materialType)).toEqual(['metal']);
+    });
+
+    it('should respect each vehicle time slot', async () => {
+      const pickups = [point(1, 1, { materialType: 'paper', timeWindow: { start: '15:00', end: '16:00' } })];
+
+      const plan = await routeService.planVehicleRoutes([
+        vehicle(),
+        vehicle({ startTime: '14:00', endTime: '18:00' })
+      ], pickups);
+
+      expect(plan.routes[0].stops).toHaveLength(0);
+      expect(plan.routes[1].stops).toHaveLength(1);
+    });
+
+    it('should use the load matching the vehicle capacity unit', async () => {
+      const pickups = [1, 2, 3].map(x => point(x, 0, { load: 400, loadByUnit: { kg: 400, items: 1 } }));
+
+      const plan = await routeService.planVehicleRoutes([
+        vehicle({ materialTypes: [], capacity: 3, capacityUnit: 'items' })
+      ], pickups);
+
+      expect(plan.unassigned).toHaveLength(0);
+      expect(plan.routes[0].load).toBe(3);
+    });
+  });
+
+  describe('calculateCarbonFootprint', () => {
+    it('should use the factor of the vehicle type and fuel', () => {
+      expect(routeService.calculateCarbonFootprint(10, { type: 'truck', fuelType: 'diesel' })).toBe(9);
+      expect(routeService.calculateCarbonFootprint(10, { type: 'van', fuelType: 'electric' })).toBe(0.5);
+    });
+
+    it('should assume the usual fuel when the vehicle does not declare it', () => {
+      expect(routeService.calculateCarbonFootprint(10, { type: 'car' }))
+        .toBe(routeService.calculateCarbonFootprint(10, { type: 'car', fuelType: 'gasoline' }));
+    });
+
+    it('should not emit for bicycles', () => {
+      expect(routeService.calculateCarbonFootprint(25, { type: 'bicycle' })).toBe(0);
+    });
+  });
+});
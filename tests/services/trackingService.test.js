@@ -0,0 +1,29 @@
+// tests/services/trackingService.test.js
+const trackingService = require('../../services/trackingService');
+
+// 0.01° de latitud son ~1,11 km
+const point = (lat, status = 'pending', serviceTime = 5) => ({ coordinates: { lat, lng: -64.19 }, status, serviceTime });
+
+describe('trackingService', () => {
+  describe('estimateArrivals', () => {
+    it('should accumulate travel and service time along the pending points', () => {
+      const schedule = {
+        vehicle: { type: 'truck' },
+        route: [point(-31.40, 'completed'), point(-31.41), point(-31.42)]
+      };
+
+      const etas = trackingService.estimateArrivals(schedule, { lat: -31.40, lng: -64.19 });
+
+      // 1,11 km a 25 km/h son ~2,7 minutos; el segundo suma 5 de servicio y otro tramo igual
+      expect(etas.map(({ minutes }) => minutes)).toEqual([3, 10]);
+      expect(etas[0].point).toBe(schedule.route[1]);
+    });
+
+    it('should use the vehicle speed', () => {
+      const schedule = { vehicle: { type: 'bicycle' }, route: [point(-31.41)] };
+
+      const [eta] = trackingService.estimateArrivals(schedule, { lat: -31.40, lng: -64.19 });
+      expect(eta.minutes).toBe(6);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Transaction = require('../models/Transaction');
+const { loginAs } = require('./helpers');
+
+// Configuración de base de datos de prueba
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/circulapp_test';
+
+describe('Transaction Routes', () => {
+  let donorToken;
+  let recipientToken;
+  let donor;
+  let recipient;
+  let product;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({}),
+      Transaction.deleteMany({})
+    ]);
+
+    donor = await new User({ name: 'Donante', email: 'donor@example.com', password: 'password123' }).save();
+    recipient = await new User({ name: 'Receptor', email: 'recipient@example.com', password: 'password123' }).save();
+
+    product = await new Product({
+      title: 'Mesa de madera',
+      description: 'Mesa de comedor en buen estado',
+      category: 'furniture',
+      condition: 'good',
+      owner: donor._id,
+      location: {
+        address: 'Calle Principal 123',
+        coordinates: { lat: -31.4205, lng: -64.1890 }
+      }
+    }).save();
+
+    donorToken = await loginAs('donor@example.com');
+    recipientToken = await loginAs('recipient@example.com');
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Product.deleteMany({}),
+      Transaction.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  const requestProduct = () => request(app)
+    .post('/api/transactions')
+    .set('Authorization', `Bearer ${recipientToken}`)
+    .send({ productId: product._id.toString(), message: 'Me interesa la mesa' });
+
+  it('should complete the full donation lifecycle', async () => {
+    const created = await requestProduct().expect(201);
+    const transactionId = created.body.transaction._id;
+    expect(created.body.transaction.status).toBe('pending');
+
+    await request(app)
+      .patch(`/api/transactions/${transactionId}/accept`)
+      .set('Authorization', `Bearer ${donorToken}`)
+      .expect(200);
+    expect((await Product.findById(product._id)).status).toBe('reserved');
+
+    await request(app)
+      .patch(`/api/transactions/${transactionId}/start`)
+      .set('Authorization', `Bearer ${recipientToken}`)
+      .expect(200);
+
+    const firstConfirmation = await request(app)
+      .patch(`/api/transactions/${transactionId}/confirm`)
+      .set('Authorization', `Bearer ${donorToken}`)
+      .expect(200);
+    expect(firstConfirmation.body.transaction.status).toBe('in_progress');
+
+    const secondConfirmation = await request(app)
+      .patch(`/api/transactions/${transactionId}/confirm`)
+      .set('Authorization', `Bearer ${recipientToken}`)
+      .expect(200);
+    expect(secondConfirmation.body.transaction.status).toBe('completed');
+
+    expect((await Product.findById(product._id)).status).toBe('donated');
+
+    const [updatedDonor, updatedRecipient] = await Promise.all([
+      User.findById(donor._id),
+      User.findById(recipient._id)
+    ]);
+    expect(updatedDonor.stats.transactionsCompleted).toBe(1);
+    expect(updatedRecipient.stats.productsReceived).toBe(1);
+    expect(updatedRecipient.stats.transactionsCompleted).toBe(1);
+  });
+
+  it('should not allow requesting own product', async () => {
+    const response = await request(app)
+      .post('/api/transactions')
+      .set('Authorization', `Bearer ${donorToken}`)
+      .send({ productId: product._id.toString() })
+      .expect(400);
+
+    expect(response.body.message).toBe('No puedes solicitar tu propio producto');
+  });
+
+  it('should reject illegal state transitions', async () => {
+    const created = await requestProduct().expect(201);
+
+    const response = await request(app)
+      .patch(`/api/transactions/${created.body.transaction._id}/start`)
+      .set('Authorization', `Bearer ${donorToken}`)
+      .expect(409);
+
+    expect(response.body.message).toMatch(/pending/);
+  });
+
+  it('should only let the donor accept a request', async () => {
+    const created = await requestProduct().expect(201);
+
+    await request(app)
+      .patch(`/api/transactions/${created.body.transaction._id}/accept`)
+      .set('Authorization', `Bearer ${recipientToken}`)
+      .expect(404);
+  });
+
+  it('should release the product when a reserved transaction is cancelled', async () => {
+    const created = await requestProduct().expect(201);
+    const transactionId = created.body.transaction._id;
+
+    await request(app)
+      .patch(`/api/transactions/${transactionId}/accept`)
+      .set('Authorization', `Bearer ${donorToken}`)
+      .expect(200);
+
+    const response = await request(app)
+      .patch(`/api/transactions/${transactionId}/cancel`)
+      .set('Authorization', `Bearer ${recipientToken}`)
+      .send({ reason: 'Ya no lo necesito' })
+      .expect(200);
+
+    expect(response.body.transaction.status).toBe('cancelled');
+    expect(response.body.transaction.cancellationReason).toBe('Ya no lo necesito');
+    expect((await Product.findById(product._id)).status).toBe('available');
+  });
+
+  it('should offer the product to the next person in the queue when a reservation is cancelled', async () => {
+    await new User({ name: 'En espera', email: 'waiting@example.com', password: 'password123' }).save();
+    const waitingToken = await loginAs('waiting@example.com');
+
+    const first = await requestProduct().expect(201);
+    await request(app)
+      .patch(`/api/transactions/${first.body.transaction._id}/accept`)
+      .set('Authorization', `Bearer ${donorToken}`)
+      .expect(200);
+
+    const queued = await request(app)
+      .post('/api/transactions')
+      .set('Authorization', `Bearer ${waitingToken}`)
+      .send({ productId: product._id.toString(), message: 'Si se libera, la quiero' })
+      .expect(201);
+    expect(queued.body.message).toBe('Te uniste a la fila de espera del producto');
+
+    await request(app)
+      .patch(`/api/transactions/${first.body.transaction._id}/cancel`)
+      .set('Authorization', `Bearer ${recipientToken}`)
+      .send({ reason: 'Ya no lo necesito' })
+      .expect(200);
+
+    const offered = await Transaction.findById(queued.body.transaction._id);
+    expect(offered.offer.expiresAt).toBeDefined();
+    expect((await Product.findById(product._id)).status).toBe('reserved');
+
+    const response = await request(app)
+      .patch(`/api/transactions/${offered._id}/respond-offer`)
+      .set('Authorization', `Bearer ${waitingToken}`)
+      .send({ accept: true })
+      .expect(200);
+
+    expect(response.body.transaction.status).toBe('accepted');
+  });
+
+  it('should require a reason to cancel', async () => {
+    const created = await requestProduct().expect(201);
+
+    await request(app)
+      .patch(`/api/transactions/${created.body.transaction._id}/cancel`)
+      .set('Authorization', `Bearer ${recipientToken}`)
+      .send({})
+      .expect(400);
+  });
+});
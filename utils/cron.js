@@ -0,0 +1,120 @@
+// utils/cron.js
+// Expresiones cron de 5 campos: minuto hora día-del-mes mes día-de-la-semana.
+// Admite *, listas (1,15), rangos (1-5) y pasos (*/15, 8-18/2).
+// El día de la semana va de 0 (domingo) a 6; 7 también es domingo.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Límite de búsqueda de la próxima ejecución (por ejemplo, 29 de febrero)
+const MAX_SEARCH_DAYS = 366 * 5;
+
+const parseField = (expression, { name, min, max }) => {
+  const values = new Set();
+
+  expression.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let [start, end] = [min, max];
+
+    if (range !== '*') {
+      [start, end] = range.split('-').map(Number);
+      if (end === undefined) end = stepText === undefined ? start : max;
+    }
+
+    if (![start, end, step].every(Number.isInteger) || step < 1 || start < min || end > max || start > end) {
+      throw new Error(`Campo ${name} inválido en la expresión cron: ${expression}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  });
+
+  return values;
+};
+
+const parseCron = (expression) => {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`La expresión cron debe tener ${FIELDS.length} campos: ${expression}`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Como en cron: si se restringen ambos días, alcanza con que coincida uno
+    anyDay: parts[2] === '*' || parts[4] === '*'
+  };
+};
+
+// Fecha y hora local en la zona horaria dada
+const localParts = (date, timezone) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    weekday: 'short'
+  });
+  const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]));
+
+  return {
+    minute: Number(parts.minute),
+    hour: Number(parts.hour),
+    dayOfMonth: Number(parts.day),
+    month: Number(parts.month),
+    dayOfWeek: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+};
+
+const matchesDay = (schedule, local) => {
+  const dayOfMonth = schedule.dayOfMonth.has(local.dayOfMonth);
+  const dayOfWeek = schedule.dayOfWeek.has(local.dayOfWeek);
+  return schedule.anyDay ? dayOfMonth && dayOfWeek : dayOfMonth || dayOfWeek;
+};
+
+// Próximo minuto posterior a `from` que cumple la expresión, en la zona horaria dada
+const nextCronDate = (expression, from = new Date(), timezone = 'UTC') => {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(from);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = from.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    const local = localParts(date, timezone);
+
+    if (!schedule.month.has(local.month) || !matchesDay(schedule, local)) {
+      // Saltar al comienzo del día siguiente
+      date.setUTCMinutes(date.getUTCMinutes() + (24 * 60 - (local.hour * 60 + local.minute)));
+    } else if (!schedule.hour.has(local.hour)) {
+      date.setUTCMinutes(date.getUTCMinutes() + (60 - local.minute));
+    } else if (!schedule.minute.has(local.minute)) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`La expresión cron no tiene próximas ejecuciones: ${expression}`);
+};
+
+module.exports = {
+  parseCron,
+  nextCronDate
+};
@@ -0,0 +1,47 @@
+// utils/dates.js
+
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+// Fecha y hora locales de un instante en la zona horaria indicada
+const localParts = (date, timezone) => {
+  return Object.fromEntries(getFormatter(timezone).formatToParts(date).map(part => [part.type, Number(part.value)]));
+};
+
+// Diferencia en ms entre la hora local de la zona y UTC en ese instante
+const timezoneOffset = (date, timezone) => {
+  const { year, month, day, hour, minute, second } = localParts(date, timezone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+// Instante en que empieza, en la zona horaria indicada, el día local de date
+const startOfDay = (date, timezone) => {
+  const instant = new Date(date);
+  const { year, month, day } = localParts(instant, timezone);
+  const midnight = Date.UTC(year, month - 1, day);
+
+  // El desplazamiento puede cambiar entre date y la medianoche (horario de verano)
+  const guess = new Date(midnight - timezoneOffset(instant, timezone));
+  return new Date(midnight - timezoneOffset(guess, timezone));
+};
+
+module.exports = {
+  timezoneOffset,
+  startOfDay
+};
@@ -1,9 +1,33 @@
 // utils/emailService.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const nodemailer = require('nodemailer');
+const emailTemplates = require('../templates/emails');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
 
 class EmailService {
   constructor() {
-    this.transporter = nodemailer.createTransporter({
+    // smtp: envío real
+    // memory: los mensajes se guardan en this.outbox (por defecto en tests)
+    // file: cada mensaje se escribe como .eml en EMAIL_OUTPUT_DIR (desarrollo)
+    this.transport = process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'memory' : 'smtp');
+    this.outputDir = process.env.EMAIL_OUTPUT_DIR || path.join(os.tmpdir(), 'circulapp-emails');
+    this.outbox = [];
+    this.transporter = this.createTransporter();
+  }
+
+  createTransporter() {
+    if (this.transport === 'memory') {
+      return nodemailer.createTransport({ jsonTransport: true });
+    }
+
+    if (this.transport === 'file') {
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    }
+
+    return nodemailer.createTransport({
       host: process.env.SMTP_HOST || 'smtp.gmail.com',
       port: process.env.SMTP_PORT || 587,
       secure: false,
@@ -14,76 +38,95 @@ class EmailService {
     });
   }
 
-  async sendWelcomeEmail(user) {
-    const mailOptions = {
+  async deliver(mailOptions) {
+    const info = await this.transporter.sendMail(mailOptions);
+
+    if (this.transport === 'memory') {
+      this.outbox.push(JSON.parse(info.message));
+    }
+
+    if (this.transport === 'file') {
+      await fs.promises.mkdir(this.outputDir, { recursive: true });
+      const name = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+      info.file = path.join(this.outputDir, name);
+      await fs.promises.writeFile(info.file, info.message);
+    }
+
+    return info;
+  }
+
+  clearOutbox() {
+    this.outbox = [];
+  }
+
+  // Renderiza una plantilla (templates/emails) en el idioma del usuario y la envía
+  // con su alternativa en texto plano
+  sendTemplate(name, user, context = {}, options = {}) {
+    const { subject, html, text } = emailTemplates.render(name, user.locale, { user, frontendUrl: FRONTEND_URL, ...context });
+
+    return this.deliver({
       from: process.env.FROM_EMAIL,
       to: user.email,
-      subject: '¡Bienvenido a Circulapp!',
-      html: `
-        <h1>¡Bienvenido a Circulapp, ${user.name}!</h1>
-        <p>Gracias por unirte a nuestra comunidad de economía circular.</p>
-        <p>Con Circulapp podrás:</p>
-        <ul>
-          <li>Donar productos que ya no uses</li>
-          <li>Encontrar objetos que necesitas</li>
-          <li>Contribuir al medio ambiente</li>
-          <li>Conectar con tu comunidad</li>
-        </ul>
-        <p>¡Comienza a explorar y haz tu primera publicación!</p>
-      `
+      subject,
+      html,
+      text,
+      ...options
+    });
+  }
+
+  // Cabeceras List-Unsubscribe para que los clientes de correo ofrezcan la baja con un clic
+  unsubscribeOptions(unsubscribe) {
+    return {
+      list: {
+        unsubscribe: { url: unsubscribe.url, comment: 'Dejar de recibir estos emails' }
+      },
+      headers: {
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
     };
+  }
 
+  async sendWelcomeEmail(user) {
     try {
-      await this.transporter.sendMail(mailOptions);
+      await this.sendTemplate('welcome', user);
       console.log('Email de bienvenida enviado a:', user.email);
     } catch (error) {
       console.error('Error enviando email de bienvenida:', error);
     }
   }
 
-  async sendTransactionNotification(user, transaction, type) {
-    let subject, html;
-
-    switch (type) {
-      case 'request':
-        subject = 'Nueva solicitud para tu producto';
-        html = `
-          <h2>¡Tienes una nueva solicitud!</h2>
-          <p>Hola ${user.name},</p>
-          <p>Alguien está interesado en tu producto. Revisa tu chat para más detalles.</p>
-        `;
-        break;
-      case 'accepted':
-        subject = 'Tu solicitud fue aceptada';
-        html = `
-          <h2>¡Tu solicitud fue aceptada!</h2>
-          <p>Hola ${user.name},</p>
-          <p>El donante ha aceptado tu solicitud. Coordina la entrega a través del chat.</p>
-        `;
-        break;
-      case 'completed':
-        subject = 'Transacción completada';
-        html = `
-          <h2>¡Transacción completada!</h2>
-          <p>Hola ${user.name},</p>
-          <p>Tu transacción ha sido marcada como completada. No olvides calificar tu experiencia.</p>
-        `;
-        break;
+  // Notificación enviada por el despachador (services/notificationService.js).
+  // Los errores se propagan para que el despachador registre el envío fallido.
+  sendNotificationEmail(user, notification, unsubscribe) {
+    return this.sendTemplate('notification', user, { notification, unsubscribe }, this.unsubscribeOptions(unsubscribe));
+  }
+
+  // Resumen diario o semanal armado por services/digestService.js.
+  // Los errores se propagan para que el resumen quede registrado como fallido.
+  sendDigestEmail(user, digest, unsubscribe) {
+    return this.sendTemplate('digest', user, { digest, unsubscribe }, this.unsubscribeOptions(unsubscribe));
+  }
+
+  async sendVerificationEmail(user, token) {
+    const link = `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+    try {
+      await this.sendTemplate('verification', user, { link });
+    } catch (error) {
+      console.error('Error enviando email de verificación:', error);
     }
+  }
 
-    const mailOptions = {
-      from: process.env.FROM_EMAIL,
-      to: user.email,
-      subject,
-      html
-    };
+  async sendPasswordResetEmail(user, token) {
+    const link = `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`;
 
     try {
-      await this.transporter.sendMail(mailOptions);
+      await this.sendTemplate('passwordReset', user, { link });
     } catch (error) {
-      console.error('Error enviando notificación por email:', error);
+      console.error('Error enviando email de restablecimiento:', error);
     }
   }
 }
 
-module.exports = new EmailService();
\ No newline at end of file
+module.exports = new EmailService();
+module.exports.EmailService = EmailService;
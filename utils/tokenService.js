@@ -0,0 +1,194 @@
+// utils/tokenService.js
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const { redisClient } = require('../config/redis');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'default_secret';
+const ACCESS_TOKEN_TTL = parseInt(process.env.JWT_ACCESS_TTL_SECONDS) || 15 * 60; // 15 minutos
+const REFRESH_TOKEN_DAYS = parseInt(process.env.JWT_REFRESH_TTL_DAYS) || 30;
+
+// Vigencia de los tokens de un solo uso enviados por email
+const ACTION_TOKEN_TTL = {
+  verify_email: process.env.EMAIL_VERIFICATION_TTL || '48h',
+  reset_password: process.env.PASSWORD_RESET_TTL || '1h'
+};
+
+class TokenService {
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  generateAccessToken(user, sessionId) {
+    return jwt.sign(
+      { userId: user._id, email: user.email, sid: sessionId },
+      JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+  }
+
+  getDeviceInfo(req) {
+    return {
+      name: req.body?.deviceName,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    };
+  }
+
+  // Emitir un par access/refresh. Sin familia se inicia una sesión nueva.
+  async issueTokens(user, req, family = null) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const sessionId = family || crypto.randomUUID();
+
+    const record = await RefreshToken.create({
+      user: user._id,
+      tokenHash: this.hashToken(refreshToken),
+      family: sessionId,
+      device: this.getDeviceInfo(req),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+      lastUsedAt: new Date()
+    });
+
+    return {
+      token: this.generateAccessToken(user, sessionId),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      sessionId,
+      record
+    };
+  }
+
+  // Rotar un refresh token. Devuelve { user, tokens } o { error } si no es válido.
+  // Presentar un token ya rotado revoca toda la familia.
+  async rotate(refreshToken, req) {
+    const tokenHash = this.hashToken(refreshToken);
+    const now = new Date();
+
+    const current = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+      { revokedAt: now, revokedReason: 'rotated', lastUsedAt: now },
+      { new: true }
+    ).populate('user');
+
+    if (!current) {
+      const existing = await RefreshToken.findOne({ tokenHash });
+
+      if (existing?.revokedReason === 'rotated') {
+        await this.revokeFamily(existing.family, 'reuse_detected');
+        return { error: 'reuse_detected' };
+      }
+
+      return { error: 'invalid' };
+    }
+
+    if (!current.user || !current.user.isActive) {
+      await this.revokeFamily(current.family, 'account_deactivated');
+      return { error: 'invalid' };
+    }
+
+    const tokens = await this.issueTokens(current.user, req, current.family);
+    current.replacedBy = tokens.record._id;
+    await current.save();
+
+    return { user: current.user, tokens };
+  }
+
+  // Revocar una sesión (familia) y bloquear sus access tokens aún vigentes
+  async revokeFamily(family, reason) {
+    await RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+    await redisClient.set(`blacklist:session:${family}`, reason, { EX: ACCESS_TOKEN_TTL });
+  }
+
+  // Revocar todas las sesiones de un usuario, opcionalmente conservando una
+  async revokeAllForUser(userId, reason, exceptFamily = null) {
+    const filters = { user: userId, revokedAt: null };
+    if (exceptFamily) filters.family = { $ne: exceptFamily };
+
+    const families = await RefreshToken.distinct('family', filters);
+    await Promise.all(families.map(family => this.revokeFamily(family, reason)));
+
+    return families.length;
+  }
+
+  // Sesiones activas del usuario (un token vigente por familia)
+  async listSessions(userId) {
+    return RefreshToken.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('family device lastUsedAt expiresAt createdAt')
+      .sort({ lastUsedAt: -1 });
+  }
+
+  // Invalidar un access token hasta su vencimiento natural
+  async blacklistAccessToken(token) {
+    const decoded = jwt.decode(token);
+    const ttl = decoded?.exp ? decoded.exp - Math.floor(Date.now() / 1000) : ACCESS_TOKEN_TTL;
+
+    if (ttl > 0) {
+      await redisClient.set(`blacklist:${token}`, '1', { EX: ttl });
+    }
+  }
+
+  // Token firmado y con vencimiento para acciones enviadas por email.
+  // El tokenId se guarda en el usuario para que el token sea de un solo uso.
+  // Se firma con un secreto derivado para que no sirva como access token.
+  generateActionToken(user, purpose) {
+    const tokenId = crypto.randomUUID();
+    const token = jwt.sign(
+      { userId: user._id, purpose, jti: tokenId },
+      `${JWT_SECRET}:${purpose}`,
+      { expiresIn: ACTION_TOKEN_TTL[purpose] }
+    );
+
+    return { token, tokenId };
+  }
+
+  // Devuelve el payload si el token es válido para el propósito indicado
+  verifyActionToken(token, purpose) {
+    try {
+      const decoded = jwt.verify(token, `${JWT_SECRET}:${purpose}`);
+      return decoded.purpose === purpose && decoded.jti ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Token sin vencimiento para darse de baja de los emails con un clic.
+  // Con type solo se desactivan los emails de ese tipo de notificación.
+  generateUnsubscribeToken(userId, type = null) {
+    return jwt.sign(
+      { userId, purpose: 'unsubscribe', type },
+      `${JWT_SECRET}:unsubscribe`
+    );
+  }
+
+  verifyUnsubscribeToken(token) {
+    try {
+      const decoded = jwt.verify(token, `${JWT_SECRET}:unsubscribe`);
+      return decoded.purpose === 'unsubscribe' ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Redis bloquea el token al instante. La familia en la base no depende de
+  // Redis: si está caído, una sesión cerrada o revocada se sigue rechazando.
+  async isAccessTokenRevoked(token, decoded) {
+    if (await redisClient.exists(`blacklist:${token}`)) return true;
+    if (!decoded?.sid) return false;
+    if (await redisClient.exists(`blacklist:session:${decoded.sid}`)) return true;
+
+    // Rotar revoca el token anterior pero la sesión sigue abierta
+    return Boolean(await RefreshToken.exists({
+      family: decoded.sid,
+      revokedReason: { $nin: [null, 'rotated'] }
+    }));
+  }
+}
+
+module.exports = new TokenService();